@@ -0,0 +1,150 @@
+/**
+ * Link songs synced before the Album model to their albums.
+ *
+ * Songs with a Spotify id get their album (upserted from Spotify, as the
+ * sync does) and their track and disc numbers from the album's tracklist.
+ * Songs left over (no Spotify id, not found on Spotify, or --offline) are
+ * grouped by their Song.album name into albums built from the songs
+ * themselves: release year, release type and cover art, with no tracklist
+ * position. A later sync adopts those albums by name, keeping their slugs.
+ *
+ * Safe to re-run: only songs without an albumId are touched.
+ *
+ * Usage: npm run albums:backfill [-- --offline] [-- --dry-run]
+ *   --offline  don't call Spotify; build every album from song data
+ *   --dry-run  report what would be linked without writing
+ */
+import './load-env.js';
+import { spotifyClient } from '../src/lib/spotify.js';
+import { prisma } from '../src/lib/prisma.js';
+import { albumIdResolver, slugify, uniqueAlbumSlug } from '../src/lib/albums.js';
+
+const OFFLINE = process.argv.includes('--offline') ||
+  !process.env.SPOTIFY_CLIENT_ID || !process.env.SPOTIFY_CLIENT_SECRET;
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// ── From Spotify ──────────────────────────────────────────────────────────────
+
+/**
+ * Link songs with a Spotify id through their track's album and tracklist.
+ * Returns the number of songs linked.
+ */
+async function linkFromSpotify(songs) {
+  const tracks = await spotifyClient.getTrackDetails(songs.map(song => song.spotifyId));
+  const songIds = new Map(songs.map(song => [song.spotifyId, song.id]));
+  const resolveAlbumId = albumIdResolver();
+  const tracklists = new Map(); // Spotify album id → Map<track id, album track>
+
+  let linked = 0;
+  for (const track of tracks) {
+    const songId = songIds.get(track.id);
+    if (!songId || !track.album) continue;
+
+    if (!tracklists.has(track.album.id)) {
+      const albumTracks = await spotifyClient.getAlbumTracks(track.album.id);
+      tracklists.set(track.album.id, new Map(albumTracks.map(albumTrack => [albumTrack.id, albumTrack])));
+    }
+    const position = tracklists.get(track.album.id).get(track.id) ?? track;
+
+    if (!DRY_RUN) {
+      await prisma.song.update({
+        where: { id: songId },
+        data: {
+          albumId: await resolveAlbumId(track.album),
+          trackNumber: position.track_number ?? null,
+          discNumber: position.disc_number ?? null
+        }
+      });
+    }
+    linked++;
+    process.stdout.write('.');
+  }
+  return linked;
+}
+
+// ── From song data ────────────────────────────────────────────────────────────
+
+/**
+ * Link the remaining songs by album name. Returns { albums, linked }, where
+ * albums counts the albums created.
+ */
+async function linkByName(songs) {
+  const byName = new Map();
+  for (const song of songs) {
+    if (!byName.has(song.album)) byName.set(song.album, []);
+    byName.get(song.album).push(song);
+  }
+
+  let created = 0;
+  let linked = 0;
+  for (const [name, albumSongs] of byName) {
+    const years = albumSongs.map(song => song.year).filter(Boolean);
+    const year = years.length > 0 ? Math.min(...years) : null;
+
+    let album = await prisma.album.findFirst({ where: { name }, select: { id: true } });
+    if (!album) {
+      created++;
+      if (DRY_RUN) {
+        console.log(`  + ${name} (${slugify(name)}, ${albumSongs.length} songs)`);
+      } else {
+        album = await prisma.album.create({
+          data: {
+            name,
+            slug: await uniqueAlbumSlug(name, year),
+            releaseDate: year ? new Date(Date.UTC(year, 0, 1)) : null,
+            type: albumSongs[0].releaseType,
+            coverUrl: albumSongs.find(song => song.imageUrl)?.imageUrl ?? null
+          },
+          select: { id: true }
+        });
+      }
+    }
+
+    if (!DRY_RUN) {
+      await prisma.song.updateMany({
+        where: { id: { in: albumSongs.map(song => song.id) } },
+        data: { albumId: album.id }
+      });
+    }
+    linked += albumSongs.length;
+  }
+  return { albums: created, linked };
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+async function main() {
+  const unlinked = () => prisma.song.findMany({
+    where: { albumId: null, album: { not: null } },
+    select: { id: true, album: true, year: true, releaseType: true, imageUrl: true, spotifyId: true }
+  });
+
+  const songs = await unlinked();
+  console.log(`Songs without an album: ${songs.length}`);
+  if (songs.length === 0) return;
+
+  if (OFFLINE) {
+    console.log('Offline — skipping Spotify.');
+  } else {
+    const withSpotify = songs.filter(song => song.spotifyId);
+    console.log(`\nLinking ${withSpotify.length} songs from Spotify tracklists...`);
+    const linked = await linkFromSpotify(withSpotify);
+    console.log(`\n  ${linked} linked`);
+  }
+
+  // Dry runs didn't write, so only the Spotify step's songs are known to be done
+  const remaining = DRY_RUN && !OFFLINE
+    ? songs.filter(song => !song.spotifyId)
+    : await unlinked();
+  console.log(`\nLinking ${remaining.length} songs by album name...`);
+  const byName = await linkByName(remaining);
+  console.log(`  ${byName.linked} linked, ${byName.albums} albums created`);
+
+  if (DRY_RUN) console.log('\nDry run — nothing written.');
+}
+
+main()
+  .catch(e => {
+    console.error(e);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,110 @@
+/**
+ * Credit songs synced before the Artist model.
+ *
+ * Songs with a Spotify id get their primary and featured artists from the
+ * track, as the sync does. Songs left over (no Spotify id, not found on
+ * Spotify, or --offline) get one PRIMARY credit for their Song.artist name.
+ * A later sync adopts artists created by name, keeping their slugs.
+ *
+ * Safe to re-run: only songs without credits are touched.
+ *
+ * Usage: npm run artists:backfill [-- --offline] [-- --dry-run]
+ *   --offline  don't call Spotify; credit every song by Song.artist
+ *   --dry-run  report what would be credited without writing
+ */
+import './load-env.js';
+import { spotifyClient } from '../src/lib/spotify.js';
+import { prisma } from '../src/lib/prisma.js';
+import { artistIdResolver, findOrCreateArtist, setSongCredits } from '../src/lib/artists.js';
+
+const OFFLINE = process.argv.includes('--offline') ||
+  !process.env.SPOTIFY_CLIENT_ID || !process.env.SPOTIFY_CLIENT_SECRET;
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// ── From Spotify ──────────────────────────────────────────────────────────────
+
+/**
+ * Credit songs with a Spotify id from their track's artists. Returns
+ * { credited, featured }, where featured counts songs with a guest.
+ */
+async function creditFromSpotify(songs) {
+  const tracks = await spotifyClient.getTrackDetails(songs.map(song => song.spotifyId));
+  const songIds = new Map(songs.map(song => [song.spotifyId, song.id]));
+  const resolveArtistId = artistIdResolver();
+
+  let credited = 0;
+  let featured = 0;
+  for (const track of tracks) {
+    const songId = songIds.get(track.id);
+    if (!songId) continue;
+
+    const credits = spotifyClient.getTrackCredits(track);
+    if (credits.length === 0) continue;
+
+    if (DRY_RUN) {
+      const guests = credits.filter(credit => credit.role === 'FEATURED').map(credit => credit.artist.name);
+      if (guests.length > 0) console.log(`  ${track.name} feat. ${guests.join(', ')}`);
+    } else {
+      await setSongCredits(songId, credits, resolveArtistId);
+    }
+    credited++;
+    if (credits.some(credit => credit.role === 'FEATURED')) featured++;
+  }
+  return { credited, featured };
+}
+
+// ── From song data ────────────────────────────────────────────────────────────
+
+/**
+ * Give the remaining songs a PRIMARY credit for Song.artist. Returns the
+ * number of songs credited.
+ */
+async function creditByName(songs) {
+  if (DRY_RUN) return songs.length;
+
+  const artistIds = new Map(); // name → Artist id
+  for (const song of songs) {
+    if (!artistIds.has(song.artist)) artistIds.set(song.artist, await findOrCreateArtist(song.artist));
+    await prisma.songArtist.create({
+      data: { songId: song.id, artistId: artistIds.get(song.artist), role: 'PRIMARY', position: 0 }
+    });
+  }
+  return songs.length;
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+async function main() {
+  const uncredited = () => prisma.song.findMany({
+    where: { artists: { none: {} } },
+    select: { id: true, artist: true, spotifyId: true }
+  });
+
+  const songs = await uncredited();
+  console.log(`Songs without artist credits: ${songs.length}`);
+  if (songs.length === 0) return;
+
+  if (OFFLINE) {
+    console.log('Offline — skipping Spotify.');
+  } else {
+    const withSpotify = songs.filter(song => song.spotifyId);
+    console.log(`\nCrediting ${withSpotify.length} songs from Spotify track artists...`);
+    const { credited, featured } = await creditFromSpotify(withSpotify);
+    console.log(`  ${credited} credited, ${featured} with featured artists`);
+  }
+
+  // Dry runs didn't write, so only the Spotify step's songs are known to be done
+  const remaining = DRY_RUN && !OFFLINE
+    ? songs.filter(song => !song.spotifyId)
+    : await uncredited();
+  console.log(`\nCrediting ${remaining.length} songs by artist name...`);
+  console.log(`  ${await creditByName(remaining)} credited`);
+
+  if (DRY_RUN) console.log('\nDry run — nothing written.');
+}
+
+main()
+  .catch(e => {
+    console.error(e);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
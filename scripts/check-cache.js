@@ -0,0 +1,358 @@
+/**
+ * Run the cache backend contract against every backend.
+ *
+ *   memory         MemoryCache
+ *   redis (fake)   RedisCache with the in-process fake as its client
+ *   redis (RESP)   RedisCache over TCP to the fake, so the RESP encoder,
+ *                  reply parser (replies split into 3-byte reads), AUTH and
+ *                  SELECT run as in production
+ *   redis (url)    RedisCache against a real server, with --redis=<url>
+ *
+ * Each backend must round-trip values, expire them, invalidate by tag,
+ * clear only its own prefix, share one loader between concurrent getOrSet
+ * callers and release only the stampede lock it holds. Exits non-zero on
+ * any failure.
+ *
+ * Usage: npm run cache:check [-- --redis=redis://localhost:6379]
+ */
+import assert from 'assert/strict';
+import { MemoryCache } from '../src/lib/memory-cache.js';
+import { RedisCache } from '../src/lib/redis-cache.js';
+import { FakeRedis } from './fake-redis.js';
+
+const REDIS_URL = process.argv.find(arg => arg.startsWith('--redis='))?.slice('--redis='.length);
+const PREFIX = 'cache-check:';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run fn with console.error muted; the backends log every failure they absorb
+ */
+async function quietly(fn) {
+  const error = console.error;
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.error = error;
+  }
+}
+
+// ── Contract ─────────────────────────────────────────────────────────────────
+
+/**
+ * Checks every backend must pass. cache is fresh and empty; other is a second
+ * instance over the same storage (another process), or null for in-process
+ * backends.
+ */
+const CONTRACT = {
+  async 'round-trips JSON values and counts hits and misses'({ cache }) {
+    const value = { id: 'song-1', tags: ['a', 'b'], score: 0.5, nested: { ok: true } };
+    await cache.set('value', value);
+    assert.deepEqual(await cache.get('value'), value);
+    assert.equal(await cache.get('missing'), null);
+
+    const stats = cache.getStats();
+    assert.equal(stats.hits, 1);
+    assert.equal(stats.misses, 1);
+    assert.equal(stats.errors, 0);
+  },
+
+  async 'keeps multi-byte and large values intact'({ cache }) {
+    const text = 'Beyoncé — 夜に駆ける 🎧 '.repeat(4000);
+    await cache.set('large', { text });
+    assert.equal((await cache.get('large')).text, text);
+  },
+
+  async 'expires values after their ttl'({ cache }) {
+    await cache.set('short', 1, { ttl: 200 });
+    assert.equal(await cache.get('short'), 1);
+    await sleep(300);
+    assert.equal(await cache.get('short'), null);
+  },
+
+  async 'deletes a single key'({ cache }) {
+    await cache.set('a', 1);
+    await cache.set('b', 2);
+    await cache.delete('a');
+    assert.equal(await cache.get('a'), null);
+    assert.equal(await cache.get('b'), 2);
+  },
+
+  async 'invalidates every key written with a tag and nothing else'({ cache }) {
+    await cache.set('a', 1, { tags: ['songs'] });
+    await cache.set('b', 2, { tags: ['songs', 'user:1'] });
+    await cache.set('c', 3, { tags: ['user:1'] });
+    await cache.set('d', 4);
+
+    await cache.invalidate('songs');
+    assert.equal(await cache.get('a'), null);
+    assert.equal(await cache.get('b'), null);
+    assert.equal(await cache.get('c'), 3);
+    assert.equal(await cache.get('d'), 4);
+
+    // Rewritten after invalidation, the key is tagged again
+    await cache.set('a', 5, { tags: ['songs'] });
+    await cache.invalidate('songs');
+    assert.equal(await cache.get('a'), null);
+
+    await cache.invalidate('never-used');
+    assert.equal(cache.getStats().errors, 0);
+  },
+
+  async 'clears every key'({ cache }) {
+    await cache.set('a', 1, { tags: ['songs'] });
+    await cache.set('b', 2);
+    await cache.clear();
+    assert.equal(await cache.get('a'), null);
+    assert.equal(await cache.get('b'), null);
+  },
+
+  async 'runs one loader for concurrent getOrSet callers'({ cache }) {
+    let calls = 0;
+    const loader = async () => {
+      calls++;
+      await sleep(20);
+      return { loaded: calls };
+    };
+
+    const values = await Promise.all(Array.from({ length: 5 }, () => cache.getOrSet('shared', loader)));
+    assert.equal(calls, 1);
+    for (const value of values) assert.deepEqual(value, { loaded: 1 });
+
+    assert.deepEqual(await cache.getOrSet('shared', loader), { loaded: 1 });
+    assert.equal(calls, 1);
+  },
+
+  async 'does not cache null loader results'({ cache }) {
+    let calls = 0;
+    const loader = async () => {
+      calls++;
+      return null;
+    };
+    assert.equal(await cache.getOrSet('nothing', loader), null);
+    assert.equal(await cache.getOrSet('nothing', loader), null);
+    assert.equal(calls, 2);
+  },
+
+  async 'releases the lock when the loader throws'({ cache }) {
+    await assert.rejects(cache.getOrSet('failing', async () => {
+      throw new Error('loader failed');
+    }), /loader failed/);
+    assert.equal(await cache.getOrSet('failing', async () => 'second try'), 'second try');
+  },
+
+  async 'waits for another instance holding the lock instead of loading again'({ cache, other }) {
+    if (!other) return 'skipped (single process)';
+
+    let calls = 0;
+    const loader = async () => {
+      calls++;
+      await sleep(120);
+      return 'from one instance';
+    };
+
+    const first = cache.getOrSet('stampede', loader);
+    await sleep(20);
+    const second = other.getOrSet('stampede', loader);
+
+    assert.deepEqual(await Promise.all([first, second]), ['from one instance', 'from one instance']);
+    assert.equal(calls, 1);
+  },
+
+  async 'releases only the lock it holds'({ cache, other }) {
+    if (!other) return 'skipped (single process)';
+
+    assert.equal(await cache.acquireLock('locked', 5000), true);
+    assert.equal(await other.acquireLock('locked', 5000), false);
+
+    // A release from an instance that never held the lock is a no-op
+    await other.releaseLock('locked');
+    assert.equal(await other.acquireLock('locked', 5000), false);
+
+    await cache.releaseLock('locked');
+    assert.equal(await other.acquireLock('locked', 5000), true);
+
+    // The first holder's lock expired and was taken over; its release must not free it
+    cache.lockTokens.set('locked', 'expired-token');
+    await cache.releaseLock('locked');
+    assert.equal(await cache.acquireLock('locked', 5000), false);
+    await other.releaseLock('locked');
+  },
+
+  async 'lets the lock expire if its holder never releases it'({ cache, other }) {
+    if (!other) return 'skipped (single process)';
+
+    assert.equal(await cache.acquireLock('abandoned', 30), true);
+    await sleep(60);
+    assert.equal(await other.acquireLock('abandoned', 5000), true);
+    await other.releaseLock('abandoned');
+  }
+};
+
+/**
+ * Redis-only checks. raw sends commands straight to the shared storage.
+ */
+const REDIS_CONTRACT = {
+  async 'stores values, tags and locks under the prefix'({ cache, raw }) {
+    await cache.set('a', { x: 1 }, { ttl: 60000, tags: ['songs'] });
+    assert.equal(await raw.send('GET', `${PREFIX}a`), '{"x":1}');
+    assert.deepEqual(await raw.send('SMEMBERS', `${PREFIX}tag:songs`), ['a']);
+
+    await cache.getOrSet('locked', async () => {
+      assert.notEqual(await raw.send('GET', `${PREFIX}lock:locked`), null);
+      return 1;
+    });
+    assert.equal(await raw.send('GET', `${PREFIX}lock:locked`), null);
+  },
+
+  async 'clears only keys under its prefix, across SCAN pages'({ cache, raw }) {
+    await raw.send('SET', 'other-app:kept', 'yes');
+    for (let i = 0; i < 1200; i++) await raw.send('SET', `${PREFIX}bulk:${i}`, String(i));
+    await cache.clear();
+
+    const [, left] = await raw.send('SCAN', '0', 'MATCH', `${PREFIX}*`, 'COUNT', 100000);
+    assert.deepEqual(left, []);
+    assert.equal(await raw.send('GET', 'other-app:kept'), 'yes');
+    await raw.send('DEL', 'other-app:kept');
+  },
+
+  async 'invalidates tags larger than one delete batch'({ cache }) {
+    await Promise.all(Array.from({ length: 1200 }, (_, i) => cache.set(`many:${i}`, i, { tags: ['many'] })));
+    await cache.invalidate('many');
+    assert.equal(await cache.get('many:0'), null);
+    assert.equal(await cache.get('many:1199'), null);
+  },
+
+  async 'rejects error replies without losing the following replies'({ cache }) {
+    const replies = await Promise.allSettled([
+      cache.client.send('SET', `${PREFIX}x`, '1'),
+      cache.client.send('NOT-A-COMMAND'),
+      cache.client.send('GET', `${PREFIX}x`),
+      cache.client.send('GET', `${PREFIX}missing`)
+    ]);
+    assert.equal(replies[0].value, 'OK');
+    assert.equal(replies[1].status, 'rejected');
+    assert.equal(replies[2].value, '1');
+    assert.equal(replies[3].value, null);
+  },
+
+  async 'counts backend failures as misses and still loads'() {
+    const down = new RedisCache({
+      client: { send: async () => { throw new Error('connection refused'); } },
+      prefix: PREFIX
+    });
+
+    await quietly(async () => {
+      assert.equal(await down.get('a'), null);
+      await down.set('a', 1);
+      await down.invalidate('songs');
+      assert.equal(await down.getOrSet('a', async () => 'loaded'), 'loaded');
+    });
+    assert.ok(down.getStats().errors >= 3);
+  }
+};
+
+// ── Backends ─────────────────────────────────────────────────────────────────
+
+/**
+ * Each target builds { cache, other, raw } per check and cleans up after
+ */
+function targets() {
+  const list = [
+    {
+      name: 'memory',
+      contracts: [CONTRACT],
+      async setup() {
+        return { cache: new MemoryCache(), other: null };
+      }
+    },
+    {
+      name: 'redis (fake client)',
+      contracts: [CONTRACT, REDIS_CONTRACT],
+      async setup() {
+        const fake = new FakeRedis();
+        return {
+          cache: new RedisCache({ client: fake, prefix: PREFIX }),
+          other: new RedisCache({ client: fake, prefix: PREFIX }),
+          raw: fake
+        };
+      }
+    },
+    {
+      name: 'redis (fake server over RESP)',
+      contracts: [CONTRACT, REDIS_CONTRACT],
+      async setup() {
+        const fake = new FakeRedis({ password: 's3cret' });
+        const server = await fake.listen({ chunkSize: 3 });
+        const url = `redis://:s3cret@127.0.0.1:${server.port}/2`;
+        return {
+          cache: new RedisCache({ url, prefix: PREFIX }),
+          other: new RedisCache({ url, prefix: PREFIX }),
+          raw: new RedisCache({ url }).client,
+          teardown: () => server.close()
+        };
+      }
+    }
+  ];
+
+  if (REDIS_URL) {
+    list.push({
+      name: `redis (${new URL(REDIS_URL).host})`,
+      contracts: [CONTRACT, REDIS_CONTRACT],
+      async setup() {
+        const cache = new RedisCache({ url: REDIS_URL, prefix: PREFIX });
+        await cache.clear();
+        return {
+          cache,
+          other: new RedisCache({ url: REDIS_URL, prefix: PREFIX }),
+          raw: new RedisCache({ url: REDIS_URL }).client,
+          teardown: () => cache.clear()
+        };
+      }
+    });
+  }
+  return list;
+}
+
+/**
+ * Close the TCP connections a check opened so the process can exit
+ */
+function disconnect(...caches) {
+  for (const cache of caches) {
+    const client = cache?.client ?? cache;
+    if (client?.socket) client.fail(new Error('Check finished'));
+  }
+}
+
+async function main() {
+  let failures = 0;
+
+  for (const target of targets()) {
+    console.log(`\n${target.name}`);
+
+    for (const contract of target.contracts) {
+      for (const [name, check] of Object.entries(contract)) {
+        const context = await target.setup();
+        try {
+          const note = await check(context);
+          console.log(`  ✅ ${name}${note ? ` — ${note}` : ''}`);
+        } catch (error) {
+          failures++;
+          console.log(`  ❌ ${name}\n     ${error.message.split('\n').join('\n     ')}`);
+        } finally {
+          await context.teardown?.();
+          disconnect(context.cache, context.other, context.raw);
+        }
+      }
+    }
+  }
+
+  console.log(failures === 0 ? '\nAll cache checks passed.' : `\n${failures} cache check(s) failed.`);
+  if (failures > 0) process.exitCode = 1;
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
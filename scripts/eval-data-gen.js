@@ -15,6 +15,11 @@
  * No separate popularity bias — popularity preference is captured only via
  * u[f1], so the most-popular baseline competes on a fair playing field.
  *
+ * Follow graph: each user follows FOLLOWS_PER_USER others, drawn with
+ * probability ∝ exp(cos(u_a, u_b) / FOLLOW_TEMPERATURE) — homophilous, like
+ * real follow graphs, so the social method has a signal to find. It uses its
+ * own RNG stream, so the likes above are identical to earlier runs.
+ *
  * Idempotent: deletes all synthetic_ users before recreating them.
  * Fixed seed 42 for full reproducibility.
  *
@@ -33,6 +38,8 @@ const TARGET_LIKES_MAX = 25;
 const MIN_LIKES_FOR_EVAL = 3;
 const DIMS = 4;
 const NOISE_SIGMA = 0.35;
+const FOLLOWS_PER_USER = 5;
+const FOLLOW_TEMPERATURE = 0.25;
 
 // ── Seeded PRNG (Mulberry32) ──────────────────────────────────────────────────
 function mulberry32(seed) {
@@ -53,6 +60,7 @@ function normalRandom(rng) {
 
 function sigmoid(x) { return 1 / (1 + Math.exp(-x)); }
 function dot(a, b) { return a.reduce((s, ai, i) => s + ai * b[i], 0); }
+function cosine(a, b) { return dot(a, b) / (Math.sqrt(dot(a, a) * dot(b, b)) || 1); }
 
 function buildSongVector(song, popularityRanks) {
   const f0 = song.year
@@ -96,6 +104,9 @@ async function main() {
   if (existing.length > 0) {
     const ids = existing.map(u => u.id);
     await prisma.userSongLike.deleteMany({ where: { userId: { in: ids } } });
+    await prisma.follow.deleteMany({
+      where: { OR: [{ followerId: { in: ids } }, { followingId: { in: ids } }] }
+    });
     await prisma.user.deleteMany({ where: { id: { in: ids } } });
     console.log(`Removed ${existing.length} old synthetic users.`);
   }
@@ -105,6 +116,7 @@ async function main() {
 
   const rng = mulberry32(SEED);
   let created = 0;
+  const createdUsers = []; // { id, u }
   const BASE_MS = new Date('2024-01-01T00:00:00Z').getTime();
 
   for (let i = 1; i <= NUM_USERS; i++) {
@@ -145,12 +157,44 @@ async function main() {
       });
     }
 
+    createdUsers.push({ id: user.id, u });
     created++;
     process.stdout.write(created % 10 === 0 ? `\n${created}` : '.');
   }
 
+  // Follow graph: sample without replacement, weighted by taste similarity
+  const followRng = mulberry32(SEED + 1);
+  const followCounts = new Map(createdUsers.map(({ id }) => [id, { followers: 0, following: 0 }]));
+  let follows = 0;
+
+  for (const a of createdUsers) {
+    const pool = createdUsers
+      .filter(b => b.id !== a.id)
+      .map(b => ({ id: b.id, w: Math.exp(cosine(a.u, b.u) / FOLLOW_TEMPERATURE) }));
+
+    for (let n = 0; n < FOLLOWS_PER_USER && pool.length > 0; n++) {
+      const total = pool.reduce((s, p) => s + p.w, 0);
+      let r = followRng() * total;
+      let idx = 0;
+      while (idx < pool.length - 1 && (r -= pool[idx].w) > 0) idx++;
+      const [target] = pool.splice(idx, 1);
+
+      await prisma.follow.create({ data: { followerId: a.id, followingId: target.id } });
+      followCounts.get(a.id).following++;
+      followCounts.get(target.id).followers++;
+      follows++;
+    }
+  }
+
+  for (const [id, counts] of followCounts) {
+    await prisma.user.update({
+      where: { id },
+      data: { followersCount: counts.followers, followingCount: counts.following }
+    });
+  }
+
   console.log(`\n\nDone. Created ${created} synthetic users `
-    + `with ${TARGET_LIKES_MIN}–${TARGET_LIKES_MAX} likes each (seed=${SEED}).`);
+    + `with ${TARGET_LIKES_MIN}–${TARGET_LIKES_MAX} likes each and ${follows} follows (seed=${SEED}).`);
 
   await prisma.$disconnect();
 }
@@ -0,0 +1,33 @@
+/**
+ * Dataset loading shared by the eval scripts: every table the recommendation
+ * engines read, from the database or from a JSON fixture. The scripts run the
+ * engines on InMemoryDataSource views of it and never write to the database.
+ */
+import { PrismaClient } from '@prisma/client';
+import { resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { queryFixtureTables, readFixtures } from '../src/lib/fixtures.js';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+// --fixtures=<path> on the command line, relative to the repo root
+export const FIXTURES = process.argv.find(arg => arg.startsWith('--fixtures='))?.slice('--fixtures='.length);
+
+/**
+ * { songs, users, likes, interactions, ratings, follows, dislikes, events, impressions },
+ * likes sorted by createdAt ASC
+ */
+export async function loadEvalDataset(fixtures = FIXTURES) {
+  if (fixtures) {
+    const dataset = readFixtures(resolve(ROOT, fixtures));
+    dataset.likes.sort((a, b) => a.createdAt - b.createdAt);
+    return dataset;
+  }
+
+  const prisma = new PrismaClient();
+  try {
+    return await queryFixtureTables(prisma);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
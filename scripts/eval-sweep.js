@@ -2,8 +2,9 @@
  * Hybrid weight sweep — leave-one-out on 50 synthetic users.
  *
  * Grid: CF ∈ {0.4, 0.5, 0.6, 0.7} × CB ∈ {0.15, 0.25, 0.35} × Pop ∈ {0.05, 0.10, 0.15}
+ *       × MF ∈ {0, 0.2, 0.4}   (implicit ALS; MF=0 rows are the original grid)
  * AI weight = 0 throughout (eval showed it hurts — degenerate uniform scores).
- * All (cf, cb, pop) triplets are renormalised to sum to 1.0.
+ * All (cf, cb, pop, mf) tuples are renormalised to sum to 1.0.
  *
  * METHODOLOGICAL NOTE:
  * These weights are tuned ON the same eval set used for the baseline results.
@@ -11,41 +12,43 @@
  * generalisation claim. The winning config is an informed starting point, not
  * a validated real-world optimum.
  *
- * Efficiency: rather than calling the hybrid engine 36 times per user, we
- * call CB and CF once each, collect raw score maps, then apply all 36 weight
- * configs offline. This exactly replicates the hybrid merge logic at 1/36 the
- * DB round-trips.
+ * Efficiency: rather than calling the hybrid engine 108 times per user, we
+ * call CB, CF and ALS once each, collect raw score maps, then apply all 108
+ * weight configs offline. This exactly replicates the hybrid merge logic at
+ * 1/108 the engine calls. The engines run on an in-memory copy of the data
+ * with the held-out like left out (see eval-dataset.js), so ALS factors are
+ * retrained per user without it and the database is never modified.
  *
- * Usage: npm run eval:sweep
+ * Usage: npm run eval:sweep [-- --fixtures=<path>]
  */
 import './load-env.js';
-import { PrismaClient } from '@prisma/client';
 import {
-  collaborativeFiltering,
-  contentBasedFiltering
+  CollaborativeFiltering,
+  ContentBasedFiltering
 } from '../src/lib/recommendation-engine.js';
-import { resolve, dirname } from 'path';
-import { fileURLToPath } from 'url';
-
-const prisma = new PrismaClient();
-const __dirname = dirname(fileURLToPath(import.meta.url));
+import { InMemoryDataSource } from '../src/lib/data-source.js';
+import { loadEvalDataset } from './eval-dataset.js';
 
 // ── Weight grid ───────────────────────────────────────────────────────────────
 const CF_VALS  = [0.4, 0.5, 0.6, 0.7];
 const CB_VALS  = [0.15, 0.25, 0.35];
 const POP_VALS = [0.05, 0.10, 0.15];
+const MF_VALS  = [0, 0.2, 0.4];
 
 const CONFIGS = [];
 for (const cf of CF_VALS) {
   for (const cb of CB_VALS) {
     for (const pop of POP_VALS) {
-      const total = cf + cb + pop;
-      CONFIGS.push({
-        rawCF: cf, rawCB: cb, rawPop: pop,
-        wCF:  cf  / total,
-        wCB:  cb  / total,
-        wPop: pop / total
-      });
+      for (const mf of MF_VALS) {
+        const total = cf + cb + pop + mf;
+        CONFIGS.push({
+          rawCF: cf, rawCB: cb, rawPop: pop, rawMF: mf,
+          wCF:  cf  / total,
+          wCB:  cb  / total,
+          wPop: pop / total,
+          wMF:  mf  / total
+        });
+      }
     }
   }
 }
@@ -97,15 +100,6 @@ function intraListDiversity(recSets, songGenresMap) {
   return divs.reduce((a, b) => a + b, 0) / divs.length;
 }
 
-// ── Safety guard ──────────────────────────────────────────────────────────────
-function assertSynthetic(user) {
-  if (!user.username.startsWith('synthetic_')) {
-    throw new Error(
-      `SAFETY VIOLATION: attempted delete for non-synthetic user "${user.username}" (${user.id})`
-    );
-  }
-}
-
 async function safeCall(fn, label) {
   try { return await fn(); }
   catch (e) {
@@ -127,10 +121,12 @@ function toScoreMap(recs, scoreField) {
 
 // ── Main ──────────────────────────────────────────────────────────────────────
 async function main() {
-  const songs = await prisma.song.findMany({
-    select: { id: true, totalLikes: true, popularity: true, genres: { include: { genre: true } } },
-    orderBy: [{ totalLikes: 'desc' }, { popularity: 'desc' }]
-  });
+  const dataset = await loadEvalDataset();
+  const full = new InMemoryDataSource(dataset);
+  const collaborative = new CollaborativeFiltering({}, { data: full });
+  const contentBased = new ContentBasedFiltering({ data: full });
+
+  const songs = dataset.songs;
   const songGenresMap = new Map(
     songs.map(s => [s.id, new Set(s.genres.map(g => g.genre?.name).filter(Boolean))])
   );
@@ -141,13 +137,12 @@ async function main() {
   // Popular song scores are constant across users (doesn't depend on training set).
   // Mirrors hybrid engine: getPopularSongs(ceil(limit * 0.2)) = getPopularSongs(4)
   // with default similarity = 0.5 per song.
-  const popRaw = await contentBasedFiltering.getPopularSongs(4);
+  const popRaw = await contentBased.getPopularSongs(4);
   const popScoreMap = new Map(popRaw.map(r => [r.song.id, r.similarity ?? 0.5]));
 
-  const syntheticUsers = await prisma.user.findMany({
-    where: { username: { startsWith: 'synthetic_' } },
-    include: { likes: { orderBy: { createdAt: 'asc' } } }
-  });
+  const syntheticUsers = dataset.users
+    .filter(u => u.username.startsWith('synthetic_'))
+    .map(u => ({ ...u, likes: dataset.likes.filter(l => l.userId === u.id) }));
   const evalUsers = syntheticUsers.filter(u => u.likes.length >= 2);
   console.log(`Users: ${evalUsers.length} synthetic users with ≥2 likes`);
 
@@ -159,79 +154,51 @@ async function main() {
   // Per-config accumulators
   const accs = CONFIGS.map(() => ({ metricsList: [], recsList20: [] }));
 
-  // Crash recovery
-  const inFlight = new Map();
-  async function restoreAll() {
-    if (inFlight.size === 0) return;
-    process.stderr.write(`\nRestoring ${inFlight.size} in-flight held-out likes...\n`);
-    for (const [userId, { songId, createdAt }] of inFlight) {
-      await prisma.userSongLike.upsert({
-        where: { userId_songId: { userId, songId } },
-        update: {},
-        create: { userId, songId, createdAt }
-      }).catch(() => {});
-    }
-    inFlight.clear();
-  }
-  process.on('SIGINT',  async () => { await restoreAll(); await prisma.$disconnect(); process.exit(130); });
-  process.on('SIGTERM', async () => { await restoreAll(); await prisma.$disconnect(); process.exit(143); });
-
   // Suppress engine logs
   const origLog = console.log;
   console.log = () => {};
 
   let done = 0;
   for (const user of evalUsers) {
-    assertSynthetic(user);
     const allLikes = user.likes;
     const heldOut  = allLikes.at(-1);
     const relevant = new Set([heldOut.songId]);
 
-    try {
-      assertSynthetic(user);
-      await prisma.userSongLike.delete({
-        where: { userId_songId: { userId: user.id, songId: heldOut.songId } }
-      });
-      inFlight.set(user.id, { songId: heldOut.songId, createdAt: heldOut.createdAt });
-
-      // Two engine calls per user (instead of 36 hybrid calls)
-      const [cbRaw, cfRaw] = await Promise.all([
-        safeCall(() => contentBasedFiltering.getRecommendations(user.id, 20), 'CB'),
-        safeCall(() => collaborativeFiltering.findSimilarItems(user.id, 20), 'CF')
-      ]);
-
-      const cbScoreMap = toScoreMap(cbRaw, 'similarity');
-      const cfScoreMap = toScoreMap(cfRaw, 'score');
-
-      // Apply all 36 weight configs offline — replicates hybrid merge exactly
-      for (let ci = 0; ci < CONFIGS.length; ci++) {
-        const { wCF, wCB, wPop } = CONFIGS[ci];
-
-        const combined = new Map();
-        for (const [id, s] of cfScoreMap)  combined.set(id, (combined.get(id) ?? 0) + s * wCF);
-        for (const [id, s] of cbScoreMap)  combined.set(id, (combined.get(id) ?? 0) + s * wCB);
-        // Pop songs: not filtered for training likes — mirrors hybrid engine behaviour
-        for (const [id, s] of popScoreMap) combined.set(id, (combined.get(id) ?? 0) + s * wPop);
-
-        const ranked20 = [...combined.entries()]
-          .sort(([, a], [, b]) => b - a)
-          .slice(0, 20)
-          .map(([id]) => id);
-
-        accs[ci].metricsList.push(computeMetrics(ranked20, relevant, 10));
-        accs[ci].recsList20.push(ranked20);
-      }
-
-    } finally {
-      const held = inFlight.get(user.id);
-      if (held) {
-        await prisma.userSongLike.upsert({
-          where: { userId_songId: { userId: user.id, songId: held.songId } },
-          update: {},
-          create: { userId: user.id, songId: held.songId, createdAt: held.createdAt }
-        });
-        inFlight.delete(user.id);
-      }
+    const train = full.without({
+      likes: like => like.userId === user.id && like.songId === heldOut.songId
+    });
+    collaborative.setDataSource(train); // ALS retrains without the held-out like
+    contentBased.setDataSource(train);
+
+    // Three engine calls per user (instead of 108 hybrid calls)
+    const [cbRaw, cfRaw, mfRaw] = await Promise.all([
+      safeCall(() => contentBased.getRecommendations(user.id, 20), 'CB'),
+      safeCall(() => collaborative.findSimilarItems(user.id, 20), 'CF'),
+      safeCall(() => collaborative.matrixFactorization(user.id, 20), 'ALS')
+    ]);
+
+    const cbScoreMap = toScoreMap(cbRaw, 'similarity');
+    const cfScoreMap = toScoreMap(cfRaw, 'score');
+    const mfScoreMap = toScoreMap(mfRaw, 'score');
+
+    // Apply all 108 weight configs offline — replicates hybrid merge exactly
+    for (let ci = 0; ci < CONFIGS.length; ci++) {
+      const { wCF, wCB, wPop, wMF } = CONFIGS[ci];
+
+      const combined = new Map();
+      for (const [id, s] of cfScoreMap)  combined.set(id, (combined.get(id) ?? 0) + s * wCF);
+      for (const [id, s] of cbScoreMap)  combined.set(id, (combined.get(id) ?? 0) + s * wCB);
+      for (const [id, s] of mfScoreMap)  combined.set(id, (combined.get(id) ?? 0) + s * wMF);
+      // Pop songs: not filtered for training likes — mirrors hybrid engine behaviour
+      for (const [id, s] of popScoreMap) combined.set(id, (combined.get(id) ?? 0) + s * wPop);
+
+      const ranked20 = [...combined.entries()]
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, 20)
+        .map(([id]) => id);
+
+      accs[ci].metricsList.push(computeMetrics(ranked20, relevant, 10));
+      accs[ci].recsList20.push(ranked20);
     }
 
     done++;
@@ -258,15 +225,15 @@ async function main() {
   }).sort((a, b) => b.ndcg10 - a.ndcg10);
 
   // ── Print sweep table ─────────────────────────────────────────────────────
-  const hdr = '| Rank | wCF   | wCB   | wPop  | NDCG@10 | HR@10 | MRR   | Cov@20 | Div@20 |';
-  const sep = '|------|-------|-------|-------|---------|-------|-------|--------|--------|';
+  const hdr = '| Rank | wCF   | wCB   | wPop  | wMF   | NDCG@10 | HR@10 | MRR   | Cov@20 | Div@20 |';
+  const sep = '|------|-------|-------|-------|-------|---------|-------|-------|--------|--------|';
   console.log('\n=== WEIGHT SWEEP RESULTS (sorted by NDCG@10) ===\n');
   console.log(hdr);
   console.log(sep);
   for (let i = 0; i < configResults.length; i++) {
     const r = configResults[i];
     console.log(
-      `| ${String(i + 1).padStart(4)} | ${f3(r.wCF)} | ${f3(r.wCB)} | ${f3(r.wPop)} |` +
+      `| ${String(i + 1).padStart(4)} | ${f3(r.wCF)} | ${f3(r.wCB)} | ${f3(r.wPop)} | ${f3(r.wMF)} |` +
       ` ${f3(r.ndcg10)}   | ${f3(r.hr10)} | ${f3(r.mrr)} | ${f3(r.cov20)}  | ${f3(r.div20)}  |`
     );
   }
@@ -277,8 +244,8 @@ async function main() {
 
   const winner = configResults[0];
   console.log('\n=== COMPARISON ===\n');
-  console.log(`Best hybrid:    wCF=${f3(winner.wCF)}, wCB=${f3(winner.wCB)}, wPop=${f3(winner.wPop)}`);
-  console.log(`  raw grid:     CF=${winner.rawCF}, CB=${winner.rawCB}, Pop=${winner.rawPop} (renorm'd)`);
+  console.log(`Best hybrid:    wCF=${f3(winner.wCF)}, wCB=${f3(winner.wCB)}, wPop=${f3(winner.wPop)}, wMF=${f3(winner.wMF)}`);
+  console.log(`  raw grid:     CF=${winner.rawCF}, CB=${winner.rawCB}, Pop=${winner.rawPop}, MF=${winner.rawMF} (renorm'd)`);
   console.log(`  NDCG@10:      ${f3(winner.ndcg10)}`);
   console.log(`Pure CF:        NDCG@10 = ${PURE_CF_NDCG10} (from baseline eval)`);
   console.log(`Old hybrid:     NDCG@10 = ${OLD_HYBRID_NDCG10} (wCF=0.188, wCB=0.688)`);
@@ -295,11 +262,9 @@ async function main() {
     console.log(`  regardless of weight — mixing in CB and pop reduces rather than increases accuracy.`);
   }
 
-  await prisma.$disconnect();
 }
 
-main().catch(async e => {
+main().catch(e => {
   console.error(e);
-  await prisma.$disconnect();
   process.exit(1);
 });
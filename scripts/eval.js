@@ -1,62 +1,96 @@
 /**
  * Offline evaluation harness.
  *
- * Protocol: leave-one-out — for each synthetic user, hold out their most
- * recently liked song, run every method on the remaining training likes,
- * score whether the held-out song appears in the top-K results.
+ * Every method runs on an in-memory copy of the database (InMemoryDataSource,
+ * see src/lib/data-source.js) with the test likes left out, so the harness
+ * only ever reads from Postgres. Two protocols:
+ *
+ *   leave-one-out (default)   for each synthetic user, hold out their most
+ *                             recently liked song and train on everything else
+ *   temporal                  one global cutoff at the TRAIN_FRACTION quantile
+ *   (--protocol=temporal)     of like timestamps: train on every row from
+ *                             before it, score each synthetic user on all of
+ *                             their likes after it. Nothing from the future
+ *                             leaks into training, and several items are held
+ *                             out per user. Reports MAP, recall, NDCG, MRR
+ *                             and novelty with bootstrap 95% CIs, and
+ *                             coverage as a point value.
  *
  * Methods evaluated:
  *   random         — seeded shuffle (seed=42), serves as chance baseline
- *   popular        — sorted by totalLikes DESC, ties broken by popularity
+ *   popular        — sorted by training likes DESC, ties broken by popularity
  *   content-based  — real ContentBasedFiltering instance from the app
- *   cf-item        — real CollaborativeFiltering instance (audio cosine sim)
+ *   cf-item        — real CollaborativeFiltering instance (like co-occurrence)
  *   hybrid-with-ai — real HybridRecommendationEngine, current live weights
  *   hybrid-no-ai   — same engine, aiEnhancedWeight=0, other weights renorm'd
+ *   als            — implicit ALS matrix factorization, trained on the
+ *                    training rows only so held-out likes never leak
+ *   social         — friends source alone: songs liked by followed users,
+ *                    weighted by like overlap (needs the eval:gen follow graph)
+ *
+ * Accuracy/diversity trade-off (leave-one-out): hybrid-no-ai is re-run at
+ * several MMR `diversity` levels with the default album/era caps; the report
+ * tabulates NDCG/HR against list diversity, coverage and albums per list.
  *
- * Crash safety:
- *   - Only synthetic_ users are ever touched (hard assert before any delete)
- *   - try/finally restores each held-out like even if scoring throws
- *   - SIGINT/SIGTERM handlers restore any in-flight deletes on interrupt
- *   - Restore uses upsert so re-running after a crash is safe
+ * Taste half-life: content-based is re-run at each half-life in
+ * HALF_LIFE_DAYS. Under leave-one-out this is a separate per-user time split
+ * holding out each user's most recent TIME_SPLIT_FRACTION of likes (users
+ * with ≥3 likes); under the temporal protocol it uses the global split.
  *
- * Note on Prisma transactions: the engine uses a module-level prisma singleton
- * on a separate connection. PostgreSQL READ COMMITTED means uncommitted deletes
- * from a tx on one connection are invisible to the engine on another, so
- * transaction-scoped hold-out is not feasible without modifying the engine.
- * The delete/restore approach commits the change (visible to the engine) and
- * restores immediately after scoring.
+ * The dataset is read from the database once, or from a JSON fixture with
+ * --fixtures=<path> (see npm run fixtures:export), in which case the run
+ * needs no database at all.
  *
- * Usage:  npm run eval
+ * Usage:  npm run eval            → docs/EVAL_RESULTS.md
+ *         npm run eval:temporal   → docs/EVAL_TEMPORAL.md
  */
 import './load-env.js';
-import { PrismaClient } from '@prisma/client';
 import {
-  collaborativeFiltering,
-  contentBasedFiltering,
-  hybridEngine
+  CollaborativeFiltering,
+  ContentBasedFiltering,
+  HybridRecommendationEngine
 } from '../src/lib/recommendation-engine.js';
+import { InMemoryDataSource } from '../src/lib/data-source.js';
+import { FIXTURES, loadEvalDataset } from './eval-dataset.js';
+import { DIVERSITY_DEFAULTS, intraListDiversity as featureDiversity } from '../src/lib/diversity.js';
+import { DEFAULT_HALF_LIFE_DAYS } from '../src/lib/time-decay.js';
 import { writeFileSync, mkdirSync } from 'fs';
 import { resolve, dirname } from 'path';
 import { fileURLToPath } from 'url';
 
-const prisma = new PrismaClient();
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const ROOT = resolve(__dirname, '..');
 
+const PROTOCOL = process.argv.includes('--protocol=temporal') ? 'temporal' : 'leave-one-out';
 const SEED = 42;
 const K_VALUES = [5, 10, 20];
+const TRAIN_FRACTION = 0.8;
+const BOOTSTRAP_SAMPLES = 1000;
+// Hybrid rows rank purely by blended score so they stay comparable with earlier reports
+const NO_RERANK = { diversity: 0, maxPerAlbum: null, maxPerEra: null };
 const HYBRID_AI_OPTS = {
   collaborativeWeight: 0.15,
   contentBasedWeight: 0.55,
   aiEnhancedWeight: 0.2,
-  popularityWeight: 0.1
+  popularityWeight: 0.1,
+  socialWeight: 0,
+  matrixFactorizationWeight: 0,
+  ...NO_RERANK
 };
 const HYBRID_NO_AI_OPTS = {
   collaborativeWeight: 0.188,
   contentBasedWeight: 0.688,
   aiEnhancedWeight: 0,
-  popularityWeight: 0.125
+  popularityWeight: 0.125,
+  socialWeight: 0,
+  matrixFactorizationWeight: 0,
+  ...NO_RERANK
 };
+const DIVERSITY_LEVELS = [0, 0.15, 0.3, 0.5, 0.75];
+const TRADEOFF_METHODS = DIVERSITY_LEVELS.map(level => `mmr-${level}`);
+const HALF_LIFE_DAYS = [null, 180, 30, 7, 1];
+const DECAY_METHODS = HALF_LIFE_DAYS.map(days => `cb-half-life-${days ?? 'off'}`);
+const TIME_SPLIT_FRACTION = 0.2;
 
 // ── Seeded PRNG (Mulberry32) ──────────────────────────────────────────────────
 function mulberry32(seed) {
@@ -81,11 +115,13 @@ function computeMetrics(recs, relevant, k) {
   let dcg = 0;
   let firstHitRank = 0;
   let hits = 0;
+  let precisionSum = 0;
 
   for (let i = 0; i < topK.length; i++) {
     if (relevant.has(topK[i])) {
       hits++;
       dcg += 1 / Math.log2(i + 2);
+      precisionSum += hits / (i + 1);
       if (firstHitRank === 0) firstHitRank = i + 1;
     }
   }
@@ -99,10 +135,33 @@ function computeMetrics(recs, relevant, k) {
     recall: hits / relevant.size,
     hr: hits > 0 ? 1 : 0,
     ndcg: idcg > 0 ? dcg / idcg : 0,
-    mrr: firstHitRank > 0 ? 1 / firstHitRank : 0
+    mrr: firstHitRank > 0 ? 1 / firstHitRank : 0,
+    ap: numRel > 0 ? precisionSum / numRel : 0
   };
 }
 
+// Novelty: mean self-information −log2 p(i) of a list, p(i) the smoothed
+// share of users who liked i in training
+function novelty(recs, selfInformation) {
+  if (recs.length === 0) return 0;
+  return recs.reduce((s, id) => s + selfInformation(id), 0) / recs.length;
+}
+
+// 95% percentile interval of a statistic over users resampled with
+// replacement. Every call replays the same resamples, so methods are compared
+// on paired samples.
+function bootstrapCI(n, statistic, samples = BOOTSTRAP_SAMPLES) {
+  if (n === 0) return null;
+  const rng = mulberry32(SEED);
+  const stats = [];
+  for (let b = 0; b < samples; b++) {
+    const indices = Array.from({ length: n }, () => Math.floor(rng() * n));
+    stats.push(statistic(indices));
+  }
+  stats.sort((a, b) => a - b);
+  return { low: stats[Math.floor(0.025 * samples)], high: stats[Math.ceil(0.975 * samples) - 1] };
+}
+
 // Coverage: fraction of catalog seen across all users' top-K lists
 function catalogCoverage(recSets, totalSongs) {
   const seen = new Set();
@@ -132,16 +191,22 @@ function intraListDiversity(recSets, songGenresMap) {
   return divs.reduce((a, b) => a + b, 0) / divs.length;
 }
 
-// ── Safety guard ──────────────────────────────────────────────────────────────
-function assertSynthetic(user) {
-  if (!user.username.startsWith('synthetic_')) {
-    throw new Error(
-      `SAFETY VIOLATION: eval attempted to delete like for non-synthetic user` +
-      ` "${user.username}" (${user.id}). Aborting.`
-    );
-  }
+// Same album/era/genre/mood similarity the re-ranker optimizes, averaged over users
+function rerankDiversity(recSets, songMap) {
+  if (recSets.length === 0) return 0;
+  const divs = recSets.map(recs => featureDiversity(recs.map(id => songMap.get(id)).filter(Boolean)));
+  return divs.reduce((a, b) => a + b, 0) / divs.length;
+}
+
+// Distinct albums per list, as a fraction of list length
+function albumSpread(recSets, songMap) {
+  const lists = recSets.filter(recs => recs.length > 0);
+  if (lists.length === 0) return 0;
+  const spreads = lists.map(recs => new Set(recs.map(id => songMap.get(id)?.album)).size / recs.length);
+  return spreads.reduce((a, b) => a + b, 0) / spreads.length;
 }
 
+// ── Engines ───────────────────────────────────────────────────────────────────
 // Wraps an engine call; returns [] on failure so one broken user doesn't abort the run
 async function safeEngineCall(fn, label) {
   try {
@@ -161,6 +226,57 @@ function extractIds(recs) {
   return recs.map(r => r?.song?.id ?? r?.id).filter(Boolean);
 }
 
+// In-memory sources have no stored co-like counts, so item similarity comes from the training likes
+function createEngines(data) {
+  return {
+    collaborative: new CollaborativeFiltering({}, { data }),
+    contentBased:  new ContentBasedFiltering({ data }),
+    hybrid:        new HybridRecommendationEngine({ data })
+  };
+}
+
+function setTrainingData(engines, data) {
+  for (const engine of Object.values(engines)) engine.setDataSource(data);
+}
+
+// The core methods for one user on whatever training data the engines hold
+async function runEngines({ collaborative, contentBased, hybrid }, userId) {
+  const [cbRaw, cfRaw, hybAiRaw, hybNoAiRaw, alsRaw, socialRaw] = await Promise.all([
+    safeEngineCall(() => contentBased.getRecommendations(userId, 20), 'CB'),
+    safeEngineCall(() => collaborative.findSimilarItems(userId, 20), 'CF'),
+    safeEngineCall(() => hybrid.getRecommendations(userId, { ...HYBRID_AI_OPTS, limit: 20 }), 'hybrid-ai'),
+    safeEngineCall(() => hybrid.getRecommendations(userId, { ...HYBRID_NO_AI_OPTS, limit: 20 }), 'hybrid-no-ai'),
+    safeEngineCall(() => collaborative.matrixFactorization(userId, 20), 'als'),
+    safeEngineCall(() => collaborative.findFriendsItems(userId, 20), 'social')
+  ]);
+
+  return {
+    'content-based':  extractIds(cbRaw),
+    'cf-item':        extractIds(cfRaw),
+    'hybrid-with-ai': extractIds(hybAiRaw),
+    'hybrid-no-ai':   extractIds(hybNoAiRaw),
+    'als':            extractIds(alsRaw),
+    'social':         extractIds(socialRaw)
+  };
+}
+
+// Content-based at each half-life, restoring the default afterwards
+async function runHalfLifeSweep(contentBased, userId) {
+  const recs = {};
+  try {
+    for (const [i, days] of HALF_LIFE_DAYS.entries()) {
+      contentBased.halfLifeDays = days;
+      recs[DECAY_METHODS[i]] = extractIds(await safeEngineCall(
+        () => contentBased.getRecommendations(userId, 20),
+        DECAY_METHODS[i]
+      ));
+    }
+  } finally {
+    contentBased.halfLifeDays = DEFAULT_HALF_LIFE_DAYS;
+  }
+  return recs;
+}
+
 // ── Output formatting ─────────────────────────────────────────────────────────
 const METHOD_LABELS = {
   'random':         'Random (seeded)  ',
@@ -168,7 +284,9 @@ const METHOD_LABELS = {
   'content-based':  'Content-based    ',
   'cf-item':        'CF (item-audio)  ',
   'hybrid-with-ai': 'Hybrid + AI      ',
-  'hybrid-no-ai':   'Hybrid no AI     '
+  'hybrid-no-ai':   'Hybrid no AI     ',
+  'als':            'ALS (implicit MF)',
+  'social':         'Social (friends) '
 };
 
 function f(v) { return v == null ? ' N/A ' : v.toFixed(3); }
@@ -188,7 +306,105 @@ function formatTable(results) {
   return [hdr, sep, ...rows].join('\n');
 }
 
-function buildReport(results, table, nUsers, nSongs, timestamp) {
+function formatTradeoffTable(results) {
+  const hdr =
+    '| Diversity | NDCG@10 | HR@10 | NDCG@20 | Cov@20 | Div@20 | ILD@20 | Albums@10 |';
+  const sep =
+    '|-----------|---------|-------|---------|--------|--------|--------|-----------|';
+  const rows = DIVERSITY_LEVELS.map((level, i) => {
+    const r = k => results[TRADEOFF_METHODS[i]]?.[k];
+    return `| ${level.toFixed(2).padEnd(9)} | ${f(r(10)?.ndcg)}   | ${f(r(10)?.hr)} |` +
+      ` ${f(r(20)?.ndcg)}   | ${f(r(20)?.coverage)}  | ${f(r(20)?.diversity)}  |` +
+      ` ${f(r(20)?.rerankDiversity)}  | ${f(r(10)?.albumSpread)}     |`;
+  });
+  return [hdr, sep, ...rows].join('\n');
+}
+
+function formatDecayTable(results) {
+  const hdr =
+    '| Half-life | NDCG@10 | Recall@10 | HR@10 | NDCG@20 | Recall@20 |';
+  const sep =
+    '|-----------|---------|-----------|-------|---------|-----------|';
+  const rows = HALF_LIFE_DAYS.map((days, i) => {
+    const r = k => results[DECAY_METHODS[i]]?.[k];
+    const label = days === null ? 'off' : `${days} d`;
+    return `| ${label.padEnd(9)} | ${f(r(10)?.ndcg)}   | ${f(r(10)?.recall)}     | ${f(r(10)?.hr)} |` +
+      ` ${f(r(20)?.ndcg)}   | ${f(r(20)?.recall)}     |`;
+  });
+  return [hdr, sep, ...rows].join('\n');
+}
+
+const TEMPORAL_COLUMNS = [
+  ['MAP@10', 'map'],
+  ['Recall@10', 'recall'],
+  ['NDCG@10', 'ndcg'],
+  ['MRR@10', 'mrr'],
+  ['Cov@20', 'coverage'],
+  ['Novelty@10', 'novelty']
+];
+
+function temporalLabel(method) {
+  if (METHOD_LABELS[method]) return METHOD_LABELS[method].trim();
+  const days = HALF_LIFE_DAYS[DECAY_METHODS.indexOf(method)];
+  return `Content-based, half-life ${days === null ? 'off' : `${days} d`}`;
+}
+
+function withCI(stat) {
+  if (!stat) return 'N/A';
+  return stat.ci ? `${f(stat.value)} [${f(stat.ci.low)}, ${f(stat.ci.high)}]` : f(stat.value);
+}
+
+function formatTemporalTable(results, methods) {
+  const hdr = `| Method | ${TEMPORAL_COLUMNS.map(([label]) => label).join(' | ')} |`;
+  const sep = `|--------|${TEMPORAL_COLUMNS.map(() => '------').join('|')}|`;
+  const rows = methods.map(m =>
+    `| ${temporalLabel(m)} | ${TEMPORAL_COLUMNS.map(([, key]) => withCI(results[m]?.[key])).join(' | ')} |`
+  );
+  return [hdr, sep, ...rows].join('\n');
+}
+
+function buildTemporalReport(table, split, timestamp) {
+  return `# Offline Evaluation Results — Temporal Split
+
+Generated: ${timestamp}
+Synthetic users evaluated: ${split.nUsers} | Catalog size: ${split.nSongs} songs
+Protocol: global time split at ${split.cutoff.toISOString()} (the ${Math.round(TRAIN_FRACTION * 100)}th percentile of like timestamps)
+
+Training data is every like, play, rating and follow from before the cutoff
+(${split.trainLikes} likes); each synthetic user's likes after it are their test
+items (${split.testLikes} likes, ${f(split.testLikes / Math.max(split.nUsers, 1))} per evaluated user). Methods run on an
+in-memory copy of the training data, so the database is never modified.
+
+## Results
+
+Values are means over users with a bootstrap 95% confidence interval
+(${BOOTSTRAP_SAMPLES} resamples of users, the same resamples for every method),
+except Cov@20, which is a single value over all users' lists.
+
+${table}
+
+- **MAP@10** averages precision at each held-out hit in the top 10, divided
+  by min(test items, 10).
+- **Recall@10** is the share of a user's test items found in the top 10.
+- **Cov@20** is the share of the catalog in at least one top-20 list. It has
+  no interval: a resample repeats some users and drops others, so it always
+  covers fewer songs and the bootstrap would be biased low.
+- **Novelty@10** is the mean self-information −log2 p(i) of recommended songs
+  in bits, p(i) being the smoothed share of users who liked the song in
+  training. Higher means less popular picks.
+
+## Notes
+
+- Synthetic likes are stamped one hour apart from the same start date for
+  every user, so the cutoff falls inside the histories of users with many
+  likes and users with few likes have no test items.
+- Play counts are per-(user, song) totals, so a play row created before the
+  cutoff still carries any plays recorded after it. Synthetic users have no
+  plays.
+`;
+}
+
+function buildReport(results, table, tradeoffTable, decayTable, nUsers, nDecayUsers, nSongs, timestamp) {
   const methods = Object.keys(METHOD_LABELS);
   const ndcg10 = m => results[m]?.[10]?.ndcg ?? -1;
   const winner = methods.reduce((a, b) => ndcg10(a) >= ndcg10(b) ? a : b);
@@ -204,7 +420,7 @@ function buildReport(results, table, nUsers, nSongs, timestamp) {
 
 Generated: ${timestamp}
 Synthetic users: ${nUsers} | Catalog size: ${nSongs} songs
-Protocol: leave-one-out (held-out = most recent like per user)
+Protocol: leave-one-out (held-out = most recent like per user), run in memory without modifying the database
 
 ## Generative process
 
@@ -228,6 +444,33 @@ ${table}
 **Winner on NDCG@10:** ${METHOD_LABELS[winner].trim()} (${f(ndcg10(winner))})
 **AI-tier experiment:** removing the degenerate AI tier **${aiVerdict}**.
 
+## Accuracy vs diversity
+
+Hybrid no AI re-ranked with MMR at each \`diversity\` level, with the default
+caps (max ${DIVERSITY_DEFAULTS.maxPerAlbum ?? 'no limit'} per album, max ${DIVERSITY_DEFAULTS.maxPerEra ?? 'no limit'} per ${DIVERSITY_DEFAULTS.eraSpan}-year era).
+The app default is \`diversity: ${DIVERSITY_DEFAULTS.diversity}\`.
+
+${tradeoffTable}
+
+- **ILD@20** is 1 − mean pairwise similarity under the re-ranker's own blend
+  of album, era, genre and mood overlap.
+- **Albums@10** is distinct albums in the top 10 divided by list length.
+- Level 0 still applies the album/era caps, so it can differ from the
+  Hybrid no AI row above.
+
+## Taste half-life
+
+Time split: for each of ${nDecayUsers} synthetic users with at least 3 likes, the
+most recent ${Math.round(TIME_SPLIT_FRACTION * 100)}% of likes (at least one) are held out and Content-based is
+run at each half-life on the rest. The app default is ${DEFAULT_HALF_LIFE_DAYS} days.
+
+${decayTable}
+
+- Ages are measured from each user's newest training like, as in the app.
+- Synthetic likes are generated one hour apart from static tastes, so
+  half-lives of a week or more barely change the weights here; a gain only
+  shows up on real listening histories whose taste drifts.
+
 ## Notes
 
 - **CF (item-audio)** returns empty recommendations for all users because audio
@@ -243,6 +486,15 @@ ${table}
   to every song in the catalog. It adds noise rather than signal; the experiment
   above shows whether this hurts measurably.
 
+- **Social (friends)** only scores songs liked by accounts the user follows,
+  so it returns nothing for users whose followees have no untried likes. The
+  hybrid rows above run with \`socialWeight: 0\` and
+  \`matrixFactorizationWeight: 0\` so they stay comparable with earlier reports.
+
+- **ALS (implicit MF)** retrains its item factors for every user after the
+  held-out like is removed, so the held-out item cannot leak through the
+  trained factors.
+
 - **Coverage** is low for methods that repeatedly recommend the same popular
   songs (popular, hybrid variants). Random covers the entire catalog by design.
 
@@ -252,198 +504,316 @@ ${table}
 `;
 }
 
-// ── Main ──────────────────────────────────────────────────────────────────────
-async function main() {
-  // Load catalog
-  const songs = await prisma.song.findMany({
-    select: {
-      id: true,
-      totalLikes: true,
-      popularity: true,
-      genres: { include: { genre: true } }
-    },
-    orderBy: [{ totalLikes: 'desc' }, { popularity: 'desc' }]
-  });
-
-  const allSongIds = songs.map(s => s.id); // already sorted by popularity desc
-  const songGenresMap = new Map(
-    songs.map(s => [s.id, new Set(s.genres.map(g => g.genre?.name).filter(Boolean))])
-  );
-
-  console.log(`Catalog: ${songs.length} songs`);
-
-  // Load synthetic users with their likes
-  const syntheticUsers = await prisma.user.findMany({
-    where: { username: { startsWith: 'synthetic_' } },
-    include: { likes: { orderBy: { createdAt: 'asc' } } }
-  });
-
-  const evalUsers = syntheticUsers.filter(u => u.likes.length >= 2);
-  console.log(`Evaluating ${evalUsers.length} synthetic users (≥2 likes)...`);
-
-  if (evalUsers.length === 0) {
-    console.error('No eval users found — run npm run eval:gen first.');
-    process.exit(1);
+// ── Data ──────────────────────────────────────────────────────────────────────
+function likesByUser(likes) {
+  const byUser = new Map(); // userId → likes, createdAt ASC
+  for (const like of likes) {
+    if (!byUser.has(like.userId)) byUser.set(like.userId, []);
+    byUser.get(like.userId).push(like);
   }
+  return byUser;
+}
+
+function selfInformationOf(likes, nUsers) {
+  const counts = new Map();
+  for (const { songId } of likes) counts.set(songId, (counts.get(songId) ?? 0) + 1);
+  return songId => -Math.log2(((counts.get(songId) ?? 0) + 1) / (nUsers + 1));
+}
 
-  // Per-method, per-K accumulators
-  const METHODS = ['random', 'popular', 'content-based', 'cf-item', 'hybrid-with-ai', 'hybrid-no-ai'];
-  const acc = Object.fromEntries(METHODS.map(m => [m, {
+// ── Accumulators ──────────────────────────────────────────────────────────────
+function createAccumulators(methods) {
+  return Object.fromEntries(methods.map(m => [m, {
     recsList: Object.fromEntries(K_VALUES.map(k => [k, []])),
     metricsList: Object.fromEntries(K_VALUES.map(k => [k, []]))
   }]));
+}
 
-  // Master RNG seeds per-user random baselines
-  const masterRng = mulberry32(SEED);
-
-  // Crash recovery: track in-flight holds
-  const inFlight = new Map(); // userId → { songId, createdAt }
-
-  async function restoreAll() {
-    if (inFlight.size === 0) return;
-    process.stderr.write(`\nRestoring ${inFlight.size} in-flight held-out likes...\n`);
-    for (const [userId, { songId, createdAt }] of inFlight) {
-      await prisma.userSongLike.upsert({
-        where: { userId_songId: { userId, songId } },
-        update: {},
-        create: { userId, songId, createdAt }
-      }).catch(() => {});
+function record(acc, recsByMethod, relevant, selfInformation) {
+  for (const [method, recs] of Object.entries(recsByMethod)) {
+    for (const k of K_VALUES) {
+      const topK = recs.slice(0, k);
+      acc[method].recsList[k].push(topK);
+      acc[method].metricsList[k].push({
+        ...computeMetrics(recs, relevant, k),
+        novelty: novelty(topK, selfInformation)
+      });
     }
-    inFlight.clear();
   }
+}
 
-  process.on('SIGINT', async () => {
-    await restoreAll();
-    await prisma.$disconnect();
-    process.exit(130);
-  });
-  process.on('SIGTERM', async () => {
-    await restoreAll();
-    await prisma.$disconnect();
-    process.exit(143);
-  });
+// Seeded random and training-popularity baselines for one user
+async function baselineRecs(data, allSongIds, trainSet, rng) {
+  const candidates = allSongIds.filter(id => !trainSet.has(id));
+  shuffleInPlace(candidates, rng);
 
-  // Silence the engine's per-recommendation console.log during the eval loop
-  const origLog = console.log;
-  console.log = () => {};
+  const popular = (await data.getTopSongs(allSongIds.length, ['totalLikes', 'popularity']))
+    .map(song => song.id)
+    .filter(id => !trainSet.has(id));
 
-  let done = 0;
-  for (const user of evalUsers) {
-    assertSynthetic(user); // hard guard — never touches real users
+  return { random: candidates.slice(0, 20), popular: popular.slice(0, 20) };
+}
 
-    const allLikes = user.likes; // sorted createdAt ASC
-    const heldOut = allLikes.at(-1);
-    const trainSet = new Set(allLikes.slice(0, -1).map(l => l.songId));
-    const relevant = new Set([heldOut.songId]);
+function aggregate(acc, methods, songs, songGenresMap, songMap) {
+  const results = {};
+  for (const method of methods) {
+    results[method] = {};
+    for (const k of K_VALUES) {
+      const mList = acc[method].metricsList[k];
+      const rList = acc[method].recsList[k];
+      if (mList.length === 0) { results[method][k] = null; continue; }
+      const avg = key => mList.reduce((s, m) => s + (m[key] ?? 0), 0) / mList.length;
+      results[method][k] = {
+        precision: avg('precision'),
+        recall:    avg('recall'),
+        hr:        avg('hr'),
+        ndcg:      avg('ndcg'),
+        mrr:       avg('mrr'),
+        map:       avg('ap'),
+        novelty:   avg('novelty'),
+        coverage:  catalogCoverage(rList, songs.length),
+        diversity: intraListDiversity(rList, songGenresMap),
+        rerankDiversity: rerankDiversity(rList, songMap),
+        albumSpread:     albumSpread(rList, songMap)
+      };
+    }
+  }
+  return results;
+}
 
-    // Per-user seeded RNG for the random baseline (reproducible across K values)
-    const userSeedInt = (masterRng() * 2 ** 32) >>> 0;
-    const userRng = mulberry32(userSeedInt);
+// Temporal table columns with bootstrap intervals over users. Coverage is a
+// union over users, not a mean: resamples with repeats cover fewer songs than
+// the full set, so the interval would sit below the point value. It gets none.
+function aggregateWithCI(acc, methods, nSongs) {
+  const results = {};
+  for (const method of methods) {
+    const at10 = acc[method].metricsList[10];
+    const lists20 = acc[method].recsList[20];
+    const meanCI = key => {
+      const values = at10.map(m => m[key]);
+      const mean = indices => indices.reduce((s, i) => s + values[i], 0) / indices.length;
+      return values.length > 0
+        ? { value: mean(values.map((_, i) => i)), ci: bootstrapCI(values.length, mean) }
+        : null;
+    };
+    results[method] = {
+      map:      meanCI('ap'),
+      recall:   meanCI('recall'),
+      ndcg:     meanCI('ndcg'),
+      mrr:      meanCI('mrr'),
+      novelty:  meanCI('novelty'),
+      coverage: lists20.length > 0 ? { value: catalogCoverage(lists20, nSongs) } : null
+    };
+  }
+  return results;
+}
 
-    // Random baseline: single shuffle, take prefix for each K
-    const candidates = allSongIds.filter(id => !trainSet.has(id));
-    shuffleInPlace(candidates, userRng);
+// ── Protocols ─────────────────────────────────────────────────────────────────
+async function evaluateLeaveOneOut(dataset, engines, catalog) {
+  const full = new InMemoryDataSource(dataset);
+  const userLikes = likesByUser(dataset.likes);
+  const evalUsers = dataset.users
+    .filter(u => u.username.startsWith('synthetic_') && (userLikes.get(u.id)?.length ?? 0) >= 2);
+  const decayUsers = evalUsers.filter(u => userLikes.get(u.id).length >= 3);
+
+  console.log(`Evaluating ${evalUsers.length} synthetic users (≥2 likes), leave-one-out...`);
+  if (evalUsers.length === 0) {
+    throw new Error('No eval users found — run npm run eval:gen first.');
+  }
 
-    // Popular baseline: already sorted descending
-    const popularCandidates = allSongIds.filter(id => !trainSet.has(id));
+  const methods = [
+    ...Object.keys(METHOD_LABELS), ...TRADEOFF_METHODS, ...DECAY_METHODS
+  ];
+  const acc = createAccumulators(methods);
+  const selfInformation = selfInformationOf(dataset.likes, dataset.users.length);
 
-    for (const k of K_VALUES) {
-      const randRecs = candidates.slice(0, k);
-      const popRecs = popularCandidates.slice(0, k);
+  // Master RNG seeds per-user random baselines
+  const masterRng = mulberry32(SEED);
 
-      acc['random'].recsList[k].push(randRecs);
-      acc['random'].metricsList[k].push(computeMetrics(randRecs, relevant, k));
-      acc['popular'].recsList[k].push(popRecs);
-      acc['popular'].metricsList[k].push(computeMetrics(popRecs, relevant, k));
-    }
+  // Silence the engine's per-recommendation console.log during the eval loop
+  const origLog = console.log;
+  console.log = () => {};
 
-    // Engine methods: delete held-out, run all 4 engines, restore
-    try {
-      assertSynthetic(user); // belt-and-suspenders
-      await prisma.userSongLike.delete({
-        where: { userId_songId: { userId: user.id, songId: heldOut.songId } }
+  try {
+    let done = 0;
+    for (const user of evalUsers) {
+      const allLikes = userLikes.get(user.id); // sorted createdAt ASC
+      const heldOut = allLikes.at(-1);
+      const trainSet = new Set(allLikes.slice(0, -1).map(l => l.songId));
+      const relevant = new Set([heldOut.songId]);
+
+      // Per-user seeded RNG for the random baseline (reproducible across K values)
+      const userRng = mulberry32((masterRng() * 2 ** 32) >>> 0);
+
+      const train = full.without({
+        likes: like => like.userId === user.id && like.songId === heldOut.songId
       });
-      inFlight.set(user.id, { songId: heldOut.songId, createdAt: heldOut.createdAt });
-
-      const [cbRaw, cfRaw, hybAiRaw, hybNoAiRaw] = await Promise.all([
-        safeEngineCall(() => contentBasedFiltering.getRecommendations(user.id, 20), 'CB'),
-        safeEngineCall(() => collaborativeFiltering.findSimilarItems(user.id, 20), 'CF'),
-        safeEngineCall(() => hybridEngine.getRecommendations(user.id, { ...HYBRID_AI_OPTS, limit: 20 }), 'hybrid-ai'),
-        safeEngineCall(() => hybridEngine.getRecommendations(user.id, { ...HYBRID_NO_AI_OPTS, limit: 20 }), 'hybrid-no-ai')
-      ]);
-
-      const engineRecs = {
-        'content-based':  extractIds(cbRaw),
-        'cf-item':        extractIds(cfRaw),
-        'hybrid-with-ai': extractIds(hybAiRaw),
-        'hybrid-no-ai':   extractIds(hybNoAiRaw)
+      setTrainingData(engines, train); // ALS retrains without the held-out like
+
+      const recs = {
+        ...await baselineRecs(train, catalog.allSongIds, trainSet, userRng),
+        ...await runEngines(engines, user.id)
       };
 
-      for (const [method, recs] of Object.entries(engineRecs)) {
-        for (const k of K_VALUES) {
-          acc[method].recsList[k].push(recs.slice(0, k));
-          acc[method].metricsList[k].push(computeMetrics(recs, relevant, k));
-        }
+      // One level at a time: each call runs every hybrid source
+      for (const [i, level] of DIVERSITY_LEVELS.entries()) {
+        recs[TRADEOFF_METHODS[i]] = extractIds(await safeEngineCall(
+          () => engines.hybrid.getRecommendations(user.id, {
+            ...HYBRID_NO_AI_OPTS,
+            diversity:   level,
+            maxPerAlbum: DIVERSITY_DEFAULTS.maxPerAlbum,
+            maxPerEra:   DIVERSITY_DEFAULTS.maxPerEra,
+            limit: 20
+          }),
+          `mmr-${level}`
+        ));
       }
 
-    } finally {
-      // Always restore — even if scoring threw
-      const held = inFlight.get(user.id);
-      if (held) {
-        await prisma.userSongLike.upsert({
-          where: { userId_songId: { userId: user.id, songId: held.songId } },
-          update: {},
-          create: { userId: user.id, songId: held.songId, createdAt: held.createdAt }
-        });
-        inFlight.delete(user.id);
-      }
+      record(acc, recs, relevant, selfInformation);
+
+      done++;
+      process.stdout.write(done % 10 === 0 ? `\n${done}/${evalUsers.length}` : '.');
     }
 
-    done++;
-    process.stdout.write(done % 10 === 0 ? `\n${done}/${evalUsers.length}` : '.');
+    // Per-user time split: hold out the newest likes, sweep the content-based half-life
+    process.stdout.write(`\nTime split: ${decayUsers.length} users`);
+    done = 0;
+    for (const user of decayUsers) {
+      const allLikes = userLikes.get(user.id);
+      const holdOutCount = Math.max(1, Math.round(allLikes.length * TIME_SPLIT_FRACTION));
+      const relevant = new Set(allLikes.slice(-holdOutCount).map(l => l.songId));
+
+      engines.contentBased.setDataSource(full.without({
+        likes: like => like.userId === user.id && relevant.has(like.songId)
+      }));
+      record(acc, await runHalfLifeSweep(engines.contentBased, user.id), relevant, selfInformation);
+
+      done++;
+      process.stdout.write(done % 10 === 0 ? `\n${done}/${decayUsers.length}` : '.');
+    }
+  } finally {
+    // Restore console.log
+    console.log = origLog;
   }
 
-  // Restore console.log
-  console.log = origLog;
   console.log('\n\nAggregating metrics...');
+  const results = aggregate(acc, methods, catalog.songs, catalog.songGenresMap, catalog.songMap);
 
-  // Compute aggregate metrics
-  const results = {};
-  for (const method of METHODS) {
-    results[method] = {};
-    for (const k of K_VALUES) {
-      const mList = acc[method].metricsList[k];
-      const rList = acc[method].recsList[k];
-      if (mList.length === 0) { results[method][k] = null; continue; }
-      const avg = key => mList.reduce((s, m) => s + (m[key] ?? 0), 0) / mList.length;
-      results[method][k] = {
-        precision: avg('precision'),
-        recall:    avg('recall'),
-        hr:        avg('hr'),
-        ndcg:      avg('ndcg'),
-        mrr:       avg('mrr'),
-        coverage:  catalogCoverage(rList, songs.length),
-        diversity: intraListDiversity(rList, songGenresMap)
+  const table = formatTable(results);
+  console.log('\n' + table + '\n');
+  const tradeoffTable = formatTradeoffTable(results);
+  console.log(tradeoffTable + '\n');
+  const decayTable = formatDecayTable(results);
+  console.log(decayTable + '\n');
+
+  return buildReport(
+    results, table, tradeoffTable, decayTable,
+    evalUsers.length, decayUsers.length, catalog.songs.length, new Date().toISOString()
+  );
+}
+
+async function evaluateTemporal(dataset, engines, catalog) {
+  const times = dataset.likes.map(l => l.createdAt.getTime()).sort((a, b) => a - b);
+  if (times.length === 0) {
+    throw new Error('No likes found — run npm run eval:gen first.');
+  }
+  const cutoff = new Date(times[Math.floor(TRAIN_FRACTION * (times.length - 1))]);
+  const beforeCutoff = row => row.createdAt < cutoff;
+
+  const trainDataset = {
+    ...dataset,
+    likes: dataset.likes.filter(beforeCutoff),
+    interactions: dataset.interactions.filter(beforeCutoff),
+    ratings: dataset.ratings.filter(beforeCutoff),
+    follows: dataset.follows.filter(beforeCutoff),
+    dislikes: dataset.dislikes.filter(beforeCutoff),
+    events: dataset.events.filter(beforeCutoff)
+  };
+  const train = new InMemoryDataSource(trainDataset);
+  setTrainingData(engines, train);
+
+  const trainLikes = likesByUser(trainDataset.likes);
+  const testLikes = likesByUser(dataset.likes.filter(like => !beforeCutoff(like)));
+  const evalUsers = dataset.users.filter(u =>
+    u.username.startsWith('synthetic_') && trainLikes.has(u.id) && testLikes.has(u.id)
+  );
+
+  console.log(`Evaluating ${evalUsers.length} synthetic users, time split at ${cutoff.toISOString()}...`);
+  if (evalUsers.length === 0) {
+    throw new Error('No synthetic users have likes on both sides of the cutoff — run npm run eval:gen first.');
+  }
+
+  const methods = [...Object.keys(METHOD_LABELS), ...DECAY_METHODS];
+  const acc = createAccumulators(methods);
+  const selfInformation = selfInformationOf(trainDataset.likes, trainLikes.size);
+  const masterRng = mulberry32(SEED);
+
+  const origLog = console.log;
+  console.log = () => {};
+
+  let nTestLikes = 0;
+  try {
+    let done = 0;
+    for (const user of evalUsers) {
+      const trainSet = new Set(trainLikes.get(user.id).map(l => l.songId));
+      const relevant = new Set(testLikes.get(user.id).map(l => l.songId));
+      nTestLikes += relevant.size;
+      const userRng = mulberry32((masterRng() * 2 ** 32) >>> 0);
+
+      const recs = {
+        ...await baselineRecs(train, catalog.allSongIds, trainSet, userRng),
+        ...await runEngines(engines, user.id),
+        ...await runHalfLifeSweep(engines.contentBased, user.id)
       };
+      record(acc, recs, relevant, selfInformation);
+
+      done++;
+      process.stdout.write(done % 10 === 0 ? `\n${done}/${evalUsers.length}` : '.');
     }
+  } finally {
+    console.log = origLog;
   }
 
-  const table = formatTable(results);
+  console.log('\n\nAggregating metrics with bootstrap intervals...');
+  const table = formatTemporalTable(aggregateWithCI(acc, methods, catalog.songs.length), methods);
   console.log('\n' + table + '\n');
 
-  const ts = new Date().toISOString();
-  const report = buildReport(results, table, evalUsers.length, songs.length, ts);
+  return buildTemporalReport(table, {
+    cutoff,
+    nUsers: evalUsers.length,
+    nSongs: catalog.songs.length,
+    trainLikes: trainDataset.likes.length,
+    testLikes: nTestLikes
+  }, new Date().toISOString());
+}
 
+// ── Main ──────────────────────────────────────────────────────────────────────
+async function main() {
+  const dataset = await loadEvalDataset();
+
+  const songs = [...dataset.songs].sort((a, b) => a.id.localeCompare(b.id));
+  const catalog = {
+    songs,
+    allSongIds: songs.map(s => s.id),
+    songGenresMap: new Map(
+      songs.map(s => [s.id, new Set(s.genres.map(g => g.genre?.name).filter(Boolean))])
+    ),
+    songMap: new Map(songs.map(s => [s.id, s]))
+  };
+  console.log(`Catalog: ${songs.length} songs | Protocol: ${PROTOCOL}${FIXTURES ? ` | Fixtures: ${FIXTURES}` : ''}`);
+
+  const engines = createEngines(new InMemoryDataSource(dataset));
+  const report = PROTOCOL === 'temporal'
+    ? await evaluateTemporal(dataset, engines, catalog)
+    : await evaluateLeaveOneOut(dataset, engines, catalog);
+
+  const fileName = PROTOCOL === 'temporal' ? 'EVAL_TEMPORAL.md' : 'EVAL_RESULTS.md';
   const docsDir = resolve(ROOT, 'docs');
   mkdirSync(docsDir, { recursive: true });
-  writeFileSync(resolve(docsDir, 'EVAL_RESULTS.md'), report, 'utf8');
-  console.log('Results written to docs/EVAL_RESULTS.md');
-
-  await prisma.$disconnect();
+  writeFileSync(resolve(docsDir, fileName), report, 'utf8');
+  console.log(`Results written to docs/${fileName}`);
 }
 
-main().catch(async e => {
+main().catch(e => {
   console.error(e);
-  await prisma.$disconnect();
   process.exit(1);
 });
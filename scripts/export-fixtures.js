@@ -0,0 +1,42 @@
+/**
+ * Export the tables the recommendation engines read to a JSON fixture, so
+ * they can run offline on an InMemoryDataSource (see src/lib/fixtures.js).
+ *
+ * The tables are read as the eval scripts read them (queryFixtureTables):
+ * users as id and username only, and only skip and view events. The output
+ * holds real users' likes and plays; /fixtures is gitignored.
+ *
+ * Usage:  npm run fixtures:export [-- --out=fixtures/dataset.json]
+ */
+import './load-env.js';
+import { PrismaClient } from '@prisma/client';
+import { writeFileSync, mkdirSync } from 'fs';
+import { resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { queryFixtureTables } from '../src/lib/fixtures.js';
+
+const prisma = new PrismaClient();
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const outArg = process.argv.find(arg => arg.startsWith('--out='));
+const OUT = resolve(ROOT, outArg ? outArg.slice('--out='.length) : 'fixtures/dataset.json');
+
+async function main() {
+  const fixture = await queryFixtureTables(prisma);
+
+  mkdirSync(dirname(OUT), { recursive: true });
+  writeFileSync(OUT, JSON.stringify(fixture, null, 2), 'utf8');
+
+  console.log(`Wrote ${OUT}`);
+  for (const [table, rows] of Object.entries(fixture)) {
+    console.log(`  ${table.padEnd(12)} ${rows.length}`);
+  }
+
+  await prisma.$disconnect();
+}
+
+main().catch(async e => {
+  console.error(e);
+  await prisma.$disconnect();
+  process.exit(1);
+});
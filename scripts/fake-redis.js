@@ -0,0 +1,285 @@
+/**
+ * In-process Redis fake for checking the Redis cache backend without a server.
+ * Implements the commands RedisCache sends: GET, SET (PX, NX), PEXPIRE, DEL,
+ * SADD, SMEMBERS, SREM, SCAN (MATCH, COUNT) and EVAL of the lock-release
+ * script, plus AUTH, SELECT and PING for the connection handshake.
+ *
+ * Use it directly as a RedisCache { client } (send(...args) → reply), or call
+ * listen() to serve it over TCP so RedisCache's own RESP connection and
+ * parser are exercised too. See scripts/check-cache.js.
+ */
+import net from 'net';
+
+// Status replies (+OK) as opposed to bulk strings, so the server encodes them as such
+class Status {
+  constructor(text) {
+    this.text = text;
+  }
+}
+
+class ReplyError extends Error {}
+
+const OK = new Status('OK');
+
+// The only script RedisCache evaluates: delete the lock if we still hold it
+const RELEASE_LOCK_PATTERN = /redis\.call\('get', KEYS\[1\]\) == ARGV\[1\].*redis\.call\('del', KEYS\[1\]\)/;
+
+/**
+ * Glob (* and ?) to RegExp, for SCAN MATCH
+ */
+function globToRegExp(glob) {
+  const source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`);
+}
+
+export class FakeRedis {
+  /**
+   * password: require AUTH before any other command, like requirepass
+   */
+  constructor({ password = null } = {}) {
+    this.password = password;
+    this.keys = new Map(); // key → { type: 'string' | 'set', value, expiresAt }
+    this.commands = []; // every command name received, for assertions
+    this.cursors = new Map(); // SCAN cursor → last key name returned
+    this.nextCursor = 1;
+  }
+
+  /**
+   * Client interface for RedisCache({ client }). A fake used this way is
+   * always authenticated.
+   */
+  async send(...args) {
+    const reply = this.execute(args.map(String), { authenticated: true });
+    if (reply instanceof Error) throw reply;
+    return reply instanceof Status ? reply.text : reply;
+  }
+
+  /**
+   * Run one command. Returns the reply, a Status or a ReplyError.
+   */
+  execute([name, ...args], session) {
+    const command = name.toUpperCase();
+    this.commands.push(command);
+
+    if (command === 'AUTH') {
+      const password = args.at(-1);
+      if (this.password === null || password !== this.password) return new ReplyError('WRONGPASS invalid password');
+      session.authenticated = true;
+      return OK;
+    }
+    if (this.password !== null && !session.authenticated) return new ReplyError('NOAUTH Authentication required.');
+
+    switch (command) {
+      case 'PING':
+        return new Status('PONG');
+      case 'SELECT':
+        return OK;
+      case 'GET': {
+        const entry = this.entry(args[0]);
+        if (entry && entry.type !== 'string') return this.wrongType();
+        return entry ? entry.value : null;
+      }
+      case 'SET':
+        return this.set(args);
+      case 'PEXPIRE': {
+        const entry = this.entry(args[0]);
+        if (!entry) return 0;
+        entry.expiresAt = Date.now() + Number(args[1]);
+        return 1;
+      }
+      case 'DEL':
+        return args.filter(key => this.entry(key) && this.keys.delete(key)).length;
+      case 'SADD': {
+        const entry = this.setEntry(args[0], true);
+        if (entry instanceof Error) return entry;
+        const before = entry.value.size;
+        for (const member of args.slice(1)) entry.value.add(member);
+        return entry.value.size - before;
+      }
+      case 'SMEMBERS': {
+        const entry = this.setEntry(args[0], false);
+        if (entry instanceof Error) return entry;
+        return entry ? [...entry.value] : [];
+      }
+      case 'SREM': {
+        const entry = this.setEntry(args[0], false);
+        if (entry instanceof Error) return entry;
+        if (!entry) return 0;
+        const removed = args.slice(1).filter(member => entry.value.delete(member)).length;
+        if (entry.value.size === 0) this.keys.delete(args[0]);
+        return removed;
+      }
+      case 'SCAN':
+        return this.scan(args);
+      case 'EVAL':
+        return this.eval(args);
+      default:
+        return new ReplyError(`ERR unknown command '${name}'`);
+    }
+  }
+
+  /**
+   * Live entry for a key, dropping it if it has expired
+   */
+  entry(key) {
+    const entry = this.keys.get(key);
+    if (entry && entry.expiresAt !== null && Date.now() >= entry.expiresAt) {
+      this.keys.delete(key);
+      return null;
+    }
+    return entry ?? null;
+  }
+
+  setEntry(key, create) {
+    let entry = this.entry(key);
+    if (entry && entry.type !== 'set') return this.wrongType();
+    if (!entry && create) {
+      entry = { type: 'set', value: new Set(), expiresAt: null };
+      this.keys.set(key, entry);
+    }
+    return entry;
+  }
+
+  wrongType() {
+    return new ReplyError('WRONGTYPE Operation against a key holding the wrong kind of value');
+  }
+
+  set([key, value, ...options]) {
+    let expiresAt = null;
+    let onlyIfNew = false;
+    for (let i = 0; i < options.length; i++) {
+      const option = options[i].toUpperCase();
+      if (option === 'PX') expiresAt = Date.now() + Number(options[++i]);
+      else if (option === 'NX') onlyIfNew = true;
+      else return new ReplyError('ERR syntax error');
+    }
+
+    if (onlyIfNew && this.entry(key)) return null;
+    this.keys.set(key, { type: 'string', value, expiresAt });
+    return OK;
+  }
+
+  /**
+   * SCAN in key-name order; a cursor remembers the last name returned, so
+   * keys deleted between pages don't make later keys be skipped (Redis
+   * guarantees the same)
+   */
+  scan([cursor, ...options]) {
+    let pattern = null;
+    let count = 10;
+    for (let i = 0; i < options.length; i += 2) {
+      const option = options[i].toUpperCase();
+      if (option === 'MATCH') pattern = globToRegExp(options[i + 1]);
+      else if (option === 'COUNT') count = Number(options[i + 1]);
+    }
+
+    const after = this.cursors.get(cursor) ?? null;
+    this.cursors.delete(cursor);
+    const names = [...this.keys.keys()].sort().filter(key => after === null || key > after);
+    const scanned = names.slice(0, count);
+    const page = scanned.filter(key => this.entry(key) && (!pattern || pattern.test(key)));
+    if (scanned.length === names.length) return ['0', page];
+
+    const next = String(this.nextCursor++);
+    this.cursors.set(next, scanned.at(-1));
+    return [next, page];
+  }
+
+  eval([script, keyCount, ...rest]) {
+    if (!RELEASE_LOCK_PATTERN.test(script) || Number(keyCount) !== 1) {
+      return new ReplyError('ERR the fake only runs the lock release script');
+    }
+    const [key, token] = rest;
+    const entry = this.entry(key);
+    if (entry?.type === 'string' && entry.value === token) {
+      this.keys.delete(key);
+      return 1;
+    }
+    return 0;
+  }
+
+  // ── RESP server ────────────────────────────────────────────────────────────
+
+  /**
+   * Serve the fake over TCP on 127.0.0.1. Replies are written in pieces of
+   * chunkSize bytes so clients see replies split across reads. Resolves to
+   * { port, url, close() }.
+   */
+  listen({ chunkSize = 0 } = {}) {
+    const sockets = new Set();
+    const server = net.createServer(socket => {
+      sockets.add(socket);
+      socket.on('close', () => sockets.delete(socket));
+      socket.on('error', () => {});
+
+      const session = { authenticated: false };
+      let buffer = Buffer.alloc(0);
+      socket.on('data', chunk => {
+        buffer = Buffer.concat([buffer, chunk]);
+        let request;
+        while ((request = parseRequest(buffer))) {
+          buffer = buffer.subarray(request.offset);
+          const reply = encodeReply(this.execute(request.args, session));
+          if (chunkSize > 0) {
+            for (let i = 0; i < reply.length; i += chunkSize) socket.write(reply.subarray(i, i + chunkSize));
+          } else {
+            socket.write(reply);
+          }
+        }
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(0, '127.0.0.1', () => {
+        const { port } = server.address();
+        resolve({
+          port,
+          url: `redis://127.0.0.1:${port}`,
+          close: () => new Promise(done => {
+            for (const socket of sockets) socket.destroy();
+            server.close(() => done());
+          })
+        });
+      });
+    });
+  }
+}
+
+/**
+ * One RESP command (an array of bulk strings) from the start of buffer:
+ * { args, offset } or null when incomplete
+ */
+function parseRequest(buffer) {
+  if (buffer.length === 0) return null;
+  if (buffer[0] !== 0x2a) throw new Error('Fake Redis only accepts RESP arrays');
+
+  let lineEnd = buffer.indexOf('\r\n');
+  if (lineEnd === -1) return null;
+  const count = Number(buffer.toString('utf8', 1, lineEnd));
+  let offset = lineEnd + 2;
+
+  const args = [];
+  for (let i = 0; i < count; i++) {
+    lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+    const length = Number(buffer.toString('utf8', offset + 1, lineEnd));
+    const start = lineEnd + 2;
+    if (buffer.length < start + length + 2) return null;
+    args.push(buffer.toString('utf8', start, start + length));
+    offset = start + length + 2;
+  }
+  return { args, offset };
+}
+
+function encodeReply(reply) {
+  if (reply instanceof Status) return Buffer.from(`+${reply.text}\r\n`);
+  if (reply instanceof Error) return Buffer.from(`-${reply.message}\r\n`);
+  if (reply === null) return Buffer.from('$-1\r\n');
+  if (typeof reply === 'number') return Buffer.from(`:${reply}\r\n`);
+  if (Array.isArray(reply)) {
+    return Buffer.concat([Buffer.from(`*${reply.length}\r\n`), ...reply.map(encodeReply)]);
+  }
+  const value = Buffer.from(String(reply));
+  return Buffer.concat([Buffer.from(`$${value.length}\r\n`), value, Buffer.from('\r\n')]);
+}
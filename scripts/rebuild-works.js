@@ -0,0 +1,61 @@
+/**
+ * Group the catalog's songs into works (versions of the same recording).
+ *
+ * Songs synced before ISRCs were stored get theirs from Spotify first, so
+ * versions on singles, albums and deluxe editions match exactly rather than
+ * by title and duration. The syncs regroup after every pass; run this once
+ * after pushing the schema, or after editing songs by hand.
+ *
+ * Usage: npm run works:rebuild [-- --offline]
+ *   --offline  don't fetch missing ISRCs; group on what's stored
+ */
+import './load-env.js';
+import { spotifyClient } from '../src/lib/spotify.js';
+import { prisma } from '../src/lib/prisma.js';
+import { rebuildWorks } from '../src/lib/works.js';
+
+const OFFLINE = process.argv.includes('--offline') ||
+  !process.env.SPOTIFY_CLIENT_ID || !process.env.SPOTIFY_CLIENT_SECRET;
+
+/**
+ * Store ISRCs for songs with a Spotify id but none yet. Returns how many were filled.
+ */
+async function fillIsrcs() {
+  const songs = await prisma.song.findMany({
+    where: { isrc: null, spotifyId: { not: null } },
+    select: { id: true, spotifyId: true }
+  });
+  console.log(`Songs without an ISRC: ${songs.length}`);
+
+  const tracks = await spotifyClient.getTrackDetails(songs.map(song => song.spotifyId));
+  const songIds = new Map(songs.map(song => [song.spotifyId, song.id]));
+
+  let filled = 0;
+  for (const track of tracks) {
+    const isrc = track.external_ids?.isrc;
+    if (!isrc || !songIds.has(track.id)) continue;
+
+    await prisma.song.update({ where: { id: songIds.get(track.id) }, data: { isrc } });
+    filled++;
+  }
+  return filled;
+}
+
+async function main() {
+  if (OFFLINE) {
+    console.log('Offline — grouping on stored ISRCs, titles and durations.');
+  } else {
+    console.log(`  ${await fillIsrcs()} ISRCs filled from Spotify`);
+  }
+
+  const result = await rebuildWorks();
+  console.log(`\nWorks: ${result.works} (${result.created} new, ${result.removed} removed)`);
+  console.log(`Songs moved to another work: ${result.moved}`);
+}
+
+main()
+  .catch(e => {
+    console.error(e);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,250 @@
+/**
+ * Learn hybrid weights from logged impressions and likes.
+ *
+ * Impressions are the logged recommendation lists plus VIEW events from the
+ * interaction log. For each user with impressions, the hybrid sources run on
+ * an in-memory copy of the data cut at that user's first impression (their
+ * later likes, ratings, plays and events left out), so the features are what
+ * the engine could have seen when the songs were shown. An impression is a
+ * positive if the user liked the song afterwards; songs already liked before
+ * it are skipped.
+ *
+ * Users are split 80/20 (seed 42). A ranker fit on the first part is compared
+ * on the held-out users with the grid-sweep blend (SWEEP_WEIGHTS, i.e. what
+ * eval:sweep found) by per-user AUC. The ranker is then refit on every user
+ * and saved as the next HYBRID_WEIGHTS snapshot, which the hybrid engine
+ * loads on its next snapshot check.
+ *
+ * Usage: npm run ranker:train [-- --fixtures=<path>] [-- --dry-run]
+ *   --dry-run  print the weights and comparison without saving a snapshot
+ */
+import './load-env.js';
+import { HybridRecommendationEngine } from '../src/lib/recommendation-engine.js';
+import { InMemoryDataSource } from '../src/lib/data-source.js';
+import {
+  SWEEP_WEIGHTS,
+  IMPRESSION_EVENT_TYPES,
+  RANKING_FEATURES,
+  likedGenres,
+  rankingFeatures,
+  rankerScore,
+  trainRanker,
+  auc,
+  logLoss
+} from '../src/lib/learning-to-rank.js';
+import { SNAPSHOT_KINDS, saveSnapshot } from '../src/lib/model-snapshots.js';
+import { signalDate } from '../src/lib/time-decay.js';
+import { prisma } from '../src/lib/prisma.js';
+import { loadEvalDataset } from './eval-dataset.js';
+
+const SEED = 42;
+const TRAIN_FRACTION = 0.8;
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Per-source list length, as on the For You page, so features match serving
+const CANDIDATE_LIMIT = 20;
+
+// The grid-sweep blend as getColdStartRecommendations runs it: SWEEP_WEIGHTS
+// over getRecommendations' defaults for social and matrix factorization
+const SWEEP_BLEND = {
+  collaborative: SWEEP_WEIGHTS.collaborativeWeight,
+  social: 0.1,
+  'matrix-factorization': 0.15,
+  'content-based': SWEEP_WEIGHTS.contentBasedWeight,
+  'ai-enhanced': SWEEP_WEIGHTS.aiEnhancedWeight,
+  popularity: SWEEP_WEIGHTS.popularityWeight
+};
+
+// ── Seeded RNG (mulberry32) ───────────────────────────────────────────────────
+function mulberry32(seed) {
+  return function () {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffleInPlace(arr, rng) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+}
+
+// ── Examples ──────────────────────────────────────────────────────────────────
+
+/**
+ * First impression of each song per user: Map<userId, [event]>, oldest first
+ */
+function impressionsByUser(events) {
+  const byUser = new Map();
+  const seen = new Set();
+  for (const event of events) {
+    const key = `${event.userId} ${event.songId}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    if (!byUser.has(event.userId)) byUser.set(event.userId, []);
+    byUser.get(event.userId).push(event);
+  }
+  return byUser;
+}
+
+/**
+ * One example per impression: { userId, songId, label, sources, features }.
+ * sources are the raw hybrid source scores, for the sweep-blend baseline.
+ */
+async function buildExamples(full, engine, userId, impressions, likedAt) {
+  const cutoff = impressions[0].createdAt;
+  const mine = row => row.userId === userId;
+  const view = full.without({
+    likes: like => mine(like) && like.createdAt >= cutoff,
+    ratings: rating => mine(rating) && rating.createdAt >= cutoff,
+    interactions: interaction => mine(interaction) && signalDate(interaction) >= cutoff,
+    dislikes: dislike => mine(dislike) && dislike.createdAt >= cutoff,
+    events: event => mine(event) && event.createdAt >= cutoff,
+    impressions: impression => mine(impression) && impression.createdAt >= cutoff
+  });
+  engine.setDataSource(view);
+
+  const [candidates, popular, likes] = await Promise.all([
+    engine.getSourceScores(userId, CANDIDATE_LIMIT),
+    engine.contentBased.getPopularSongs(Math.ceil(CANDIDATE_LIMIT * 0.2)),
+    view.getLikes({ userId, withSongs: true })
+  ]);
+  const popularScores = new Map(popular.map(rec => [rec.song.id, rec.similarity]));
+  const genres = likedGenres(likes);
+
+  const examples = [];
+  for (const impression of impressions) {
+    const song = await full.getSong(impression.songId);
+    const liked = likedAt.get(`${userId} ${impression.songId}`);
+    if (!song || (liked && liked < impression.createdAt)) continue;
+
+    const sources = { ...(candidates.get(song.id)?.scores ?? {}) };
+    if (popularScores.has(song.id)) sources.popularity = popularScores.get(song.id);
+
+    examples.push({
+      userId,
+      songId: song.id,
+      label: liked ? 1 : 0,
+      sources,
+      features: rankingFeatures(sources, song, genres, impression.createdAt)
+    });
+  }
+  return examples;
+}
+
+// ── Metrics ───────────────────────────────────────────────────────────────────
+
+function sweepScore(example) {
+  return Object.entries(SWEEP_BLEND)
+    .reduce((sum, [source, weight]) => sum + weight * (example.sources[source] ?? 0), 0);
+}
+
+/**
+ * Mean AUC over users with both a liked and an unliked impression
+ */
+function meanUserAuc(examples, score) {
+  const byUser = new Map();
+  for (const example of examples) {
+    if (!byUser.has(example.userId)) byUser.set(example.userId, []);
+    byUser.get(example.userId).push(example);
+  }
+  const values = [...byUser.values()].map(rows => auc(rows, score)).filter(value => value !== null);
+  return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+const f3 = v => (v == null ? ' N/A ' : v.toFixed(3));
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+async function main() {
+  const dataset = await loadEvalDataset();
+  const full = new InMemoryDataSource(dataset);
+  const engine = new HybridRecommendationEngine({ data: full });
+
+  const [served, views] = await Promise.all([
+    full.getImpressions(),
+    full.getEvents({ types: IMPRESSION_EVENT_TYPES })
+  ]);
+  const impressions = impressionsByUser([...served, ...views].sort((a, b) => a.createdAt - b.createdAt));
+  const likedAt = new Map(dataset.likes.map(like => [`${like.userId} ${like.songId}`, like.createdAt]));
+
+  console.log(`Catalog: ${dataset.songs.length} songs`);
+  console.log(`Impressions: ${[...impressions.values()].reduce((n, rows) => n + rows.length, 0)} from ${impressions.size} users`);
+
+  // Suppress engine logs
+  const origLog = console.log;
+  console.log = () => {};
+
+  const examplesByUser = new Map();
+  for (const [userId, rows] of impressions) {
+    examplesByUser.set(userId, await buildExamples(full, engine, userId, rows, likedAt));
+    process.stdout.write('.');
+  }
+
+  console.log = origLog;
+
+  const examples = [...examplesByUser.values()].flat();
+  const positives = examples.filter(example => example.label === 1).length;
+  console.log(`\nExamples: ${examples.length} (${positives} liked)`);
+
+  if (positives === 0 || positives === examples.length) {
+    console.error('Need both liked and unliked impressions to train — serve more recommendations first.');
+    process.exit(1);
+  }
+
+  // Held-out comparison against the sweep blend
+  const userIds = [...examplesByUser.keys()];
+  shuffleInPlace(userIds, mulberry32(SEED));
+  const nTrain = Math.max(1, Math.floor(userIds.length * TRAIN_FRACTION));
+  const trainExamples = userIds.slice(0, nTrain).flatMap(id => examplesByUser.get(id));
+  const testExamples = userIds.slice(nTrain).flatMap(id => examplesByUser.get(id));
+
+  let heldOut = null;
+  if (testExamples.length > 0) {
+    const ranker = trainRanker(trainExamples);
+    const predict = example => rankerScore(ranker, example.features);
+    heldOut = {
+      users: userIds.length - nTrain,
+      examples: testExamples.length,
+      auc: meanUserAuc(testExamples, predict),
+      sweepAuc: meanUserAuc(testExamples, sweepScore),
+      logLoss: logLoss(testExamples, predict)
+    };
+
+    console.log(`\nHeld-out users: ${heldOut.users} (${heldOut.examples} impressions)`);
+    console.log(`  Learned ranker   AUC ${f3(heldOut.auc)}   log loss ${f3(heldOut.logLoss)}`);
+    console.log(`  Grid-sweep blend AUC ${f3(heldOut.sweepAuc)}`);
+  } else {
+    console.log('\nToo few users for a held-out split — skipping the comparison.');
+  }
+
+  // Final weights from every user
+  const ranker = trainRanker(examples);
+  console.log('\nLearned weights:');
+  console.log(`  ${'bias'.padEnd(22)} ${ranker.bias.toFixed(4)}`);
+  for (const feature of RANKING_FEATURES) {
+    console.log(`  ${feature.padEnd(22)} ${ranker.weights[feature].toFixed(4)}`);
+  }
+
+  if (DRY_RUN) {
+    console.log('\nDry run — no snapshot saved.');
+    return;
+  }
+
+  const snapshot = await saveSnapshot(SNAPSHOT_KINDS.HYBRID_WEIGHTS, ranker, {
+    users: userIds.length,
+    examples: examples.length,
+    positives,
+    heldOut
+  });
+  console.log(`\nSaved ${SNAPSHOT_KINDS.HYBRID_WEIGHTS} v${snapshot.version}`);
+}
+
+main()
+  .catch(e => {
+    console.error(e);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -1,14 +1,17 @@
 'use client';
 
 import { useState, useEffect } from 'react';
-import { ArrowLeft, Play, Clock, Star, ExternalLink, Music2, User } from 'lucide-react';
+import { ArrowLeft, Play, Clock, Star, ExternalLink, Music2 } from 'lucide-react';
 import Link from 'next/link';
-import { useParams } from 'next/navigation';
+import { useParams, useRouter } from 'next/navigation';
 import { useSession } from 'next-auth/react';
 import LikeButton from '@/components/LikeButton';
+import RatingStars from '@/components/RatingStars';
+import ReviewSection from '@/components/ReviewSection';
 
 export default function AlbumDetailPage() {
   const params = useParams();
+  const router = useRouter();
   const albumSlug = params.slug;
   const { data: session } = useSession();
 
@@ -32,6 +35,10 @@ export default function AlbumDetailPage() {
       const data = await response.json();
 
       if (data.success) {
+        // Old slug or album-name link: move to the album's current URL
+        if (data.album.slug !== decodeURIComponent(albumSlug)) {
+          router.replace(`/albums/${data.album.slug}`);
+        }
         setAlbum(data.album);
         setSongs(data.songs);
       } else {
@@ -70,76 +77,107 @@ export default function AlbumDetailPage() {
     return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
   };
 
+  const formatReleaseDate = (date) => {
+    if (!date) return album?.year;
+    return new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+  };
+
   const totalDuration = songs.reduce((total, song) => total + (song.duration || 0), 0);
 
-  const SongRow = ({ song, index }) => (
-    <div className="group hover:bg-gray-50 transition-colors">
-      <div className="flex items-center gap-4 p-4">
-        <div className="w-8 text-center text-gray-500 font-medium flex-shrink-0">
-          {index + 1}
-        </div>
+  // Songs grouped by disc, in tracklist order
+  const discs = songs.reduce((groups, song) => {
+    const disc = song.discNumber ?? 1;
+    const group = groups.find(g => g.disc === disc);
+    if (group) group.songs.push(song);
+    else groups.push({ disc, songs: [song] });
+    return groups;
+  }, []);
 
-        <div className="flex-shrink-0">
-          {song.imageUrl ? (
-            <img src={song.imageUrl} alt={song.title} className="w-12 h-12 rounded object-cover" />
-          ) : (
-            <div className="w-12 h-12 bg-gradient-to-br from-purple-400 to-pink-400 rounded flex items-center justify-center">
-              <Music2 className="w-6 h-6 text-white" />
-            </div>
-          )}
-        </div>
+  const SongRow = ({ song, index }) => {
+    const featured = song.artists?.filter(credit => credit.role === 'FEATURED') ?? [];
 
-        <div className="flex-1 min-w-0">
-          <h3 className="font-semibold text-gray-900 mb-1 truncate">{song.title}</h3>
-          <div className="flex items-center gap-2 flex-wrap">
-            {song.genre?.slice(0, 2).map(g => (
-              <span key={g} className="px-2 py-0.5 bg-purple-100 text-purple-700 rounded-full text-xs">{g}</span>
-            ))}
-            {song.mood?.slice(0, 2).map(mood => (
-              <span key={mood} className="px-2 py-0.5 bg-gray-100 text-gray-700 rounded-full text-xs">{mood}</span>
-            ))}
+    return (
+      <div className="group hover:bg-gray-50 transition-colors">
+        <div className="flex items-center gap-4 p-4">
+          <div className="w-8 text-center text-gray-500 font-medium flex-shrink-0">
+            {song.trackNumber ?? index + 1}
           </div>
-        </div>
 
-        <div className="hidden md:flex items-center gap-1 flex-shrink-0">
-          <Star className="w-4 h-4 fill-yellow-400 text-yellow-400" />
-          <span className="text-sm font-medium text-gray-700">
-            {song.avgRating ? song.avgRating.toFixed(1) : 'N/A'}
-          </span>
-          <span className="text-xs text-gray-500">({song.totalRatings})</span>
-        </div>
+          <div className="flex-shrink-0">
+            {song.imageUrl ? (
+              <img src={song.imageUrl} alt={song.title} className="w-12 h-12 rounded object-cover" />
+            ) : (
+              <div className="w-12 h-12 bg-gradient-to-br from-purple-400 to-pink-400 rounded flex items-center justify-center">
+                <Music2 className="w-6 h-6 text-white" />
+              </div>
+            )}
+          </div>
 
-        <div className="hidden sm:block text-sm text-gray-500 flex-shrink-0">
-          <Clock className="w-4 h-4 inline mr-1" />
-          {formatDuration(song.duration)}
-        </div>
+          <div className="flex-1 min-w-0">
+            <h3 className="font-semibold text-gray-900 mb-1 truncate">{song.title}</h3>
+            {featured.length > 0 && (
+              <p className="text-sm text-gray-500 mb-1 truncate">
+                feat.{' '}
+                {featured.map((credit, i) => (
+                  <span key={credit.slug}>
+                    {i > 0 && ', '}
+                    <Link href={`/artists/${credit.slug}`} className="hover:text-purple-600">{credit.name}</Link>
+                  </span>
+                ))}
+              </p>
+            )}
+            <div className="flex items-center gap-2 flex-wrap">
+              {song.genre?.slice(0, 2).map(g => (
+                <span key={g} className="px-2 py-0.5 bg-purple-100 text-purple-700 rounded-full text-xs">{g}</span>
+              ))}
+              {song.mood?.slice(0, 2).map(mood => (
+                <span key={mood} className="px-2 py-0.5 bg-gray-100 text-gray-700 rounded-full text-xs">{mood}</span>
+              ))}
+            </div>
+          </div>
+
+          <div className="hidden md:flex items-center gap-1 flex-shrink-0">
+            <RatingStars
+              songId={song.id}
+              initialRating={song.userRating}
+              avgRating={song.avgRating}
+              totalRatings={song.totalRatings}
+              size="sm"
+            />
+          </div>
+
+          <div className="hidden sm:block text-sm text-gray-500 flex-shrink-0">
+            <Clock className="w-4 h-4 inline mr-1" />
+            {formatDuration(song.duration)}
+          </div>
 
-        <div className="flex items-center gap-2 flex-shrink-0">
-          <LikeButton songId={song.id} initialLiked={song.isLiked} />
-
-          {song.spotifyUrl && (
-            <a href={song.spotifyUrl} target="_blank" rel="noopener noreferrer" className="p-2 text-green-600 hover:bg-green-50 rounded-lg transition-colors" title="Play on Spotify">
-              <Play className="w-4 h-4" />
-            </a>
-          )}
-          {song.youtubeUrl && (
-            <a href={song.youtubeUrl} target="_blank" rel="noopener noreferrer" className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors" title="Play on YouTube">
-              <Play className="w-4 h-4" />
-            </a>
-          )}
-          {song.soundcloudId && (
-            <a href={`https://soundcloud.com/liluzivert/${song.title?.toLowerCase().replace(/\s+/g, '-')}`} target="_blank" rel="noopener noreferrer" className="p-2 text-orange-600 hover:bg-orange-50 rounded-lg transition-colors" title="Play on SoundCloud">
-              <Play className="w-4 h-4" />
-            </a>
-          )}
-
-          <button onClick={() => handleSongSelect(song)} className="px-3 py-1.5 text-sm bg-purple-500 hover:bg-purple-600 text-white rounded-lg transition-colors">
-            Details
-          </button>
+          <div className="flex items-center gap-2 flex-shrink-0">
+            <LikeButton songId={song.id} initialLiked={song.isLiked} />
+
+            {song.spotifyUrl && (
+              <a href={song.spotifyUrl} target="_blank" rel="noopener noreferrer" className="p-2 text-green-600 hover:bg-green-50 rounded-lg transition-colors" title="Play on Spotify">
+                <Play className="w-4 h-4" />
+              </a>
+            )}
+            {song.youtubeUrl && (
+              <a href={song.youtubeUrl} target="_blank" rel="noopener noreferrer" className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors" title="Play on YouTube">
+                <Play className="w-4 h-4" />
+              </a>
+            )}
+            {song.soundcloudId && (
+              <a href={`https://soundcloud.com/liluzivert/${song.title?.toLowerCase().replace(/\s+/g, '-')}`} target="_blank" rel="noopener noreferrer" className="p-2 text-orange-600 hover:bg-orange-50 rounded-lg transition-colors" title="Play on SoundCloud">
+                <Play className="w-4 h-4" />
+              </a>
+            )}
+
+            <button onClick={() => handleSongSelect(song)} className="px-3 py-1.5 text-sm bg-purple-500 hover:bg-purple-600 text-white rounded-lg transition-colors">
+              Details
+            </button>
+          </div>
         </div>
       </div>
-    </div>
-  );
+    );
+  };
 
   const SongDetailModal = ({ song, onClose }) => {
     if (!song) return null;
@@ -199,30 +237,7 @@ export default function AlbumDetailPage() {
           </div>
 
           <div className="p-6 border-t border-gray-200">
-            <h3 className="text-xl font-semibold mb-4">Reviews ({song.reviews?.length || 0})</h3>
-            <div className="space-y-4 max-h-64 overflow-y-auto">
-              {song.reviews?.length > 0 ? song.reviews.map(review => (
-                <div key={review.id} className="p-4 border border-gray-200 rounded-lg">
-                  <div className="flex justify-between items-start mb-2">
-                    <div className="flex items-center gap-2">
-                      <User className="w-4 h-4 text-gray-500" />
-                      <span className="font-medium">{review.username}</span>
-                    </div>
-                    <div className="flex items-center gap-2">
-                      <div className="flex">
-                        {[...Array(5)].map((_, i) => (
-                          <Star key={i} className={`w-4 h-4 ${i < (review.rating || 0) ? 'fill-yellow-400 text-yellow-400' : 'text-gray-300'}`} />
-                        ))}
-                      </div>
-                      <span className="text-sm text-gray-500">{review.date}</span>
-                    </div>
-                  </div>
-                  <p className="text-gray-700">{review.review}</p>
-                </div>
-              )) : (
-                <p className="text-gray-500 text-center py-4">No reviews yet.</p>
-              )}
-            </div>
+            <ReviewSection songId={song.id} />
           </div>
         </div>
       </div>
@@ -291,13 +306,18 @@ export default function AlbumDetailPage() {
                   {album?.releaseType}
                 </span>
                 <h1 className="text-3xl font-bold text-gray-900 mb-2">{album?.name}</h1>
-                <p className="text-xl text-gray-600">Lil Uzi Vert • {album?.year}</p>
+                <p className="text-xl text-gray-600">Lil Uzi Vert • {formatReleaseDate(album?.releaseDate)}</p>
               </div>
 
               <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
                 <div>
                   <p className="text-sm text-gray-500">Tracks</p>
-                  <p className="text-lg font-semibold">{album?.trackCount}</p>
+                  <p className="text-lg font-semibold">
+                    {album?.trackCount}
+                    {album?.totalTracks > album?.trackCount && (
+                      <span className="text-sm font-normal text-gray-500"> of {album.totalTracks}</span>
+                    )}
+                  </p>
                 </div>
                 <div>
                   <p className="text-sm text-gray-500">Duration</p>
@@ -340,11 +360,18 @@ export default function AlbumDetailPage() {
             <p className="text-gray-600 text-sm mt-1">{songs.length} tracks</p>
           </div>
 
-          <div className="divide-y divide-gray-100">
-            {songs.map((song, index) => (
-              <SongRow key={song.id} song={song} index={index} />
-            ))}
-          </div>
+          {discs.map(({ disc, songs: discSongs }) => (
+            <div key={disc}>
+              {discs.length > 1 && (
+                <div className="px-6 py-3 bg-gray-50 text-sm font-semibold text-gray-600">Disc {disc}</div>
+              )}
+              <div className="divide-y divide-gray-100">
+                {discSongs.map((song, index) => (
+                  <SongRow key={song.id} song={song} index={index} />
+                ))}
+              </div>
+            </div>
+          ))}
         </div>
 
         {selectedSong && <SongDetailModal song={selectedSong} onClose={() => setSelectedSong(null)} />}
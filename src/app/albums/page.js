@@ -41,7 +41,7 @@ export default function AlbumsPage() {
   };
 
 const AlbumCard = ({ album }) => (
-  <Link href={`/albums/${encodeURIComponent(album.name)}`}>
+  <Link href={`/albums/${album.slug}`}>
     <div className="bg-white rounded-xl shadow-lg hover:shadow-xl transition-all duration-300 p-6 cursor-pointer group">
       <div className="flex gap-4">
         {album.imageUrl ? (
@@ -77,7 +77,9 @@ const AlbumCard = ({ album }) => (
             </div>
             <div className="flex items-center gap-1">
               <Music className="w-4 h-4" />
-              {album.trackCount} tracks
+              {album.totalTracks > album.trackCount
+                ? `${album.trackCount} of ${album.totalTracks} tracks`
+                : `${album.trackCount} tracks`}
             </div>
           </div>
 
@@ -190,8 +192,8 @@ const AlbumCard = ({ album }) => (
         ) : (
           <>
             <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6 mb-8">
-              {albums.map((album, index) => (
-                <AlbumCard key={`${album.name}-${index}`} album={album} />
+              {albums.map((album) => (
+                <AlbumCard key={album.slug} album={album} />
               ))}
             </div>
             
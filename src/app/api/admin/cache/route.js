@@ -0,0 +1,76 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/auth';
+import { cache } from '@/lib/cache';
+
+/**
+ * Response cache hit/miss statistics
+ * GET /api/admin/cache
+ */
+export async function GET() {
+  try {
+    const denied = await requireAdmin();
+    if (denied) return denied;
+
+    return NextResponse.json({
+      success: true,
+      stats: cache.getStats()
+    });
+
+  } catch (error) {
+    console.error('Error getting cache stats:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Manage the response cache
+ * POST /api/admin/cache
+ * Body: { action: 'clear' } | { action: 'invalidate', tag }
+ */
+export async function POST(request) {
+  try {
+    const denied = await requireAdmin();
+    if (denied) return denied;
+
+    const body = await request.json();
+    const { action, tag } = body;
+
+    switch (action) {
+      case 'clear':
+        await cache.clear();
+        break;
+
+      case 'invalidate':
+        if (!tag || typeof tag !== 'string') {
+          return NextResponse.json(
+            { success: false, error: 'tag is required' },
+            { status: 400 }
+          );
+        }
+        await cache.invalidateTag(tag);
+        break;
+
+      default:
+        return NextResponse.json(
+          { success: false, error: 'Invalid action' },
+          { status: 400 }
+        );
+    }
+
+    return NextResponse.json({
+      success: true,
+      action,
+      stats: cache.getStats()
+    });
+
+  } catch (error) {
+    console.error('Error managing cache:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
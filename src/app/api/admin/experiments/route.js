@@ -0,0 +1,47 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/auth';
+import { EXPERIMENTS } from '@/lib/experiments';
+import { ATTRIBUTION_WINDOW_HOURS, REPORT_DAYS, getExperimentReport } from '@/lib/impressions';
+
+/**
+ * Experiment results: per-arm CTR, like-through and play-through with
+ * significance vs control for A/B tests, ranker win rates for interleaving
+ * GET /api/admin/experiments?experiment=for-you-ranking&days=30&windowHours=24
+ * Without experiment, every configured experiment is reported.
+ */
+export async function GET(request) {
+  try {
+    const denied = await requireAdmin();
+    if (denied) return denied;
+
+    const { searchParams } = new URL(request.url);
+    const experiment = searchParams.get('experiment');
+    const days = parseFloat(searchParams.get('days')) || REPORT_DAYS;
+    const windowHours = parseFloat(searchParams.get('windowHours')) || ATTRIBUTION_WINDOW_HOURS;
+
+    if (experiment && !EXPERIMENTS[experiment]) {
+      return NextResponse.json(
+        { success: false, error: `Unknown experiment: ${experiment}` },
+        { status: 404 }
+      );
+    }
+
+    const names = experiment ? [experiment] : Object.keys(EXPERIMENTS);
+    const reports = [];
+    for (const name of names) {
+      reports.push(await getExperimentReport(name, { days, windowHours }));
+    }
+
+    return NextResponse.json({
+      success: true,
+      reports
+    });
+
+  } catch (error) {
+    console.error('Error building experiment report:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
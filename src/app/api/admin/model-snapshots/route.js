@@ -0,0 +1,91 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/auth';
+import { SNAPSHOT_KINDS, getSnapshotStatus } from '@/lib/model-snapshots';
+import { rebuildItemSimilarity } from '@/lib/item-similarity';
+import { rebuildPredictorSnapshot } from '@/lib/ai-prediction';
+import { rebuildSessionTransitions } from '@/lib/session-recommender';
+
+// ITEM_SIMILARITY recounts the co-like table rather than writing a snapshot
+const REBUILDERS = {
+  ITEM_SIMILARITY: rebuildItemSimilarity,
+  [SNAPSHOT_KINDS.AI_PREDICTOR]: rebuildPredictorSnapshot,
+  [SNAPSHOT_KINDS.SESSION_TRANSITIONS]: rebuildSessionTransitions
+};
+
+/**
+ * Rebuild recommendation model snapshots
+ * POST /api/admin/model-snapshots
+ * Body: { action: 'rebuild', kinds?: ['ITEM_SIMILARITY', 'AI_PREDICTOR', 'SESSION_TRANSITIONS'] }
+ * HYBRID_WEIGHTS is trained offline with `npm run ranker:train`.
+ */
+export async function POST(request) {
+  try {
+    const denied = await requireAdmin();
+    if (denied) return denied;
+
+    const body = await request.json();
+    const {
+      action = 'rebuild',
+      kinds = Object.keys(REBUILDERS)
+    } = body;
+
+    switch (action) {
+      case 'rebuild': {
+        const unknown = kinds.filter(kind => !REBUILDERS[kind]);
+        if (unknown.length > 0) {
+          return NextResponse.json(
+            { success: false, error: `Unknown snapshot kind: ${unknown.join(', ')}` },
+            { status: 400 }
+          );
+        }
+
+        console.log(`🧮 Admin snapshot rebuild: ${kinds.join(', ')}`);
+
+        const result = {};
+        for (const kind of kinds) {
+          result[kind] = await REBUILDERS[kind]();
+        }
+
+        return NextResponse.json({ success: true, action, result });
+      }
+
+      default:
+        return NextResponse.json(
+          { success: false, error: 'Invalid action' },
+          { status: 400 }
+        );
+    }
+
+  } catch (error) {
+    console.error('Error rebuilding model snapshots:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Latest snapshot version for each kind
+ * GET /api/admin/model-snapshots
+ */
+export async function GET() {
+  try {
+    const denied = await requireAdmin();
+    if (denied) return denied;
+
+    const snapshots = await getSnapshotStatus();
+
+    return NextResponse.json({
+      success: true,
+      snapshots
+    });
+
+  } catch (error) {
+    console.error('Error getting model snapshot status:', error);
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -3,97 +3,52 @@ import { NextResponse } from 'next/server';
 import { prisma } from '@/lib/prisma';
 import { getServerSession } from 'next-auth';
 import { authOptions } from '@/lib/auth';
+import { cache } from '@/lib/cache';
+import { TRACKLIST_ORDER, findAlbumByKey } from '@/lib/albums';
+import { CREDITS_INCLUDE, formatCredits } from '@/lib/artists';
 
 export async function GET(request, { params }) {
   try {
     const session = await getServerSession(authOptions);
     const albumSlug = params.slug;
 
-    // Decode the album name from URL
-    const albumName = decodeURIComponent(albumSlug);
+    // Current or former album slug, or an album name from older links
+    const albumKey = decodeURIComponent(albumSlug);
 
-    // Get album info with songs
-    const songs = await prisma.song.findMany({
-      where: {
-        album: albumName
-      },
-      include: {
-        genres: { include: { genre: true } },
-        moods: { include: { mood: true } },
-        reviews: { include: { user: true } },
-        ratings: true
-      },
-      orderBy: [
-        { title: 'asc' }  // Alphabetical for now - change to trackNumber if you have it
-      ]
-    });
+    // Album data is shared by every viewer; like and rating state is added per request
+    const catalog = await cache.album(albumKey, () => fetchAlbum(albumKey));
 
-    if (songs.length === 0) {
+    if (!catalog) {
       return NextResponse.json(
         { success: false, error: 'Album not found' },
         { status: 404 }
       );
     }
 
-    // Get user's liked songs if logged in
+    // Get user's liked songs and ratings if logged in
     let likedSongIds = [];
+    let userRatings = new Map();
     if (session?.user) {
-      const likes = await prisma.userSongLike.findMany({
-        where: { userId: session.user.id },
-        select: { songId: true }
-      });
+      const songIds = catalog.songs.map(song => song.id);
+      const [likes, ratings] = await Promise.all([
+        prisma.userSongLike.findMany({
+          where: { userId: session.user.id, songId: { in: songIds } },
+          select: { songId: true }
+        }),
+        prisma.rating.findMany({
+          where: { userId: session.user.id, songId: { in: songIds } },
+          select: { songId: true, rating: true }
+        })
+      ]);
       likedSongIds = likes.map(l => l.songId);
+      userRatings = new Map(ratings.map(r => [r.songId, r.rating]));
     }
 
-    // Get album info from first song
-    const firstSong = songs[0];
-    const album = {
-      name: albumName,
-      year: firstSong.year,
-      releaseType: firstSong.releaseType,
-      imageUrl: firstSong.imageUrl,
-      spotifyId: firstSong.spotifyId ? firstSong.spotifyId.split(':').pop() : null, // Extract album ID if available
-      trackCount: songs.length,
-      avgRating: songs.reduce((sum, s) => sum + (s.avgRating || 0), 0) / songs.length
-    };
-
-    // Transform songs to match frontend format
-    const transformedSongs = songs.map(song => ({
-      id: song.id,
-      title: song.title,
-      artist: song.artist,
-      album: song.album,
-      imageUrl: song.imageUrl,
+    const album = catalog.album;
+    const transformedSongs = catalog.songs.map(song => ({
+      ...song,
       isLiked: likedSongIds.includes(song.id),
-      year: song.year,
-      duration: song.duration,
-      spotifyUrl: song.spotifyId ? `https://open.spotify.com/track/${song.spotifyId}` : null,
-      youtubeUrl: song.youtubeId 
-        ? `https://www.youtube.com/watch?v=${song.youtubeId}` 
-        : `https://www.youtube.com/results?search_query=${encodeURIComponent(`Lil Uzi Vert ${song.title} Official Audio`)}`,
-      soundcloudUrl: song.soundcloudId ? `https://soundcloud.com/track/${song.soundcloudId}` : null,
-      soundcloudId: song.soundcloudId,
-      avgRating: song.avgRating || 0,
-      totalRatings: song.totalRatings || 0,
-      genre: song.genres.map(g => g.genre.name),
-      mood: song.moods.map(m => m.mood.name),
-      audioFeatures: {
-        energy: song.energy,
-        danceability: song.danceability,
-        valence: song.valence,
-        tempo: song.tempo,
-        acousticness: song.acousticness,
-        instrumentalness: song.instrumentalness,
-        liveness: song.liveness,
-        speechiness: song.speechiness
-      },
-      reviews: song.reviews.map(review => ({
-        id: review.id,
-        username: review.user.username,
-        rating: song.ratings.find(r => r.userId === review.userId)?.rating || 0,
-        review: review.reviewText,
-        date: review.createdAt.toISOString().split('T')[0]
-      }))
+      userRating: userRatings.get(song.id) ?? null
     }));
 
     return NextResponse.json({
@@ -110,3 +65,86 @@ export async function GET(request, { params }) {
     );
   }
 }
+
+/**
+ * Album summary and tracks in tracklist order, in the response shape and
+ * without viewer state. album.slug is the current slug, whatever the key.
+ * Returns null when no album or none of its songs is in the catalog.
+ */
+async function fetchAlbum(albumKey) {
+  const record = await findAlbumByKey(albumKey);
+  if (!record) return null;
+
+  const songs = await prisma.song.findMany({
+    where: {
+      albumId: record.id
+    },
+    include: {
+      genres: { include: { genre: true } },
+      moods: { include: { mood: true } },
+      artists: CREDITS_INCLUDE,
+      reviews: { where: { isHidden: false }, include: { user: true } },
+      ratings: true
+    },
+    orderBy: TRACKLIST_ORDER
+  });
+
+  if (songs.length === 0) return null;
+
+  const firstSong = songs[0];
+  const album = {
+    name: record.name,
+    slug: record.slug,
+    year: record.releaseDate?.getUTCFullYear() ?? firstSong.year,
+    releaseDate: record.releaseDate,
+    releaseType: record.type,
+    imageUrl: record.coverUrl ?? firstSong.imageUrl,
+    spotifyId: record.spotifyId,
+    trackCount: songs.length,
+    totalTracks: record.totalTracks,
+    avgRating: songs.reduce((sum, s) => sum + (s.avgRating || 0), 0) / songs.length
+  };
+
+  // Transform songs to match frontend format
+  const transformedSongs = songs.map(song => ({
+    id: song.id,
+    title: song.title,
+    artist: song.artist,
+    album: song.album,
+    trackNumber: song.trackNumber,
+    discNumber: song.discNumber,
+    imageUrl: song.imageUrl,
+    year: song.year,
+    duration: song.duration,
+    spotifyUrl: song.spotifyId ? `https://open.spotify.com/track/${song.spotifyId}` : null,
+    youtubeUrl: song.youtubeId 
+      ? `https://www.youtube.com/watch?v=${song.youtubeId}` 
+      : `https://www.youtube.com/results?search_query=${encodeURIComponent(`Lil Uzi Vert ${song.title} Official Audio`)}`,
+    soundcloudUrl: song.soundcloudId ? `https://soundcloud.com/track/${song.soundcloudId}` : null,
+    soundcloudId: song.soundcloudId,
+    avgRating: song.avgRating || 0,
+    totalRatings: song.totalRatings || 0,
+    genre: song.genres.map(g => g.genre.name),
+    mood: song.moods.map(m => m.mood.name),
+    artists: formatCredits(song.artists),
+    audioFeatures: {
+      energy: song.energy,
+      danceability: song.danceability,
+      valence: song.valence,
+      tempo: song.tempo,
+      acousticness: song.acousticness,
+      instrumentalness: song.instrumentalness,
+      liveness: song.liveness,
+      speechiness: song.speechiness
+    },
+    reviews: song.reviews.map(review => ({
+      id: review.id,
+      username: review.user.username,
+      rating: song.ratings.find(r => r.userId === review.userId)?.rating || 0,
+      review: review.reviewText,
+      date: review.createdAt.toISOString().split('T')[0]
+    }))
+  }));
+
+  return { album, songs: transformedSongs };
+}
@@ -1,5 +1,6 @@
 import { NextResponse } from 'next/server';
 import { prisma } from '@/lib/prisma';
+import { cache } from '@/lib/cache';
 
 export async function GET(request) {
   try {
@@ -7,60 +8,7 @@ export async function GET(request) {
     const type = searchParams.get('type') || 'all';
     const search = searchParams.get('search') || '';
 
-    // Get all songs with their albums
-    let songs = await prisma.song.findMany({
-      where: {
-        album: { not: null },
-        ...(search && {
-          OR: [
-            { album: { contains: search, mode: 'insensitive' } },
-            { title: { contains: search, mode: 'insensitive' } }
-          ]
-        })
-      },
-      select: {
-        album: true,
-        year: true,
-        releaseType: true,
-        imageUrl: true,
-        spotifyId: true
-      }
-    });
-
-    // Group albums manually, prioritizing songs with images
-    const albumMap = new Map();
-    songs.forEach(song => {
-      if (!albumMap.has(song.album)) {
-        albumMap.set(song.album, {
-          name: song.album,
-          year: song.year,
-          releaseType: song.releaseType,
-          trackCount: 1,
-          imageUrl: song.imageUrl,
-          spotifyId: song.spotifyId
-        });
-      } else {
-        const album = albumMap.get(song.album);
-        album.trackCount++;
-        // Update image if current song has one and album doesn't
-        if (song.imageUrl && !album.imageUrl) {
-          album.imageUrl = song.imageUrl;
-          album.spotifyId = song.spotifyId;
-        }
-      }
-    });
-
-    // Convert to array and filter by type
-    let albums = Array.from(albumMap.values());
-    
-    if (type === 'albums') {
-      albums = albums.filter(a => a.releaseType === 'ALBUM');
-    } else if (type === 'singles') {
-      albums = albums.filter(a => a.releaseType === 'SINGLE');
-    }
-
-    // Sort by year descending
-    albums.sort((a, b) => b.year - a.year);
+    const albums = await cache.albums(type, search, () => fetchAlbums(type, search));
 
     return NextResponse.json({
       success: true,
@@ -75,3 +23,41 @@ export async function GET(request) {
     );
   }
 }
+
+/**
+ * Albums with at least one catalog song, newest release first
+ */
+async function fetchAlbums(type, search) {
+  const albums = await prisma.album.findMany({
+    where: {
+      songs: { some: {} },
+      ...(type === 'albums' && { type: 'ALBUM' }),
+      ...(type === 'singles' && { type: 'SINGLE' }),
+      ...(search && {
+        OR: [
+          { name: { contains: search, mode: 'insensitive' } },
+          { songs: { some: { title: { contains: search, mode: 'insensitive' } } } }
+        ]
+      })
+    },
+    include: {
+      _count: { select: { songs: true } }
+    },
+    orderBy: [
+      { releaseDate: { sort: 'desc', nulls: 'last' } },
+      { name: 'asc' }
+    ]
+  });
+
+  return albums.map(album => ({
+    name: album.name,
+    slug: album.slug,
+    year: album.releaseDate?.getUTCFullYear() ?? null,
+    releaseDate: album.releaseDate,
+    releaseType: album.type,
+    trackCount: album._count.songs,
+    totalTracks: album.totalTracks,
+    imageUrl: album.coverUrl,
+    spotifyId: album.spotifyId
+  }));
+}
@@ -0,0 +1,130 @@
+// app/api/artists/[slug]/route.js
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth';
+import { cache } from '@/lib/cache';
+import { CREDITS_INCLUDE, formatCredits } from '@/lib/artists';
+import { dedupeByWork } from '@/lib/works';
+
+// Response groups for each credit role
+const ROLE_GROUPS = { PRIMARY: 'primary', FEATURED: 'featured', PRODUCER: 'produced' };
+
+/**
+ * An artist and the songs they're credited on, grouped by role
+ * GET /api/artists/[slug]?versions=all
+ */
+export async function GET(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    const { searchParams } = new URL(request.url);
+    const slug = decodeURIComponent(params.slug);
+    // One version of each song unless ?versions=all
+    const allVersions = searchParams.get('versions') === 'all';
+
+    // Artist data is shared by every viewer; like state is added per request
+    const catalog = await cache.artist(slug, allVersions, () => fetchArtist(slug, allVersions));
+
+    if (!catalog) {
+      return NextResponse.json(
+        { success: false, error: 'Artist not found' },
+        { status: 404 }
+      );
+    }
+
+    let likedSongIds = new Set();
+    if (session?.user?.id) {
+      const songIds = Object.values(catalog.songs).flat().map(song => song.id);
+      const likes = await prisma.userSongLike.findMany({
+        where: { userId: session.user.id, songId: { in: songIds } },
+        select: { songId: true }
+      });
+      likedSongIds = new Set(likes.map(l => l.songId));
+    }
+
+    const songs = Object.fromEntries(Object.entries(catalog.songs).map(([group, groupSongs]) => [
+      group,
+      groupSongs.map(song => ({ ...song, isLiked: likedSongIds.has(song.id) }))
+    ]));
+
+    return NextResponse.json({
+      success: true,
+      artist: catalog.artist,
+      songs,
+      collaborators: catalog.collaborators
+    });
+
+  } catch (error) {
+    console.error('Artist Detail API Error:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to fetch artist details' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Artist summary, credited songs (newest first) by role and the artists they
+ * share songs with most, in the response shape and without viewer state.
+ * Returns null when no artist has the slug.
+ */
+async function fetchArtist(slug, allVersions) {
+  const record = await prisma.artist.findUnique({ where: { slug } });
+  if (!record) return null;
+
+  const songs = await prisma.song.findMany({
+    where: { artists: { some: { artistId: record.id } } },
+    include: {
+      artists: CREDITS_INCLUDE,
+      release: { select: { slug: true } }
+    },
+    orderBy: [{ year: { sort: 'desc', nulls: 'last' } }, { popularity: { sort: 'desc', nulls: 'last' } }]
+  });
+
+  const grouped = Object.fromEntries(Object.values(ROLE_GROUPS).map(group => [group, []]));
+  const collaborators = new Map(); // slug → { name, slug, songs }
+
+  const listed = allVersions ? songs : dedupeByWork(songs);
+  for (const song of listed) {
+    const credits = formatCredits(song.artists);
+    const transformed = {
+      id: song.id,
+      title: song.title,
+      artist: song.artist,
+      album: song.album,
+      albumSlug: song.release?.slug ?? null,
+      year: song.year,
+      imageUrl: song.imageUrl,
+      duration: song.duration,
+      popularity: song.popularity,
+      spotifyUrl: song.spotifyId ? `https://open.spotify.com/track/${song.spotifyId}` : null,
+      avgRating: song.avgRating || 0,
+      totalRatings: song.totalRatings || 0,
+      artists: credits
+    };
+
+    const roles = new Set(song.artists.filter(credit => credit.artistId === record.id).map(credit => credit.role));
+    for (const role of roles) grouped[ROLE_GROUPS[role]].push(transformed);
+
+    for (const credit of new Map(credits.map(c => [c.slug, c])).values()) {
+      if (credit.slug === record.slug) continue;
+      const collaborator = collaborators.get(credit.slug) ?? { name: credit.name, slug: credit.slug, songs: 0 };
+      collaborator.songs++;
+      collaborators.set(credit.slug, collaborator);
+    }
+  }
+
+  const artist = {
+    name: record.name,
+    slug: record.slug,
+    imageUrl: record.imageUrl,
+    spotifyId: record.spotifyId,
+    songCount: listed.length
+  };
+
+  return {
+    artist,
+    songs: grouped,
+    collaborators: [...collaborators.values()].sort((a, b) => b.songs - a.songs).slice(0, 10)
+  };
+}
@@ -0,0 +1,49 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth';
+import { getActivityFeed } from '@/lib/social';
+
+/**
+ * Recent likes, ratings and reviews from the users I follow
+ * GET /api/feed?limit=30&before=<ISO date>
+ */
+export async function GET(request) {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user) {
+      return NextResponse.json(
+        { success: false, error: 'Must be logged in' },
+        { status: 401 }
+      );
+    }
+
+    const { searchParams } = new URL(request.url);
+    const limit = Math.min(parseInt(searchParams.get('limit')) || 30, 100);
+    const beforeParam = searchParams.get('before');
+    const before = beforeParam ? new Date(beforeParam) : null;
+
+    if (before && isNaN(before.getTime())) {
+      return NextResponse.json(
+        { success: false, error: 'before must be an ISO date' },
+        { status: 400 }
+      );
+    }
+
+    const events = await getActivityFeed(session.user.id, { limit, before });
+
+    return NextResponse.json({
+      success: true,
+      events,
+      hasMore: events.length === limit,
+      nextBefore: events.length > 0 ? events[events.length - 1].createdAt : null
+    });
+
+  } catch (error) {
+    console.error('Feed error:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to fetch activity feed' },
+      { status: 500 }
+    );
+  }
+}
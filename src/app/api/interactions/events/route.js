@@ -0,0 +1,54 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth';
+import { ingestEvents, MAX_BATCH_SIZE } from '@/lib/interaction-events';
+
+/**
+ * Record a batch of buffered playback events
+ * POST /api/interactions/events
+ * Body: { events: [{ songId, interactionType, timestamp?, metadata: { position, timeSpent, sessionId, source, ... } }] }
+ * interactionType is one of view, play, pause, complete, skip, share.
+ */
+export async function POST(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json(
+        { success: false, error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+
+    const body = await request.json();
+    const { events } = body;
+
+    if (!Array.isArray(events) || events.length === 0) {
+      return NextResponse.json(
+        { success: false, error: 'events must be a non-empty array' },
+        { status: 400 }
+      );
+    }
+
+    if (events.length > MAX_BATCH_SIZE) {
+      return NextResponse.json(
+        { success: false, error: `At most ${MAX_BATCH_SIZE} events per batch` },
+        { status: 400 }
+      );
+    }
+
+    const { accepted, rejected } = await ingestEvents(session.user.id, events);
+
+    return NextResponse.json({
+      success: true,
+      accepted,
+      rejected
+    });
+
+  } catch (error) {
+    console.error('Error ingesting interaction events:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to record events' },
+      { status: 500 }
+    );
+  }
+}
@@ -2,10 +2,16 @@ import { NextResponse } from 'next/server';
 import { getServerSession } from 'next-auth';
 import { authOptions } from '@/lib/auth';
 import { prisma } from '@/lib/prisma';
+import { getOwnedPlaylist, addSongToPlaylist, isDuplicateSongError } from '@/lib/playlists';
+import { likeSong, unlikeSong } from '@/lib/likes';
+import { cache } from '@/lib/cache';
+import { recordEvent } from '@/lib/interaction-events';
+import { dismissSong } from '@/lib/negative-feedback';
 
 /**
  * Track user interactions with songs
  * POST /api/interactions
+ * Body: { songId, interactionType, metadata: { position, timeSpent, sessionId, source, ... } }
  */
 export async function POST(request) {
   try {
@@ -81,8 +87,24 @@ export async function POST(request) {
         result = await recordShare(userId, songId, metadata);
         break;
         
+      case 'not_interested':
+        result = await recordNotInterested(userId, songId, metadata);
+        break;
+        
       case 'add_to_playlist':
+        if (!metadata.playlistId) {
+          return NextResponse.json(
+            { success: false, error: 'metadata.playlistId is required for add_to_playlist' },
+            { status: 400 }
+          );
+        }
         result = await recordPlaylistAdd(userId, songId, metadata);
+        if (!result) {
+          return NextResponse.json(
+            { success: false, error: 'Playlist not found' },
+            { status: 404 }
+          );
+        }
         break;
         
       default:
@@ -92,6 +114,9 @@ export async function POST(request) {
         );
     }
 
+    // Raw, ordered history alongside the counters above
+    await recordEvent(userId, songId, interactionType, metadata);
+
     return NextResponse.json({
       success: true,
       message: 'Interaction recorded successfully',
@@ -272,6 +297,8 @@ async function recordPlay(userId, songId, metadata = {}) {
     data: { totalPlays: { increment: 1 } }
   });
 
+  await cache.invalidateUser(userId);
+
   return { interaction, action: 'play', timeSpent, position, source };
 }
 
@@ -327,38 +354,16 @@ async function recordSkip(userId, songId, metadata = {}) {
  * Record song like
  */
 async function recordLike(userId, songId) {
-  const like = await prisma.userSongLike.upsert({
-    where: { userId_songId: { userId, songId } },
-    update: {},
-    create: { userId, songId }
-  });
-
-  // Update song's total likes
-  await prisma.song.update({
-    where: { id: songId },
-    data: { totalLikes: { increment: 1 } }
-  });
-
-  return { like, action: 'like' };
+  const { like, liked } = await likeSong(userId, songId);
+  return { like, action: 'like', created: liked };
 }
 
 /**
  * Record song unlike
  */
 async function recordUnlike(userId, songId) {
-  const deletedLike = await prisma.userSongLike.deleteMany({
-    where: { userId, songId }
-  });
-
-  // Update song's total likes
-  if (deletedLike.count > 0) {
-    await prisma.song.update({
-      where: { id: songId },
-      data: { totalLikes: { decrement: deletedLike.count } }
-    });
-  }
-
-  return { action: 'unlike', removed: deletedLike.count };
+  const { removed } = await unlikeSong(userId, songId);
+  return { action: 'unlike', removed };
 }
 
 /**
@@ -374,15 +379,58 @@ async function recordShare(userId, songId, metadata = {}) {
   return { action: 'share', platform, method };
 }
 
+/**
+ * Record "not interested" on a recommendation
+ */
+async function recordNotInterested(userId, songId, metadata = {}) {
+  const { reason = null } = metadata;
+  const dislike = await dismissSong(userId, songId, reason);
+  return { dislike, action: 'not_interested' };
+}
+
 /**
  * Record adding song to playlist
  */
 async function recordPlaylistAdd(userId, songId, metadata = {}) {
-  const { playlistId, playlistName } = metadata;
-  
-  // For now, we'll just log this
-  // The actual playlist addition should be handled by the playlist API
-  console.log(`User ${userId} added song ${songId} to playlist ${playlistName || playlistId}`);
-  
-  return { action: 'add_to_playlist', playlistId, playlistName };
+  const { playlistId } = metadata;
+
+  // Only the owner can add to a playlist
+  const playlist = await getOwnedPlaylist(playlistId, userId);
+  if (!playlist) return null;
+
+  // Already present: nothing to insert, report the existing entry
+  const alreadyAdded = async () => {
+    const existing = await prisma.playlistSong.findUnique({
+      where: { playlistId_songId: { playlistId, songId } }
+    });
+    return existing && {
+      action: 'add_to_playlist',
+      playlistId,
+      playlistName: playlist.name,
+      position: existing.position,
+      added: false
+    };
+  };
+
+  const existing = await alreadyAdded();
+  if (existing) return existing;
+
+  let added;
+  try {
+    added = await addSongToPlaylist(playlistId, songId);
+  } catch (error) {
+    // A concurrent request added it between the check and the insert
+    if (isDuplicateSongError(error)) return alreadyAdded();
+    throw error;
+  }
+  const { entry, playlist: updated } = added;
+
+  return {
+    action: 'add_to_playlist',
+    playlistId,
+    playlistName: updated.name,
+    position: entry.position,
+    songCount: updated.songCount,
+    added: true
+  };
 }
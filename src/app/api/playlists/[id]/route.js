@@ -0,0 +1,158 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth';
+import { prisma } from '@/lib/prisma';
+import {
+  getVisiblePlaylist,
+  getOwnedPlaylist,
+  reorderPlaylist,
+  serializePlaylist
+} from '@/lib/playlists';
+
+/**
+ * Get a playlist with its songs in order
+ * GET /api/playlists/[id]
+ */
+export async function GET(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    const playlist = await getVisiblePlaylist(params.id, session?.user?.id);
+
+    if (!playlist) {
+      return NextResponse.json(
+        { success: false, error: 'Playlist not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      playlist: serializePlaylist(playlist),
+      isOwner: playlist.userId === session?.user?.id
+    });
+
+  } catch (error) {
+    console.error('Error fetching playlist:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to fetch playlist' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Rename / update a playlist, or reorder its songs
+ * PATCH /api/playlists/[id]
+ * Body: { name?, description?, isPublic?, songIds? }
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json(
+        { success: false, error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+
+    const existing = await getOwnedPlaylist(params.id, session.user.id);
+    if (!existing) {
+      return NextResponse.json(
+        { success: false, error: 'Playlist not found' },
+        { status: 404 }
+      );
+    }
+
+    const { name, description, isPublic, songIds } = await request.json();
+
+    const data = {};
+    if (name !== undefined) {
+      if (!name || !name.trim()) {
+        return NextResponse.json(
+          { success: false, error: 'Playlist name cannot be empty' },
+          { status: 400 }
+        );
+      }
+      data.name = name.trim();
+    }
+    if (description !== undefined) data.description = description?.trim() || null;
+    if (isPublic !== undefined) data.isPublic = Boolean(isPublic);
+
+    if (songIds !== undefined) {
+      if (!Array.isArray(songIds)) {
+        return NextResponse.json(
+          { success: false, error: 'songIds must be an array' },
+          { status: 400 }
+        );
+      }
+
+      const reordered = await reorderPlaylist(params.id, songIds);
+      if (!reordered) {
+        return NextResponse.json(
+          { success: false, error: 'songIds must list every song in the playlist exactly once' },
+          { status: 400 }
+        );
+      }
+    }
+
+    if (Object.keys(data).length > 0) {
+      await prisma.playlist.update({
+        where: { id: params.id },
+        data
+      });
+    }
+
+    const playlist = await getVisiblePlaylist(params.id, session.user.id);
+
+    return NextResponse.json({
+      success: true,
+      playlist: serializePlaylist(playlist)
+    });
+
+  } catch (error) {
+    console.error('Error updating playlist:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to update playlist' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Delete a playlist
+ * DELETE /api/playlists/[id]
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json(
+        { success: false, error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+
+    const existing = await getOwnedPlaylist(params.id, session.user.id);
+    if (!existing) {
+      return NextResponse.json(
+        { success: false, error: 'Playlist not found' },
+        { status: 404 }
+      );
+    }
+
+    // PlaylistSong rows cascade
+    await prisma.playlist.delete({ where: { id: params.id } });
+
+    return NextResponse.json({
+      success: true,
+      message: 'Playlist deleted'
+    });
+
+  } catch (error) {
+    console.error('Error deleting playlist:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to delete playlist' },
+      { status: 500 }
+    );
+  }
+}
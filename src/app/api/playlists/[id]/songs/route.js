@@ -0,0 +1,135 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth';
+import { prisma } from '@/lib/prisma';
+import {
+  getOwnedPlaylist,
+  addSongToPlaylist,
+  isDuplicateSongError,
+  removeSongFromPlaylist
+} from '@/lib/playlists';
+
+/**
+ * Add a song to the end of a playlist
+ * POST /api/playlists/[id]/songs
+ * Body: { songId }
+ */
+export async function POST(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json(
+        { success: false, error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+
+    const { songId } = await request.json();
+    if (!songId) {
+      return NextResponse.json(
+        { success: false, error: 'songId is required' },
+        { status: 400 }
+      );
+    }
+
+    const playlist = await getOwnedPlaylist(params.id, session.user.id);
+    if (!playlist) {
+      return NextResponse.json(
+        { success: false, error: 'Playlist not found' },
+        { status: 404 }
+      );
+    }
+
+    const song = await prisma.song.findUnique({ where: { id: songId } });
+    if (!song) {
+      return NextResponse.json(
+        { success: false, error: 'Song not found' },
+        { status: 404 }
+      );
+    }
+
+    const result = await addSongToPlaylist(params.id, songId);
+
+    return NextResponse.json({
+      success: true,
+      message: 'Song added to playlist',
+      data: {
+        position: result.entry.position,
+        songCount: result.playlist.songCount,
+        totalDuration: result.playlist.totalDuration
+      }
+    });
+
+  } catch (error) {
+    if (isDuplicateSongError(error)) {
+      return NextResponse.json(
+        { success: false, error: 'Song is already in this playlist' },
+        { status: 409 }
+      );
+    }
+
+    console.error('Error adding song to playlist:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to add song to playlist' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Remove a song from a playlist
+ * DELETE /api/playlists/[id]/songs?songId=
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json(
+        { success: false, error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+
+    const { searchParams } = new URL(request.url);
+    const songId = searchParams.get('songId');
+    if (!songId) {
+      return NextResponse.json(
+        { success: false, error: 'songId is required' },
+        { status: 400 }
+      );
+    }
+
+    const playlist = await getOwnedPlaylist(params.id, session.user.id);
+    if (!playlist) {
+      return NextResponse.json(
+        { success: false, error: 'Playlist not found' },
+        { status: 404 }
+      );
+    }
+
+    const result = await removeSongFromPlaylist(params.id, songId);
+
+    if (result.removed === 0) {
+      return NextResponse.json(
+        { success: false, error: 'Song is not in this playlist' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: 'Song removed from playlist',
+      data: {
+        songCount: result.playlist.songCount,
+        totalDuration: result.playlist.totalDuration
+      }
+    });
+
+  } catch (error) {
+    console.error('Error removing song from playlist:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to remove song from playlist' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,94 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth';
+import { prisma } from '@/lib/prisma';
+import { serializePlaylist } from '@/lib/playlists';
+
+/**
+ * List the current user's playlists
+ * GET /api/playlists
+ */
+export async function GET(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json(
+        { success: false, error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+
+    const playlists = await prisma.playlist.findMany({
+      where: { userId: session.user.id },
+      include: {
+        songs: {
+          orderBy: { position: 'asc' },
+          take: 1,
+          include: { song: true }
+        }
+      },
+      orderBy: { updatedAt: 'desc' }
+    });
+
+    return NextResponse.json({
+      success: true,
+      playlists: playlists.map(playlist => {
+        const { songs, ...summary } = serializePlaylist(playlist);
+        return summary;
+      })
+    });
+
+  } catch (error) {
+    console.error('Error listing playlists:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to fetch playlists' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Create a playlist
+ * POST /api/playlists
+ */
+export async function POST(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json(
+        { success: false, error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+
+    const { name, description = null, isPublic = false } = await request.json();
+
+    if (!name || !name.trim()) {
+      return NextResponse.json(
+        { success: false, error: 'Playlist name is required' },
+        { status: 400 }
+      );
+    }
+
+    const playlist = await prisma.playlist.create({
+      data: {
+        userId: session.user.id,
+        name: name.trim(),
+        description: description?.trim() || null,
+        isPublic: Boolean(isPublic)
+      }
+    });
+
+    return NextResponse.json(
+      { success: true, playlist: serializePlaylist({ ...playlist, songs: [] }) },
+      { status: 201 }
+    );
+
+  } catch (error) {
+    console.error('Error creating playlist:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to create playlist' },
+      { status: 500 }
+    );
+  }
+}
@@ -1,12 +1,20 @@
 import { NextResponse } from 'next/server';
 import { getServerSession } from 'next-auth';
 import { authOptions } from '@/lib/auth';
-import { hybridEngine } from '@/lib/recommendation-engine';
+import { assignForSurface, getAssignedRecommendations } from '@/lib/experiments';
+import { logImpressions } from '@/lib/impressions';
 import { prisma } from '@/lib/prisma';
+import { cache } from '@/lib/cache';
+
+const SURFACE = 'for-you';
 
 /**
  * Get AI-enhanced recommendations for authenticated user
- * GET /api/recommendations/ai-enhanced
+ * GET /api/recommendations/ai-enhanced?limit=20&diversity=0.3
+ * diversity (0-1) trades blended score for album/era/genre variety.
+ * One version of each song is listed unless versions=all.
+ * Users in a For You experiment get their A/B arm's engine config or an
+ * interleaved list; the served list is logged as impressions.
  */
 export async function GET(request) {
   try {
@@ -22,91 +30,41 @@ export async function GET(request) {
     const { searchParams } = new URL(request.url);
     const limit = parseInt(searchParams.get('limit')) || 20;
     const includePredictions = searchParams.get('includePredictions') === 'true';
+    const diversity = parseDiversity(searchParams.get('diversity'));
+    // ?versions=all lists every version of a song instead of one per work
+    const allVersions = searchParams.get('versions') === 'all';
+    const assignment = assignForSurface(session.user.id, SURFACE);
+    const cacheAlgorithm = [
+      includePredictions ? 'ai-enhanced-predictions' : 'ai-enhanced',
+      diversity !== undefined ? `diversity-${diversity}` : null,
+      allVersions ? 'all-versions' : null,
+      assignment ? `arm-${assignment.arm}` : null
+    ].filter(Boolean).join(':');
 
-    console.log(`🤖 Getting hybrid recommendations for user ${session.user.id}`);
-
-    // Run the full hybrid engine (CF item-based + content-based + AI-enhanced + popularity).
-    // getColdStartRecommendations handles the no-data case: falls back to popular songs.
-    const recommendations = await hybridEngine.getColdStartRecommendations(
-      session.user.id,
-      limit
+    // The list is logged when it's built; cache hits serve it again with the
+    // same listId instead of logging a copy per request
+    const payload = await cache.recommendations(
+      session.user.id, cacheAlgorithm, limit,
+      async () => {
+        const built = await buildRecommendations(
+          session.user.id, limit, includePredictions, diversity, allVersions, assignment
+        );
+        const listId = await logImpressions({
+          userId: session.user.id,
+          surface: SURFACE,
+          algorithm: built.basedOn.algorithm,
+          songIds: built.recommendations.map(rec => rec.id),
+          teams: assignment?.type === 'interleaving' ? built.recommendations.map(rec => rec.team) : null,
+          assignment
+        });
+        return {
+          ...built,
+          impression: { listId, experiment: assignment?.experiment ?? null, arm: assignment?.arm ?? null }
+        };
+      }
     );
-    const isColdStart = recommendations.length > 0 && recommendations[0].sources?.includes('cold-start');
-    const algorithm = isColdStart ? 'cold-start-popular' : 'hybrid-cf';
-    console.log(`[ai-enhanced] algorithm=${algorithm}, results=${recommendations.length}`);
-
-    // Enhance recommendations with additional data
-    const enhancedRecommendations = recommendations.map(rec => ({
-      id: rec.id,
-      title: rec.title,
-      artist: rec.artist,
-      album: rec.album,
-      year: rec.year,
-      imageUrl: rec.imageUrl,
-      // Song schema stores IDs, not URLs — compute them here
-      spotifyUrl: rec.spotifyId ? `https://open.spotify.com/track/${rec.spotifyId}` : null,
-      youtubeUrl: rec.youtubeId ? `https://www.youtube.com/watch?v=${rec.youtubeId}` : null,
-      soundcloudId: rec.soundcloudId,
-      recommendationScore: rec.recommendationScore ?? rec.similarity ?? 0,
-      basedOn: rec.details?.basedOn || rec.details?.reason || null,
-      sources: rec.sources || [],
-      
-      // Audio features (with AI predictions if missing)
-      audioFeatures: {
-        energy: rec.audioFeatures?.energy || rec.energy || 0,
-        danceability: rec.audioFeatures?.danceability || rec.danceability || 0,
-        valence: rec.audioFeatures?.valence || rec.valence || 0,
-        tempo: rec.audioFeatures?.tempo || rec.tempo || 0,
-        acousticness: rec.audioFeatures?.acousticness || rec.acousticness || 0,
-        instrumentalness: rec.audioFeatures?.instrumentalness || rec.instrumentalness || 0,
-        liveness: rec.audioFeatures?.liveness || rec.liveness || 0,
-        speechiness: rec.audioFeatures?.speechiness || rec.speechiness || 0
-      },
-
-      // Genres (with AI predictions if missing)
-      genres: rec.genres?.map(g => g.genre.name) || rec.predictedGenres || ['Unknown'],
-
-      // Moods (with AI predictions if missing)
-      moods: rec.moods?.map(m => m.mood.name) || rec.predictedMoods || ['Neutral'],
-
-      // Additional metadata
-      popularity: rec.popularity || 0,
-      avgRating: rec.avgRating || 0,
-      totalRatings: rec.totalRatings || 0,
-      totalLikes: rec.totalLikes || 0,
-      totalPlays: rec.totalPlays || 0,
-
-      // AI prediction indicators
-      hasPredictedFeatures: includePredictions ? hasPredictedFeatures(rec) : false,
-      hasPredictedGenres: includePredictions ? hasPredictedGenres(rec) : false,
-      hasPredictedMoods: includePredictions ? hasPredictedMoods(rec) : false
-    }));
-
-    // Get user's liked songs count for context
-    const likedCount = await prisma.userSongLike.count({
-      where: { userId: session.user.id }
-    });
 
-    // Get top genres from user's liked songs
-    const topGenres = await getUserTopGenres(session.user.id);
-
-    return NextResponse.json({
-      success: true,
-      recommendations: enhancedRecommendations,
-      basedOn: {
-        likedCount,
-        topGenres,
-        algorithm,
-        description: algorithm === 'cold-start-popular'
-          ? 'No interaction data yet — showing popular songs as fallback'
-          : 'Hybrid CF + content-based + AI-enhanced recommendations'
-      },
-      metadata: {
-        totalRecommendations: enhancedRecommendations.length,
-        aiPredictionsUsed: enhancedRecommendations.filter(r => r.hasPredictedFeatures || r.hasPredictedGenres || r.hasPredictedMoods).length,
-        averageConfidence: calculateAverageConfidence(enhancedRecommendations)
-      }
-    });
+    return NextResponse.json(payload);
 
   } catch (error) {
     console.error('Error getting AI-enhanced recommendations:', error);
@@ -117,6 +75,114 @@ export async function GET(request) {
   }
 }
 
+/**
+ * diversity query param clamped to 0-1, or undefined for the engine default
+ */
+function parseDiversity(value) {
+  const diversity = parseFloat(value);
+  if (Number.isNaN(diversity)) return undefined;
+  return Math.min(Math.max(diversity, 0), 1);
+}
+
+/**
+ * Run the hybrid engine (as the user's experiment assignment says) and shape the response body
+ */
+async function buildRecommendations(userId, limit, includePredictions, diversity, allVersions, assignment) {
+  console.log(`🤖 Getting hybrid recommendations for user ${userId}`);
+
+  // Run the full hybrid engine (CF item-based + content-based + AI-enhanced + popularity).
+  // getColdStartRecommendations handles the no-data case: falls back to popular songs.
+  const recommendations = await getAssignedRecommendations(
+    assignment,
+    userId,
+    limit,
+    {
+      ...(diversity !== undefined && { diversity }),
+      ...(allVersions && { dedupeVersions: false })
+    }
+  );
+  const isColdStart = recommendations.length > 0 && recommendations[0].sources?.includes('cold-start');
+  const algorithm = isColdStart ? 'cold-start-popular' : 'hybrid-cf';
+  console.log(`[ai-enhanced] algorithm=${algorithm}, results=${recommendations.length}`);
+
+  // Enhance recommendations with additional data
+  const enhancedRecommendations = recommendations.map(rec => ({
+    id: rec.id,
+    title: rec.title,
+    artist: rec.artist,
+    album: rec.album,
+    year: rec.year,
+    imageUrl: rec.imageUrl,
+    // Song schema stores IDs, not URLs — compute them here
+    spotifyUrl: rec.spotifyId ? `https://open.spotify.com/track/${rec.spotifyId}` : null,
+    youtubeUrl: rec.youtubeId ? `https://www.youtube.com/watch?v=${rec.youtubeId}` : null,
+    soundcloudId: rec.soundcloudId,
+    recommendationScore: rec.recommendationScore ?? rec.similarity ?? 0,
+    basedOn: rec.details?.basedOn || rec.details?.reason || null,
+    sources: rec.sources || [],
+    friends: rec.details?.friends || [],
+    explanation: rec.explanation || null,
+    // Interleaving: the ranker that placed this song
+    team: rec.team ?? null,
+    
+    // Audio features (with AI predictions if missing)
+    audioFeatures: {
+      energy: rec.audioFeatures?.energy || rec.energy || 0,
+      danceability: rec.audioFeatures?.danceability || rec.danceability || 0,
+      valence: rec.audioFeatures?.valence || rec.valence || 0,
+      tempo: rec.audioFeatures?.tempo || rec.tempo || 0,
+      acousticness: rec.audioFeatures?.acousticness || rec.acousticness || 0,
+      instrumentalness: rec.audioFeatures?.instrumentalness || rec.instrumentalness || 0,
+      liveness: rec.audioFeatures?.liveness || rec.liveness || 0,
+      speechiness: rec.audioFeatures?.speechiness || rec.speechiness || 0
+    },
+
+    // Genres (with AI predictions if missing)
+    genres: rec.genres?.map(g => g.genre.name) || rec.predictedGenres || ['Unknown'],
+
+    // Moods (with AI predictions if missing)
+    moods: rec.moods?.map(m => m.mood.name) || rec.predictedMoods || ['Neutral'],
+
+    // Additional metadata
+    popularity: rec.popularity || 0,
+    avgRating: rec.avgRating || 0,
+    totalRatings: rec.totalRatings || 0,
+    totalLikes: rec.totalLikes || 0,
+    totalPlays: rec.totalPlays || 0,
+
+    // AI prediction indicators
+    hasPredictedFeatures: includePredictions ? hasPredictedFeatures(rec) : false,
+    hasPredictedGenres: includePredictions ? hasPredictedGenres(rec) : false,
+    hasPredictedMoods: includePredictions ? hasPredictedMoods(rec) : false
+  }));
+
+  // Get user's liked songs count for context
+  const likedCount = await prisma.userSongLike.count({
+    where: { userId }
+  });
+
+  // Get top genres from user's liked songs
+  const topGenres = await getUserTopGenres(userId);
+
+  return {
+    success: true,
+    recommendations: enhancedRecommendations,
+    basedOn: {
+      likedCount,
+      topGenres,
+      algorithm,
+      description: algorithm === 'cold-start-popular'
+        ? 'No interaction data yet — showing popular songs as fallback'
+        : 'Hybrid CF + content-based + AI-enhanced recommendations'
+    },
+    metadata: {
+      totalRecommendations: enhancedRecommendations.length,
+      aiPredictionsUsed: enhancedRecommendations.filter(r => r.hasPredictedFeatures || r.hasPredictedGenres || r.hasPredictedMoods).length,
+      averageConfidence: calculateAverageConfidence(enhancedRecommendations)
+    }
+  };
+}
+
 /**
  * Check if song has predicted features
  */
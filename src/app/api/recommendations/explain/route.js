@@ -0,0 +1,69 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth';
+import { assignForSurface, getArmEngine } from '@/lib/experiments';
+
+const SURFACE = 'for-you';
+
+/**
+ * Explain why a song is (or isn't) recommended to the authenticated user
+ * GET /api/recommendations/explain?songId=...&limit=20&diversity=0.3
+ * Users in a For You A/B test are explained with their arm's engine config;
+ * interleaved lists merge two rankers, so those use the default engine.
+ * `engine` in the response is { experiment, arm } or 'default'.
+ */
+export async function GET(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json(
+        { success: false, error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+
+    const { searchParams } = new URL(request.url);
+    const songId = searchParams.get('songId');
+    const limit = parseInt(searchParams.get('limit')) || 20;
+    const diversity = parseFloat(searchParams.get('diversity'));
+
+    if (!songId) {
+      return NextResponse.json(
+        { success: false, error: 'songId is required' },
+        { status: 400 }
+      );
+    }
+
+    // Not cached: this should reflect the user's latest likes and plays
+    const options = Number.isNaN(diversity)
+      ? { limit }
+      : { limit, diversity: Math.min(Math.max(diversity, 0), 1) };
+    const assignment = assignForSurface(session.user.id, SURFACE);
+    const armed = assignment?.type === 'ab';
+    const result = await getArmEngine(assignment).explainRecommendation(
+      session.user.id,
+      songId,
+      armed ? { ...assignment.options, ...options } : options
+    );
+
+    if (!result) {
+      return NextResponse.json(
+        { success: false, error: 'Song not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      ...result,
+      engine: armed ? { experiment: assignment.experiment, arm: assignment.arm } : 'default'
+    });
+
+  } catch (error) {
+    console.error('Error explaining recommendation:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to explain recommendation' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,66 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth';
+import { sessionRecommender } from '@/lib/session-recommender';
+import { logImpressions } from '@/lib/impressions';
+
+/**
+ * Recommend what to play next from the current listening session
+ * GET /api/recommendations/next?songIds=a,b,c&sessionId=...&limit=10
+ * Without songIds the user's latest plays (same sessionId, or within the
+ * session gap) are the context. Other versions of the context's songs are
+ * left out and one version of each song is listed unless versions=all.
+ */
+export async function GET(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json(
+        { success: false, error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+
+    const { searchParams } = new URL(request.url);
+    const limit = Math.min(parseInt(searchParams.get('limit')) || 10, 50);
+    const sessionId = searchParams.get('sessionId');
+    const songIds = searchParams.get('songIds')
+      ?.split(',')
+      .map(id => id.trim())
+      .filter(Boolean);
+
+    // Not cached: the context changes with every play
+    const result = await sessionRecommender.getNextTracks(session.user.id, {
+      songIds: songIds?.length > 0 ? songIds : null,
+      sessionId,
+      limit,
+      allVersions: searchParams.get('versions') === 'all'
+    });
+
+    const listId = await logImpressions({
+      userId: session.user.id,
+      surface: 'next',
+      algorithm: result.algorithm,
+      songIds: result.recommendations.map(rec => rec.song.id)
+    });
+
+    return NextResponse.json({
+      success: true,
+      algorithm: result.algorithm,
+      impression: { listId },
+      context: { songIds: result.context, sessionId: result.sessionId },
+      recommendations: result.recommendations.map(rec => ({
+        ...rec.song,
+        recommendationScore: rec.score,
+        basedOn: rec.basedOn
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error getting next-track recommendations:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to get next-track recommendations' },
+      { status: 500 }
+    );
+  }
+}
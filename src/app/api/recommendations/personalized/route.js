@@ -3,7 +3,21 @@ import { NextResponse } from 'next/server';
 import { prisma } from '@/lib/prisma';
 import { getServerSession } from 'next-auth';
 import { authOptions } from '@/lib/auth';
+import { cache } from '@/lib/cache';
+import { getNegativeFeedback } from '@/lib/negative-feedback';
+import { logImpressions } from '@/lib/impressions';
+import { dedupeByWork, workIdsOf } from '@/lib/works';
+import { DEFAULT_HALF_LIFE_DAYS, TASTE_MODES, decayWeight, latestSignal, signalDate } from '@/lib/time-decay';
 
+const LIMIT = 20;
+
+/**
+ * Personalized recommendations from the user's liked songs
+ * GET /api/recommendations/personalized?mode=recent|allTime&halfLifeDays=30
+ * mode picks a preset ("recent vibe" or "all-time taste"); halfLifeDays
+ * overrides it. Without either, likes decay with the default half-life.
+ * One version of each song is listed unless versions=all.
+ */
 export async function GET(request) {
   try {
     const session = await getServerSession(authOptions);
@@ -15,228 +29,284 @@ export async function GET(request) {
       );
     }
 
-    // Get user's liked songs with their genres, moods, and audio features
-    const likedSongs = await prisma.userSongLike.findMany({
-      where: { userId: session.user.id },
-      include: {
-        song: {
-          include: {
-            genres: {
-              include: {
-                genre: true
-              }
-            },
-            moods: {
-              include: {
-                mood: true
-              }
+    const { searchParams } = new URL(request.url);
+    const mode = searchParams.get('mode');
+    const halfLifeParam = parseFloat(searchParams.get('halfLifeDays'));
+    const allVersions = searchParams.get('versions') === 'all';
+
+    if (mode && !TASTE_MODES[mode]) {
+      return NextResponse.json(
+        { success: false, error: `mode must be one of ${Object.keys(TASTE_MODES).join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const halfLifeDays = halfLifeParam > 0
+      ? halfLifeParam
+      : mode ? TASTE_MODES[mode].halfLifeDays : DEFAULT_HALF_LIFE_DAYS;
+    const taste = { mode: halfLifeParam > 0 ? 'custom' : mode || 'default', halfLifeDays };
+
+    // The list is logged when it's built; cache hits serve it again with the
+    // same listId instead of logging a copy per request
+    const payload = await cache.recommendations(
+      session.user.id,
+      `personalized:${taste.mode}:${halfLifeDays ?? 'all-time'}${allVersions ? ':all-versions' : ''}`,
+      LIMIT,
+      async () => {
+        const built = await buildRecommendations(session.user.id, taste, allVersions);
+        const listId = await logImpressions({
+          userId: session.user.id,
+          surface: 'personalized',
+          algorithm: `personalized:${taste.mode}`,
+          songIds: built.recommendations.map(rec => rec.id)
+        });
+        return { ...built, impression: { listId } };
+      }
+    );
+
+    return NextResponse.json(payload);
+
+  } catch (error) {
+    console.error('Personalized Recommendations API Error:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to generate recommendations' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Score unliked songs against the genres, moods and audio features of the
+ * user's liked songs. Each like counts with its decay weight, so with a short
+ * half-life a genre only found in old likes barely matches. Unless
+ * allVersions, one version of each work is kept and works with a liked
+ * version are left out.
+ */
+async function buildRecommendations(userId, taste, allVersions = false) {
+  // Get user's liked songs with their genres, moods, and audio features
+  const likedSongs = await prisma.userSongLike.findMany({
+    where: { userId },
+    include: {
+      song: {
+        include: {
+          genres: {
+            include: {
+              genre: true
+            }
+          },
+          moods: {
+            include: {
+              mood: true
             }
           }
         }
       }
-    });
-
-    if (likedSongs.length === 0) {
-      return NextResponse.json({
-        success: true,
-        recommendations: [],
-        data: { recommendations: [] },
-        message: 'No liked songs found. Start liking songs to get recommendations!'
-      });
     }
+  });
 
-    // Extract all genres and moods from liked songs
-    const likedGenres = new Set();
-    const likedMoods = new Set();
-    const audioFeatures = {
-      energy: [],
-      danceability: [],
-      valence: [],
-      tempo: []
+  if (likedSongs.length === 0) {
+    return {
+      success: true,
+      recommendations: [],
+      data: { recommendations: [] },
+      message: 'No liked songs found. Start liking songs to get recommendations!'
     };
+  }
 
-    likedSongs.forEach(like => {
-      const song = like.song;
-      
-      // Collect genres
-      song.genres.forEach(sg => likedGenres.add(sg.genre.name));
-      
-      // Collect moods
-      song.moods.forEach(sm => likedMoods.add(sm.mood.name));
-      
-      // Collect audio features
-      if (song.energy) audioFeatures.energy.push(song.energy);
-      if (song.danceability) audioFeatures.danceability.push(song.danceability);
-      if (song.valence) audioFeatures.valence.push(song.valence);
-      if (song.tempo) audioFeatures.tempo.push(song.tempo);
-    });
-
-    // Calculate average audio features
-    const avgFeatures = {
-      energy: audioFeatures.energy.length > 0 
-        ? audioFeatures.energy.reduce((a, b) => a + b, 0) / audioFeatures.energy.length 
-        : null,
-      danceability: audioFeatures.danceability.length > 0 
-        ? audioFeatures.danceability.reduce((a, b) => a + b, 0) / audioFeatures.danceability.length 
-        : null,
-      valence: audioFeatures.valence.length > 0 
-        ? audioFeatures.valence.reduce((a, b) => a + b, 0) / audioFeatures.valence.length 
-        : null,
-      tempo: audioFeatures.tempo.length > 0 
-        ? audioFeatures.tempo.reduce((a, b) => a + b, 0) / audioFeatures.tempo.length 
-        : null
-    };
+  // Extract genres and moods from liked songs: name → strongest like weight
+  const likedGenres = new Map();
+  const likedMoods = new Map();
+  const audioFeatures = {
+    energy: [],
+    danceability: [],
+    valence: [],
+    tempo: []
+  };
 
-    // Get all songs that are NOT liked by the user
-    const likedSongIds = likedSongs.map(like => like.song.id);
+  const now = latestSignal(likedSongs);
+  likedSongs.forEach(like => {
+    const song = like.song;
+    const weight = decayWeight(signalDate(like), taste.halfLifeDays, now);
     
-    const candidateSongs = await prisma.song.findMany({
-      where: {
-        id: { notIn: likedSongIds }
-      },
-      include: {
-        genres: {
-          include: {
-            genre: true
-          }
-        },
-        moods: {
-          include: {
-            mood: true
-          }
-        },
-        reviews: {
-          include: {
-            user: true
-          }
-        },
-        ratings: true
-      }
-    });
-
-    // Score each candidate song
-    const scoredSongs = candidateSongs.map(song => {
-      let score = 0;
-      
-      // Get song's genres and moods
-      const songGenres = song.genres.map(sg => sg.genre.name);
-      const songMoods = song.moods.map(sm => sm.mood.name);
-      
-      // Genre matching (40% weight)
-      const genreMatches = songGenres.filter(g => likedGenres.has(g)).length;
-      if (songGenres.length > 0) {
-        score += (genreMatches / songGenres.length) * 0.4;
-      }
-      
-      // Mood matching (30% weight)
-      const moodMatches = songMoods.filter(m => likedMoods.has(m)).length;
-      if (songMoods.length > 0) {
-        score += (moodMatches / songMoods.length) * 0.3;
-      }
-      
-      // Audio feature similarity (30% weight)
-      let featureScore = 0;
-      let featureCount = 0;
-      
-      if (avgFeatures.energy && song.energy) {
-        featureScore += 1 - Math.abs(avgFeatures.energy - song.energy);
-        featureCount++;
-      }
-      if (avgFeatures.danceability && song.danceability) {
-        featureScore += 1 - Math.abs(avgFeatures.danceability - song.danceability);
-        featureCount++;
-      }
-      if (avgFeatures.valence && song.valence) {
-        featureScore += 1 - Math.abs(avgFeatures.valence - song.valence);
-        featureCount++;
-      }
-      if (avgFeatures.tempo && song.tempo) {
-        // Normalize tempo difference (typical range 60-180 BPM)
-        const tempoDiff = Math.abs(avgFeatures.tempo - song.tempo) / 120;
-        featureScore += Math.max(0, 1 - tempoDiff);
-        featureCount++;
-      }
-      
-      if (featureCount > 0) {
-        score += (featureScore / featureCount) * 0.3;
-      }
+    // Collect genres
+    song.genres.forEach(sg => likedGenres.set(sg.genre.name, Math.max(likedGenres.get(sg.genre.name) ?? 0, weight)));
+    
+    // Collect moods
+    song.moods.forEach(sm => likedMoods.set(sm.mood.name, Math.max(likedMoods.get(sm.mood.name) ?? 0, weight)));
+    
+    // Collect audio features
+    if (song.energy) audioFeatures.energy.push({ value: song.energy, weight });
+    if (song.danceability) audioFeatures.danceability.push({ value: song.danceability, weight });
+    if (song.valence) audioFeatures.valence.push({ value: song.valence, weight });
+    if (song.tempo) audioFeatures.tempo.push({ value: song.tempo, weight });
+  });
 
-      return {
-        song,
-        score,
-        genreMatches,
-        moodMatches
-      };
-    });
-
-    // Sort by score and take top 20
-    scoredSongs.sort((a, b) => b.score - a.score);
-    const topRecommendations = scoredSongs.slice(0, 20);
-
-    // Transform to match /api/songs format exactly
-    const recommendations = topRecommendations.map(({ song, score, genreMatches, moodMatches }) => ({
-      id: song.id,
-      title: song.title,
-      artist: song.artist,
-      album: song.album,
-      year: song.year,
-      imageUrl: song.imageUrl,
-      spotifyUrl: song.spotifyId ? `https://open.spotify.com/track/${song.spotifyId}` : null,
-      youtubeUrl: song.youtubeId ? `https://www.youtube.com/watch?v=${song.youtubeId}` : null,
-      soundcloudUrl: song.soundcloudId ? `https://soundcloud.com/track/${song.soundcloudId}` : null,
-      soundcloudId: song.soundcloudId,
-      
-      genre: song.genres.map(sg => sg.genre.name),
-      mood: song.moods.map(sm => sm.mood.name),
-      
-      audioFeatures: {
-        energy: song.energy,
-        danceability: song.danceability,
-        valence: song.valence,
-        tempo: song.tempo,
-        loudness: song.loudness,
-        speechiness: song.speechiness,
-        acousticness: song.acousticness,
-        instrumentalness: song.instrumentalness,
-        liveness: song.liveness
+  // Calculate decay-weighted average audio features
+  const weightedAverage = values => {
+    const totalWeight = values.reduce((sum, v) => sum + v.weight, 0);
+    return totalWeight > 0
+      ? values.reduce((sum, v) => sum + v.value * v.weight, 0) / totalWeight
+      : null;
+  };
+  const avgFeatures = {
+    energy: weightedAverage(audioFeatures.energy),
+    danceability: weightedAverage(audioFeatures.danceability),
+    valence: weightedAverage(audioFeatures.valence),
+    tempo: weightedAverage(audioFeatures.tempo)
+  };
+
+  // Get all songs that are NOT liked or dismissed by the user
+  const likedSongIds = likedSongs.map(like => like.song.id);
+  const { excludedIds } = await getNegativeFeedback(userId);
+  
+  const candidateSongs = await prisma.song.findMany({
+    where: {
+      id: { notIn: [...likedSongIds, ...excludedIds] }
+    },
+    include: {
+      genres: {
+        include: {
+          genre: true
+        }
       },
-      
-      avgRating: song.avgRating || 0,
-      totalRatings: song.totalRatings || 0,
-      isLiked: false, // Already filtered out liked songs
-      
-      // Recommendation metadata
-      recommendationScore: score,
-      matchReason: `${genreMatches} genre matches, ${moodMatches} mood matches`,
-      
-      reviews: song.reviews.map(review => ({
-        id: review.id,
-        username: review.user.username,
-        rating: song.ratings.find(r => r.userId === review.userId)?.rating || 0,
-        review: review.reviewText,
-        date: review.createdAt.toISOString().split('T')[0]
-      }))
-    }));
-
-    return NextResponse.json({
-      success: true,
-      recommendations,
-      data: {
-        recommendations
+      moods: {
+        include: {
+          mood: true
+        }
       },
-      userPreferences: {
-        genres: Array.from(likedGenres),
-        moods: Array.from(likedMoods),
-        avgAudioFeatures: avgFeatures,
-        totalLikedSongs: likedSongs.length
-      }
-    });
+      reviews: {
+        where: {
+          isHidden: false
+        },
+        include: {
+          user: true
+        }
+      },
+      ratings: true
+    }
+  });
 
-  } catch (error) {
-    console.error('Personalized Recommendations API Error:', error);
-    return NextResponse.json(
-      { success: false, error: 'Failed to generate recommendations' },
-      { status: 500 }
-    );
-  }
+  // Score each candidate song
+  const scoredSongs = candidateSongs.map(song => {
+    let score = 0;
+    
+    // Get song's genres and moods
+    const songGenres = song.genres.map(sg => sg.genre.name);
+    const songMoods = song.moods.map(sm => sm.mood.name);
+    
+    // Genre matching (40% weight)
+    const genreMatches = songGenres.filter(g => likedGenres.has(g)).length;
+    if (songGenres.length > 0) {
+      const genreAffinity = songGenres.reduce((sum, g) => sum + (likedGenres.get(g) ?? 0), 0);
+      score += (genreAffinity / songGenres.length) * 0.4;
+    }
+    
+    // Mood matching (30% weight)
+    const moodMatches = songMoods.filter(m => likedMoods.has(m)).length;
+    if (songMoods.length > 0) {
+      const moodAffinity = songMoods.reduce((sum, m) => sum + (likedMoods.get(m) ?? 0), 0);
+      score += (moodAffinity / songMoods.length) * 0.3;
+    }
+    
+    // Audio feature similarity (30% weight)
+    let featureScore = 0;
+    let featureCount = 0;
+    
+    if (avgFeatures.energy && song.energy) {
+      featureScore += 1 - Math.abs(avgFeatures.energy - song.energy);
+      featureCount++;
+    }
+    if (avgFeatures.danceability && song.danceability) {
+      featureScore += 1 - Math.abs(avgFeatures.danceability - song.danceability);
+      featureCount++;
+    }
+    if (avgFeatures.valence && song.valence) {
+      featureScore += 1 - Math.abs(avgFeatures.valence - song.valence);
+      featureCount++;
+    }
+    if (avgFeatures.tempo && song.tempo) {
+      // Normalize tempo difference (typical range 60-180 BPM)
+      const tempoDiff = Math.abs(avgFeatures.tempo - song.tempo) / 120;
+      featureScore += Math.max(0, 1 - tempoDiff);
+      featureCount++;
+    }
+    
+    if (featureCount > 0) {
+      score += (featureScore / featureCount) * 0.3;
+    }
+
+    return {
+      song,
+      score,
+      genreMatches,
+      moodMatches
+    };
+  });
+
+  // Sort by score and take top LIMIT
+  scoredSongs.sort((a, b) => b.score - a.score);
+  const ranked = allVersions
+    ? scoredSongs
+    : dedupeByWork(scoredSongs, { getSong: scored => scored.song, excludeWorkIds: workIdsOf(likedSongs) });
+  const topRecommendations = ranked.slice(0, LIMIT);
+
+  // Transform to match /api/songs format exactly
+  const recommendations = topRecommendations.map(({ song, score, genreMatches, moodMatches }) => ({
+    id: song.id,
+    title: song.title,
+    artist: song.artist,
+    album: song.album,
+    year: song.year,
+    imageUrl: song.imageUrl,
+    spotifyUrl: song.spotifyId ? `https://open.spotify.com/track/${song.spotifyId}` : null,
+    youtubeUrl: song.youtubeId ? `https://www.youtube.com/watch?v=${song.youtubeId}` : null,
+    soundcloudUrl: song.soundcloudId ? `https://soundcloud.com/track/${song.soundcloudId}` : null,
+    soundcloudId: song.soundcloudId,
+    
+    genre: song.genres.map(sg => sg.genre.name),
+    mood: song.moods.map(sm => sm.mood.name),
+    
+    audioFeatures: {
+      energy: song.energy,
+      danceability: song.danceability,
+      valence: song.valence,
+      tempo: song.tempo,
+      loudness: song.loudness,
+      speechiness: song.speechiness,
+      acousticness: song.acousticness,
+      instrumentalness: song.instrumentalness,
+      liveness: song.liveness
+    },
+    
+    avgRating: song.avgRating || 0,
+    totalRatings: song.totalRatings || 0,
+    isLiked: false, // Already filtered out liked songs
+    
+    // Recommendation metadata
+    recommendationScore: score,
+    matchReason: `${genreMatches} genre matches, ${moodMatches} mood matches`,
+    
+    reviews: song.reviews.map(review => ({
+      id: review.id,
+      username: review.user.username,
+      rating: song.ratings.find(r => r.userId === review.userId)?.rating || 0,
+      review: review.reviewText,
+      date: review.createdAt.toISOString().split('T')[0]
+    }))
+  }));
+
+  return {
+    success: true,
+    recommendations,
+    data: {
+      recommendations
+    },
+    taste,
+    userPreferences: {
+      genres: Array.from(likedGenres.keys()),
+      moods: Array.from(likedMoods.keys()),
+      avgAudioFeatures: avgFeatures,
+      totalLikedSongs: likedSongs.length
+    }
+  };
 }
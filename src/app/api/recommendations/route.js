@@ -1,5 +1,7 @@
 import { NextResponse } from 'next/server';
 import { prisma } from '@/lib/prisma';
+import { cache } from '@/lib/cache';
+import { dedupeByWork } from '@/lib/works';
 
 // Enhanced AI recommendation algorithm
 function calculateSimilarity(song1, song2) {
@@ -46,6 +48,8 @@ export async function GET(request) {
     const { searchParams } = new URL(request.url);
     const songId = searchParams.get('songId');
     const limit = parseInt(searchParams.get('limit')) || 3;
+    // ?versions=all keeps other versions of the song and duplicates of each other
+    const allVersions = searchParams.get('versions') === 'all';
 
     if (!songId) {
       return NextResponse.json(
@@ -54,92 +58,16 @@ export async function GET(request) {
       );
     }
 
-    // Get the target song
-    const targetSong = await prisma.song.findUnique({
-      where: { id: songId },
-      include: {
-        genres: { include: { genre: true } },
-        moods: { include: { mood: true } }
-      }
-    });
+    const payload = await cache.similarSongs(songId, limit, allVersions, () => findSimilarSongs(songId, limit, allVersions));
 
-    if (!targetSong) {
+    if (!payload) {
       return NextResponse.json(
         { success: false, error: 'Song not found' },
         { status: 404 }
       );
     }
 
-    // Get all other songs
-    const allSongs = await prisma.song.findMany({
-      where: {
-        NOT: { id: songId }
-      },
-      include: {
-        genres: { include: { genre: true } },
-        moods: { include: { mood: true } }
-      }
-    });
-
-    // Calculate recommendations
-    const recommendations = allSongs.map(song => {
-      let score = 0;
-
-      // Audio features similarity (60% weight)
-      const audioSimilarity = calculateSimilarity(targetSong, song);
-      score += audioSimilarity * 0.6;
-
-      // Genre similarity (25% weight)
-      const targetGenres = targetSong.genres.map(g => g.genre.name);
-      const songGenres = song.genres.map(g => g.genre.name);
-      const genreOverlap = targetGenres.filter(g => songGenres.includes(g)).length;
-      const genreSimilarity = targetGenres.length > 0 ? genreOverlap / targetGenres.length : 0;
-      score += genreSimilarity * 0.25;
-
-      // Mood similarity (10% weight)
-      const targetMoods = targetSong.moods.map(m => m.mood.name);
-      const songMoods = song.moods.map(m => m.mood.name);
-      const moodOverlap = targetMoods.filter(m => songMoods.includes(m)).length;
-      const moodSimilarity = targetMoods.length > 0 ? moodOverlap / targetMoods.length : 0;
-      score += moodSimilarity * 0.1;
-
-      // Popularity boost (5% weight)
-      const popularityScore = song.avgRating / 5;
-      score += popularityScore * 0.05;
-
-      return {
-        id: song.id,
-        title: song.title,
-        artist: song.artist,
-        album: song.album,
-        year: song.year,
-        spotifyUrl: song.spotifyUrl,
-        youtubeUrl: song.youtubeUrl,
-        avgRating: song.avgRating,
-        totalRatings: song.totalRatings,
-        genre: songGenres,
-        mood: songMoods,
-        recommendationScore: Math.max(0, Math.min(1, score)),
-        audioFeatures: {
-          energy: song.energy,
-          danceability: song.danceability,
-          valence: song.valence,
-          tempo: song.tempo
-        }
-      };
-    })
-    .sort((a, b) => b.recommendationScore - a.recommendationScore)
-    .slice(0, limit);
-
-    return NextResponse.json({
-      success: true,
-      recommendations,
-      basedOn: {
-        id: targetSong.id,
-        title: targetSong.title,
-        album: targetSong.album
-      }
-    });
+    return NextResponse.json(payload);
 
   } catch (error) {
     console.error('Recommendations API Error:', error);
@@ -149,3 +77,97 @@ export async function GET(request) {
     );
   }
 }
+
+/**
+ * Rank every other song by similarity to one song, one version per work and
+ * none of the song's own work unless allVersions. Returns null when the song
+ * doesn't exist.
+ */
+async function findSimilarSongs(songId, limit, allVersions = false) {
+  // Get the target song
+  const targetSong = await prisma.song.findUnique({
+    where: { id: songId },
+    include: {
+      genres: { include: { genre: true } },
+      moods: { include: { mood: true } }
+    }
+  });
+
+  if (!targetSong) return null;
+
+  // Get all other songs
+  const allSongs = await prisma.song.findMany({
+    where: {
+      NOT: { id: songId }
+    },
+    include: {
+      genres: { include: { genre: true } },
+      moods: { include: { mood: true } }
+    }
+  });
+
+  // Calculate recommendations
+  const ranked = allSongs.map(song => {
+    let score = 0;
+
+    // Audio features similarity (60% weight)
+    const audioSimilarity = calculateSimilarity(targetSong, song);
+    score += audioSimilarity * 0.6;
+
+    // Genre similarity (25% weight)
+    const targetGenres = targetSong.genres.map(g => g.genre.name);
+    const songGenres = song.genres.map(g => g.genre.name);
+    const genreOverlap = targetGenres.filter(g => songGenres.includes(g)).length;
+    const genreSimilarity = targetGenres.length > 0 ? genreOverlap / targetGenres.length : 0;
+    score += genreSimilarity * 0.25;
+
+    // Mood similarity (10% weight)
+    const targetMoods = targetSong.moods.map(m => m.mood.name);
+    const songMoods = song.moods.map(m => m.mood.name);
+    const moodOverlap = targetMoods.filter(m => songMoods.includes(m)).length;
+    const moodSimilarity = targetMoods.length > 0 ? moodOverlap / targetMoods.length : 0;
+    score += moodSimilarity * 0.1;
+
+    // Popularity boost (5% weight)
+    const popularityScore = song.avgRating / 5;
+    score += popularityScore * 0.05;
+
+    return {
+      id: song.id,
+      workId: song.workId,
+      title: song.title,
+      artist: song.artist,
+      album: song.album,
+      year: song.year,
+      spotifyUrl: song.spotifyUrl,
+      youtubeUrl: song.youtubeUrl,
+      avgRating: song.avgRating,
+      totalRatings: song.totalRatings,
+      genre: songGenres,
+      mood: songMoods,
+      recommendationScore: Math.max(0, Math.min(1, score)),
+      audioFeatures: {
+        energy: song.energy,
+        danceability: song.danceability,
+        valence: song.valence,
+        tempo: song.tempo
+      }
+    };
+  })
+  .sort((a, b) => b.recommendationScore - a.recommendationScore);
+
+  const recommendations = (allVersions
+    ? ranked
+    : dedupeByWork(ranked, { excludeWorkIds: new Set([targetSong.workId].filter(Boolean)) })
+  ).slice(0, limit);
+
+  return {
+    success: true,
+    recommendations,
+    basedOn: {
+      id: targetSong.id,
+      title: targetSong.title,
+      album: targetSong.album
+    }
+  };
+}
@@ -0,0 +1,102 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth';
+import { prisma } from '@/lib/prisma';
+import { addHelpfulVote, removeHelpfulVote } from '@/lib/reviews';
+
+/**
+ * Mark a review as helpful
+ * POST /api/reviews/[reviewId]/helpful
+ */
+export async function POST(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user) {
+      return NextResponse.json(
+        { success: false, error: 'Must be logged in to vote' },
+        { status: 401 }
+      );
+    }
+
+    const review = await prisma.review.findUnique({
+      where: { id: params.reviewId },
+      select: { id: true, userId: true, isHidden: true }
+    });
+
+    if (!review || review.isHidden) {
+      return NextResponse.json(
+        { success: false, error: 'Review not found' },
+        { status: 404 }
+      );
+    }
+
+    if (review.userId === session.user.id) {
+      return NextResponse.json(
+        { success: false, error: 'You cannot vote on your own review' },
+        { status: 400 }
+      );
+    }
+
+    const result = await addHelpfulVote(review.id, session.user.id);
+
+    if (!result) {
+      return NextResponse.json({
+        success: false,
+        message: 'Already marked as helpful'
+      });
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: 'Marked as helpful',
+      helpfulCount: result.helpfulCount
+    });
+
+  } catch (error) {
+    console.error('Helpful vote error:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to record vote' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Withdraw a helpful vote
+ * DELETE /api/reviews/[reviewId]/helpful
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user) {
+      return NextResponse.json(
+        { success: false, error: 'Must be logged in' },
+        { status: 401 }
+      );
+    }
+
+    const result = await removeHelpfulVote(params.reviewId, session.user.id);
+
+    if (!result) {
+      return NextResponse.json({
+        success: false,
+        message: 'No vote to remove'
+      });
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: 'Vote removed',
+      helpfulCount: result.helpfulCount
+    });
+
+  } catch (error) {
+    console.error('Remove helpful vote error:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to remove vote' },
+      { status: 500 }
+    );
+  }
+}
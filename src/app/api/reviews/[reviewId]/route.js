@@ -0,0 +1,140 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth';
+import { prisma } from '@/lib/prisma';
+import { cache } from '@/lib/cache';
+import { deleteReview, serializeReview, canModerate, MAX_REVIEW_LENGTH } from '@/lib/reviews';
+
+/**
+ * Edit a review, or hide/unhide it as a moderator
+ * PATCH /api/reviews/[reviewId]
+ * Body: { reviewText? } (author) | { isHidden? } (MODERATOR/ADMIN)
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user) {
+      return NextResponse.json(
+        { success: false, error: 'Must be logged in' },
+        { status: 401 }
+      );
+    }
+
+    const review = await prisma.review.findUnique({ where: { id: params.reviewId } });
+    if (!review) {
+      return NextResponse.json(
+        { success: false, error: 'Review not found' },
+        { status: 404 }
+      );
+    }
+
+    const { reviewText, isHidden } = await request.json();
+    const isAuthor = review.userId === session.user.id;
+    const data = {};
+
+    if (reviewText !== undefined) {
+      if (!isAuthor) {
+        return NextResponse.json(
+          { success: false, error: 'Only the author can edit a review' },
+          { status: 403 }
+        );
+      }
+
+      const text = typeof reviewText === 'string' ? reviewText.trim() : null;
+      if (!text || text.length > MAX_REVIEW_LENGTH) {
+        return NextResponse.json(
+          { success: false, error: `reviewText must be 1-${MAX_REVIEW_LENGTH} characters` },
+          { status: 400 }
+        );
+      }
+      data.reviewText = text;
+    }
+
+    if (isHidden !== undefined) {
+      if (!canModerate(session.user)) {
+        return NextResponse.json(
+          { success: false, error: 'Moderator access required' },
+          { status: 403 }
+        );
+      }
+
+      data.isHidden = Boolean(isHidden);
+      data.hiddenAt = data.isHidden ? new Date() : null;
+      data.hiddenById = data.isHidden ? session.user.id : null;
+    }
+
+    if (Object.keys(data).length === 0) {
+      return NextResponse.json(
+        { success: false, error: 'Nothing to update' },
+        { status: 400 }
+      );
+    }
+
+    const updated = await prisma.review.update({
+      where: { id: params.reviewId },
+      data,
+      include: { user: { select: { id: true, username: true } } }
+    });
+    await cache.invalidateSongStats();
+
+    return NextResponse.json({
+      success: true,
+      message: 'Review updated',
+      review: serializeReview(updated, { viewerId: session.user.id })
+    });
+
+  } catch (error) {
+    console.error('Error updating review:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to update review' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Delete a review (author, MODERATOR or ADMIN)
+ * DELETE /api/reviews/[reviewId]
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user) {
+      return NextResponse.json(
+        { success: false, error: 'Must be logged in' },
+        { status: 401 }
+      );
+    }
+
+    const review = await prisma.review.findUnique({ where: { id: params.reviewId } });
+    if (!review) {
+      return NextResponse.json(
+        { success: false, error: 'Review not found' },
+        { status: 404 }
+      );
+    }
+
+    if (review.userId !== session.user.id && !canModerate(session.user)) {
+      return NextResponse.json(
+        { success: false, error: 'You can only delete your own reviews' },
+        { status: 403 }
+      );
+    }
+
+    await deleteReview(review.id);
+
+    return NextResponse.json({
+      success: true,
+      message: 'Review deleted'
+    });
+
+  } catch (error) {
+    console.error('Error deleting review:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to delete review' },
+      { status: 500 }
+    );
+  }
+}
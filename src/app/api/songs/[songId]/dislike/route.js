@@ -0,0 +1,81 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth';
+import { prisma } from '@/lib/prisma';
+import { dismissSong, undismissSong } from '@/lib/negative-feedback';
+
+/**
+ * Mark a song "not interested"
+ * POST /api/songs/[songId]/dislike
+ * Body (optional): { reason }
+ */
+export async function POST(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user) {
+      return NextResponse.json(
+        { success: false, error: 'Must be logged in' },
+        { status: 401 }
+      );
+    }
+
+    const { songId } = params;
+    const body = await request.json().catch(() => ({}));
+
+    const song = await prisma.song.findUnique({ where: { id: songId }, select: { id: true } });
+    if (!song) {
+      return NextResponse.json(
+        { success: false, error: 'Song not found' },
+        { status: 404 }
+      );
+    }
+
+    await dismissSong(session.user.id, songId, body.reason ?? null);
+
+    return NextResponse.json({
+      success: true,
+      message: 'Song marked not interested'
+    });
+
+  } catch (error) {
+    console.error('Dislike error:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to update song' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Undo "not interested"
+ * DELETE /api/songs/[songId]/dislike
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user) {
+      return NextResponse.json(
+        { success: false, error: 'Must be logged in' },
+        { status: 401 }
+      );
+    }
+
+    const { songId } = params;
+
+    const removed = await undismissSong(session.user.id, songId);
+
+    return NextResponse.json({
+      success: true,
+      removed
+    });
+
+  } catch (error) {
+    console.error('Undo dislike error:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to update song' },
+      { status: 500 }
+    );
+  }
+}
@@ -1,7 +1,7 @@
 import { NextResponse } from 'next/server';
 import { getServerSession } from 'next-auth';
 import { authOptions } from '@/lib/auth';
-import { prisma } from '@/lib/prisma';
+import { likeSong, unlikeSong } from '@/lib/likes';
 
 export async function POST(request, { params }) {
   try {
@@ -16,37 +16,15 @@ export async function POST(request, { params }) {
 
     const { songId } = params;
 
-    // Check if already liked
-    const existing = await prisma.userSongLike.findUnique({
-      where: {
-        userId_songId: {
-          userId: session.user.id,
-          songId: songId
-        }
-      }
-    });
+    const { liked } = await likeSong(session.user.id, songId);
 
-    if (existing) {
+    if (!liked) {
       return NextResponse.json({
         success: false,
         message: 'Song already liked'
       });
     }
 
-    // Create like
-    await prisma.userSongLike.create({
-      data: {
-        userId: session.user.id,
-        songId: songId
-      }
-    });
-
-    // Update song like count
-    await prisma.song.update({
-      where: { id: songId },
-      data: { totalLikes: { increment: 1 } }
-    });
-
     return NextResponse.json({
       success: true,
       message: 'Song liked'
@@ -74,21 +52,7 @@ export async function DELETE(request, { params }) {
 
     const { songId } = params;
 
-    // Remove like
-    await prisma.userSongLike.delete({
-      where: {
-        userId_songId: {
-          userId: session.user.id,
-          songId: songId
-        }
-      }
-    });
-
-    // Update song like count
-    await prisma.song.update({
-      where: { id: songId },
-      data: { totalLikes: { decrement: 1 } }
-    });
+    await unlikeSong(session.user.id, songId);
 
     return NextResponse.json({
       success: true,
@@ -0,0 +1,156 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth';
+import { prisma } from '@/lib/prisma';
+import { upsertRating, deleteRating, isValidRating, MIN_RATING, MAX_RATING } from '@/lib/ratings';
+
+/**
+ * Get the current user's rating and the song's aggregate rating
+ * GET /api/songs/[songId]/rating
+ */
+export async function GET(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    const { songId } = params;
+
+    const song = await prisma.song.findUnique({
+      where: { id: songId },
+      select: { id: true, avgRating: true, totalRatings: true }
+    });
+
+    if (!song) {
+      return NextResponse.json(
+        { success: false, error: 'Song not found' },
+        { status: 404 }
+      );
+    }
+
+    let userRating = null;
+    if (session?.user?.id) {
+      const rating = await prisma.rating.findUnique({
+        where: { userId_songId: { userId: session.user.id, songId } }
+      });
+      userRating = rating?.rating ?? null;
+    }
+
+    return NextResponse.json({
+      success: true,
+      data: {
+        songId,
+        avgRating: song.avgRating,
+        totalRatings: song.totalRatings,
+        userRating
+      }
+    });
+
+  } catch (error) {
+    console.error('Get rating error:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to fetch rating' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Rate a song (creates or replaces the user's rating)
+ * PUT /api/songs/[songId]/rating
+ * Body: { rating: 1-5 }
+ */
+export async function PUT(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user) {
+      return NextResponse.json(
+        { success: false, error: 'Must be logged in to rate songs' },
+        { status: 401 }
+      );
+    }
+
+    const { songId } = params;
+    const { rating } = await request.json();
+
+    if (!isValidRating(rating)) {
+      return NextResponse.json(
+        { success: false, error: `rating must be an integer from ${MIN_RATING} to ${MAX_RATING}` },
+        { status: 400 }
+      );
+    }
+
+    const song = await prisma.song.findUnique({ where: { id: songId }, select: { id: true } });
+    if (!song) {
+      return NextResponse.json(
+        { success: false, error: 'Song not found' },
+        { status: 404 }
+      );
+    }
+
+    const result = await upsertRating(session.user.id, songId, rating);
+
+    return NextResponse.json({
+      success: true,
+      message: 'Song rated',
+      data: {
+        songId,
+        userRating: result.rating,
+        avgRating: result.song.avgRating,
+        totalRatings: result.song.totalRatings
+      }
+    });
+
+  } catch (error) {
+    console.error('Rating error:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to rate song' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Remove the current user's rating
+ * DELETE /api/songs/[songId]/rating
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user) {
+      return NextResponse.json(
+        { success: false, error: 'Must be logged in' },
+        { status: 401 }
+      );
+    }
+
+    const { songId } = params;
+
+    const song = await prisma.song.findUnique({ where: { id: songId }, select: { id: true } });
+    if (!song) {
+      return NextResponse.json(
+        { success: false, error: 'Song not found' },
+        { status: 404 }
+      );
+    }
+
+    const result = await deleteRating(session.user.id, songId);
+
+    return NextResponse.json({
+      success: true,
+      message: result.removed > 0 ? 'Rating removed' : 'No rating to remove',
+      data: {
+        songId,
+        userRating: null,
+        avgRating: result.song.avgRating,
+        totalRatings: result.song.totalRatings
+      }
+    });
+
+  } catch (error) {
+    console.error('Remove rating error:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to remove rating' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,124 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth';
+import { prisma } from '@/lib/prisma';
+import {
+  getSongReviews,
+  createReview,
+  serializeReview,
+  canModerate,
+  REVIEW_SORTS,
+  MAX_REVIEW_LENGTH
+} from '@/lib/reviews';
+
+/**
+ * List reviews for a song
+ * GET /api/songs/[songId]/reviews?sort=newest|helpful
+ */
+export async function GET(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    const { songId } = params;
+    const { searchParams } = new URL(request.url);
+    const sort = searchParams.get('sort') || 'newest';
+
+    if (!REVIEW_SORTS[sort]) {
+      return NextResponse.json(
+        { success: false, error: `sort must be one of: ${Object.keys(REVIEW_SORTS).join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const reviews = await getSongReviews(songId, {
+      sort,
+      viewerId: session?.user?.id ?? null,
+      // Moderators see hidden reviews so they can restore them
+      includeHidden: canModerate(session?.user)
+    });
+
+    return NextResponse.json({
+      success: true,
+      reviews,
+      sort,
+      canModerate: canModerate(session?.user)
+    });
+
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to fetch reviews' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Post a review (one per user per song)
+ * POST /api/songs/[songId]/reviews
+ * Body: { reviewText }
+ */
+export async function POST(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user) {
+      return NextResponse.json(
+        { success: false, error: 'Must be logged in to review songs' },
+        { status: 401 }
+      );
+    }
+
+    const { songId } = params;
+    const { reviewText } = await request.json();
+
+    if (typeof reviewText !== 'string' || !reviewText.trim()) {
+      return NextResponse.json(
+        { success: false, error: 'reviewText is required' },
+        { status: 400 }
+      );
+    }
+
+    const text = reviewText.trim();
+
+    if (text.length > MAX_REVIEW_LENGTH) {
+      return NextResponse.json(
+        { success: false, error: `Reviews are limited to ${MAX_REVIEW_LENGTH} characters` },
+        { status: 400 }
+      );
+    }
+
+    const song = await prisma.song.findUnique({ where: { id: songId }, select: { id: true } });
+    if (!song) {
+      return NextResponse.json(
+        { success: false, error: 'Song not found' },
+        { status: 404 }
+      );
+    }
+
+    const review = await createReview(session.user.id, songId, text);
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Review posted',
+        review: serializeReview(review, { viewerId: session.user.id })
+      },
+      { status: 201 }
+    );
+
+  } catch (error) {
+    // Unique (userId, songId)
+    if (error.code === 'P2002') {
+      return NextResponse.json(
+        { success: false, error: 'You have already reviewed this song' },
+        { status: 409 }
+      );
+    }
+
+    console.error('Error posting review:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to post review' },
+      { status: 500 }
+    );
+  }
+}
@@ -3,139 +3,96 @@ import { NextResponse } from 'next/server';
 import { PrismaClient } from '@prisma/client';
 import { getServerSession } from 'next-auth';
 import { authOptions } from '@/lib/auth';
+import { cache } from '@/lib/cache';
+import { getCanonicalSongIds, getWorkRollups } from '@/lib/works';
+import { CREDITS_INCLUDE, formatCredits } from '@/lib/artists';
+import { countLikedSongs, getSongFacets, parseSongQuery, songOrderBy, songWhere } from '@/lib/song-search';
 
 const prisma = new PrismaClient();
 
+/**
+ * Catalog songs with facet counts
+ * GET /api/songs?search=&limit=20&offset=0
+ *   sort=newest|popularity|plays|rating|year|title, order=asc|desc
+ *   versions=all        every version of a song, not just its work's canonical one
+ *   genre, mood, tag, releaseType, yearMin/yearMax, tempoMin/tempoMax,
+ *   energyMin/energyMax, explicit, isOfficial, liked=true (signed in)
+ *                       filters, see lib/song-search.js
+ *   artist=<slug>       songs by an artist (primary credit)
+ *   featuring=<slug>    songs featuring an artist, e.g. featuring=playboi-carti
+ *   producedBy=<slug>   songs produced by an artist
+ */
 export async function GET(request) {
   try {
     const session = await getServerSession(authOptions);
     const { searchParams } = new URL(request.url);
-    
-    const search = searchParams.get('search') || '';
-    const limit = parseInt(searchParams.get('limit')) || 20;
-    const offset = parseInt(searchParams.get('offset')) || 0;
-
-    // Build where clause
-    const whereClause = search ? {
-      OR: [
-        { title: { contains: search, mode: 'insensitive' } },
-        { album: { contains: search, mode: 'insensitive' } },
-        { artist: { contains: search, mode: 'insensitive' } }
-      ]
-    } : {};
-
-    // Fetch songs with genres, moods, and likes
-    const songs = await prisma.song.findMany({
-      where: whereClause,
-      take: limit,
-      skip: offset,
-      include: {
-        genres: {
-          include: {
-            genre: true
-          }
-        },
-        moods: {
-          include: {
-            mood: true
-          }
-        },
-        likes: session?.user?.id ? {
-          where: {
-            userId: session.user.id
-          }
-        } : false,
-        ratings: {
-          select: {
-            rating: true
-          }
-        },
-        reviews: {
-          include: {
-            user: {
-              select: {
-                username: true
-              }
-            }
-          },
-          orderBy: {
-            createdAt: 'desc'
-          }
-        }
-      },
-      orderBy: {
-        createdAt: 'desc'
+    const query = parseSongQuery(searchParams);
+    const userId = session?.user?.id ?? null;
+
+    if (query.filters.liked && !userId) {
+      return NextResponse.json(
+        { success: false, error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+
+    // Canonical version ids are fetched once, and only when something isn't cached
+    let context = null;
+    const getContext = () => {
+      if (!context) {
+        context = (query.allVersions ? Promise.resolve([]) : getCanonicalSongIds())
+          .then(canonicalIds => ({ userId, canonicalIds }));
       }
-    });
+      return context;
+    };
 
-    // Get total count for pagination
-    const totalCount = await prisma.song.count({ where: whereClause });
-
-    // Transform the data to match frontend expectations
-    const transformedSongs = songs.map(song => ({
-      id: song.id,
-      title: song.title,
-      artist: song.artist,
-      album: song.album,
-      year: song.year,
-      imageUrl: song.imageUrl,
-      spotifyUrl: song.spotifyUrl,
-      youtubeUrl: song.youtubeUrl,
-      duration: song.duration,
-      
-      // Extract genre names from the relationship
-      genre: song.genres?.map(sg => sg.genre.name) || [],
-      
-      // Extract mood names from the relationship
-      mood: song.moods?.map(sm => sm.mood.name) || [],
-      
-      // Audio features - make sure they're included
-      audioFeatures: {
-        energy: song.energy || 0,
-        danceability: song.danceability || 0,
-        valence: song.valence || 0,
-        tempo: song.tempo || 0,
-        loudness: song.loudness || 0,
-        speechiness: song.speechiness || 0,
-        acousticness: song.acousticness || 0,
-        instrumentalness: song.instrumentalness || 0,
-        liveness: song.liveness || 0
-      },
-      
-      // Also add them at root level for backwards compatibility
-      energy: song.energy || 0,
-      danceability: song.danceability || 0,
-      valence: song.valence || 0,
-      tempo: song.tempo || 0,
-      
-      // Ratings - calculate from Rating model if avgRating is not set
-      avgRating: song.avgRating || (song.ratings?.length > 0 
-        ? song.ratings.reduce((sum, r) => sum + r.rating, 0) / song.ratings.length 
-        : 0),
-      totalRatings: song.totalRatings || song.ratings?.length || 0,
+    // Catalog data is shared by every viewer; per-user like and rating state is
+    // layered on below so the cached entry never holds one user's view. A
+    // liked filter makes the results the viewer's own, so those skip the cache.
+    const loadPage = async () => fetchCatalogPage(query, await getContext());
+    const loadFacets = async () => getSongFacets(query, await getContext());
+    const [{ songs: catalogSongs, totalCount }, catalogFacets, likedCount] = await Promise.all([
+      query.filters.liked ? loadPage() : cache.songs(query, loadPage),
+      query.filters.liked ? loadFacets() : cache.songFacets(query, loadFacets),
+      userId ? getContext().then(viewer => countLikedSongs(query, viewer)) : null
+    ]);
+    const facets = { ...catalogFacets, liked: likedCount === null ? null : { count: likedCount } };
+
+    let likedSongIds = new Set();
+    let userRatings = new Map();
+    if (session?.user?.id && catalogSongs.length > 0) {
+      const songIds = catalogSongs.map(song => song.id);
+      const [likes, ratings] = await Promise.all([
+        prisma.userSongLike.findMany({
+          where: { userId: session.user.id, songId: { in: songIds } },
+          select: { songId: true }
+        }),
+        prisma.rating.findMany({
+          where: { userId: session.user.id, songId: { in: songIds } },
+          select: { songId: true, rating: true }
+        })
+      ]);
+      likedSongIds = new Set(likes.map(l => l.songId));
+      userRatings = new Map(ratings.map(r => [r.songId, r.rating]));
+    }
+
+    const transformedSongs = catalogSongs.map(song => ({
+      ...song,
+      userRating: userRatings.get(song.id) ?? null,
       
       // Like status for current user
-      isLiked: session?.user?.id ? (song.likes?.length > 0) : false,
-      
-      // Reviews
-      reviews: song.reviews?.map(review => ({
-        id: review.id,
-        username: review.user?.username || 'Anonymous',
-        rating: review.rating,
-        review: review.reviewText,
-        comment: review.reviewText,
-        date: review.createdAt ? new Date(review.createdAt).toLocaleDateString() : ''
-      })) || []
+      isLiked: likedSongIds.has(song.id)
     }));
 
     return NextResponse.json({
       success: true,
       songs: transformedSongs,
+      facets,
       pagination: {
         total: totalCount,
-        limit,
-        offset,
-        hasMore: offset + limit < totalCount
+        limit: query.limit,
+        offset: query.offset,
+        hasMore: query.offset + query.limit < totalCount
       }
     });
 
@@ -149,3 +106,119 @@ export async function GET(request) {
     await prisma.$disconnect();
   }
 }
+
+/**
+ * One page of catalog songs in the response shape, without viewer state.
+ * Each song's work carries likes and plays summed over all its versions.
+ */
+async function fetchCatalogPage(query, context) {
+  const whereClause = songWhere(query, context);
+
+  // Fetch songs with genres, moods, and reviews
+  const songs = await prisma.song.findMany({
+    where: whereClause,
+    take: query.limit,
+    skip: query.offset,
+    include: {
+      genres: {
+        include: {
+          genre: true
+        }
+      },
+      moods: {
+        include: {
+          mood: true
+        }
+      },
+      artists: CREDITS_INCLUDE,
+      reviews: {
+        where: {
+          isHidden: false
+        },
+        include: {
+          user: {
+            select: {
+              username: true
+            }
+          }
+        },
+        orderBy: {
+          createdAt: 'desc'
+        }
+      }
+    },
+    orderBy: songOrderBy(query)
+  });
+
+  // Get total count for pagination
+  const totalCount = await prisma.song.count({ where: whereClause });
+
+  const rollups = await getWorkRollups([...new Set(songs.map(song => song.workId).filter(Boolean))]);
+
+  // Transform the data to match frontend expectations
+  const transformedSongs = songs.map(song => ({
+    id: song.id,
+    title: song.title,
+    artist: song.artist,
+    album: song.album,
+    year: song.year,
+    imageUrl: song.imageUrl,
+    spotifyUrl: song.spotifyUrl,
+    youtubeUrl: song.youtubeUrl,
+    duration: song.duration,
+    releaseType: song.releaseType,
+    explicit: song.explicit,
+    isOfficial: song.isOfficial,
+    popularity: song.popularity,
+    totalLikes: song.totalLikes,
+    totalPlays: song.totalPlays,
+
+    // Versions of the same recording, with likes and plays rolled up
+    work: song.workId ? { id: song.workId, ...rollups.get(song.workId) } : null,
+    
+    // Extract genre names from the relationship
+    genre: song.genres?.map(sg => sg.genre.name) || [],
+    
+    // Extract mood names from the relationship
+    mood: song.moods?.map(sm => sm.mood.name) || [],
+
+    // Primary, featured and producer credits
+    artists: formatCredits(song.artists),
+    
+    // Audio features - make sure they're included
+    audioFeatures: {
+      energy: song.energy || 0,
+      danceability: song.danceability || 0,
+      valence: song.valence || 0,
+      tempo: song.tempo || 0,
+      loudness: song.loudness || 0,
+      speechiness: song.speechiness || 0,
+      acousticness: song.acousticness || 0,
+      instrumentalness: song.instrumentalness || 0,
+      liveness: song.liveness || 0
+    },
+    
+    // Also add them at root level for backwards compatibility
+    energy: song.energy || 0,
+    danceability: song.danceability || 0,
+    valence: song.valence || 0,
+    tempo: song.tempo || 0,
+    
+    // Ratings - aggregates are maintained by /api/songs/[songId]/rating
+    avgRating: song.avgRating || 0,
+    totalRatings: song.totalRatings || 0,
+    
+    // Reviews
+    reviews: song.reviews?.map(review => ({
+      id: review.id,
+      username: review.user?.username || 'Anonymous',
+      rating: review.rating,
+      review: review.reviewText,
+      comment: review.reviewText,
+      helpfulCount: review.helpfulCount,
+      date: review.createdAt ? new Date(review.createdAt).toLocaleDateString() : ''
+    })) || []
+  }));
+
+  return { songs: transformedSongs, totalCount };
+}
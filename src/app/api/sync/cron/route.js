@@ -1,6 +1,13 @@
 import { NextResponse } from 'next/server';
 import { spotifyClient } from '@/lib/spotify';
 import { prisma } from '@/lib/prisma';
+import { cache } from '@/lib/cache';
+import { albumIdResolver, albumFields, mapReleaseType } from '@/lib/albums';
+import { artistIdResolver, setSongCredits } from '@/lib/artists';
+import { rebuildItemSimilarity } from '@/lib/item-similarity';
+import { rebuildPredictorSnapshot } from '@/lib/ai-prediction';
+import { compactEvents } from '@/lib/interaction-events';
+import { rebuildWorks } from '@/lib/works';
 
 /**
  * Background sync job for periodic catalog updates
@@ -28,12 +35,16 @@ export async function POST(request) {
       syncSpotify = true, 
       syncSoundCloud = false,
       forceUpdate = false,
+      rebuildSnapshots = true,
       maxAge = 24 * 60 * 60 * 1000 // 24 hours in milliseconds
     } = await request.json();
 
     const results = {
       spotify: null,
       soundcloud: null,
+      works: null,
+      snapshots: null,
+      cleanup: null,
       errors: [],
       summary: {
         totalTime: 0,
@@ -76,8 +87,33 @@ export async function POST(request) {
       }
     }
 
+    // Regroup versions of the same recording (single, album, deluxe)
+    try {
+      results.works = await rebuildWorks();
+    } catch (error) {
+      console.error('❌ Work regrouping failed:', error);
+      results.errors.push({ service: 'works', error: error.message });
+    }
+
     // Clean up old data
-    await cleanupOldData();
+    results.cleanup = await cleanupOldData();
+
+    // Rebuild recommendation model snapshots against the refreshed catalog
+    if (rebuildSnapshots) {
+      try {
+        console.log('🧮 Rebuilding model snapshots...');
+        results.snapshots = {
+          itemSimilarity: await rebuildItemSimilarity(),
+          aiPredictor: await rebuildPredictorSnapshot()
+        };
+      } catch (error) {
+        console.error('❌ Snapshot rebuild failed:', error);
+        results.errors.push({ service: 'snapshots', error: error.message });
+      }
+    }
+
+    // Drop cached catalog responses so the next requests see the synced data
+    await cache.invalidateCatalog();
 
     // Update sync statistics
     await updateSyncStats(results);
@@ -133,6 +169,10 @@ async function syncSpotifyCatalog(forceUpdate = false, maxAge = 24 * 60 * 60 * 1
       existingSongs.map(song => [song.spotifyId, song])
     );
 
+    // Album rows are upserted once per Spotify album as their tracks come up
+    const resolveAlbumId = albumIdResolver();
+    const resolveArtistId = artistIdResolver();
+
     // Process each track
     for (const track of discography.tracks) {
       try {
@@ -158,8 +198,10 @@ async function syncSpotifyCatalog(forceUpdate = false, maxAge = 24 * 60 * 60 * 1
           title: track.name,
           artist: 'Lil Uzi Vert',
           album: track.album.name,
+          ...(await albumFields(track, resolveAlbumId)),
           year: new Date(track.album.release_date).getFullYear(),
           spotifyId: track.id,
+          isrc: track.external_ids?.isrc ?? null,
           
           // Media
           imageUrl: track.album.images?.[0]?.url,
@@ -187,21 +229,25 @@ async function syncSpotifyCatalog(forceUpdate = false, maxAge = 24 * 60 * 60 * 1
           timeSignature: track.audioFeatures?.time_signature,
         };
 
+        let song;
         if (existingSong) {
           // Update existing song
-          await prisma.song.update({
+          song = await prisma.song.update({
             where: { spotifyId: track.id },
             data: trackData
           });
           result.songsUpdated++;
         } else {
           // Create new song
-          await prisma.song.create({
+          song = await prisma.song.create({
             data: trackData
           });
           result.songsCreated++;
         }
 
+        // Primary and featured artists
+        await setSongCredits(song.id, spotifyClient.getTrackCredits(track), resolveArtistId);
+
         console.log(`✅ Processed: ${track.name} - ${track.album.name}`);
 
       } catch (error) {
@@ -336,10 +382,21 @@ async function cleanupOldData() {
       }
     });
 
-    console.log(`✅ Cleanup completed: ${orphanedSongs.count} orphaned songs, ${deletedInteractions.count} interactions, ${deletedLikes.count} likes removed`);
+    // Roll raw interaction events past retention up into daily totals
+    const events = await compactEvents();
+
+    console.log(`✅ Cleanup completed: ${orphanedSongs.count} orphaned songs, ${deletedInteractions.count} interactions, ${deletedLikes.count} likes removed, ${events.eventsCompacted} events compacted`);
+
+    return {
+      orphanedSongs: orphanedSongs.count,
+      interactions: deletedInteractions.count,
+      likes: deletedLikes.count,
+      events
+    };
 
   } catch (error) {
     console.error('Error during cleanup:', error);
+    return null;
   }
 }
 
@@ -368,18 +425,6 @@ async function updateSyncStats(results) {
   }
 }
 
-/**
- * Map Spotify album type to our ReleaseType enum
- */
-function mapReleaseType(spotifyAlbumType) {
-  const mapping = {
-    'album': 'ALBUM',
-    'single': 'SINGLE',
-    'compilation': 'COMPILATION'
-  };
-  return mapping[spotifyAlbumType] || 'ALBUM';
-}
-
 /**
  * Update genres and moods based on audio features
  */
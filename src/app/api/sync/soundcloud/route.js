@@ -2,6 +2,7 @@ import { NextResponse } from 'next/server';
 import { getServerSession } from 'next-auth';
 import { authOptions } from '@/lib/auth';
 import { soundcloudClient } from '@/lib/soundcloud';
+import { cache } from '@/lib/cache';
 
 /**
  * Sync SoundCloud tracks with database
@@ -51,6 +52,7 @@ export async function POST(request) {
 
     // Sync with database
     const syncResult = await soundcloudClient.syncWithDatabase(soundcloudData.tracks);
+    await cache.invalidateCatalog();
 
     return NextResponse.json({
       success: true,
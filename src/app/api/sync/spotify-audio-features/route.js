@@ -1,6 +1,7 @@
 import { NextResponse } from 'next/server';
 import { spotifyClient } from '@/lib/spotify';
 import { prisma } from '@/lib/prisma';
+import { cache } from '@/lib/cache';
 
 /**
  * Fill missing audio features for existing songs using Spotify API
@@ -51,6 +52,10 @@ export async function POST(request) {
       results.errorDetails.push(...batchResults.errorDetails);
     }
 
+    if (!dryRun && results.updated > 0) {
+      await cache.invalidateCatalog();
+    }
+
     console.log('🎉 Spotify audio features sync completed!', results);
 
     return NextResponse.json({
@@ -1,6 +1,10 @@
 import { NextResponse } from 'next/server';
 import { spotifyClient } from '@/lib/spotify';
 import { prisma } from '@/lib/prisma';
+import { cache } from '@/lib/cache';
+import { albumIdResolver, albumFields, mapReleaseType } from '@/lib/albums';
+import { artistIdResolver, setSongCredits } from '@/lib/artists';
+import { rebuildWorks } from '@/lib/works';
 
 /**
  * Sync Lil Uzi Vert's complete discography from Spotify
@@ -46,6 +50,10 @@ export async function POST(request) {
       errors: []
     };
 
+    // Album rows are upserted once per Spotify album as their tracks come up
+    const resolveAlbumId = albumIdResolver();
+    const resolveArtistId = artistIdResolver();
+
     // Process each track
     for (const track of discography.tracks) {
       try {
@@ -61,6 +69,7 @@ export async function POST(request) {
           album: track.album.name,
           year: new Date(track.album.release_date).getFullYear(),
           spotifyId: track.id,
+          isrc: track.external_ids?.isrc ?? null,
           
           // Media
           imageUrl: track.album.images?.[0]?.url,
@@ -98,21 +107,28 @@ export async function POST(request) {
           continue;
         }
 
+        // Album and tracklist position
+        Object.assign(trackData, await albumFields(track, resolveAlbumId));
+
+        let song;
         if (existingTrack) {
           // Update existing track
-          await prisma.song.update({
+          song = await prisma.song.update({
             where: { spotifyId: track.id },
             data: trackData
           });
           results.updated++;
         } else {
           // Create new track
-          await prisma.song.create({
+          song = await prisma.song.create({
             data: trackData
           });
           results.created++;
         }
 
+        // Primary and featured artists
+        await setSongCredits(song.id, spotifyClient.getTrackCredits(track), resolveArtistId);
+
         console.log(`✅ Processed: ${track.name} - ${track.album.name}`);
 
       } catch (error) {
@@ -127,6 +143,17 @@ export async function POST(request) {
     // Update genres and moods based on audio features
     await updateGenresAndMoods(discography.tracks);
 
+    // Regroup versions of the same recording (single, album, deluxe)
+    try {
+      results.works = await rebuildWorks();
+    } catch (error) {
+      console.error('❌ Work regrouping failed:', error);
+      results.errors.push({ service: 'works', error: error.message });
+    }
+
+    // Cached song, album and recommendation responses predate this sync
+    await cache.invalidateCatalog();
+
     console.log('🎉 Spotify sync completed!', results);
 
     return NextResponse.json({
@@ -152,18 +179,6 @@ export async function POST(request) {
   }
 }
 
-/**
- * Map Spotify album type to our ReleaseType enum
- */
-function mapReleaseType(spotifyAlbumType) {
-  const mapping = {
-    'album': 'ALBUM',
-    'single': 'SINGLE',
-    'compilation': 'COMPILATION'
-  };
-  return mapping[spotifyAlbumType] || 'ALBUM';
-}
-
 /**
  * Update genres and moods based on audio features
  */
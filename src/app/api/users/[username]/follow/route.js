@@ -0,0 +1,94 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth';
+import { prisma } from '@/lib/prisma';
+import { followUser, unfollowUser } from '@/lib/social';
+
+/**
+ * Resolve the target user and reject self-follows
+ */
+async function resolveTarget(session, params) {
+  if (!session?.user) {
+    return { error: NextResponse.json(
+      { success: false, error: 'Must be logged in to follow users' },
+      { status: 401 }
+    ) };
+  }
+
+  const target = await prisma.user.findUnique({
+    where: { username: decodeURIComponent(params.username) },
+    select: { id: true }
+  });
+
+  if (!target) {
+    return { error: NextResponse.json(
+      { success: false, error: 'User not found' },
+      { status: 404 }
+    ) };
+  }
+
+  if (target.id === session.user.id) {
+    return { error: NextResponse.json(
+      { success: false, error: 'You cannot follow yourself' },
+      { status: 400 }
+    ) };
+  }
+
+  return { target };
+}
+
+/**
+ * Follow a user
+ * POST /api/users/[username]/follow
+ */
+export async function POST(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    const { target, error } = await resolveTarget(session, params);
+    if (error) return error;
+
+    const result = await followUser(session.user.id, target.id);
+
+    return NextResponse.json({
+      success: true,
+      message: result.followed ? 'Followed' : 'Already following',
+      isFollowing: true,
+      followersCount: result.user.followersCount
+    });
+
+  } catch (error) {
+    console.error('Follow error:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to follow user' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Unfollow a user
+ * DELETE /api/users/[username]/follow
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    const { target, error } = await resolveTarget(session, params);
+    if (error) return error;
+
+    const result = await unfollowUser(session.user.id, target.id);
+
+    return NextResponse.json({
+      success: true,
+      message: result.removed ? 'Unfollowed' : 'Not following',
+      isFollowing: false,
+      followersCount: result.user.followersCount
+    });
+
+  } catch (error) {
+    console.error('Unfollow error:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to unfollow user' },
+      { status: 500 }
+    );
+  }
+}
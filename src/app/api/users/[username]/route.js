@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth';
+import { getPublicProfile } from '@/lib/social';
+
+/**
+ * Public profile with likes, public playlists and reviews
+ * GET /api/users/[username]
+ */
+export async function GET(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    const username = decodeURIComponent(params.username);
+
+    const profile = await getPublicProfile(username, session?.user?.id ?? null);
+
+    if (!profile) {
+      return NextResponse.json(
+        { success: false, error: 'User not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      profile
+    });
+
+  } catch (error) {
+    console.error('Error fetching profile:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to fetch profile' },
+      { status: 500 }
+    );
+  }
+}
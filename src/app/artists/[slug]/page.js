@@ -0,0 +1,227 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { ArrowLeft, Play, Clock, Music2, Users } from 'lucide-react';
+import Link from 'next/link';
+import { useParams } from 'next/navigation';
+import LikeButton from '@/components/LikeButton';
+
+// Song groups in page order
+const SECTIONS = [
+  { key: 'primary', title: 'Songs', counted: 'songs' },
+  { key: 'featured', title: 'Featured On', counted: 'features' },
+  { key: 'produced', title: 'Produced', counted: 'productions' }
+];
+
+export default function ArtistDetailPage() {
+  const params = useParams();
+  const artistSlug = params.slug;
+
+  const [artist, setArtist] = useState(null);
+  const [songs, setSongs] = useState({});
+  const [collaborators, setCollaborators] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (artistSlug) {
+      fetchArtistData();
+    }
+  }, [artistSlug]);
+
+  const fetchArtistData = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch(`/api/artists/${encodeURIComponent(artistSlug)}`);
+      const data = await response.json();
+
+      if (data.success) {
+        setArtist(data.artist);
+        setSongs(data.songs);
+        setCollaborators(data.collaborators);
+      } else {
+        setError(data.error || 'Failed to load artist');
+      }
+    } catch (error) {
+      console.error('Error fetching artist:', error);
+      setError('Failed to load artist');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatDuration = (seconds) => {
+    if (!seconds) return '--:--';
+    const minutes = Math.floor(seconds / 60);
+    const remainingSeconds = seconds % 60;
+    return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+  };
+
+  // Other artists on the song, e.g. "Lil Uzi Vert feat. Playboi Carti"
+  const CreditLine = ({ song }) => {
+    const others = song.artists?.filter(credit => credit.slug !== artist?.slug && credit.role !== 'PRODUCER') ?? [];
+    if (others.length === 0) return null;
+
+    const separator = (credit, i) => {
+      if (credit.role === 'FEATURED' && others[i - 1]?.role !== 'FEATURED') return i > 0 ? ' feat. ' : 'feat. ';
+      return i > 0 ? ', ' : '';
+    };
+
+    return (
+      <p className="text-sm text-gray-500 truncate">
+        {others.map((credit, i) => (
+          <span key={`${credit.role}:${credit.slug}`}>
+            {separator(credit, i)}
+            <Link href={`/artists/${credit.slug}`} className="hover:text-purple-600">{credit.name}</Link>
+          </span>
+        ))}
+      </p>
+    );
+  };
+
+  const SongRow = ({ song }) => (
+    <div className="flex items-center gap-4 p-4 hover:bg-gray-50 transition-colors">
+      <div className="flex-shrink-0">
+        {song.imageUrl ? (
+          <img src={song.imageUrl} alt={song.title} className="w-12 h-12 rounded object-cover" />
+        ) : (
+          <div className="w-12 h-12 bg-gradient-to-br from-purple-400 to-pink-400 rounded flex items-center justify-center">
+            <Music2 className="w-6 h-6 text-white" />
+          </div>
+        )}
+      </div>
+
+      <div className="flex-1 min-w-0">
+        <h3 className="font-semibold text-gray-900 truncate">{song.title}</h3>
+        <CreditLine song={song} />
+        <p className="text-sm text-gray-500 truncate">
+          {song.albumSlug ? (
+            <Link href={`/albums/${song.albumSlug}`} className="hover:text-purple-600">{song.album}</Link>
+          ) : song.album}
+          {song.year && ` • ${song.year}`}
+        </p>
+      </div>
+
+      <div className="hidden sm:block text-sm text-gray-500 flex-shrink-0">
+        <Clock className="w-4 h-4 inline mr-1" />
+        {formatDuration(song.duration)}
+      </div>
+
+      <div className="flex items-center gap-2 flex-shrink-0">
+        <LikeButton songId={song.id} initialLiked={song.isLiked} />
+        {song.spotifyUrl && (
+          <a href={song.spotifyUrl} target="_blank" rel="noopener noreferrer" className="p-2 text-green-600 hover:bg-green-50 rounded-lg transition-colors" title="Play on Spotify">
+            <Play className="w-4 h-4" />
+          </a>
+        )}
+      </div>
+    </div>
+  );
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-purple-50 to-pink-50">
+        <div className="container mx-auto px-4 py-8">
+          <div className="animate-pulse">
+            <div className="h-8 bg-gray-200 rounded w-32 mb-8"></div>
+            <div className="flex gap-8 mb-8">
+              <div className="w-40 h-40 bg-gray-200 rounded-full"></div>
+              <div className="flex-1">
+                <div className="h-10 bg-gray-200 rounded mb-4"></div>
+                <div className="h-6 bg-gray-200 rounded w-1/3"></div>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-purple-50 to-pink-50">
+        <div className="container mx-auto px-4 py-8">
+          <Link href="/" className="inline-flex items-center gap-2 text-purple-600 hover:text-purple-700 mb-8">
+            <ArrowLeft className="w-4 h-4" />
+            Back to Songs
+          </Link>
+          <div className="text-center py-12">
+            <p className="text-red-600 text-lg">{error}</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 to-pink-50">
+      <div className="container mx-auto px-4 py-8">
+        <Link href="/" className="inline-flex items-center gap-2 text-purple-600 hover:text-purple-700 mb-8">
+          <ArrowLeft className="w-4 h-4" />
+          Back to Songs
+        </Link>
+
+        <div className="bg-white rounded-xl shadow-lg p-8 mb-8">
+          <div className="flex flex-col md:flex-row md:items-center gap-8">
+            <div className="flex-shrink-0">
+              {artist?.imageUrl ? (
+                <img src={artist.imageUrl} alt={artist.name} className="w-40 h-40 rounded-full object-cover shadow-lg" />
+              ) : (
+                <div className="w-40 h-40 bg-gradient-to-br from-purple-400 to-pink-400 rounded-full flex items-center justify-center">
+                  <Users className="w-16 h-16 text-white" />
+                </div>
+              )}
+            </div>
+
+            <div className="flex-1">
+              <h1 className="text-3xl font-bold text-gray-900 mb-2">{artist?.name}</h1>
+              <p className="text-lg text-gray-600 mb-4">
+                {SECTIONS
+                  .filter(({ key }) => songs[key]?.length > 0)
+                  .map(({ key, counted }) => `${songs[key].length} ${counted}`)
+                  .join(' • ')}
+              </p>
+              {artist?.spotifyId && (
+                <a href={`https://open.spotify.com/artist/${artist.spotifyId}`} target="_blank" rel="noopener noreferrer" className="inline-flex items-center gap-2 px-4 py-2 bg-green-500 hover:bg-green-600 text-white rounded-lg transition-colors">
+                  <Play className="w-4 h-4" />
+                  Open in Spotify
+                </a>
+              )}
+            </div>
+          </div>
+
+          {collaborators.length > 0 && (
+            <div className="mt-6 pt-6 border-t border-gray-200">
+              <p className="text-sm text-gray-500 mb-2">Frequent collaborators</p>
+              <div className="flex flex-wrap gap-2">
+                {collaborators.map(collaborator => (
+                  <Link
+                    key={collaborator.slug}
+                    href={`/artists/${collaborator.slug}`}
+                    className="px-3 py-1 bg-purple-100 text-purple-700 hover:bg-purple-200 rounded-full text-sm transition-colors"
+                  >
+                    {collaborator.name} <span className="text-purple-500">({collaborator.songs})</span>
+                  </Link>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
+        {SECTIONS.filter(({ key }) => songs[key]?.length > 0).map(({ key, title }) => (
+          <div key={key} className="bg-white rounded-xl shadow-lg overflow-hidden mb-8">
+            <div className="p-6 border-b border-gray-200">
+              <h2 className="text-2xl font-bold text-gray-900">{title}</h2>
+              <p className="text-gray-600 text-sm mt-1">{songs[key].length} songs</p>
+            </div>
+            <div className="divide-y divide-gray-100">
+              {songs[key].map(song => (
+                <SongRow key={song.id} song={song} />
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useSession } from 'next-auth/react';
+import { useRouter } from 'next/navigation';
+import { ArrowLeft, Loader, Music2, Heart, Star, MessageSquare, Users } from 'lucide-react';
+import Link from 'next/link';
+
+export default function FeedPage() {
+  const { status } = useSession();
+  const router = useRouter();
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [nextBefore, setNextBefore] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+
+  useEffect(() => {
+    if (status === 'unauthenticated') {
+      router.push('/auth/signin');
+    } else if (status === 'authenticated') {
+      fetchFeed();
+    }
+  }, [status, router]);
+
+  const fetchFeed = async (before = null) => {
+    try {
+      if (before) setLoadingMore(true);
+      else setLoading(true);
+      const url = before ? `/api/feed?before=${encodeURIComponent(before)}` : '/api/feed';
+      const response = await fetch(url);
+      const data = await response.json();
+
+      if (data.success) {
+        setEvents(prev => before ? [...prev, ...data.events] : data.events);
+        setHasMore(data.hasMore);
+        setNextBefore(data.nextBefore);
+      }
+    } catch (error) {
+      console.error('Error fetching feed:', error);
+    } finally {
+      setLoading(false);
+      setLoadingMore(false);
+    }
+  };
+
+  const describe = (event) => {
+    switch (event.type) {
+      case 'like':
+        return { icon: Heart, text: 'liked', color: 'text-red-500' };
+      case 'rating':
+        return { icon: Star, text: `rated ${event.rating}★`, color: 'text-yellow-500' };
+      case 'review':
+        return { icon: MessageSquare, text: 'reviewed', color: 'text-purple-600' };
+      default:
+        return { icon: Music2, text: event.type, color: 'text-gray-500' };
+    }
+  };
+
+  if (status === 'loading' || loading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-purple-50 to-pink-50 flex items-center justify-center">
+        <Loader className="w-8 h-8 animate-spin text-purple-600" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 to-pink-50">
+      <div className="container mx-auto px-4 py-8 max-w-3xl">
+        <Link href="/" className="inline-flex items-center gap-2 text-purple-600 hover:text-purple-700 mb-6">
+          <ArrowLeft className="w-4 h-4" />
+          Back to Home
+        </Link>
+
+        <div className="mb-8">
+          <div className="flex items-center gap-3 mb-2">
+            <Users className="w-8 h-8 text-purple-600" />
+            <h1 className="text-4xl font-bold text-gray-900">Activity</h1>
+          </div>
+          <p className="text-gray-600 text-lg">What the people you follow have been listening to</p>
+        </div>
+
+        {events.length === 0 ? (
+          <div className="text-center py-12">
+            <Users className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+            <h2 className="text-2xl font-bold text-gray-700 mb-2">Nothing here yet</h2>
+            <p className="text-gray-500">Follow other fans from their profile pages to see their activity.</p>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {events.map(event => {
+              const { icon: Icon, text, color } = describe(event);
+              return (
+                <div key={event.id} className="bg-white rounded-xl shadow p-4 flex gap-4">
+                  {event.song.imageUrl ? (
+                    <img src={event.song.imageUrl} alt={event.song.album} className="w-14 h-14 rounded-lg object-cover" />
+                  ) : (
+                    <div className="w-14 h-14 bg-gradient-to-br from-purple-400 to-pink-400 rounded-lg flex items-center justify-center">
+                      <Music2 className="w-6 h-6 text-white" />
+                    </div>
+                  )}
+                  <div className="flex-1 min-w-0">
+                    <p className="text-gray-700">
+                      <Link href={`/u/${event.user.username}`} className="font-semibold text-gray-900 hover:text-purple-600">
+                        {event.user.username}
+                      </Link>
+                      {' '}
+                      <Icon className={`w-4 h-4 inline ${color}`} />
+                      {' '}{text}{' '}
+                      <span className="font-medium">{event.song.title}</span>
+                    </p>
+                    {event.review && (
+                      <p className="text-sm text-gray-600 mt-1 line-clamp-3">{event.review}</p>
+                    )}
+                    <p className="text-xs text-gray-500 mt-1">{new Date(event.createdAt).toLocaleString()}</p>
+                  </div>
+                </div>
+              );
+            })}
+
+            {hasMore && (
+              <div className="text-center pt-4">
+                <button
+                  onClick={() => fetchFeed(nextBefore)}
+                  disabled={loadingMore}
+                  className="px-6 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-lg transition-colors disabled:opacity-50"
+                >
+                  {loadingMore ? 'Loading...' : 'Load More'}
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,11 +1,30 @@
 'use client';
 
 import LikeButton from '@/components/LikeButton';
+import RatingStars from '@/components/RatingStars';
+import ReviewSection from '@/components/ReviewSection';
+import SongFilters from '@/components/SongFilters';
 import React, { useState, useEffect } from 'react';
-import { Star, Play, User, Search, Filter, TrendingUp, Loader, LogIn, LogOut, Music2, ChevronRight } from 'lucide-react';
+import { Star, Play, Search, Filter, TrendingUp, Loader, LogIn, LogOut, Music2, ChevronRight, ListMusic, Users, EyeOff } from 'lucide-react';
 import { useSession, signOut } from 'next-auth/react';
 import Link from 'next/link';
 
+// /api/songs filter params as the filter sidebar edits them
+const EMPTY_FILTERS = {
+  genre: [], mood: [], tag: [], releaseType: [],
+  yearMin: '', yearMax: '', tempoMin: '', tempoMax: '', energyMin: '', energyMax: '',
+  explicit: '', isOfficial: '', liked: false
+};
+
+const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest' },
+  { value: 'popularity', label: 'Most popular' },
+  { value: 'plays', label: 'Most played' },
+  { value: 'rating', label: 'Top rated' },
+  { value: 'year', label: 'Release year' },
+  { value: 'title', label: 'Title (A–Z)' }
+];
+
 const UziRecommender = () => {
   const { data: session, status } = useSession();
   const [songs, setSongs] = useState([]);
@@ -18,6 +37,9 @@ const UziRecommender = () => {
   const [hasMore, setHasMore] = useState(true);
   const [loadingMore, setLoadingMore] = useState(false);
   const [forYouRecommendations, setForYouRecommendations] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [sort, setSort] = useState("newest");
+  const [facets, setFacets] = useState(null);
 
   useEffect(() => {
     if (activeTab === "forYou") {
@@ -25,7 +47,20 @@ const UziRecommender = () => {
     } else {
       fetchSongs(true);
     }
-  }, [searchTerm, activeTab]);
+  }, [searchTerm, activeTab, filters, sort]);
+
+  // Search, sort and the filters that are set, as /api/songs params
+  const songQueryParams = (limit, offset) => {
+    const params = new URLSearchParams({ search: searchTerm, limit, offset, sort });
+    for (const [name, value] of Object.entries(filters)) {
+      if (Array.isArray(value)) {
+        if (value.length > 0) params.set(name, value.join(','));
+      } else if (value) {
+        params.set(name, value);
+      }
+    }
+    return params;
+  };
 
   const fetchSongs = async (reset = false) => {
     try {
@@ -39,12 +74,13 @@ const UziRecommender = () => {
       const offset = reset ? 0 : (currentPage + 1) * 20;
       const limit = activeTab === "discover" ? 6 : 20;
 
-      const response = await fetch(`/api/songs?search=${encodeURIComponent(searchTerm)}&limit=${limit}&offset=${offset}`);
+      const response = await fetch(`/api/songs?${songQueryParams(limit, offset)}`);
       const data = await response.json();
 
       if (data.success) {
         if (reset) {
           setSongs(data.songs);
+          setFacets(data.facets);
           setCurrentPage(0);
         } else {
           setSongs(prev => [...prev, ...data.songs]);
@@ -90,6 +126,23 @@ const UziRecommender = () => {
     }
   };
 
+  const dismissRecommendation = async (songId) => {
+    try {
+      const response = await fetch('/api/interactions', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ songId, interactionType: 'not_interested', metadata: { source: 'for-you' } })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setForYouRecommendations(prev => prev.filter(rec => rec.id !== songId));
+      }
+    } catch (error) {
+      console.error('Error dismissing recommendation:', error);
+    }
+  };
+
   const loadMore = () => {
     if (hasMore && !loadingMore) {
       fetchSongs(false);
@@ -135,7 +188,15 @@ const UziRecommender = () => {
 
     return (
       <div className="flex items-center gap-3">
-        <span className="text-gray-700">Welcome, {session.user.username}!</span>
+        <Link href={`/u/${session.user.username}`} className="text-gray-700 hover:text-purple-600">Welcome, {session.user.username}!</Link>
+        <Link href="/feed" className="flex items-center gap-2 px-4 py-2 text-purple-600 hover:text-purple-700 font-medium">
+          <Users className="w-4 h-4" />
+          Feed
+        </Link>
+        <Link href="/playlists" className="flex items-center gap-2 px-4 py-2 text-purple-600 hover:text-purple-700 font-medium">
+          <ListMusic className="w-4 h-4" />
+          Playlists
+        </Link>
         <button onClick={() => signOut({ callbackUrl: '/' })} className="flex items-center gap-2 px-4 py-2 text-gray-600 hover:text-gray-800 font-medium">
           <LogOut className="w-4 h-4" />
           Sign Out
@@ -144,17 +205,23 @@ const UziRecommender = () => {
     );
   };
 
-  const formatExplanation = (basedOn, sources) => {
+  const formatExplanation = (basedOn, sources, friends, explanation) => {
+    if (sources?.includes('social')) {
+      return friends?.length > 0 ? `Liked by ${friends.join(', ')}` : 'Liked by people you follow';
+    }
+    const seed = explanation?.seeds?.[0];
+    if (seed?.title) return `Because you liked ${seed.title}`;
     if (basedOn === 'co-liked by similar users' || sources?.includes('collaborative')) {
       return 'Listeners with similar taste liked this';
     }
+    if (sources?.includes('matrix-factorization')) return 'Matches your listening patterns';
     if (sources?.includes('content-based')) return 'Similar to songs you like';
     if (sources?.includes('cold-start') || sources?.includes('popularity')) return 'Popular among fans';
     if (basedOn) return basedOn;
     return null;
   };
 
-  const SongCard = ({ song }) => (
+  const SongCard = ({ song, onDismiss }) => (
     <div className="bg-white rounded-xl shadow-lg hover:shadow-xl transition-all duration-300 overflow-hidden border border-gray-100">
       {/* Album Artwork */}
       {song.imageUrl ? (
@@ -179,7 +246,7 @@ const UziRecommender = () => {
             <p className="text-purple-600 font-medium">{song.album} ({song.year})</p>
             {song.sources?.length > 0 && (
               <p className="text-xs text-indigo-500 mt-1 italic">
-                {formatExplanation(song.basedOn, song.sources)}
+                {formatExplanation(song.basedOn, song.sources, song.friends, song.explanation)}
               </p>
             )}
             <div className="flex flex-wrap gap-2 mt-2">
@@ -191,12 +258,12 @@ const UziRecommender = () => {
         </div>
 
         <div className="flex items-center mb-4">
-          <div className="flex items-center">
-            {[...Array(5)].map((_, i) => (
-              <Star key={i} className={`w-4 h-4 ${i < Math.round(song.avgRating) ? 'fill-yellow-400 text-yellow-400' : 'text-gray-300'}`} />
-            ))}
-            <span className="ml-2 text-gray-600 text-sm">{song.avgRating} ({song.totalRatings} reviews)</span>
-          </div>
+          <RatingStars
+            songId={song.id}
+            initialRating={song.userRating}
+            avgRating={song.avgRating}
+            totalRatings={song.totalRatings}
+          />
         </div>
 
         <div className="flex flex-wrap gap-2 mb-4">
@@ -223,6 +290,13 @@ const UziRecommender = () => {
         <button onClick={() => handleSongSelect(song)} className="w-full bg-purple-500 hover:bg-purple-600 text-white px-4 py-2 rounded-lg transition-colors">
           View Details & Reviews
         </button>
+
+        {onDismiss && (
+          <button onClick={() => onDismiss(song.id)} className="w-full mt-2 flex items-center justify-center gap-2 text-sm text-gray-500 hover:text-gray-700 px-4 py-2 rounded-lg transition-colors">
+            <EyeOff className="w-4 h-4" />
+            Not interested
+          </button>
+        )}
       </div>
     </div>
   );
@@ -283,28 +357,7 @@ const UziRecommender = () => {
           </div>
 
           <div className="p-6 border-t border-gray-200">
-            <h3 className="text-xl font-semibold mb-4">Reviews ({song.reviews?.length || 0})</h3>
-            <div className="space-y-4 max-h-64 overflow-y-auto">
-              {song.reviews?.map(review => (
-                <div key={review.id} className="p-4 border border-gray-200 rounded-lg">
-                  <div className="flex justify-between items-start mb-2">
-                    <div className="flex items-center gap-2">
-                      <User className="w-4 h-4 text-gray-500" />
-                      <span className="font-medium">{review.username}</span>
-                    </div>
-                    <div className="flex items-center gap-2">
-                      <div className="flex">
-                        {[...Array(5)].map((_, i) => (
-                          <Star key={i} className={`w-4 h-4 ${i < (review.rating || 0) ? 'fill-yellow-400 text-yellow-400' : 'text-gray-300'}`} />
-                        ))}
-                      </div>
-                      <span className="text-sm text-gray-500">{review.date}</span>
-                    </div>
-                  </div>
-                  <p className="text-gray-700">{review.review}</p>
-                </div>
-              )) || <p className="text-gray-500 text-center py-4">No reviews yet.</p>}
-            </div>
+            <ReviewSection songId={song.id} />
           </div>
         </div>
       </div>
@@ -384,75 +437,87 @@ const UziRecommender = () => {
           </div>
 
           {activeTab !== "forYou" && (
-            <div className="max-w-md mx-auto">
-              <div className="relative">
+            <div className="max-w-xl mx-auto flex gap-2">
+              <div className="relative flex-1">
                 <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
                 <input type="text" placeholder="Search songs or albums..." value={searchTerm} onChange={(e) => setSearchTerm(e.target.value)} className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent" />
               </div>
+              <select value={sort} onChange={(e) => setSort(e.target.value)} className="px-3 py-2 border border-gray-300 rounded-lg bg-white text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent" aria-label="Sort songs">
+                {SORT_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+              </select>
             </div>
           )}
         </div>
 
-        {loading ? (
-          <div className="flex justify-center items-center py-12">
-            <Loader className="w-8 h-8 animate-spin text-purple-600" />
-            <span className="ml-2 text-gray-600">Loading songs...</span>
-          </div>
-        ) : activeTab === "forYou" ? (
-          !session ? (
-            <div className="text-center py-12 bg-white rounded-xl shadow-lg p-8 max-w-md mx-auto">
-              <Star className="w-16 h-16 text-purple-400 mx-auto mb-4" />
-              <h3 className="text-2xl font-bold text-gray-900 mb-2">Sign in for Personalized Recommendations</h3>
-              <p className="text-gray-600 mb-6">Like songs to get AI-powered recommendations tailored just for you!</p>
-              <Link href="/auth/signin" className="inline-flex items-center gap-2 px-6 py-3 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors font-medium">
-                <LogIn className="w-4 h-4" />
-                Sign In
-              </Link>
-            </div>
-          ) : forYouRecommendations.length === 0 ? (
-            <div className="text-center py-12 bg-white rounded-xl shadow-lg p-8 max-w-md mx-auto">
-              <Star className="w-16 h-16 text-purple-400 mx-auto mb-4" />
-              <h3 className="text-2xl font-bold text-gray-900 mb-2">No Recommendations Yet</h3>
-              <p className="text-gray-600 mb-6">Start liking songs to get personalized AI recommendations based on your taste!</p>
-              <button onClick={() => setActiveTab("discover")} className="inline-flex items-center gap-2 px-6 py-3 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors font-medium">
-                Discover Songs
-              </button>
+        <div className={activeTab !== "forYou" ? "lg:flex lg:items-start gap-6" : ""}>
+          {activeTab !== "forYou" && (
+            <div className="lg:w-64 flex-shrink-0 mb-6 lg:mb-0">
+              <SongFilters facets={facets} filters={filters} onChange={setFilters} onClear={() => setFilters(EMPTY_FILTERS)} signedIn={!!session} />
             </div>
-          ) : (
-            <>
-              <div className="text-center mb-8">
-                <h2 className="text-2xl font-bold text-gray-900 mb-2">Personalized For You</h2>
-                <p className="text-gray-600">AI-powered recommendations based on your liked songs</p>
+          )}
+          <div className="flex-1 min-w-0">
+            {loading ? (
+              <div className="flex justify-center items-center py-12">
+                <Loader className="w-8 h-8 animate-spin text-purple-600" />
+                <span className="ml-2 text-gray-600">Loading songs...</span>
               </div>
-              <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
-                {forYouRecommendations.map(song => <SongCard key={song.id} song={song} />)}
+            ) : activeTab === "forYou" ? (
+              !session ? (
+                <div className="text-center py-12 bg-white rounded-xl shadow-lg p-8 max-w-md mx-auto">
+                  <Star className="w-16 h-16 text-purple-400 mx-auto mb-4" />
+                  <h3 className="text-2xl font-bold text-gray-900 mb-2">Sign in for Personalized Recommendations</h3>
+                  <p className="text-gray-600 mb-6">Like songs to get AI-powered recommendations tailored just for you!</p>
+                  <Link href="/auth/signin" className="inline-flex items-center gap-2 px-6 py-3 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors font-medium">
+                    <LogIn className="w-4 h-4" />
+                    Sign In
+                  </Link>
+                </div>
+              ) : forYouRecommendations.length === 0 ? (
+                <div className="text-center py-12 bg-white rounded-xl shadow-lg p-8 max-w-md mx-auto">
+                  <Star className="w-16 h-16 text-purple-400 mx-auto mb-4" />
+                  <h3 className="text-2xl font-bold text-gray-900 mb-2">No Recommendations Yet</h3>
+                  <p className="text-gray-600 mb-6">Start liking songs to get personalized AI recommendations based on your taste!</p>
+                  <button onClick={() => setActiveTab("discover")} className="inline-flex items-center gap-2 px-6 py-3 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors font-medium">
+                    Discover Songs
+                  </button>
+                </div>
+              ) : (
+                <>
+                  <div className="text-center mb-8">
+                    <h2 className="text-2xl font-bold text-gray-900 mb-2">Personalized For You</h2>
+                    <p className="text-gray-600">AI-powered recommendations based on your liked songs</p>
+                  </div>
+                  <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
+                    {forYouRecommendations.map(song => <SongCard key={song.id} song={song} onDismiss={dismissRecommendation} />)}
+                  </div>
+                </>
+              )
+            ) : songs.length === 0 ? (
+              <div className="text-center py-12">
+                <p className="text-gray-500 text-lg">No songs found matching your search and filters.</p>
               </div>
-            </>
-          )
-        ) : songs.length === 0 ? (
-          <div className="text-center py-12">
-            <p className="text-gray-500 text-lg">No songs found matching your search.</p>
-          </div>
-        ) : (
-          <>
-            <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
-              {songs.map(song => <SongCard key={song.id} song={song} />)}
-            </div>
+            ) : (
+              <>
+                <div className="grid md:grid-cols-2 xl:grid-cols-3 gap-6">
+                  {songs.map(song => <SongCard key={song.id} song={song} />)}
+                </div>
 
-            {hasMore && activeTab === "all" && (
-              <div className="text-center mt-8">
-                <button onClick={loadMore} disabled={loadingMore} className="px-6 py-3 bg-purple-600 hover:bg-purple-700 text-white rounded-lg font-medium transition-colors disabled:opacity-50">
-                  {loadingMore ? (
-                    <div className="flex items-center gap-2">
-                      <Loader className="w-4 h-4 animate-spin" />
-                      Loading more...
-                    </div>
-                  ) : 'Load More Songs'}
-                </button>
-              </div>
+                {hasMore && activeTab === "all" && (
+                  <div className="text-center mt-8">
+                    <button onClick={loadMore} disabled={loadingMore} className="px-6 py-3 bg-purple-600 hover:bg-purple-700 text-white rounded-lg font-medium transition-colors disabled:opacity-50">
+                      {loadingMore ? (
+                        <div className="flex items-center gap-2">
+                          <Loader className="w-4 h-4 animate-spin" />
+                          Loading more...
+                        </div>
+                      ) : 'Load More Songs'}
+                    </button>
+                  </div>
+                )}
+              </>
             )}
-          </>
-        )}
+          </div>
+        </div>
 
         {selectedSong && <SongDetailModal song={selectedSong} onClose={() => setSelectedSong(null)} />}
       </div>
@@ -0,0 +1,334 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { useParams, useRouter } from 'next/navigation';
+import { ArrowLeft, ArrowUp, ArrowDown, Trash2, Plus, Search, Loader, Music2, Clock, Pencil, Check, X } from 'lucide-react';
+import Link from 'next/link';
+
+export default function PlaylistDetailPage() {
+  const params = useParams();
+  const router = useRouter();
+  const playlistId = params.id;
+
+  const [playlist, setPlaylist] = useState(null);
+  const [isOwner, setIsOwner] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [editingName, setEditingName] = useState(false);
+  const [nameDraft, setNameDraft] = useState('');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+
+  const fetchPlaylist = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/playlists/${playlistId}`);
+      const data = await response.json();
+
+      if (data.success) {
+        setPlaylist(data.playlist);
+        setIsOwner(data.isOwner);
+      } else {
+        setError(data.error || 'Failed to load playlist');
+      }
+    } catch (error) {
+      console.error('Error fetching playlist:', error);
+      setError('Failed to load playlist');
+    } finally {
+      setLoading(false);
+    }
+  }, [playlistId]);
+
+  useEffect(() => {
+    if (playlistId) {
+      fetchPlaylist();
+    }
+  }, [playlistId, fetchPlaylist]);
+
+  useEffect(() => {
+    if (!isOwner || searchTerm.trim().length < 2) {
+      setSearchResults([]);
+      return;
+    }
+
+    const timeout = setTimeout(async () => {
+      try {
+        const response = await fetch(`/api/songs?search=${encodeURIComponent(searchTerm)}&limit=8`);
+        const data = await response.json();
+        if (data.success) {
+          setSearchResults(data.songs);
+        }
+      } catch (error) {
+        console.error('Error searching songs:', error);
+      }
+    }, 300);
+
+    return () => clearTimeout(timeout);
+  }, [searchTerm, isOwner]);
+
+  const updatePlaylist = async (changes) => {
+    setSaving(true);
+    try {
+      const response = await fetch(`/api/playlists/${playlistId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setPlaylist(data.playlist);
+      } else {
+        alert(data.error || 'Failed to update playlist');
+      }
+    } catch (error) {
+      console.error('Error updating playlist:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRename = async () => {
+    if (!nameDraft.trim()) return;
+    await updatePlaylist({ name: nameDraft });
+    setEditingName(false);
+  };
+
+  const handleMove = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= playlist.songs.length) return;
+
+    const songIds = playlist.songs.map(s => s.id);
+    [songIds[index], songIds[target]] = [songIds[target], songIds[index]];
+    updatePlaylist({ songIds });
+  };
+
+  const handleAdd = async (songId) => {
+    setSaving(true);
+    try {
+      const response = await fetch(`/api/playlists/${playlistId}/songs`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ songId })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        await fetchPlaylist();
+      } else {
+        alert(data.error || 'Failed to add song');
+      }
+    } catch (error) {
+      console.error('Error adding song:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (songId) => {
+    setSaving(true);
+    try {
+      const response = await fetch(`/api/playlists/${playlistId}/songs?songId=${songId}`, { method: 'DELETE' });
+      const data = await response.json();
+
+      if (data.success) {
+        await fetchPlaylist();
+      }
+    } catch (error) {
+      console.error('Error removing song:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!confirm(`Delete "${playlist.name}"? This cannot be undone.`)) return;
+
+    try {
+      const response = await fetch(`/api/playlists/${playlistId}`, { method: 'DELETE' });
+      const data = await response.json();
+
+      if (data.success) {
+        router.push('/playlists');
+      }
+    } catch (error) {
+      console.error('Error deleting playlist:', error);
+    }
+  };
+
+  const formatDuration = (seconds) => {
+    if (!seconds) return '--:--';
+    const minutes = Math.floor(seconds / 60);
+    const remainingSeconds = seconds % 60;
+    return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-purple-50 to-pink-50 flex items-center justify-center">
+        <Loader className="w-8 h-8 animate-spin text-purple-600" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-purple-50 to-pink-50">
+        <div className="container mx-auto px-4 py-8">
+          <Link href="/playlists" className="inline-flex items-center gap-2 text-purple-600 hover:text-purple-700 mb-8">
+            <ArrowLeft className="w-4 h-4" />
+            Back to Playlists
+          </Link>
+          <div className="text-center py-12">
+            <p className="text-red-600 text-lg">{error}</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const inPlaylist = new Set(playlist.songs.map(s => s.id));
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 to-pink-50">
+      <div className="container mx-auto px-4 py-8">
+        <Link href="/playlists" className="inline-flex items-center gap-2 text-purple-600 hover:text-purple-700 mb-8">
+          <ArrowLeft className="w-4 h-4" />
+          Back to Playlists
+        </Link>
+
+        <div className="bg-white rounded-xl shadow-lg p-8 mb-8">
+          <div className="flex flex-col md:flex-row gap-6 md:items-end justify-between">
+            <div className="flex-1">
+              {editingName ? (
+                <div className="flex items-center gap-2 mb-2">
+                  <input
+                    type="text"
+                    value={nameDraft}
+                    onChange={(e) => setNameDraft(e.target.value)}
+                    className="flex-1 text-2xl font-bold px-3 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
+                  />
+                  <button onClick={handleRename} className="p-2 text-green-600 hover:bg-green-50 rounded-lg" title="Save">
+                    <Check className="w-5 h-5" />
+                  </button>
+                  <button onClick={() => setEditingName(false)} className="p-2 text-gray-500 hover:bg-gray-50 rounded-lg" title="Cancel">
+                    <X className="w-5 h-5" />
+                  </button>
+                </div>
+              ) : (
+                <div className="flex items-center gap-3 mb-2">
+                  <h1 className="text-3xl font-bold text-gray-900">{playlist.name}</h1>
+                  {isOwner && (
+                    <button onClick={() => { setNameDraft(playlist.name); setEditingName(true); }} className="p-1 text-gray-400 hover:text-purple-600" title="Rename">
+                      <Pencil className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              )}
+              {playlist.owner && <p className="text-gray-600">by {playlist.owner.username}</p>}
+              <p className="text-gray-600">
+                {playlist.songCount} songs • {formatDuration(playlist.totalDuration)}
+              </p>
+            </div>
+
+            {isOwner && (
+              <div className="flex gap-3">
+                <button
+                  onClick={() => updatePlaylist({ isPublic: !playlist.isPublic })}
+                  disabled={saving}
+                  className="px-4 py-2 border border-purple-500 text-purple-600 hover:bg-purple-50 rounded-lg transition-colors disabled:opacity-50"
+                >
+                  {playlist.isPublic ? 'Make Private' : 'Make Public'}
+                </button>
+                <button onClick={handleDelete} className="flex items-center gap-2 px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded-lg transition-colors">
+                  <Trash2 className="w-4 h-4" />
+                  Delete
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {isOwner && (
+          <div className="bg-white rounded-xl shadow-lg p-6 mb-8">
+            <div className="relative">
+              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
+              <input
+                type="text"
+                placeholder="Search songs to add..."
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              />
+            </div>
+            {searchResults.length > 0 && (
+              <div className="mt-4 divide-y divide-gray-100">
+                {searchResults.map(song => (
+                  <div key={song.id} className="flex items-center justify-between py-2">
+                    <div>
+                      <p className="font-medium text-gray-900">{song.title}</p>
+                      <p className="text-sm text-gray-500">{song.album}</p>
+                    </div>
+                    <button
+                      onClick={() => handleAdd(song.id)}
+                      disabled={saving || inPlaylist.has(song.id)}
+                      className="flex items-center gap-1 px-3 py-1.5 text-sm bg-purple-500 hover:bg-purple-600 text-white rounded-lg transition-colors disabled:opacity-50"
+                    >
+                      <Plus className="w-4 h-4" />
+                      {inPlaylist.has(song.id) ? 'Added' : 'Add'}
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="bg-white rounded-xl shadow-lg overflow-hidden">
+          {playlist.songs.length === 0 ? (
+            <div className="text-center py-12">
+              <Music2 className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+              <p className="text-gray-500">This playlist is empty.</p>
+            </div>
+          ) : (
+            <div className="divide-y divide-gray-100">
+              {playlist.songs.map((song, index) => (
+                <div key={song.id} className="flex items-center gap-4 p-4 hover:bg-gray-50 transition-colors">
+                  <div className="w-8 text-center text-gray-500 font-medium flex-shrink-0">{index + 1}</div>
+                  {song.imageUrl ? (
+                    <img src={song.imageUrl} alt={song.title} className="w-12 h-12 rounded object-cover flex-shrink-0" />
+                  ) : (
+                    <div className="w-12 h-12 bg-gradient-to-br from-purple-400 to-pink-400 rounded flex items-center justify-center flex-shrink-0">
+                      <Music2 className="w-6 h-6 text-white" />
+                    </div>
+                  )}
+                  <div className="flex-1 min-w-0">
+                    <h3 className="font-semibold text-gray-900 truncate">{song.title}</h3>
+                    <p className="text-sm text-gray-500 truncate">{song.album}</p>
+                  </div>
+                  <div className="hidden sm:block text-sm text-gray-500 flex-shrink-0">
+                    <Clock className="w-4 h-4 inline mr-1" />
+                    {formatDuration(song.duration)}
+                  </div>
+                  {isOwner && (
+                    <div className="flex items-center gap-1 flex-shrink-0">
+                      <button onClick={() => handleMove(index, -1)} disabled={saving || index === 0} className="p-2 text-gray-500 hover:text-purple-600 disabled:opacity-30" title="Move up">
+                        <ArrowUp className="w-4 h-4" />
+                      </button>
+                      <button onClick={() => handleMove(index, 1)} disabled={saving || index === playlist.songs.length - 1} className="p-2 text-gray-500 hover:text-purple-600 disabled:opacity-30" title="Move down">
+                        <ArrowDown className="w-4 h-4" />
+                      </button>
+                      <button onClick={() => handleRemove(song.id)} disabled={saving} className="p-2 text-red-500 hover:bg-red-50 rounded-lg disabled:opacity-30" title="Remove">
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,160 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useSession } from 'next-auth/react';
+import { useRouter } from 'next/navigation';
+import { ListMusic, ArrowLeft, Loader, Music2, Plus, Lock, Globe } from 'lucide-react';
+import Link from 'next/link';
+
+export default function PlaylistsPage() {
+  const { status } = useSession();
+  const router = useRouter();
+  const [playlists, setPlaylists] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [name, setName] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (status === 'unauthenticated') {
+      router.push('/auth/signin');
+    } else if (status === 'authenticated') {
+      fetchPlaylists();
+    }
+  }, [status, router]);
+
+  const fetchPlaylists = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch('/api/playlists');
+      const data = await response.json();
+
+      if (data.success) {
+        setPlaylists(data.playlists);
+      }
+    } catch (error) {
+      console.error('Error fetching playlists:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+
+    setCreating(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/playlists', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        router.push(`/playlists/${data.playlist.id}`);
+      } else {
+        setError(data.error || 'Failed to create playlist');
+      }
+    } catch (error) {
+      console.error('Error creating playlist:', error);
+      setError('Failed to create playlist');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const formatDuration = (seconds) => {
+    const minutes = Math.floor((seconds || 0) / 60);
+    return `${minutes} min`;
+  };
+
+  if (status === 'loading' || loading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-purple-50 to-pink-50 flex items-center justify-center">
+        <Loader className="w-8 h-8 animate-spin text-purple-600" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 to-pink-50">
+      <div className="container mx-auto px-4 py-8">
+        <Link href="/" className="inline-flex items-center gap-2 text-purple-600 hover:text-purple-700 mb-6">
+          <ArrowLeft className="w-4 h-4" />
+          Back to Home
+        </Link>
+
+        <div className="mb-8">
+          <div className="flex items-center gap-3 mb-2">
+            <ListMusic className="w-8 h-8 text-purple-600" />
+            <h1 className="text-4xl font-bold text-gray-900">My Playlists</h1>
+          </div>
+          <p className="text-gray-600 text-lg">{playlists.length} playlists</p>
+        </div>
+
+        <form onSubmit={handleCreate} className="bg-white rounded-xl shadow-lg p-6 mb-8 flex flex-col sm:flex-row gap-3">
+          <input
+            type="text"
+            placeholder="New playlist name..."
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          />
+          <button
+            type="submit"
+            disabled={creating || !name.trim()}
+            className="flex items-center justify-center gap-2 px-6 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-lg transition-colors disabled:opacity-50"
+          >
+            {creating ? <Loader className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+            Create Playlist
+          </button>
+        </form>
+        {error && <p className="text-red-600 mb-6">{error}</p>}
+
+        {playlists.length === 0 ? (
+          <div className="text-center py-12">
+            <ListMusic className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+            <h2 className="text-2xl font-bold text-gray-700 mb-2">No playlists yet</h2>
+            <p className="text-gray-500">Create one above and start adding songs.</p>
+          </div>
+        ) : (
+          <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {playlists.map(playlist => (
+              <Link key={playlist.id} href={`/playlists/${playlist.id}`} className="group">
+                <div className="bg-white rounded-xl shadow-lg hover:shadow-xl transition-all duration-300 p-6 border border-gray-100 flex gap-4">
+                  {playlist.imageUrl ? (
+                    <img src={playlist.imageUrl} alt={playlist.name} className="w-20 h-20 rounded-lg object-cover" />
+                  ) : (
+                    <div className="w-20 h-20 bg-gradient-to-br from-purple-400 to-pink-400 rounded-lg flex items-center justify-center">
+                      <Music2 className="w-8 h-8 text-white" />
+                    </div>
+                  )}
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-start justify-between gap-2">
+                      <h3 className="font-bold text-lg text-gray-900 group-hover:text-purple-600 transition-colors truncate">{playlist.name}</h3>
+                      {playlist.isPublic ? (
+                        <Globe className="w-4 h-4 text-gray-400 flex-shrink-0" title="Public" />
+                      ) : (
+                        <Lock className="w-4 h-4 text-gray-400 flex-shrink-0" title="Private" />
+                      )}
+                    </div>
+                    <p className="text-sm text-gray-600">
+                      {playlist.songCount} songs • {formatDuration(playlist.totalDuration)}
+                    </p>
+                    {playlist.description && (
+                      <p className="text-sm text-gray-500 mt-1 truncate">{playlist.description}</p>
+                    )}
+                  </div>
+                </div>
+              </Link>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,242 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useParams, useRouter } from 'next/navigation';
+import { useSession } from 'next-auth/react';
+import { ArrowLeft, Loader, Music2, Heart, ListMusic, MessageSquare, Star, User, UserPlus, UserCheck } from 'lucide-react';
+import Link from 'next/link';
+
+export default function ProfilePage() {
+  const params = useParams();
+  const router = useRouter();
+  const { data: session } = useSession();
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [notFound, setNotFound] = useState(false);
+  const [activeTab, setActiveTab] = useState('likes');
+  const [following, setFollowing] = useState(false);
+
+  useEffect(() => {
+    if (params.username) {
+      fetchProfile();
+    }
+  }, [params.username]);
+
+  const fetchProfile = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch(`/api/users/${params.username}`);
+      const data = await response.json();
+
+      if (data.success) {
+        setProfile(data.profile);
+      } else {
+        setNotFound(true);
+      }
+    } catch (error) {
+      console.error('Error fetching profile:', error);
+      setNotFound(true);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFollow = async () => {
+    if (!session) {
+      router.push('/auth/signin');
+      return;
+    }
+
+    setFollowing(true);
+
+    try {
+      const response = await fetch(`/api/users/${params.username}/follow`, {
+        method: profile.isFollowing ? 'DELETE' : 'POST'
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setProfile(prev => ({
+          ...prev,
+          isFollowing: data.isFollowing,
+          followersCount: data.followersCount
+        }));
+      }
+    } catch (error) {
+      console.error('Follow error:', error);
+    } finally {
+      setFollowing(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-purple-50 to-pink-50 flex items-center justify-center">
+        <Loader className="w-8 h-8 animate-spin text-purple-600" />
+      </div>
+    );
+  }
+
+  if (notFound || !profile) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-purple-50 to-pink-50 flex items-center justify-center">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold text-gray-900 mb-4">User not found</h1>
+          <Link href="/" className="text-purple-600 hover:text-purple-700">
+            ← Back to Home
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const tabs = [
+    { id: 'likes', label: 'Likes', icon: Heart, count: profile.likes.length },
+    { id: 'playlists', label: 'Playlists', icon: ListMusic, count: profile.playlists.length },
+    { id: 'reviews', label: 'Reviews', icon: MessageSquare, count: profile.reviewCount }
+  ];
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 to-pink-50">
+      <div className="container mx-auto px-4 py-8">
+        <Link href="/" className="inline-flex items-center gap-2 text-purple-600 hover:text-purple-700 mb-6">
+          <ArrowLeft className="w-4 h-4" />
+          Back to Home
+        </Link>
+
+        <div className="bg-white rounded-xl shadow-lg p-6 mb-8 flex flex-col md:flex-row md:items-center gap-6">
+          {profile.avatarUrl ? (
+            <img src={profile.avatarUrl} alt={profile.username} className="w-24 h-24 rounded-full object-cover" />
+          ) : (
+            <div className="w-24 h-24 bg-gradient-to-br from-purple-400 to-pink-400 rounded-full flex items-center justify-center">
+              <User className="w-10 h-10 text-white" />
+            </div>
+          )}
+
+          <div className="flex-1">
+            <h1 className="text-3xl font-bold text-gray-900">{profile.username}</h1>
+            {profile.bio && <p className="text-gray-600 mt-1">{profile.bio}</p>}
+            <div className="flex flex-wrap gap-4 mt-3 text-sm text-gray-600">
+              <span><span className="font-semibold text-gray-900">{profile.followersCount}</span> followers</span>
+              <span><span className="font-semibold text-gray-900">{profile.followingCount}</span> following</span>
+              <span><span className="font-semibold text-gray-900">{profile.reviewCount}</span> reviews</span>
+              <span>Member since {new Date(profile.createdAt).toLocaleDateString()}</span>
+            </div>
+          </div>
+
+          {!profile.isSelf && (
+            <button
+              onClick={handleFollow}
+              disabled={following}
+              className={`flex items-center gap-2 px-6 py-2 rounded-lg transition-colors disabled:opacity-50 ${
+                profile.isFollowing
+                  ? 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  : 'bg-purple-600 text-white hover:bg-purple-700'
+              }`}
+            >
+              {profile.isFollowing ? <UserCheck className="w-4 h-4" /> : <UserPlus className="w-4 h-4" />}
+              {profile.isFollowing ? 'Following' : 'Follow'}
+            </button>
+          )}
+        </div>
+
+        <div className="flex gap-2 mb-6">
+          {tabs.map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`flex items-center gap-2 px-4 py-2 rounded-lg font-medium transition-colors ${
+                activeTab === tab.id ? 'bg-purple-600 text-white' : 'bg-white text-gray-700 hover:bg-purple-50'
+              }`}
+            >
+              <tab.icon className="w-4 h-4" />
+              {tab.label} ({tab.count})
+            </button>
+          ))}
+        </div>
+
+        {activeTab === 'likes' && (
+          profile.likes.length === 0 ? (
+            <p className="text-gray-500 text-center py-12">No liked songs yet.</p>
+          ) : (
+            <div className="grid sm:grid-cols-2 lg:grid-cols-4 gap-4">
+              {profile.likes.map(song => (
+                <div key={song.id} className="bg-white rounded-xl shadow p-4 flex gap-3 items-center">
+                  {song.imageUrl ? (
+                    <img src={song.imageUrl} alt={song.album} className="w-14 h-14 rounded-lg object-cover" />
+                  ) : (
+                    <div className="w-14 h-14 bg-gradient-to-br from-purple-400 to-pink-400 rounded-lg flex items-center justify-center">
+                      <Music2 className="w-6 h-6 text-white" />
+                    </div>
+                  )}
+                  <div className="min-w-0">
+                    <h3 className="font-semibold text-gray-900 truncate">{song.title}</h3>
+                    <p className="text-sm text-gray-600 truncate">{song.album}</p>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )
+        )}
+
+        {activeTab === 'playlists' && (
+          profile.playlists.length === 0 ? (
+            <p className="text-gray-500 text-center py-12">No public playlists.</p>
+          ) : (
+            <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
+              {profile.playlists.map(playlist => (
+                <Link key={playlist.id} href={`/playlists/${playlist.id}`} className="group">
+                  <div className="bg-white rounded-xl shadow-lg hover:shadow-xl transition-all duration-300 p-6 border border-gray-100 flex gap-4">
+                    {playlist.imageUrl ? (
+                      <img src={playlist.imageUrl} alt={playlist.name} className="w-20 h-20 rounded-lg object-cover" />
+                    ) : (
+                      <div className="w-20 h-20 bg-gradient-to-br from-purple-400 to-pink-400 rounded-lg flex items-center justify-center">
+                        <Music2 className="w-8 h-8 text-white" />
+                      </div>
+                    )}
+                    <div className="flex-1 min-w-0">
+                      <h3 className="font-bold text-lg text-gray-900 group-hover:text-purple-600 transition-colors truncate">{playlist.name}</h3>
+                      <p className="text-sm text-gray-600">{playlist.songCount} songs</p>
+                      {playlist.description && (
+                        <p className="text-sm text-gray-500 mt-1 truncate">{playlist.description}</p>
+                      )}
+                    </div>
+                  </div>
+                </Link>
+              ))}
+            </div>
+          )
+        )}
+
+        {activeTab === 'reviews' && (
+          profile.reviews.length === 0 ? (
+            <p className="text-gray-500 text-center py-12">No reviews yet.</p>
+          ) : (
+            <div className="space-y-4">
+              {profile.reviews.map(review => (
+                <div key={review.id} className="bg-white rounded-xl shadow p-4">
+                  <div className="flex justify-between items-start mb-2">
+                    <div>
+                      <h3 className="font-semibold text-gray-900">{review.song.title}</h3>
+                      <p className="text-sm text-gray-600">{review.song.album}</p>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <div className="flex">
+                        {[...Array(5)].map((_, i) => (
+                          <Star key={i} className={`w-4 h-4 ${i < (review.rating || 0) ? 'fill-yellow-400 text-yellow-400' : 'text-gray-300'}`} />
+                        ))}
+                      </div>
+                      <span className="text-sm text-gray-500">{new Date(review.createdAt).toLocaleDateString()}</span>
+                    </div>
+                  </div>
+                  <p className="text-gray-700 whitespace-pre-line">{review.review}</p>
+                  <p className="text-xs text-gray-500 mt-2">{review.helpfulCount} found this helpful</p>
+                </div>
+              ))}
+            </div>
+          )
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+'use client';
+
+import { useState } from 'react';
+import { Star } from 'lucide-react';
+import { useSession } from 'next-auth/react';
+
+export default function RatingStars({
+  songId,
+  initialRating = null,
+  avgRating = 0,
+  totalRatings = 0,
+  size = 'md',
+  showSummary = true
+}) {
+  const { data: session } = useSession();
+  const [userRating, setUserRating] = useState(initialRating);
+  const [summary, setSummary] = useState({ avgRating, totalRatings });
+  const [hovered, setHovered] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const sizes = {
+    sm: 'w-3 h-3',
+    md: 'w-4 h-4',
+    lg: 'w-5 h-5'
+  };
+
+  const handleRate = async (e, value) => {
+    e.stopPropagation();
+
+    if (!session) {
+      alert('Please sign in to rate songs');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      // Clicking your current rating again clears it
+      const clearing = value === userRating;
+      const response = await fetch(`/api/songs/${songId}/rating`, {
+        method: clearing ? 'DELETE' : 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: clearing ? undefined : JSON.stringify({ rating: value })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setUserRating(data.data.userRating);
+        setSummary({ avgRating: data.data.avgRating, totalRatings: data.data.totalRatings });
+      }
+    } catch (error) {
+      console.error('Rating error:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Show the user's own rating when they have one, otherwise the average
+  const displayed = hovered ?? userRating ?? Math.round(summary.avgRating || 0);
+
+  return (
+    <div className="flex items-center">
+      <div className={`flex ${loading ? 'opacity-50' : ''}`} onMouseLeave={() => setHovered(null)}>
+        {[1, 2, 3, 4, 5].map(value => (
+          <button
+            key={value}
+            type="button"
+            disabled={loading}
+            onClick={(e) => handleRate(e, value)}
+            onMouseEnter={() => setHovered(value)}
+            className="p-0.5 transition-transform hover:scale-110"
+            title={value === userRating ? 'Clear your rating' : `Rate ${value} star${value > 1 ? 's' : ''}`}
+          >
+            <Star
+              className={`${sizes[size]} ${
+                value <= displayed
+                  ? userRating || hovered ? 'fill-purple-500 text-purple-500' : 'fill-yellow-400 text-yellow-400'
+                  : 'text-gray-300'
+              }`}
+            />
+          </button>
+        ))}
+      </div>
+      {showSummary && (
+        <span className="ml-2 text-gray-600 text-sm">
+          {summary.avgRating ? summary.avgRating.toFixed(1) : '0.0'} ({summary.totalRatings} ratings)
+        </span>
+      )}
+    </div>
+  );
+}
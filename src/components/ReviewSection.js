@@ -0,0 +1,257 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { Star, User, ThumbsUp, EyeOff, Eye, Trash2, Pencil, Loader } from 'lucide-react';
+import { useSession } from 'next-auth/react';
+import Link from 'next/link';
+
+const MAX_REVIEW_LENGTH = 2000;
+
+export default function ReviewSection({ songId }) {
+  const { data: session } = useSession();
+  const [reviews, setReviews] = useState([]);
+  const [sort, setSort] = useState('newest');
+  const [canModerate, setCanModerate] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [draft, setDraft] = useState('');
+  const [editing, setEditing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchReviews = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/songs/${songId}/reviews?sort=${sort}`);
+      const data = await response.json();
+
+      if (data.success) {
+        setReviews(data.reviews);
+        setCanModerate(data.canModerate);
+      }
+    } catch (error) {
+      console.error('Error fetching reviews:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [songId, sort]);
+
+  useEffect(() => {
+    fetchReviews();
+  }, [fetchReviews]);
+
+  const ownReview = reviews.find(r => r.isOwn);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
+
+    setSaving(true);
+    setError('');
+
+    try {
+      const response = ownReview
+        ? await fetch(`/api/reviews/${ownReview.id}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reviewText: draft })
+          })
+        : await fetch(`/api/songs/${songId}/reviews`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reviewText: draft })
+          });
+      const data = await response.json();
+
+      if (data.success) {
+        setDraft('');
+        setEditing(false);
+        await fetchReviews();
+      } else {
+        setError(data.error || 'Failed to save review');
+      }
+    } catch (error) {
+      console.error('Error saving review:', error);
+      setError('Failed to save review');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleHelpful = async (review) => {
+    if (!session) {
+      alert('Please sign in to vote on reviews');
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/reviews/${review.id}/helpful`, {
+        method: review.votedHelpful ? 'DELETE' : 'POST'
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setReviews(prev => prev.map(r => r.id === review.id
+          ? { ...r, helpfulCount: data.helpfulCount, votedHelpful: !review.votedHelpful }
+          : r
+        ));
+      }
+    } catch (error) {
+      console.error('Helpful vote error:', error);
+    }
+  };
+
+  const handleToggleHidden = async (review) => {
+    try {
+      const response = await fetch(`/api/reviews/${review.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ isHidden: !review.isHidden })
+      });
+      const data = await response.json();
+      if (data.success) await fetchReviews();
+    } catch (error) {
+      console.error('Error moderating review:', error);
+    }
+  };
+
+  const handleDelete = async (review) => {
+    if (!confirm('Delete this review?')) return;
+
+    try {
+      const response = await fetch(`/api/reviews/${review.id}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (data.success) await fetchReviews();
+    } catch (error) {
+      console.error('Error deleting review:', error);
+    }
+  };
+
+  const visibleCount = reviews.filter(r => !r.isHidden).length;
+  const showForm = session && (!ownReview || editing);
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-semibold">Reviews ({visibleCount})</h3>
+        <select
+          value={sort}
+          onChange={(e) => setSort(e.target.value)}
+          className="px-3 py-1 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+        >
+          <option value="newest">Newest</option>
+          <option value="helpful">Most helpful</option>
+        </select>
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="mb-4">
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            maxLength={MAX_REVIEW_LENGTH}
+            rows={3}
+            placeholder="Share what you think of this song..."
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+          />
+          {error && <p className="text-red-600 text-sm mt-1">{error}</p>}
+          <div className="flex justify-end gap-2 mt-2">
+            {editing && (
+              <button
+                type="button"
+                onClick={() => { setEditing(false); setDraft(''); }}
+                className="px-4 py-2 text-gray-600 hover:text-gray-800"
+              >
+                Cancel
+              </button>
+            )}
+            <button
+              type="submit"
+              disabled={saving || !draft.trim()}
+              className="bg-purple-500 hover:bg-purple-600 disabled:opacity-50 text-white px-4 py-2 rounded-lg transition-colors"
+            >
+              {saving ? 'Saving...' : editing ? 'Update Review' : 'Post Review'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="space-y-4 max-h-64 overflow-y-auto">
+        {loading ? (
+          <div className="flex justify-center py-4">
+            <Loader className="w-6 h-6 animate-spin text-purple-600" />
+          </div>
+        ) : reviews.length > 0 ? reviews.map(review => (
+          <div
+            key={review.id}
+            className={`p-4 border rounded-lg ${review.isHidden ? 'border-red-200 bg-red-50 opacity-75' : 'border-gray-200'}`}
+          >
+            <div className="flex justify-between items-start mb-2">
+              <div className="flex items-center gap-2">
+                <User className="w-4 h-4 text-gray-500" />
+                <Link href={`/u/${review.username}`} className="font-medium hover:text-purple-600">{review.username}</Link>
+                {review.isHidden && <span className="text-xs text-red-600">Hidden</span>}
+              </div>
+              <div className="flex items-center gap-2">
+                <div className="flex">
+                  {[...Array(5)].map((_, i) => (
+                    <Star key={i} className={`w-4 h-4 ${i < (review.rating || 0) ? 'fill-yellow-400 text-yellow-400' : 'text-gray-300'}`} />
+                  ))}
+                </div>
+                <span className="text-sm text-gray-500">{review.date}</span>
+              </div>
+            </div>
+            <p className="text-gray-700 whitespace-pre-line">{review.review}</p>
+
+            <div className="flex items-center gap-4 mt-3 text-sm">
+              {review.isOwn ? (
+                <span className="flex items-center gap-1 text-gray-500">
+                  <ThumbsUp className="w-4 h-4" />
+                  {review.helpfulCount} found this helpful
+                </span>
+              ) : (
+                <button
+                  onClick={() => handleHelpful(review)}
+                  className={`flex items-center gap-1 ${review.votedHelpful ? 'text-purple-600' : 'text-gray-500 hover:text-purple-600'}`}
+                >
+                  <ThumbsUp className={`w-4 h-4 ${review.votedHelpful ? 'fill-purple-200' : ''}`} />
+                  Helpful ({review.helpfulCount})
+                </button>
+              )}
+
+              {review.isOwn && (
+                <button
+                  onClick={() => { setEditing(true); setDraft(review.review); }}
+                  className="flex items-center gap-1 text-gray-500 hover:text-purple-600"
+                >
+                  <Pencil className="w-4 h-4" />
+                  Edit
+                </button>
+              )}
+
+              {canModerate && (
+                <button
+                  onClick={() => handleToggleHidden(review)}
+                  className="flex items-center gap-1 text-gray-500 hover:text-orange-600"
+                >
+                  {review.isHidden ? <Eye className="w-4 h-4" /> : <EyeOff className="w-4 h-4" />}
+                  {review.isHidden ? 'Unhide' : 'Hide'}
+                </button>
+              )}
+
+              {(review.isOwn || canModerate) && (
+                <button
+                  onClick={() => handleDelete(review)}
+                  className="flex items-center gap-1 text-gray-500 hover:text-red-600"
+                >
+                  <Trash2 className="w-4 h-4" />
+                  Delete
+                </button>
+              )}
+            </div>
+          </div>
+        )) : (
+          <p className="text-gray-500 text-center py-4">No reviews yet.</p>
+        )}
+      </div>
+    </div>
+  );
+}
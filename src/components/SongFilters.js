@@ -0,0 +1,233 @@
+'use client';
+
+import { X } from 'lucide-react';
+
+const RELEASE_TYPE_LABELS = {
+  ALBUM: 'Album',
+  SINGLE: 'Single',
+  EP: 'EP',
+  MIXTAPE: 'Mixtape',
+  COMPILATION: 'Compilation',
+  LEAKED: 'Leaked',
+  UNRELEASED: 'Unreleased'
+};
+
+function Section({ title, children }) {
+  return (
+    <div>
+      <h4 className="text-sm font-semibold text-gray-900 mb-2">{title}</h4>
+      {children}
+    </div>
+  );
+}
+
+function Count({ value }) {
+  return <span className="ml-auto text-xs text-gray-400">{value}</span>;
+}
+
+/**
+ * Checkboxes for a list facet; values with no matching songs are hidden
+ * unless selected
+ */
+function CheckboxFacet({ title, options = [], selected, onToggle, label = option => option.label }) {
+  const shown = options.filter(option => option.count > 0 || selected.includes(option.value));
+  if (shown.length === 0) return null;
+
+  return (
+    <Section title={title}>
+      <div className="space-y-1 max-h-48 overflow-y-auto">
+        {shown.map(option => (
+          <label key={option.value} className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={selected.includes(option.value)}
+              onChange={() => onToggle(option.value)}
+              className="rounded text-purple-600 focus:ring-purple-500"
+            />
+            {label(option)}
+            <Count value={option.count} />
+          </label>
+        ))}
+      </div>
+    </Section>
+  );
+}
+
+/**
+ * Min/max inputs for a range filter, with the facet's buckets as shortcuts
+ */
+function RangeFacet({ title, buckets = [], min, max, step, format = value => value, onChange }) {
+  return (
+    <Section title={title}>
+      <div className="flex items-center gap-2 mb-2">
+        <input
+          type="number"
+          step={step}
+          placeholder="Min"
+          value={min}
+          onChange={(e) => onChange(e.target.value, max)}
+          className="w-full px-2 py-1 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+        />
+        <span className="text-gray-400">–</span>
+        <input
+          type="number"
+          step={step}
+          placeholder="Max"
+          value={max}
+          onChange={(e) => onChange(min, e.target.value)}
+          className="w-full px-2 py-1 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+        />
+      </div>
+      <div className="flex flex-wrap gap-1">
+        {buckets.map(bucket => {
+          const active = String(bucket.min) === String(min) && String(bucket.max) === String(max);
+          return (
+            <button
+              key={bucket.min}
+              onClick={() => active ? onChange('', '') : onChange(String(bucket.min), String(bucket.max))}
+              className={`px-2 py-0.5 rounded-full text-xs transition-colors ${active ? 'bg-purple-500 text-white' : 'bg-gray-100 text-gray-700 hover:bg-purple-100'}`}
+            >
+              {format(bucket.min)}–{format(bucket.max)} ({bucket.count})
+            </button>
+          );
+        })}
+      </div>
+    </Section>
+  );
+}
+
+/**
+ * All / yes / no choice for a boolean filter
+ */
+function BooleanFacet({ title, options, counts = [], value, onChange }) {
+  const countOf = flag => counts.find(entry => entry.value === flag)?.count ?? 0;
+  const choices = [
+    { value: '', label: 'All' },
+    { value: 'true', label: `${options[0]} (${countOf(true)})` },
+    { value: 'false', label: `${options[1]} (${countOf(false)})` }
+  ];
+
+  return (
+    <Section title={title}>
+      <div className="flex flex-wrap gap-1">
+        {choices.map(choice => (
+          <button
+            key={choice.value}
+            onClick={() => onChange(choice.value)}
+            className={`px-2 py-1 rounded-md text-xs transition-colors ${value === choice.value ? 'bg-purple-500 text-white' : 'bg-gray-100 text-gray-700 hover:bg-purple-100'}`}
+          >
+            {choice.label}
+          </button>
+        ))}
+      </div>
+    </Section>
+  );
+}
+
+/**
+ * Filter sidebar for the songs list. filters holds /api/songs filter params
+ * (lists as arrays, everything else as strings or booleans); facets is the
+ * response's facet counts.
+ */
+export default function SongFilters({ facets, filters, onChange, onClear, signedIn = false }) {
+  const set = (changes) => onChange({ ...filters, ...changes });
+  const toggle = (name) => (value) => set({
+    [name]: filters[name].includes(value)
+      ? filters[name].filter(v => v !== value)
+      : [...filters[name], value]
+  });
+
+  const active = Object.values(filters).some(value => Array.isArray(value) ? value.length > 0 : Boolean(value));
+  const years = facets?.year ?? [];
+
+  return (
+    <aside className="bg-white rounded-xl shadow-lg p-5 space-y-6">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-bold text-gray-900">Filters</h3>
+        {active && (
+          <button onClick={onClear} className="flex items-center gap-1 text-sm text-purple-600 hover:text-purple-800">
+            <X className="w-3 h-3" />
+            Clear all
+          </button>
+        )}
+      </div>
+
+      {signedIn && (
+        <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={filters.liked}
+            onChange={(e) => set({ liked: e.target.checked })}
+            className="rounded text-purple-600 focus:ring-purple-500"
+          />
+          Liked by me
+          <Count value={facets?.liked?.count ?? 0} />
+        </label>
+      )}
+
+      <CheckboxFacet title="Genre" options={facets?.genre} selected={filters.genre} onToggle={toggle('genre')} />
+      <CheckboxFacet title="Mood" options={facets?.mood} selected={filters.mood} onToggle={toggle('mood')} />
+      <CheckboxFacet title="Tag" options={facets?.tag} selected={filters.tag} onToggle={toggle('tag')} />
+      <CheckboxFacet
+        title="Release Type"
+        options={facets?.releaseType}
+        selected={filters.releaseType}
+        onToggle={toggle('releaseType')}
+        label={option => RELEASE_TYPE_LABELS[option.value] ?? option.value}
+      />
+
+      {years.length > 0 && (
+        <Section title="Year">
+          <div className="flex items-center gap-2">
+            {[['yearMin', 'From'], ['yearMax', 'To']].map(([name, placeholder]) => (
+              <select
+                key={name}
+                value={filters[name]}
+                onChange={(e) => set({ [name]: e.target.value })}
+                className="w-full px-2 py-1 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              >
+                <option value="">{placeholder}</option>
+                {years.map(year => (
+                  <option key={year.value} value={year.value}>{year.value} ({year.count})</option>
+                ))}
+              </select>
+            ))}
+          </div>
+        </Section>
+      )}
+
+      <RangeFacet
+        title="Tempo (BPM)"
+        buckets={facets?.tempo}
+        min={filters.tempoMin}
+        max={filters.tempoMax}
+        step="1"
+        onChange={(tempoMin, tempoMax) => set({ tempoMin, tempoMax })}
+      />
+      <RangeFacet
+        title="Energy"
+        buckets={facets?.energy}
+        min={filters.energyMin}
+        max={filters.energyMax}
+        step="0.1"
+        format={value => `${Math.round(value * 100)}%`}
+        onChange={(energyMin, energyMax) => set({ energyMin, energyMax })}
+      />
+
+      <BooleanFacet
+        title="Explicit"
+        options={['Explicit', 'Clean']}
+        counts={facets?.explicit}
+        value={filters.explicit}
+        onChange={(explicit) => set({ explicit })}
+      />
+      <BooleanFacet
+        title="Official"
+        options={['Official', 'Unofficial']}
+        counts={facets?.isOfficial}
+        value={filters.isOfficial}
+        onChange={(isOfficial) => set({ isOfficial })}
+      />
+    </aside>
+  );
+}
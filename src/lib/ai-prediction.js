@@ -3,68 +3,102 @@
  * Handles missing audio features, genres, and moods using machine learning approaches
  */
 
-import { prisma } from './prisma';
+import { SNAPSHOT_KINDS, saveSnapshot } from './model-snapshots';
+import { getNegativeFeedback } from './negative-feedback';
+import { prismaDataSource } from './data-source';
 
 /**
  * AI Feature Prediction Engine
  */
 export class AIFeaturePredictor {
-  constructor() {
+  constructor({ data = prismaDataSource } = {}) {
+    this.data = data;
     this.featureModels = new Map();
     this.genreModels = new Map();
     this.moodModels = new Map();
     this.initialized = false;
+    this.snapshotId = null;
   }
 
   /**
-   * Initialize prediction models with training data
+   * Initialize prediction models, from the latest AI_PREDICTOR snapshot when
+   * one exists and by training on the catalog otherwise
    */
   async initialize() {
-    if (this.initialized) return;
+    if (this.initialized && !this.snapshotId) return;
 
-    try {
-      console.log('🤖 Initializing AI prediction models...');
-      
-      // Get training data - songs with complete audio features
-      const trainingData = await prisma.song.findMany({
-        where: {
-          AND: [
-            { energy: { not: null, gt: 0 } },
-            { danceability: { not: null, gt: 0 } },
-            { valence: { not: null, gt: 0 } },
-            { tempo: { not: null, gt: 0 } }
-          ]
-        },
-        include: {
-          genres: { include: { genre: true } },
-          moods: { include: { mood: true } }
-        }
-      });
+    const snapshot = await this.data.getLatestSnapshot(SNAPSHOT_KINDS.AI_PREDICTOR).catch(error => {
+      console.error('Error loading AI predictor snapshot:', error);
+      return null;
+    });
 
-      if (trainingData.length < 5) {
-        console.warn('⚠️ Insufficient training data for AI models, using fallback predictions');
-        this.initializeFallbackModels();
+    if (snapshot) {
+      if (snapshot.id !== this.snapshotId) {
+        this.loadState(snapshot.payload);
+        this.snapshotId = snapshot.id;
         this.initialized = true;
-        return;
+        console.log(`✅ AI models loaded from snapshot v${snapshot.version}`);
       }
+      return;
+    }
+    if (this.initialized) return;
 
-      // Train feature prediction models
-      await this.trainFeatureModels(trainingData);
-      
-      // Train genre prediction models (even with fewer samples)
-      await this.trainGenreModels(trainingData);
-      
-      // Train mood prediction models (even with fewer samples)
-      await this.trainMoodModels(trainingData);
-
-      this.initialized = true;
-      console.log(`✅ AI models initialized with ${trainingData.length} training samples`);
+    try {
+      console.log('🤖 Initializing AI prediction models...');
+      const samples = await this.train();
+      console.log(`✅ AI models initialized with ${samples} training samples`);
     } catch (error) {
       console.error('Error initializing AI models:', error);
       // Initialize fallback models on error
       this.initializeFallbackModels();
-      this.initialized = true;
     }
+    this.initialized = true;
+  }
+
+  /**
+   * Train all models from songs with complete audio features.
+   * Returns the number of training samples used.
+   */
+  async train() {
+    // Get training data - songs with complete audio features
+    const trainingData = await this.data.getSongs({ withAudioFeatures: true });
+
+    if (trainingData.length < 5) {
+      console.warn('⚠️ Insufficient training data for AI models, using fallback predictions');
+      this.initializeFallbackModels();
+      return trainingData.length;
+    }
+
+    // Train feature prediction models
+    await this.trainFeatureModels(trainingData);
+    
+    // Train genre prediction models (even with fewer samples)
+    await this.trainGenreModels(trainingData);
+    
+    // Train mood prediction models (even with fewer samples)
+    await this.trainMoodModels(trainingData);
+
+    return trainingData.length;
+  }
+
+  /**
+   * Serializable copy of the trained models for a snapshot
+   */
+  exportState() {
+    return {
+      featureModels: Object.fromEntries(this.featureModels),
+      genreModels: Object.fromEntries(this.genreModels),
+      moodModels: Object.fromEntries(this.moodModels)
+    };
+  }
+
+  /**
+   * Replace the trained models with a snapshot's state
+   */
+  loadState({ featureModels, genreModels, moodModels }) {
+    this.featureModels = new Map(Object.entries(featureModels));
+    this.genreModels = new Map(Object.entries(genreModels));
+    this.moodModels = new Map(Object.entries(moodModels));
   }
 
   /**
@@ -877,8 +911,14 @@ export class AIFeaturePredictor {
  * Enhanced Recommendation Engine with AI Predictions
  */
 export class AIEnhancedRecommendationEngine {
-  constructor() {
-    this.predictor = new AIFeaturePredictor();
+  constructor({ data = prismaDataSource } = {}) {
+    this.predictor = new AIFeaturePredictor({ data });
+    this.data = data;
+  }
+
+  setDataSource(data) {
+    this.data = data;
+    this.predictor.data = data;
   }
 
   /**
@@ -889,14 +929,7 @@ export class AIEnhancedRecommendationEngine {
 
     try {
       // Get user's liked songs
-      const userLikes = await prisma.userSongLike.findMany({
-        where: { userId },
-        include: { 
-          song: { 
-            include: { genres: { include: { genre: true } }, moods: { include: { mood: true } } } 
-          } 
-        }
-      });
+      const userLikes = await this.data.getLikes({ userId, withSongs: true });
 
       if (userLikes.length === 0) {
         return this.getFallbackRecommendations(limit);
@@ -911,9 +944,7 @@ export class AIEnhancedRecommendationEngine {
       }
 
       // Get all songs and enhance them
-      const allSongs = await prisma.song.findMany({
-        include: { genres: { include: { genre: true } }, moods: { include: { mood: true } } }
-      });
+      const allSongs = await this.data.getSongs();
 
       const enhancedAllSongs = [];
       for (const song of allSongs) {
@@ -928,10 +959,11 @@ export class AIEnhancedRecommendationEngine {
         recommendations.push(...similarSongs);
       }
 
-      // Remove duplicates and songs user already liked
+      // Remove duplicates, songs user already liked and dismissed songs
       const likedSongIds = new Set(userLikes.map(l => l.song.id));
+      const { excludedIds } = await getNegativeFeedback(userId, this.data);
       const uniqueRecommendations = recommendations
-        .filter(rec => !likedSongIds.has(rec.id))
+        .filter(rec => !likedSongIds.has(rec.id) && !excludedIds.has(rec.id))
         .reduce((acc, rec) => {
           if (!acc.find(r => r.id === rec.id)) {
             acc.push(rec);
@@ -985,7 +1017,8 @@ export class AIEnhancedRecommendationEngine {
       similarities.push({
         ...song,
         similarity,
-        basedOn: targetSong.title
+        basedOn: targetSong.title,
+        seedId: targetSong.id
       });
     }
 
@@ -1083,15 +1116,7 @@ export class AIEnhancedRecommendationEngine {
    */
   async getFallbackRecommendations(limit) {
     try {
-      const songs = await prisma.song.findMany({
-        orderBy: [
-          { totalLikes: 'desc' },
-          { avgRating: 'desc' },
-          { totalPlays: 'desc' }
-        ],
-        take: limit,
-        include: { genres: { include: { genre: true } }, moods: { include: { mood: true } } }
-      });
+      const songs = await this.data.getTopSongs(limit, ['totalLikes', 'avgRating', 'totalPlays']);
 
       return songs.map(song => ({
         ...song,
@@ -1106,5 +1131,14 @@ export class AIEnhancedRecommendationEngine {
 }
 
 // Export instances
+/**
+ * Train a fresh predictor and store its models as a new AI_PREDICTOR snapshot
+ */
+export async function rebuildPredictorSnapshot() {
+  const predictor = new AIFeaturePredictor();
+  const trainingSamples = await predictor.train();
+  return saveSnapshot(SNAPSHOT_KINDS.AI_PREDICTOR, predictor.exportState(), { trainingSamples });
+}
+
 export const aiPredictor = new AIFeaturePredictor();
 export const aiEnhancedEngine = new AIEnhancedRecommendationEngine();
@@ -0,0 +1,186 @@
+/**
+ * Albums
+ * One Album row per release, created from the Spotify album during sync (or
+ * by scripts/backfill-albums.js for songs synced before albums existed).
+ * Songs point at theirs with albumId, trackNumber and discNumber, so
+ * tracklists come out in release order. Song.album keeps the album name for
+ * search and the recommenders.
+ *
+ * Albums are addressed by slug: the name made URL-safe, with the release
+ * year or a number added when another album already has it. When a sync
+ * renames an album its slug follows the new name and the old one is kept as
+ * an AlbumSlugRedirect, so old links (including the album-name links from
+ * before slugs) keep resolving; see findAlbumByKey.
+ */
+
+import { prisma } from './prisma';
+
+// Disc, then position on the disc; songs without a position go last, by title
+export const TRACKLIST_ORDER = [
+  { discNumber: { sort: 'asc', nulls: 'last' } },
+  { trackNumber: { sort: 'asc', nulls: 'last' } },
+  { title: 'asc' }
+];
+
+/**
+ * Map Spotify album type to our ReleaseType enum
+ */
+export function mapReleaseType(spotifyAlbumType) {
+  const mapping = {
+    'album': 'ALBUM',
+    'single': 'SINGLE',
+    'compilation': 'COMPILATION'
+  };
+  return mapping[spotifyAlbumType] || 'ALBUM';
+}
+
+/**
+ * URL-safe form of a name: "Eternal Atake (Deluxe) - LUV vs. The World 2" →
+ * "eternal-atake-deluxe-luv-vs-the-world-2". Names with nothing URL-safe in
+ * them get the fallback.
+ */
+export function slugify(name = '', fallback = 'album') {
+  const slug = name
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return slug || fallback;
+}
+
+/**
+ * Slug for an album's name: the name's, then with the release year, then
+ * numbered, whichever is free first. A slug is taken while another album has
+ * it or redirects from it; albumId's own current and former slugs are free.
+ */
+export async function uniqueAlbumSlug(name, year = null, albumId = null) {
+  const base = slugify(name);
+  const isFree = async slug => {
+    const [album, redirect] = await Promise.all([
+      prisma.album.findUnique({ where: { slug }, select: { id: true } }),
+      prisma.albumSlugRedirect.findUnique({ where: { slug }, select: { albumId: true } })
+    ]);
+    return (!album || album.id === albumId) && (!redirect || redirect.albumId === albumId);
+  };
+
+  if (await isFree(base)) return base;
+  if (year && await isFree(`${base}-${year}`)) return `${base}-${year}`;
+  for (let n = 2; ; n++) {
+    if (await isFree(`${base}-${n}`)) return `${base}-${n}`;
+  }
+}
+
+/**
+ * Move an album to the slug for a new name, keeping its current slug as a
+ * redirect. Returns the slug it ends up with.
+ */
+export async function reslugAlbum(album, name, year = null) {
+  const slug = await uniqueAlbumSlug(name, year, album.id);
+  if (slug === album.slug) return slug;
+
+  await prisma.$transaction([
+    // Renamed back to an earlier name: the old redirect becomes the slug again
+    prisma.albumSlugRedirect.deleteMany({ where: { slug } }),
+    prisma.albumSlugRedirect.create({ data: { slug: album.slug, albumId: album.id } }),
+    prisma.album.update({ where: { id: album.id }, data: { slug } })
+  ]);
+  return slug;
+}
+
+/**
+ * The album a URL key points at, or null. The key is tried as a current
+ * slug, a former slug, an album name, then as a name made into a slug
+ * (current or former). Callers compare album.slug with the key to send the
+ * viewer to the current URL.
+ */
+export async function findAlbumByKey(key) {
+  const current = slug => prisma.album.findUnique({ where: { slug } });
+  const former = async slug => (await prisma.albumSlugRedirect.findUnique({
+    where: { slug },
+    include: { album: true }
+  }))?.album;
+  const byName = () => prisma.album.findFirst({ where: { name: key }, orderBy: { createdAt: 'asc' } });
+
+  const lookups = [
+    () => current(key),
+    () => former(key),
+    byName,
+    () => current(slugify(key)),
+    () => former(slugify(key))
+  ];
+  for (const lookup of lookups) {
+    const album = await lookup();
+    if (album) return album;
+  }
+  return null;
+}
+
+/**
+ * Release date of a Spotify album, whatever its precision ("2017",
+ * "2017-08" or "2017-08-25"), or null
+ */
+function spotifyReleaseDate(album) {
+  if (!album.release_date) return null;
+  const date = new Date(album.release_date);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Create or refresh the Album for a Spotify album and return its id. An
+ * album backfilled without a Spotify id is adopted by name, keeping its slug;
+ * a renamed album gets a new slug (see reslugAlbum).
+ */
+export async function upsertSpotifyAlbum(album) {
+  const releaseDate = spotifyReleaseDate(album);
+  const data = {
+    name: album.name,
+    spotifyId: album.id,
+    releaseDate,
+    type: mapReleaseType(album.album_type),
+    coverUrl: album.images?.[0]?.url ?? null,
+    totalTracks: album.total_tracks ?? null
+  };
+
+  const fields = { id: true, name: true, slug: true };
+  const existing = await prisma.album.findUnique({ where: { spotifyId: album.id }, select: fields }) ??
+    await prisma.album.findFirst({ where: { spotifyId: null, name: album.name }, select: fields });
+
+  if (existing) {
+    if (existing.name !== album.name) {
+      await reslugAlbum(existing, album.name, releaseDate?.getUTCFullYear());
+    }
+    await prisma.album.update({ where: { id: existing.id }, data });
+    return existing.id;
+  }
+
+  const created = await prisma.album.create({
+    data: { ...data, slug: await uniqueAlbumSlug(album.name, releaseDate?.getUTCFullYear()) },
+    select: { id: true }
+  });
+  return created.id;
+}
+
+/**
+ * upsertSpotifyAlbum, once per Spotify album for the life of the returned
+ * function (one sync run)
+ */
+export function albumIdResolver() {
+  const ids = new Map(); // Spotify album id → Promise<Album id>
+  return album => {
+    if (!ids.has(album.id)) ids.set(album.id, upsertSpotifyAlbum(album));
+    return ids.get(album.id);
+  };
+}
+
+/**
+ * Song fields for a Spotify track's album and tracklist position
+ */
+export async function albumFields(track, resolveAlbumId) {
+  return {
+    albumId: await resolveAlbumId(track.album),
+    trackNumber: track.track_number ?? null,
+    discNumber: track.disc_number ?? null
+  };
+}
@@ -0,0 +1,147 @@
+/**
+ * Artists and credits
+ * Song.artist keeps the billed artist name for display and search; who is on
+ * a song is recorded as SongArtist credits, one per artist and role:
+ *
+ *   PRIMARY   the track's main artists (also credited on its album)
+ *   FEATURED  guests on the track ("feat.")
+ *   PRODUCER  producers, entered by hand; Spotify doesn't expose them
+ *
+ * The syncs replace a song's PRIMARY and FEATURED credits from its Spotify
+ * track artists (see SpotifyClient.getTrackCredits) and leave PRODUCER
+ * credits alone. scripts/backfill-artists.js credits songs synced before
+ * artists existed.
+ *
+ * Artists are addressed by slug, the name made URL-safe (numbered when
+ * another artist already has it).
+ */
+
+import { prisma } from './prisma';
+import { slugify } from './albums';
+
+export const ARTIST_ROLES = ['PRIMARY', 'FEATURED', 'PRODUCER'];
+
+// /api/songs query parameters that filter by credit, and the role each matches
+export const CREDIT_FILTERS = {
+  artist: 'PRIMARY',
+  featuring: 'FEATURED',
+  producedBy: 'PRODUCER'
+};
+
+// Credits with their artist, roles in ARTIST_ROLES order and billing order within each
+export const CREDITS_INCLUDE = {
+  include: { artist: { select: { name: true, slug: true } } },
+  orderBy: [{ role: 'asc' }, { position: 'asc' }]
+};
+
+/**
+ * Slug for an artist's name: the name's, or numbered when taken by another artist
+ */
+export async function uniqueArtistSlug(name, artistId = null) {
+  const base = slugify(name, 'artist');
+  const isFree = async slug => {
+    const artist = await prisma.artist.findUnique({ where: { slug }, select: { id: true } });
+    return !artist || artist.id === artistId;
+  };
+
+  if (await isFree(base)) return base;
+  for (let n = 2; ; n++) {
+    if (await isFree(`${base}-${n}`)) return `${base}-${n}`;
+  }
+}
+
+/**
+ * The artist with a name, created if there's none. For credits without a
+ * Spotify artist (backfills, hand-entered producers).
+ */
+export async function findOrCreateArtist(name) {
+  const existing = await prisma.artist.findFirst({
+    where: { name },
+    orderBy: { createdAt: 'asc' },
+    select: { id: true }
+  });
+  if (existing) return existing.id;
+
+  const created = await prisma.artist.create({
+    data: { name, slug: await uniqueArtistSlug(name) },
+    select: { id: true }
+  });
+  return created.id;
+}
+
+/**
+ * Create or refresh the Artist for a Spotify artist and return its id. An
+ * artist created by name without a Spotify id is adopted, keeping its slug.
+ * Slugs don't follow renames: artist renames are rare and links should last.
+ */
+export async function upsertSpotifyArtist(artist) {
+  const data = { name: artist.name, spotifyId: artist.id };
+  // Track artists come without images; full artist objects have them
+  if (artist.images?.[0]?.url) data.imageUrl = artist.images[0].url;
+
+  const existing = await prisma.artist.findUnique({ where: { spotifyId: artist.id }, select: { id: true } }) ??
+    await prisma.artist.findFirst({
+      where: { spotifyId: null, name: artist.name },
+      orderBy: { createdAt: 'asc' },
+      select: { id: true }
+    });
+
+  if (existing) {
+    await prisma.artist.update({ where: { id: existing.id }, data });
+    return existing.id;
+  }
+
+  const created = await prisma.artist.create({
+    data: { ...data, slug: await uniqueArtistSlug(artist.name) },
+    select: { id: true }
+  });
+  return created.id;
+}
+
+/**
+ * upsertSpotifyArtist, once per Spotify artist for the life of the returned
+ * function (one sync run)
+ */
+export function artistIdResolver() {
+  const ids = new Map(); // Spotify artist id → Promise<Artist id>
+  return artist => {
+    if (!ids.has(artist.id)) ids.set(artist.id, upsertSpotifyArtist(artist));
+    return ids.get(artist.id);
+  };
+}
+
+/**
+ * Replace a song's PRIMARY and FEATURED credits with a track's
+ * ([{ artist, role, position }], see SpotifyClient.getTrackCredits).
+ * PRODUCER credits are kept.
+ */
+export async function setSongCredits(songId, credits, resolveArtistId) {
+  const rows = [];
+  for (const { artist, role, position } of credits) {
+    rows.push({ songId, artistId: await resolveArtistId(artist), role, position });
+  }
+
+  await prisma.$transaction([
+    prisma.songArtist.deleteMany({ where: { songId, role: { in: ['PRIMARY', 'FEATURED'] } } }),
+    prisma.songArtist.createMany({ data: rows, skipDuplicates: true })
+  ]);
+}
+
+/**
+ * Prisma song filters for the credit parameters set in a query
+ * ({ artist, featuring, producedBy }, each an artist slug), e.g. songs
+ * featuring Playboi Carti: { featuring: 'playboi-carti' }
+ */
+export function creditFilters(query) {
+  return Object.entries(CREDIT_FILTERS)
+    .filter(([param]) => query[param])
+    .map(([param, role]) => ({ artists: { some: { role, artist: { slug: query[param] } } } }));
+}
+
+/**
+ * A song's credits loaded with CREDITS_INCLUDE, flattened for API responses:
+ * [{ name, slug, role }]
+ */
+export function formatCredits(credits = []) {
+  return credits.map(credit => ({ name: credit.artist.name, slug: credit.artist.slug, role: credit.role }));
+}
@@ -0,0 +1,143 @@
+/**
+ * Cache backend interface
+ * Backends store JSON-serialisable values with a TTL and optional tags and
+ * implement the storage primitives below; hit/miss counting, error isolation
+ * and getOrSet's stampede protection live here so every backend behaves the
+ * same.
+ *
+ *   read(key)                    → value | null
+ *   write(key, value, { ttl, tags })
+ *   remove(key)
+ *   invalidateTag(tag)           → drop every key written with that tag
+ *   clear()
+ *   acquireLock(key, ttl)        → true if this caller should run the loader
+ *   releaseLock(key)
+ */
+
+export const DEFAULT_TTL = 5 * 60 * 1000;
+
+// Longest a loader may hold the stampede lock before others give up waiting
+const LOCK_TTL = 10 * 1000;
+const LOCK_POLL_INTERVAL = 50;
+
+export class CacheBackend {
+  constructor(name) {
+    this.name = name;
+    this.hits = 0;
+    this.misses = 0;
+    this.errors = 0;
+    this.inFlight = new Map(); // key → loader promise shared by callers in this process
+  }
+
+  /**
+   * Cached value or null. Backend failures count as a miss so a cache outage
+   * never fails the request.
+   */
+  async get(key) {
+    try {
+      const value = await this.read(key);
+      if (value === null) this.misses++;
+      else this.hits++;
+      return value;
+    } catch (error) {
+      this.errors++;
+      this.misses++;
+      console.error(`Cache read failed (${this.name}):`, error.message);
+      return null;
+    }
+  }
+
+  async set(key, value, options = {}) {
+    try {
+      await this.write(key, value, { ttl: options.ttl ?? DEFAULT_TTL, tags: options.tags ?? [] });
+    } catch (error) {
+      this.errors++;
+      console.error(`Cache write failed (${this.name}):`, error.message);
+    }
+  }
+
+  async delete(key) {
+    try {
+      await this.remove(key);
+    } catch (error) {
+      this.errors++;
+      console.error(`Cache delete failed (${this.name}):`, error.message);
+    }
+  }
+
+  async invalidate(tag) {
+    try {
+      await this.invalidateTag(tag);
+    } catch (error) {
+      this.errors++;
+      console.error(`Cache invalidation failed (${this.name}):`, error.message);
+    }
+  }
+
+  /**
+   * Return the cached value, or run loader once and cache its result.
+   * Concurrent callers in this process share one loader call; across
+   * processes a short lock lets one instance load while the others wait for
+   * its value. null/undefined results are returned but not cached.
+   */
+  async getOrSet(key, loader, options = {}) {
+    const cached = await this.get(key);
+    if (cached !== null) return cached;
+
+    if (this.inFlight.has(key)) return this.inFlight.get(key);
+
+    const load = this.loadWithLock(key, loader, options)
+      .finally(() => this.inFlight.delete(key));
+    this.inFlight.set(key, load);
+    return load;
+  }
+
+  async loadWithLock(key, loader, options) {
+    const lockTtl = options.lockTtl ?? LOCK_TTL;
+    const locked = await this.acquireLock(key, lockTtl).catch(() => true);
+
+    if (!locked) {
+      const value = await this.waitForValue(key, lockTtl);
+      if (value !== null) return value;
+    }
+
+    try {
+      const value = await loader();
+      if (value !== null && value !== undefined) await this.set(key, value, options);
+      return value;
+    } finally {
+      if (locked) await this.releaseLock(key).catch(() => {});
+    }
+  }
+
+  async waitForValue(key, timeout) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, LOCK_POLL_INTERVAL));
+      const value = await this.read(key).catch(() => null);
+      if (value !== null) {
+        this.hits++;
+        return value;
+      }
+    }
+    return null;
+  }
+
+  getStats() {
+    const lookups = this.hits + this.misses;
+    return {
+      backend: this.name,
+      hits: this.hits,
+      misses: this.misses,
+      errors: this.errors,
+      hitRate: lookups > 0 ? this.hits / lookups : 0
+    };
+  }
+
+  // Single-process backends need nothing beyond the in-flight map
+  async acquireLock() {
+    return true;
+  }
+
+  async releaseLock() {}
+}
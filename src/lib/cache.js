@@ -1,238 +1,233 @@
 /**
- * Simple in-memory cache for API responses and recommendations
- * In production, this should be replaced with Redis
+ * Response and recommendation cache
+ * The backend is chosen by CACHE_BACKEND:
+ *   memory (default)  per-process Maps, see memory-cache.js
+ *   redis             shared across instances via REDIS_URL, see redis-cache.js
+ *
+ * Entries are tagged so related keys can be invalidated together:
+ *   user:{userId}  a user's recommendations (like, unlike, play, rate)
+ *   catalog        anything built from song/album data (sync)
+ *   song-stats     song lists showing likes, ratings and reviews (like,
+ *                  rate, review); play counts refresh with the TTL
  */
 
-class MemoryCache {
-  constructor() {
-    this.cache = new Map();
-    this.ttl = new Map(); // Time-to-live map
-    this.defaultTTL = 5 * 60 * 1000; // 5 minutes default
-  }
+import { MemoryCache } from './memory-cache';
+import { RedisCache } from './redis-cache';
 
-  /**
-   * Set cache entry with TTL
-   */
-  set(key, value, ttl = this.defaultTTL) {
-    this.cache.set(key, value);
-    this.ttl.set(key, Date.now() + ttl);
-  }
+const RECOMMENDATIONS_TTL = 10 * 60 * 1000;
+const SONGS_TTL = 5 * 60 * 1000;
+const ALBUMS_TTL = 15 * 60 * 1000;
 
-  /**
-   * Get cache entry
-   */
-  get(key) {
-    const expiry = this.ttl.get(key);
-    
-    if (!expiry) {
-      return null; // Key doesn't exist
-    }
-    
-    if (Date.now() > expiry) {
-      // Expired, remove from cache
-      this.cache.delete(key);
-      this.ttl.delete(key);
-      return null;
+const CATALOG_TAG = 'catalog';
+const SONG_STATS_TAG = 'song-stats';
+const userTag = (userId) => `user:${userId}`;
+
+// Key part for a songs query's filters, in name order so equal filters share a key
+const filterKey = (filters = {}) => Object.entries(filters)
+  .sort(([a], [b]) => a.localeCompare(b))
+  .map(([name, value]) => `:${name}=${value}`)
+  .join('');
+
+function createBackend() {
+  const backend = (process.env.CACHE_BACKEND || 'memory').toLowerCase();
+
+  if (backend === 'redis') {
+    if (process.env.REDIS_URL) {
+      return new RedisCache({
+        url: process.env.REDIS_URL,
+        prefix: process.env.CACHE_PREFIX || 'uziverse:'
+      });
     }
-    
-    return this.cache.get(key);
+    console.warn('⚠️ CACHE_BACKEND=redis but REDIS_URL is not set, using in-memory cache');
+  } else if (backend !== 'memory') {
+    console.warn(`⚠️ Unknown CACHE_BACKEND "${backend}", using in-memory cache`);
   }
 
-  /**
-   * Delete cache entry
-   */
-  delete(key) {
-    this.cache.delete(key);
-    this.ttl.delete(key);
-  }
+  return new MemoryCache();
+}
 
-  /**
-   * Clear all cache entries
-   */
-  clear() {
-    this.cache.clear();
-    this.ttl.clear();
-  }
+// Reuse the backend across dev hot-reloads, like the Prisma client
+const globalForCache = globalThis;
 
-  /**
-   * Get cache size
-   */
-  size() {
-    return this.cache.size;
-  }
+const backend = globalForCache.cacheBackend || createBackend();
 
-  /**
-   * Clean expired entries
-   */
-  cleanup() {
-    const now = Date.now();
-    for (const [key, expiry] of this.ttl.entries()) {
-      if (now > expiry) {
-        this.cache.delete(key);
-        this.ttl.delete(key);
-      }
-    }
-  }
+if (process.env.NODE_ENV !== 'production') globalForCache.cacheBackend = backend;
 
-  /**
-   * Generate cache key for recommendations
-   */
-  static getRecommendationKey(userId, algorithm = 'hybrid', limit = 20) {
+/**
+ * Cache key builders
+ */
+export const cacheKeys = {
+  recommendations(userId, algorithm = 'hybrid', limit = 20) {
     return `recommendations:${userId}:${algorithm}:${limit}`;
-  }
+  },
 
-  /**
-   * Generate cache key for songs
-   */
-  static getSongsKey(searchTerm = '', limit = 20) {
-    return `songs:${searchTerm}:${limit}`;
-  }
+  similarSongs(songId, limit, allVersions = false) {
+    return `recommendations:song:${songId}:similar:${limit}${allVersions ? ':all-versions' : ''}`;
+  },
 
-  /**
-   * Generate cache key for song details
-   */
-  static getSongKey(songId) {
-    return `song:${songId}`;
-  }
+  songs({ search = '', limit = 20, offset = 0, sort = 'newest', order = 'desc', allVersions = false, filters } = {}) {
+    return `songs:${search}:${limit}:${offset}:${sort}-${order}${allVersions ? ':all-versions' : ''}${filterKey(filters)}`;
+  },
 
-  /**
-   * Generate cache key for user interactions
-   */
-  static getUserInteractionsKey(userId) {
-    return `interactions:${userId}`;
-  }
-}
+  songFacets({ search = '', allVersions = false, filters } = {}) {
+    return `song-facets:${search}${allVersions ? ':all-versions' : ''}${filterKey(filters)}`;
+  },
 
-// Create singleton instance
-const memoryCache = new MemoryCache();
+  albums(type = 'all', searchTerm = '') {
+    return `albums:${type}:${searchTerm}`;
+  },
+
+  album(albumName) {
+    return `album:${albumName}`;
+  },
+
+  artist(slug, allVersions = false) {
+    return `artist:${slug}${allVersions ? ':all-versions' : ''}`;
+  }
+};
 
 /**
  * Cache decorator for API functions
  */
-export function withCache(keyGenerator, ttl = 5 * 60 * 1000) {
+export function withCache(keyGenerator, ttl = SONGS_TTL) {
   return function(target, propertyName, descriptor) {
     const method = descriptor.value;
-    
+
     descriptor.value = async function(...args) {
-      const key = typeof keyGenerator === 'function' 
-        ? keyGenerator(...args) 
+      const key = typeof keyGenerator === 'function'
+        ? keyGenerator(...args)
         : keyGenerator;
-      
-      // Try to get from cache first
-      const cached = memoryCache.get(key);
-      if (cached) {
-        console.log(`🎯 Cache hit for key: ${key}`);
-        return cached;
-      }
-      
-      // Execute original method
-      console.log(`🔄 Cache miss for key: ${key}`);
-      const result = await method.apply(this, args);
-      
-      // Cache the result
-      memoryCache.set(key, result, ttl);
-      
-      return result;
+
+      return backend.getOrSet(key, () => method.apply(this, args), { ttl });
     };
-    
+
     return descriptor;
   };
 }
 
 /**
- * Cache helper functions
+ * Cache helper functions. The loaders run only on a miss; a null result is
+ * returned but not cached.
  */
 export const cache = {
   /**
-   * Cache recommendations
+   * Cached value for any key, loading it once on a miss
    */
-  setRecommendations(userId, algorithm, limit, recommendations, ttl = 10 * 60 * 1000) {
-    const key = MemoryCache.getRecommendationKey(userId, algorithm, limit);
-    memoryCache.set(key, recommendations, ttl);
+  getOrSet(key, loader, options) {
+    return backend.getOrSet(key, loader, options);
   },
 
   /**
-   * Get cached recommendations
+   * A user's recommendations for one algorithm
    */
-  getRecommendations(userId, algorithm, limit) {
-    const key = MemoryCache.getRecommendationKey(userId, algorithm, limit);
-    return memoryCache.get(key);
+  recommendations(userId, algorithm, limit, loader) {
+    return backend.getOrSet(cacheKeys.recommendations(userId, algorithm, limit), loader, {
+      ttl: RECOMMENDATIONS_TTL,
+      tags: [userTag(userId), CATALOG_TAG]
+    });
   },
 
   /**
-   * Cache songs list
+   * Songs similar to one song (same for every viewer)
    */
-  setSongs(searchTerm, limit, songs, ttl = 5 * 60 * 1000) {
-    const key = MemoryCache.getSongsKey(searchTerm, limit);
-    memoryCache.set(key, songs, ttl);
+  similarSongs(songId, limit, allVersions, loader) {
+    return backend.getOrSet(cacheKeys.similarSongs(songId, limit, allVersions), loader, {
+      ttl: RECOMMENDATIONS_TTL,
+      tags: [CATALOG_TAG]
+    });
   },
 
   /**
-   * Get cached songs
+   * One page of the songs list for a query (see song-search.js)
    */
-  getSongs(searchTerm, limit) {
-    const key = MemoryCache.getSongsKey(searchTerm, limit);
-    return memoryCache.get(key);
+  songs(query, loader) {
+    return backend.getOrSet(cacheKeys.songs(query), loader, {
+      ttl: SONGS_TTL,
+      tags: [CATALOG_TAG, SONG_STATS_TAG]
+    });
   },
 
   /**
-   * Cache song details
+   * Facet counts for a query's search and filters
    */
-  setSong(songId, song, ttl = 15 * 60 * 1000) {
-    const key = MemoryCache.getSongKey(songId);
-    memoryCache.set(key, song, ttl);
+  songFacets(query, loader) {
+    return backend.getOrSet(cacheKeys.songFacets(query), loader, {
+      ttl: SONGS_TTL,
+      tags: [CATALOG_TAG]
+    });
   },
 
   /**
-   * Get cached song
+   * Album list
    */
-  getSong(songId) {
-    const key = MemoryCache.getSongKey(songId);
-    return memoryCache.get(key);
+  albums(type, searchTerm, loader) {
+    return backend.getOrSet(cacheKeys.albums(type, searchTerm), loader, {
+      ttl: ALBUMS_TTL,
+      tags: [CATALOG_TAG]
+    });
   },
 
   /**
-   * Invalidate cache entries
+   * Album details
    */
-  invalidate(pattern) {
-    if (typeof pattern === 'string') {
-      // Simple string matching
-      for (const key of memoryCache.cache.keys()) {
-        if (key.includes(pattern)) {
-          memoryCache.delete(key);
-        }
-      }
-    }
+  album(albumName, loader) {
+    return backend.getOrSet(cacheKeys.album(albumName), loader, {
+      ttl: ALBUMS_TTL,
+      tags: [CATALOG_TAG, SONG_STATS_TAG]
+    });
   },
 
   /**
-   * Clear all cache
+   * Artist details and credited songs
    */
-  clear() {
-    memoryCache.clear();
+  artist(slug, allVersions, loader) {
+    return backend.getOrSet(cacheKeys.artist(slug, allVersions), loader, {
+      ttl: ALBUMS_TTL,
+      tags: [CATALOG_TAG, SONG_STATS_TAG]
+    });
   },
 
   /**
-   * Get cache statistics
+   * Drop every entry written with a tag
    */
-  getStats() {
-    return {
-      size: memoryCache.size(),
-      entries: Array.from(memoryCache.cache.keys())
-    };
+  invalidateTag(tag) {
+    return backend.invalidate(tag);
   },
 
   /**
-   * Cleanup expired entries
+   * Drop a user's cached recommendations after they like, unlike, play or rate
    */
-  cleanup() {
-    memoryCache.cleanup();
+  invalidateUser(userId) {
+    return backend.invalidate(userTag(userId));
+  },
+
+  /**
+   * Drop everything built from catalog data (after a sync)
+   */
+  invalidateCatalog() {
+    return backend.invalidate(CATALOG_TAG);
+  },
+
+  /**
+   * Drop song lists whose like, rating or review data changed
+   */
+  invalidateSongStats() {
+    return backend.invalidate(SONG_STATS_TAG);
+  },
+
+  /**
+   * Clear all cache
+   */
+  clear() {
+    return backend.clear();
+  },
+
+  /**
+   * Get cache statistics (hit/miss counts are per process)
+   */
+  getStats() {
+    return backend.getStats();
   }
 };
 
-// Cleanup expired entries every 5 minutes
-setInterval(() => {
-  memoryCache.cleanup();
-}, 5 * 60 * 1000);
-
 export default cache;
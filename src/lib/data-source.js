@@ -0,0 +1,406 @@
+/**
+ * Data sources for the recommendation engines
+ * CollaborativeFiltering, ContentBasedFiltering, HybridRecommendationEngine,
+ * AIEnhancedRecommendationEngine and negative feedback read everything
+ * through a data source instead of querying Prisma directly:
+ *
+ *   PrismaDataSource     the live database (the default for every engine)
+ *   InMemoryDataSource   plain arrays, e.g. a train split built by the eval
+ *                        harness or JSON fixtures (see fixtures.js), so
+ *                        engines run offline and several can run side by side
+ *
+ * Both implement the same read-only interface:
+ *
+ *   getSongs({ ids, withAudioFeatures })      getSong(songId)
+ *   getTopSongs(limit, fields)
+ *   getLikes({ userId, userIds, withSongs })  getLike(userId, songId)
+ *   getInteractions({ userId, withSongs })    getRatings({ userId, minRating, withSongs })
+ *   getFollows(followerId)                    getRaters({ excludeUserId })
+ *   countSignals(userId)
+ *   getDislikes(userId)                       countEarlySkips({ userId, maxSeconds })
+ *   getEvents({ userId, types })              getImpressions({ userId })
+ *   getLatestSnapshot(kind)                   getItemSimilarity(songIds)
+ *
+ * Songs always come with their genres and moods in Prisma's nested shape
+ * ({ genres: [{ genre: { name } }], moods: [{ mood: { name } }] }) and their
+ * credits as rows ({ artists: [{ artistId, role, position }] }). Likes,
+ * interactions and ratings include their song when asked for withSongs.
+ */
+
+import { prisma } from './prisma';
+import { getLatestSnapshot } from './model-snapshots';
+import { getItemSimilarity } from './item-similarity';
+
+const SONG_INCLUDE = {
+  genres: { include: { genre: true } },
+  moods: { include: { mood: true } },
+  artists: true
+};
+
+// Songs the AI predictor can learn audio features from
+const AUDIO_FEATURES = ['energy', 'danceability', 'valence', 'tempo'];
+
+export class PrismaDataSource {
+  /**
+   * Songs by id, or the whole catalog; withAudioFeatures keeps only songs
+   * with every AUDIO_FEATURES value set
+   */
+  getSongs({ ids, withAudioFeatures = false } = {}) {
+    return prisma.song.findMany({
+      where: {
+        ...(ids ? { id: { in: ids } } : {}),
+        ...(withAudioFeatures
+          ? { AND: AUDIO_FEATURES.map(feature => ({ [feature]: { not: null, gt: 0 } })) }
+          : {})
+      },
+      include: SONG_INCLUDE
+    });
+  }
+
+  getSong(songId) {
+    return prisma.song.findUnique({ where: { id: songId }, include: SONG_INCLUDE });
+  }
+
+  /**
+   * Top `limit` songs, ordered by each of `fields` descending in turn
+   */
+  getTopSongs(limit, fields) {
+    return prisma.song.findMany({
+      orderBy: fields.map(field => ({ [field]: 'desc' })),
+      take: limit,
+      include: SONG_INCLUDE
+    });
+  }
+
+  getLikes({ userId, userIds, withSongs = false } = {}) {
+    return prisma.userSongLike.findMany({
+      where: userWhere(userId, userIds),
+      include: withSongs ? { song: { include: SONG_INCLUDE } } : undefined
+    });
+  }
+
+  getLike(userId, songId) {
+    return prisma.userSongLike.findUnique({ where: { userId_songId: { userId, songId } } });
+  }
+
+  getInteractions({ userId, withSongs = false } = {}) {
+    return prisma.userSongInteraction.findMany({
+      where: userWhere(userId),
+      include: withSongs ? { song: { include: SONG_INCLUDE } } : undefined
+    });
+  }
+
+  getRatings({ userId, minRating, withSongs = false } = {}) {
+    return prisma.rating.findMany({
+      where: {
+        ...userWhere(userId),
+        ...(minRating ? { rating: { gte: minRating } } : {})
+      },
+      include: withSongs ? { song: { include: SONG_INCLUDE } } : undefined
+    });
+  }
+
+  /**
+   * Accounts a user follows: [{ followingId, following: { username } }]
+   */
+  getFollows(followerId) {
+    return prisma.follow.findMany({
+      where: { followerId },
+      select: { followingId: true, following: { select: { username: true } } }
+    });
+  }
+
+  /**
+   * Every other user who has rated something, with their ratings and plays
+   */
+  getRaters({ excludeUserId } = {}) {
+    return prisma.user.findMany({
+      where: {
+        id: { not: excludeUserId },
+        ratings: { some: {} }
+      },
+      include: {
+        ratings: { include: { song: true } },
+        interactions: { include: { song: true } }
+      }
+    });
+  }
+
+  /**
+   * How much signal a user has: { likes, interactions, ratings, follows }
+   */
+  async countSignals(userId) {
+    const [likes, interactions, ratings, follows] = await Promise.all([
+      prisma.userSongLike.count({ where: { userId } }),
+      prisma.userSongInteraction.count({ where: { userId } }),
+      prisma.rating.count({ where: { userId } }),
+      prisma.follow.count({ where: { followerId: userId } })
+    ]);
+    return { likes, interactions, ratings, follows };
+  }
+
+  /**
+   * Songs a user marked "not interested": [{ songId, song: { title } }]
+   */
+  getDislikes(userId) {
+    return prisma.songDislike.findMany({
+      where: { userId },
+      select: { songId: true, song: { select: { title: true } } }
+    });
+  }
+
+  /**
+   * Skips less than maxSeconds into a track, per user and song:
+   * [{ userId, songId, count }]. A skip logged without a position or time
+   * counts as early.
+   */
+  async countEarlySkips({ userId, maxSeconds }) {
+    const rows = await prisma.interactionEvent.groupBy({
+      by: ['userId', 'songId'],
+      where: {
+        ...(userId ? { userId } : {}),
+        type: 'SKIP',
+        OR: [
+          { position: { lt: maxSeconds } },
+          { timeSpent: { lt: maxSeconds } },
+          { position: null, timeSpent: null }
+        ]
+      },
+      _count: { _all: true }
+    });
+    return rows.map(row => ({ userId: row.userId, songId: row.songId, count: row._count._all }));
+  }
+
+  /**
+   * InteractionEvent rows of the given types, oldest first
+   */
+  getEvents({ userId, types }) {
+    return prisma.interactionEvent.findMany({
+      where: { ...userWhere(userId), type: { in: types } },
+      select: { userId: true, songId: true, type: true, source: true, createdAt: true },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  /**
+   * Logged recommendation impressions, oldest first
+   */
+  getImpressions({ userId } = {}) {
+    return prisma.recommendationImpression.findMany({
+      where: userWhere(userId),
+      select: { userId: true, songId: true, surface: true, position: true, createdAt: true },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  getLatestSnapshot(kind) {
+    return getLatestSnapshot(kind);
+  }
+
+  getItemSimilarity(songIds) {
+    return getItemSimilarity(songIds);
+  }
+}
+
+function userWhere(userId, userIds) {
+  if (userId) return { userId };
+  if (userIds) return { userId: { in: userIds } };
+  return {};
+}
+
+/**
+ * Data source over plain arrays:
+ * { songs, users, likes, interactions, ratings, follows, dislikes, events,
+ * impressions }.
+ * events are InteractionEvent rows; skips and views are read. Song totalLikes
+ * and totalPlays are recounted from the given likes and interactions, so
+ * popularity never reflects rows left out of a train split. There are no
+ * model snapshots: item similarity is built from the likes and the AI
+ * predictor trains on the songs.
+ */
+export class InMemoryDataSource {
+  constructor({
+    songs = [],
+    users = [],
+    likes = [],
+    interactions = [],
+    ratings = [],
+    follows = [],
+    dislikes = [],
+    events = [],
+    impressions = []
+  } = {}) {
+    const likeCounts = countBy(likes, like => like.songId);
+    const playCounts = new Map();
+    for (const interaction of interactions) {
+      playCounts.set(interaction.songId, (playCounts.get(interaction.songId) ?? 0) + interaction.playCount);
+    }
+
+    this.songs = songs.map(song => ({
+      ...song,
+      totalLikes: likeCounts.get(song.id) ?? 0,
+      totalPlays: playCounts.get(song.id) ?? 0
+    }));
+    this.songMap = new Map(this.songs.map(song => [song.id, song]));
+    this.users = new Map(users.map(user => [user.id, user]));
+    this.likes = likes;
+    this.interactions = interactions;
+    this.ratings = ratings;
+    this.follows = follows;
+    this.dislikes = dislikes;
+    this.events = events;
+    this.impressions = impressions;
+  }
+
+  /**
+   * A copy without some of the rows, sharing the song catalog:
+   * exclude.likes is a predicate over like rows, and so on
+   */
+  without(exclude = {}) {
+    const keep = (rows, predicate) => (predicate ? rows.filter(row => !predicate(row)) : rows);
+    return new InMemoryDataSource({
+      songs: this.songs,
+      users: [...this.users.values()],
+      likes: keep(this.likes, exclude.likes),
+      interactions: keep(this.interactions, exclude.interactions),
+      ratings: keep(this.ratings, exclude.ratings),
+      follows: keep(this.follows, exclude.follows),
+      dislikes: keep(this.dislikes, exclude.dislikes),
+      events: keep(this.events, exclude.events),
+      impressions: keep(this.impressions, exclude.impressions)
+    });
+  }
+
+  async getSongs({ ids, withAudioFeatures = false } = {}) {
+    const songs = ids ? ids.map(id => this.songMap.get(id)).filter(Boolean) : this.songs;
+    if (!withAudioFeatures) return songs;
+    return songs.filter(song => AUDIO_FEATURES.every(feature => song[feature] > 0));
+  }
+
+  async getSong(songId) {
+    return this.songMap.get(songId) ?? null;
+  }
+
+  async getTopSongs(limit, fields) {
+    return [...this.songs]
+      .sort((a, b) => {
+        for (const field of fields) {
+          const diff = (b[field] ?? 0) - (a[field] ?? 0);
+          if (diff !== 0) return diff;
+        }
+        return 0;
+      })
+      .slice(0, limit);
+  }
+
+  async getLikes({ userId, userIds, withSongs = false } = {}) {
+    return this.withSongs(filterByUser(this.likes, userId, userIds), withSongs);
+  }
+
+  async getLike(userId, songId) {
+    return this.likes.find(like => like.userId === userId && like.songId === songId) ?? null;
+  }
+
+  async getInteractions({ userId, withSongs = false } = {}) {
+    return this.withSongs(filterByUser(this.interactions, userId), withSongs);
+  }
+
+  async getRatings({ userId, minRating, withSongs = false } = {}) {
+    const ratings = filterByUser(this.ratings, userId)
+      .filter(rating => !minRating || rating.rating >= minRating);
+    return this.withSongs(ratings, withSongs);
+  }
+
+  async getFollows(followerId) {
+    return this.follows
+      .filter(follow => follow.followerId === followerId)
+      .map(follow => ({
+        followingId: follow.followingId,
+        following: { username: this.users.get(follow.followingId)?.username ?? null }
+      }));
+  }
+
+  async getRaters({ excludeUserId } = {}) {
+    const raterIds = new Set(this.ratings.map(rating => rating.userId));
+    raterIds.delete(excludeUserId);
+
+    return [...raterIds].map(id => ({
+      ...(this.users.get(id) ?? { id }),
+      ratings: this.withSongs(filterByUser(this.ratings, id), true),
+      interactions: this.withSongs(filterByUser(this.interactions, id), true)
+    }));
+  }
+
+  async countSignals(userId) {
+    return {
+      likes: filterByUser(this.likes, userId).length,
+      interactions: filterByUser(this.interactions, userId).length,
+      ratings: filterByUser(this.ratings, userId).length,
+      follows: this.follows.filter(follow => follow.followerId === userId).length
+    };
+  }
+
+  async getDislikes(userId) {
+    return filterByUser(this.dislikes, userId)
+      .map(dislike => ({ songId: dislike.songId, song: { title: this.songMap.get(dislike.songId)?.title ?? '' } }));
+  }
+
+  async countEarlySkips({ userId, maxSeconds }) {
+    const isEarly = event =>
+      event.position < maxSeconds ||
+      event.timeSpent < maxSeconds ||
+      (event.position == null && event.timeSpent == null);
+
+    const counts = new Map(); // "userId songId" → row
+    for (const event of filterByUser(this.events, userId)) {
+      if (event.type !== 'SKIP' || !isEarly(event)) continue;
+      const key = `${event.userId} ${event.songId}`;
+      const row = counts.get(key) ?? { userId: event.userId, songId: event.songId, count: 0 };
+      row.count++;
+      counts.set(key, row);
+    }
+    return [...counts.values()];
+  }
+
+  async getEvents({ userId, types }) {
+    return filterByUser(this.events, userId)
+      .filter(event => types.includes(event.type))
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async getImpressions({ userId } = {}) {
+    return [...filterByUser(this.impressions, userId)].sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async getLatestSnapshot() {
+    return null;
+  }
+
+  async getItemSimilarity() {
+    return null;
+  }
+
+  withSongs(rows, withSongs) {
+    if (!withSongs) return rows;
+    return rows
+      .filter(row => this.songMap.has(row.songId))
+      .map(row => ({ ...row, song: this.songMap.get(row.songId) }));
+  }
+}
+
+function filterByUser(rows, userId, userIds) {
+  if (userId) return rows.filter(row => row.userId === userId);
+  if (userIds) {
+    const ids = new Set(userIds);
+    return rows.filter(row => ids.has(row.userId));
+  }
+  return rows;
+}
+
+function countBy(rows, key) {
+  const counts = new Map();
+  for (const row of rows) counts.set(key(row), (counts.get(key(row)) ?? 0) + 1);
+  return counts;
+}
+
+export const prismaDataSource = new PrismaDataSource();
@@ -0,0 +1,169 @@
+/**
+ * Diversity-aware re-ranking
+ * Maximal marginal relevance (Carbonell & Goldstein 1998): the list is built
+ * greedily, each step taking the candidate that maximises
+ *
+ *   (1 − diversity) · relevance − diversity · max sim(candidate, already picked)
+ *
+ * Relevance is the blended hybrid score scaled to [0, 1]. Similarity blends
+ * album, era (release-year bucket), genre and mood overlap, so a list made of
+ * one album's tracks pays for every repeat. Album and era caps are hard limits
+ * on top of that, relaxed only when nothing else is left to fill the list.
+ */
+
+export const DIVERSITY_DEFAULTS = {
+  diversity: 0.3,
+  maxPerAlbum: 3,
+  maxPerEra: null,
+  eraSpan: 5
+};
+
+const SIMILARITY_WEIGHTS = {
+  album: 0.4,
+  era: 0.2,
+  genre: 0.2,
+  mood: 0.2
+};
+
+// ── Song features ────────────────────────────────────────────────────────────
+
+function albumKey(song) {
+  const album = song.album?.trim().toLowerCase();
+  return album || null;
+}
+
+/**
+ * Release-year bucket, e.g. 2015–2019 for eraSpan = 5
+ */
+export function getEra(song, eraSpan = DIVERSITY_DEFAULTS.eraSpan) {
+  return song.year ? Math.floor(song.year / eraSpan) * eraSpan : null;
+}
+
+function genreNames(song) {
+  if (song.genres?.length > 0) return new Set(song.genres.map(g => g.genre?.name ?? g));
+  return new Set(song.predictedGenres || []);
+}
+
+function moodNames(song) {
+  if (song.moods?.length > 0) return new Set(song.moods.map(m => m.mood?.name ?? m));
+  return new Set(song.predictedMoods || []);
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let intersection = 0;
+  for (const value of a) if (b.has(value)) intersection++;
+  return intersection / (a.size + b.size - intersection);
+}
+
+function describe(song, eraSpan) {
+  return {
+    album: albumKey(song),
+    era: getEra(song, eraSpan),
+    genres: genreNames(song),
+    moods: moodNames(song)
+  };
+}
+
+function featureSimilarity(a, b) {
+  return (
+    SIMILARITY_WEIGHTS.album * (a.album !== null && a.album === b.album ? 1 : 0) +
+    SIMILARITY_WEIGHTS.era * (a.era !== null && a.era === b.era ? 1 : 0) +
+    SIMILARITY_WEIGHTS.genre * jaccard(a.genres, b.genres) +
+    SIMILARITY_WEIGHTS.mood * jaccard(a.moods, b.moods)
+  );
+}
+
+/**
+ * Similarity in [0, 1] between two songs as seen by the re-ranker
+ */
+export function songSimilarity(song1, song2, eraSpan = DIVERSITY_DEFAULTS.eraSpan) {
+  return featureSimilarity(describe(song1, eraSpan), describe(song2, eraSpan));
+}
+
+/**
+ * 1 − mean pairwise songSimilarity within a list
+ */
+export function intraListDiversity(songs, eraSpan = DIVERSITY_DEFAULTS.eraSpan) {
+  if (songs.length < 2) return 1;
+
+  const features = songs.map(song => describe(song, eraSpan));
+  let total = 0;
+  let pairs = 0;
+  for (let i = 0; i < features.length; i++) {
+    for (let j = i + 1; j < features.length; j++) {
+      total += featureSimilarity(features[i], features[j]);
+      pairs++;
+    }
+  }
+  return 1 - total / pairs;
+}
+
+// ── Re-ranking ───────────────────────────────────────────────────────────────
+
+/**
+ * Re-rank scored candidates with MMR and album/era caps.
+ * items are [{ song, score }] (any extra fields are kept); returns at most
+ * `limit` of them in their new order. diversity = 0 with no caps is a plain
+ * sort by score.
+ */
+export function rerankForDiversity(items, options = {}) {
+  const {
+    diversity = DIVERSITY_DEFAULTS.diversity,
+    maxPerAlbum = DIVERSITY_DEFAULTS.maxPerAlbum,
+    maxPerEra = DIVERSITY_DEFAULTS.maxPerEra,
+    eraSpan = DIVERSITY_DEFAULTS.eraSpan,
+    limit = items.length
+  } = options;
+
+  const lambda = Math.min(Math.max(diversity, 0), 1);
+  const sorted = [...items].sort((a, b) => b.score - a.score);
+  if (lambda === 0 && !maxPerAlbum && !maxPerEra) return sorted.slice(0, limit);
+
+  const topScore = sorted[0]?.score > 0 ? sorted[0].score : 1;
+  const candidates = sorted.map(item => ({
+    item,
+    relevance: Math.max(item.score, 0) / topScore,
+    features: describe(item.song, eraSpan),
+    maxSimilarity: 0
+  }));
+
+  const albumCounts = new Map();
+  const eraCounts = new Map();
+  const withinCaps = ({ features }) =>
+    (!maxPerAlbum || features.album === null || (albumCounts.get(features.album) ?? 0) < maxPerAlbum) &&
+    (!maxPerEra || features.era === null || (eraCounts.get(features.era) ?? 0) < maxPerEra);
+
+  const selected = [];
+  while (selected.length < limit && candidates.length > 0) {
+    // Caps are relaxed rather than returning a short list
+    const eligible = candidates.some(withinCaps) ? withinCaps : () => true;
+
+    let bestIndex = -1;
+    let bestValue = -Infinity;
+    for (let i = 0; i < candidates.length; i++) {
+      const candidate = candidates[i];
+      if (!eligible(candidate)) continue;
+
+      const value = (1 - lambda) * candidate.relevance - lambda * candidate.maxSimilarity;
+      if (value > bestValue) {
+        bestValue = value;
+        bestIndex = i;
+      }
+    }
+
+    const [picked] = candidates.splice(bestIndex, 1);
+    selected.push(picked.item);
+
+    const { album, era } = picked.features;
+    if (album !== null) albumCounts.set(album, (albumCounts.get(album) ?? 0) + 1);
+    if (era !== null) eraCounts.set(era, (eraCounts.get(era) ?? 0) + 1);
+
+    for (const candidate of candidates) {
+      const similarity = featureSimilarity(candidate.features, picked.features);
+      if (similarity > candidate.maxSimilarity) candidate.maxSimilarity = similarity;
+    }
+  }
+
+  return selected;
+}
@@ -0,0 +1,227 @@
+/**
+ * Online experiments for the recommenders
+ * Two kinds run on a surface:
+ *
+ *   ab            users are split between arms; each arm runs its own engine
+ *                 config and arms are compared on CTR, like-through and
+ *                 play-through
+ *   interleaving  team-draft interleaving (Radlinski et al. 2008): both
+ *                 rankers' lists are merged into the one list a user sees,
+ *                 each song credited to the ranker that placed it, and the
+ *                 ranker whose songs get more clicks, likes or plays wins
+ *                 the list. Far fewer users are needed than for an A/B test.
+ *
+ * A ranker or arm config is { engine, options }: engine holds flags set on
+ * its own HybridRecommendationEngine, options are passed to
+ * getColdStartRecommendations (weights, diversity, …). A ranker with
+ * kind: 'ai-enhanced' uses aiEnhancedEngine instead.
+ *
+ * Assignment is deterministic: hashes of the user id pick whether an
+ * experiment takes the user (its `traffic` share, checked in order, so a
+ * surface can split users between experiments) and which arm they get. Nothing
+ * is stored; served lists are logged with their experiment, arm and team (see
+ * impressions.js) and reported at /api/admin/experiments.
+ */
+
+import { HybridRecommendationEngine, hybridEngine } from './recommendation-engine';
+import { aiEnhancedEngine } from './ai-prediction';
+
+export const EXPERIMENTS = {
+  'for-you-interleaving': {
+    type: 'interleaving',
+    description: 'Learned hybrid weights vs the grid-sweep blend, interleaved on For You',
+    surface: 'for-you',
+    active: true,
+    traffic: 0.5,
+    rankers: {
+      learned: { engine: {}, options: {} },
+      'sweep-weights': { engine: { useLearnedWeights: false }, options: {} }
+    }
+  },
+  'for-you-ranking': {
+    type: 'ab',
+    description: 'Learned hybrid weights vs the grid-sweep blend on For You',
+    surface: 'for-you',
+    active: true,
+    control: 'learned',
+    arms: {
+      learned: { weight: 1, engine: {}, options: {} },
+      'sweep-weights': { weight: 1, engine: { useLearnedWeights: false }, options: {} }
+    }
+  }
+};
+
+// Arm name logged for every list of an interleaving experiment
+export const INTERLEAVED_ARM = 'interleaved';
+
+const engines = new Map(); // "experiment:arm" → HybridRecommendationEngine
+
+/**
+ * 32-bit FNV-1a hash of a string, mixed with murmur3's finaliser so ids that
+ * differ only in their last characters still spread evenly
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+/**
+ * Hash of a string scaled to [0, 1)
+ */
+function unitHash(value) {
+  return hashString(value) / 2 ** 32;
+}
+
+/**
+ * The user's arm in an experiment: { experiment, type, arm, options }, or
+ * null when the experiment doesn't exist or isn't running. Interleaving
+ * experiments put everyone in INTERLEAVED_ARM.
+ */
+export function assignArm(userId, experimentName) {
+  const experiment = EXPERIMENTS[experimentName];
+  if (!experiment?.active) return null;
+
+  if (experiment.type === 'interleaving') {
+    return { experiment: experimentName, type: experiment.type, arm: INTERLEAVED_ARM, options: {} };
+  }
+
+  const arms = Object.entries(experiment.arms);
+  const totalWeight = arms.reduce((sum, [, arm]) => sum + arm.weight, 0);
+  let bucket = unitHash(`${experimentName}:${userId}`) * totalWeight;
+
+  let [name, arm] = arms.at(-1);
+  for (const entry of arms) {
+    bucket -= entry[1].weight;
+    if (bucket < 0) {
+      [name, arm] = entry;
+      break;
+    }
+  }
+  return { experiment: experimentName, type: experiment.type, arm: name, options: arm.options };
+}
+
+/**
+ * The user's arm in the first running experiment on a surface whose traffic
+ * share takes them, or null if none does
+ */
+export function assignForSurface(userId, surface) {
+  for (const [name, experiment] of Object.entries(EXPERIMENTS)) {
+    if (!experiment.active || experiment.surface !== surface) continue;
+    if (unitHash(`traffic:${name}:${userId}`) < (experiment.traffic ?? 1)) return assignArm(userId, name);
+  }
+  return null;
+}
+
+/**
+ * Hybrid engine with some flags set. Configs without flags share the default
+ * engine; the rest get one each, kept for the life of the process.
+ */
+function engineFor(key, flags = {}) {
+  if (Object.keys(flags).length === 0) return hybridEngine;
+
+  if (!engines.has(key)) {
+    engines.set(key, Object.assign(new HybridRecommendationEngine(), flags));
+  }
+  return engines.get(key);
+}
+
+/**
+ * Hybrid engine for an A/B arm, or the default engine outside an experiment
+ */
+export function getArmEngine(assignment) {
+  if (!assignment || assignment.type !== 'ab') return hybridEngine;
+
+  const { engine: flags } = EXPERIMENTS[assignment.experiment].arms[assignment.arm];
+  return engineFor(`${assignment.experiment}:${assignment.arm}`, flags);
+}
+
+// ── Team-draft interleaving ──────────────────────────────────────────────────
+
+/**
+ * Merge ranked lists (teams: { [name]: recs with id }) by team draft: in each
+ * round the team with fewer picks so far (a coin flip on a tie) adds its
+ * highest-ranked song not yet in the list. keyOf decides which recs count as
+ * the same song. Returns up to `limit` recs, each with the `team` that
+ * picked it.
+ */
+export function teamDraftInterleave(teams, limit, { random = Math.random, keyOf = rec => rec.id } = {}) {
+  const [first, second] = Object.keys(teams);
+  const picks = { [first]: 0, [second]: 0 };
+  const next = { [first]: 0, [second]: 0 };
+  const seen = new Set();
+  const merged = [];
+
+  const take = team => {
+    const list = teams[team];
+    while (next[team] < list.length && seen.has(keyOf(list[next[team]]))) next[team]++;
+    if (next[team] >= list.length) return false;
+
+    const rec = list[next[team]++];
+    seen.add(keyOf(rec));
+    merged.push({ ...rec, team });
+    picks[team]++;
+    return true;
+  };
+
+  while (merged.length < limit) {
+    const firstPicks = picks[first] < picks[second] ||
+      (picks[first] === picks[second] && random() < 0.5);
+    const [team, other] = firstPicks ? [first, second] : [second, first];
+    if (!take(team) && !take(other)) break;
+  }
+
+  return merged;
+}
+
+/**
+ * One ranker's list for a user, in hybrid recommendation shape
+ */
+async function runRanker(experimentName, name, ranker, userId, limit, options) {
+  if (ranker.kind === 'ai-enhanced') {
+    const recs = await aiEnhancedEngine.getEnhancedRecommendations(userId, { limit });
+    return recs.map(rec => ({
+      ...rec,
+      recommendationScore: rec.similarity,
+      sources: ['ai-enhanced'],
+      details: { basedOn: rec.basedOn }
+    }));
+  }
+
+  return engineFor(`${experimentName}:${name}`, ranker.engine)
+    .getColdStartRecommendations(userId, limit, { ...ranker.options, ...options });
+}
+
+/**
+ * Recommendations for a user's assignment on a surface: their A/B arm's
+ * engine config, or both rankers interleaved. Interleaved recommendations
+ * carry the ranker that placed them in `team`.
+ */
+export async function getAssignedRecommendations(assignment, userId, limit, options = {}) {
+  if (assignment?.type !== 'interleaving') {
+    return getArmEngine(assignment).getColdStartRecommendations(
+      userId,
+      limit,
+      { ...assignment?.options, ...options }
+    );
+  }
+
+  const { rankers } = EXPERIMENTS[assignment.experiment];
+  const names = Object.keys(rankers);
+  const lists = await Promise.all(
+    names.map(name => runRanker(assignment.experiment, name, rankers[name], userId, limit, options))
+  );
+
+  // Each ranker picks one version per work, but they may pick different ones
+  const keyOf = options.dedupeVersions === false ? rec => rec.id : rec => rec.workId ?? rec.id;
+  const merged = teamDraftInterleave(Object.fromEntries(names.map((name, i) => [name, lists[i]])), limit, { keyOf });
+  return merged.map((rec, index) => ({ ...rec, rank: index + 1 }));
+}
@@ -0,0 +1,66 @@
+/**
+ * JSON fixtures for running the recommendation engines offline
+ * A fixture file holds the tables an InMemoryDataSource reads:
+ *
+ *   { songs, users, likes, interactions, ratings, follows, dislikes, events, impressions }
+ *
+ * Songs carry their genres, moods and artist credits in Prisma's nested shape
+ * and dates are ISO strings. Missing tables load as empty. `npm run fixtures:export`
+ * writes one from the database, and the eval scripts read the same tables
+ * live when run without --fixtures.
+ */
+
+import { readFileSync } from 'fs';
+
+export const FIXTURE_TABLES = [
+  'songs', 'users', 'likes', 'interactions', 'ratings', 'follows', 'dislikes', 'events', 'impressions'
+];
+
+const DATE_FIELDS = ['createdAt', 'updatedAt', 'lastPlayed'];
+
+function reviveDates(row) {
+  const revived = { ...row };
+  for (const field of DATE_FIELDS) {
+    if (typeof revived[field] === 'string') revived[field] = new Date(revived[field]);
+  }
+  return revived;
+}
+
+/**
+ * The tables of a fixture file, with dates as Date objects
+ */
+export function readFixtures(path) {
+  const raw = JSON.parse(readFileSync(path, 'utf8'));
+  return Object.fromEntries(
+    FIXTURE_TABLES.map(table => [table, (raw[table] ?? []).map(reviveDates)])
+  );
+}
+
+/**
+ * The fixture tables read from the database with a Prisma client. Users are
+ * id and username only and only skip and view events are kept, since nothing
+ * else is read. Likes are sorted by createdAt ASC.
+ */
+export async function queryFixtureTables(prisma) {
+  const [songs, users, likes, interactions, ratings, follows, dislikes, events, impressions] = await Promise.all([
+    prisma.song.findMany({
+      include: { genres: { include: { genre: true } }, moods: { include: { mood: true } }, artists: true }
+    }),
+    prisma.user.findMany({ select: { id: true, username: true } }),
+    prisma.userSongLike.findMany({ orderBy: { createdAt: 'asc' } }),
+    prisma.userSongInteraction.findMany(),
+    prisma.rating.findMany(),
+    prisma.follow.findMany(),
+    prisma.songDislike.findMany(),
+    prisma.interactionEvent.findMany({
+      where: { type: { in: ['SKIP', 'VIEW'] } },
+      select: {
+        userId: true, songId: true, type: true, source: true, position: true, timeSpent: true, createdAt: true
+      }
+    }),
+    prisma.recommendationImpression.findMany({
+      select: { userId: true, songId: true, surface: true, position: true, createdAt: true }
+    })
+  ]);
+  return { songs, users, likes, interactions, ratings, follows, dislikes, events, impressions };
+}
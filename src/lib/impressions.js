@@ -0,0 +1,339 @@
+/**
+ * Recommendation impressions
+ * Every list a /api/recommendations/* route builds is logged, one
+ * RecommendationImpression row per song with its position, the surface and
+ * algorithm that produced it and, when the user is in an experiment, the arm
+ * (and for interleaved lists, the ranker's team). Lists are logged when
+ * they're built, not each time a cached one is served again, so one list
+ * has one listId however often it's reloaded.
+ *
+ * Outcomes are attributed to an impression when they happen within
+ * ATTRIBUTION_WINDOW_HOURS after it, for the same user and song:
+ *
+ *   CTR             impressions followed by a play
+ *   like-through    impressions followed by a like
+ *   play-through    clicked impressions whose song was also played to the end
+ *
+ * A/B arms are compared with their experiment's control by a two-sided
+ * two-proportion z-test. Impressions of one user aren't independent, so
+ * treat p-values near SIGNIFICANCE_LEVEL with care.
+ *
+ * In an interleaving experiment each list is won by the ranker whose songs
+ * got more of an outcome; lists where both got as many are ties. Win rates
+ * are over decided lists, tested against 50/50 with an exact sign test.
+ *
+ * Reports count a list a user was shown more than once (the same songs in
+ * the same order) only once, so reloads can't inflate either test.
+ */
+
+import { randomUUID } from 'crypto';
+import { prisma } from './prisma';
+import { EXPERIMENTS, INTERLEAVED_ARM } from './experiments';
+
+export const ATTRIBUTION_WINDOW_HOURS = 24;
+export const REPORT_DAYS = 30;
+export const SIGNIFICANCE_LEVEL = 0.05;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Log one served list (songIds in ranked order, teams alongside for an
+ * interleaved list). Returns its listId, or null if nothing was logged; a
+ * logging failure never fails the request.
+ */
+export async function logImpressions({ userId, surface, algorithm, songIds, teams = null, assignment = null }) {
+  if (songIds.length === 0) return null;
+
+  const listId = randomUUID();
+  try {
+    await prisma.recommendationImpression.createMany({
+      data: songIds.map((songId, index) => ({
+        listId,
+        userId,
+        songId,
+        position: index + 1,
+        surface,
+        algorithm,
+        experiment: assignment?.experiment ?? null,
+        arm: assignment?.arm ?? null,
+        team: teams?.[index] ?? null
+      }))
+    });
+    return listId;
+  } catch (error) {
+    console.error('Error logging recommendation impressions:', error);
+    return null;
+  }
+}
+
+// ── Statistics ───────────────────────────────────────────────────────────────
+
+/**
+ * Standard normal CDF (Abramowitz & Stegun 7.1.26, |error| < 1.5e-7)
+ */
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Two-sided two-proportion z-test of successes/trials in a vs b:
+ * { diff, z, pValue, significant }, or null when either side has no trials
+ */
+export function twoProportionTest(successesA, trialsA, successesB, trialsB) {
+  if (trialsA === 0 || trialsB === 0) return null;
+
+  const pA = successesA / trialsA;
+  const pB = successesB / trialsB;
+  const pooled = (successesA + successesB) / (trialsA + trialsB);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / trialsA + 1 / trialsB));
+  if (standardError === 0) return { diff: pA - pB, z: 0, pValue: 1, significant: false };
+
+  const z = (pA - pB) / standardError;
+  const pValue = 2 * (1 - normalCdf(Math.abs(z)));
+  return { diff: pA - pB, z, pValue, significant: pValue < SIGNIFICANCE_LEVEL };
+}
+
+/**
+ * Exact two-sided sign test of wins vs losses against 50/50:
+ * { pValue, significant }, or null with no decided trials
+ */
+export function signTest(wins, losses) {
+  const n = wins + losses;
+  if (n === 0) return null;
+
+  // P(X ≤ min(wins, losses)) for X ~ Binomial(n, 0.5), summed in log space
+  const k = Math.min(wins, losses);
+  let logChoose = 0;
+  let tail = 0;
+  for (let i = 0; i <= k; i++) {
+    if (i > 0) logChoose += Math.log(n - i + 1) - Math.log(i);
+    tail += Math.exp(logChoose - n * Math.LN2);
+  }
+  const pValue = Math.min(1, 2 * tail);
+  return { pValue, significant: pValue < SIGNIFICANCE_LEVEL };
+}
+
+// ── Experiment report ────────────────────────────────────────────────────────
+
+function rate(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : null;
+}
+
+/**
+ * Map<"userId songId", Date[]> of outcome timestamps
+ */
+function timesByPair(rows) {
+  const times = new Map();
+  for (const row of rows) {
+    const key = `${row.userId} ${row.songId}`;
+    if (!times.has(key)) times.set(key, []);
+    times.get(key).push(row.createdAt.getTime());
+  }
+  return times;
+}
+
+function happenedWithin(times, start, window) {
+  return times?.some(time => time >= start && time <= start + window) ?? false;
+}
+
+/**
+ * An experiment's impressions over the last `days`, each with the outcomes
+ * attributed to it: { clicked, liked, completed }
+ */
+async function loadAttributedImpressions(experimentName, days, windowHours) {
+  const since = new Date(Date.now() - days * DAY);
+  const window = windowHours * HOUR;
+
+  const impressions = await prisma.recommendationImpression.findMany({
+    where: { experiment: experimentName, createdAt: { gte: since } },
+    select: { listId: true, userId: true, songId: true, position: true, arm: true, team: true, createdAt: true }
+  });
+  if (impressions.length === 0) return { since, impressions };
+
+  const userIds = [...new Set(impressions.map(impression => impression.userId))];
+  const songIds = [...new Set(impressions.map(impression => impression.songId))];
+  const [events, likes] = await Promise.all([
+    prisma.interactionEvent.findMany({
+      where: {
+        userId: { in: userIds },
+        songId: { in: songIds },
+        type: { in: ['PLAY', 'COMPLETE'] },
+        createdAt: { gte: since }
+      },
+      select: { userId: true, songId: true, type: true, createdAt: true }
+    }),
+    prisma.userSongLike.findMany({
+      where: { userId: { in: userIds }, songId: { in: songIds }, createdAt: { gte: since } },
+      select: { userId: true, songId: true, createdAt: true }
+    })
+  ]);
+
+  const plays = timesByPair(events.filter(event => event.type === 'PLAY'));
+  const completes = timesByPair(events.filter(event => event.type === 'COMPLETE'));
+  const likeTimes = timesByPair(likes);
+
+  return {
+    since,
+    impressions: impressions.map(impression => {
+      const key = `${impression.userId} ${impression.songId}`;
+      const start = impression.createdAt.getTime();
+      const clicked = happenedWithin(plays.get(key), start, window);
+      return {
+        ...impression,
+        clicked,
+        liked: happenedWithin(likeTimes.get(key), start, window),
+        completed: clicked && happenedWithin(completes.get(key), start, window)
+      };
+    })
+  };
+}
+
+/**
+ * Report for an experiment over the last `days`: per-arm rates tested
+ * against the control for A/B, per-ranker win rates for interleaving.
+ * Returns null for an unknown experiment.
+ */
+export async function getExperimentReport(experimentName, {
+  days = REPORT_DAYS,
+  windowHours = ATTRIBUTION_WINDOW_HOURS
+} = {}) {
+  const experiment = EXPERIMENTS[experimentName];
+  if (!experiment) return null;
+
+  const { since, impressions: logged } = await loadAttributedImpressions(experimentName, days, windowHours);
+  const impressions = firstCopies(logged);
+  const report = {
+    experiment: experimentName,
+    type: experiment.type,
+    description: experiment.description,
+    surface: experiment.surface,
+    active: experiment.active,
+    since,
+    windowHours,
+    significanceLevel: SIGNIFICANCE_LEVEL
+  };
+
+  return experiment.type === 'interleaving'
+    ? { ...report, ...interleavingReport(experiment, impressions) }
+    : { ...report, ...abReport(experiment, impressions) };
+}
+
+/**
+ * The impressions of one list per user and song order (teams included): the
+ * same list served again adds no new comparison, and counting its copies
+ * would treat one user's lists as independent. The earliest copy is kept.
+ */
+function firstCopies(impressions) {
+  const byList = new Map(); // listId → impressions
+  for (const impression of impressions) {
+    if (!byList.has(impression.listId)) byList.set(impression.listId, []);
+    byList.get(impression.listId).push(impression);
+  }
+
+  const kept = new Map(); // user and song order → impressions
+  for (const rows of byList.values()) {
+    rows.sort((a, b) => a.position - b.position);
+    const key = `${rows[0].userId} ${rows.map(row => `${row.songId}:${row.team ?? ''}`).join(',')}`;
+    const copy = kept.get(key);
+    if (!copy || rows[0].createdAt < copy[0].createdAt) kept.set(key, rows);
+  }
+  return [...kept.values()].flat();
+}
+
+/**
+ * Per-arm CTR, like-through and play-through, each arm tested against the control
+ */
+function abReport(experiment, impressions) {
+  const counts = new Map(Object.keys(experiment.arms).map(arm => [arm, {
+    users: new Set(), lists: new Set(), impressions: 0, clicks: 0, likes: 0, completes: 0
+  }]));
+
+  for (const impression of impressions) {
+    const arm = counts.get(impression.arm);
+    if (!arm) continue; // arm since removed from the config
+
+    arm.users.add(impression.userId);
+    arm.lists.add(impression.listId);
+    arm.impressions++;
+    if (impression.clicked) arm.clicks++;
+    if (impression.liked) arm.likes++;
+    if (impression.completed) arm.completes++;
+  }
+
+  const control = counts.get(experiment.control);
+  const arms = [...counts.entries()].map(([name, arm]) => ({
+    arm: name,
+    users: arm.users.size,
+    lists: arm.lists.size,
+    impressions: arm.impressions,
+    clicks: arm.clicks,
+    likes: arm.likes,
+    completes: arm.completes,
+    ctr: rate(arm.clicks, arm.impressions),
+    likeThrough: rate(arm.likes, arm.impressions),
+    playThrough: rate(arm.completes, arm.clicks),
+    vsControl: name === experiment.control ? null : {
+      ctr: twoProportionTest(arm.clicks, arm.impressions, control.clicks, control.impressions),
+      likeThrough: twoProportionTest(arm.likes, arm.impressions, control.likes, control.impressions),
+      playThrough: twoProportionTest(arm.completes, arm.clicks, control.completes, control.clicks)
+    }
+  }));
+
+  return { control: experiment.control, arms };
+}
+
+const INTERLEAVING_OUTCOMES = { clicks: 'clicked', likes: 'liked', completes: 'completed' };
+
+/**
+ * Per-outcome list wins for each ranker, with win rates and a sign test
+ */
+function interleavingReport(experiment, impressions) {
+  const rankers = Object.keys(experiment.rankers);
+  const lists = new Map(); // listId → { [ranker]: { clicks, likes, completes } }
+  const users = new Set();
+
+  for (const impression of impressions) {
+    if (impression.arm !== INTERLEAVED_ARM || !rankers.includes(impression.team)) continue;
+
+    if (!lists.has(impression.listId)) {
+      lists.set(impression.listId, Object.fromEntries(
+        rankers.map(ranker => [ranker, { clicks: 0, likes: 0, completes: 0 }])
+      ));
+    }
+    const credit = lists.get(impression.listId)[impression.team];
+    for (const [outcome, field] of Object.entries(INTERLEAVING_OUTCOMES)) {
+      if (impression[field]) credit[outcome]++;
+    }
+    users.add(impression.userId);
+  }
+
+  const [first, second] = rankers;
+  const outcomes = {};
+  for (const outcome of Object.keys(INTERLEAVING_OUTCOMES)) {
+    const wins = { [first]: 0, [second]: 0 };
+    let ties = 0;
+    for (const credit of lists.values()) {
+      const diff = credit[first][outcome] - credit[second][outcome];
+      if (diff > 0) wins[first]++;
+      else if (diff < 0) wins[second]++;
+      else ties++;
+    }
+
+    const decided = wins[first] + wins[second];
+    outcomes[outcome] = {
+      wins,
+      ties,
+      winRate: {
+        [first]: rate(wins[first], decided),
+        [second]: rate(wins[second], decided)
+      },
+      test: signTest(wins[first], wins[second])
+    };
+  }
+
+  return { rankers, users: users.size, lists: lists.size, outcomes };
+}
@@ -0,0 +1,239 @@
+/**
+ * Interaction event log
+ * Every interaction is appended to InteractionEvent with its position in the
+ * track, time spent, session id and source surface, so the order of events
+ * survives alongside the UserSongInteraction counters.
+ *
+ * Raw events are kept for RAW_RETENTION_DAYS. compactEvents then rolls them
+ * up into daily per-(user, song, type) totals and deletes them; rollups are
+ * kept for ROLLUP_RETENTION_DAYS.
+ */
+
+import { prisma } from './prisma';
+import { cache } from './cache';
+
+export const EVENT_TYPES = {
+  view: 'VIEW',
+  play: 'PLAY',
+  pause: 'PAUSE',
+  complete: 'COMPLETE',
+  skip: 'SKIP',
+  like: 'LIKE',
+  unlike: 'UNLIKE',
+  share: 'SHARE',
+  add_to_playlist: 'ADD_TO_PLAYLIST',
+  not_interested: 'NOT_INTERESTED'
+};
+
+// Likes, playlist adds and dismissals change state, so they only go through POST /api/interactions
+export const BATCHABLE_TYPES = ['view', 'play', 'pause', 'complete', 'skip', 'share'];
+
+// These count as a play on UserSongInteraction, as in POST /api/interactions
+const PLAY_TYPES = new Set(['view', 'play', 'complete', 'skip']);
+
+export const MAX_BATCH_SIZE = 500;
+export const RAW_RETENTION_DAYS = 90;
+export const ROLLUP_RETENTION_DAYS = 730;
+
+// Buffered client events may arrive late, but not from before the last compaction
+const MAX_EVENT_AGE = 7 * 24 * 60 * 60 * 1000;
+const MAX_CLOCK_SKEW = 5 * 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+
+function toNumber(value) {
+  const number = Number(value);
+  return value === null || value === undefined || !Number.isFinite(number) ? null : number;
+}
+
+/**
+ * InteractionEvent row for one interaction. position, timeSpent (or
+ * duration), sessionId and source get their own columns; any other metadata
+ * is kept as JSON.
+ */
+export function toEventData(userId, songId, interactionType, metadata = {}, occurredAt = new Date()) {
+  const { position, timeSpent, duration, sessionId, source, ...rest } = metadata;
+
+  return {
+    userId,
+    songId,
+    type: EVENT_TYPES[interactionType],
+    position: toNumber(position),
+    timeSpent: toNumber(timeSpent ?? duration),
+    sessionId: sessionId ? String(sessionId) : null,
+    source: source ? String(source) : null,
+    metadata: Object.keys(rest).length > 0 ? rest : undefined,
+    createdAt: occurredAt
+  };
+}
+
+/**
+ * Append one event to the log
+ */
+export function recordEvent(userId, songId, interactionType, metadata) {
+  return prisma.interactionEvent.create({
+    data: toEventData(userId, songId, interactionType, metadata)
+  });
+}
+
+/**
+ * Validate one batched event ({ songId, interactionType, metadata, timestamp }).
+ * Returns { event } or { error }.
+ */
+export function validateEvent(raw, now = Date.now()) {
+  if (!raw || typeof raw !== 'object') return { error: 'Event must be an object' };
+
+  const { songId, interactionType, metadata = {}, timestamp } = raw;
+  if (!songId || typeof songId !== 'string') return { error: 'songId is required' };
+  if (!BATCHABLE_TYPES.includes(interactionType)) {
+    return { error: `interactionType must be one of ${BATCHABLE_TYPES.join(', ')}` };
+  }
+  if (typeof metadata !== 'object' || metadata === null || Array.isArray(metadata)) {
+    return { error: 'metadata must be an object' };
+  }
+
+  const occurredAt = timestamp === undefined ? new Date(now) : new Date(timestamp);
+  if (Number.isNaN(occurredAt.getTime())) return { error: 'Invalid timestamp' };
+  if (occurredAt.getTime() > now + MAX_CLOCK_SKEW) return { error: 'timestamp is in the future' };
+  if (occurredAt.getTime() < now - MAX_EVENT_AGE) return { error: 'timestamp is too old' };
+
+  return { event: { songId, interactionType, metadata, occurredAt } };
+}
+
+/**
+ * Ingest a batch of events for one user: append them to the log and apply
+ * play counts and listening time to UserSongInteraction / Song.totalPlays.
+ * Invalid events are reported by index; the rest are still stored.
+ */
+export async function ingestEvents(userId, rawEvents) {
+  const rejected = [];
+  const valid = [];
+
+  rawEvents.forEach((raw, index) => {
+    const { event, error } = validateEvent(raw);
+    if (error) rejected.push({ index, error });
+    else valid.push({ index, ...event });
+  });
+
+  const songIds = [...new Set(valid.map(event => event.songId))];
+  const existing = songIds.length > 0
+    ? await prisma.song.findMany({ where: { id: { in: songIds } }, select: { id: true } })
+    : [];
+  const knownSongs = new Set(existing.map(song => song.id));
+
+  const accepted = [];
+  for (const event of valid) {
+    if (knownSongs.has(event.songId)) accepted.push(event);
+    else rejected.push({ index: event.index, error: 'Song not found' });
+  }
+
+  if (accepted.length > 0) {
+    await prisma.$transaction(async (tx) => {
+      await tx.interactionEvent.createMany({
+        data: accepted.map(event =>
+          toEventData(userId, event.songId, event.interactionType, event.metadata, event.occurredAt)
+        )
+      });
+      await applyCounters(tx, userId, accepted);
+    });
+    await cache.invalidateUser(userId);
+  }
+
+  return {
+    accepted: accepted.length,
+    rejected: rejected.sort((a, b) => a.index - b.index)
+  };
+}
+
+/**
+ * Fold a batch into the per-song counters, one write per song
+ */
+async function applyCounters(tx, userId, events) {
+  const bySong = new Map(); // songId → { plays, totalTime, lastPlayed }
+  for (const event of events) {
+    const counters = bySong.get(event.songId) ?? { plays: 0, totalTime: 0, lastPlayed: null };
+    const { timeSpent, duration } = event.metadata;
+    const seconds = toNumber(timeSpent ?? duration) ?? 0;
+
+    if (PLAY_TYPES.has(event.interactionType)) {
+      counters.plays++;
+      if (!counters.lastPlayed || event.occurredAt > counters.lastPlayed) counters.lastPlayed = event.occurredAt;
+    }
+    if (PLAY_TYPES.has(event.interactionType) || event.interactionType === 'pause') {
+      counters.totalTime += event.interactionType === 'skip' ? Math.min(seconds, 30) : seconds;
+    }
+    bySong.set(event.songId, counters);
+  }
+
+  for (const [songId, { plays, totalTime, lastPlayed }] of bySong) {
+    if (plays === 0 && totalTime === 0) continue;
+
+    if (plays === 0) {
+      // Pauses only add time to an existing interaction
+      await tx.userSongInteraction.updateMany({
+        where: { userId, songId },
+        data: { totalTime: { increment: Math.round(totalTime) } }
+      });
+      continue;
+    }
+
+    await tx.userSongInteraction.upsert({
+      where: { userId_songId: { userId, songId } },
+      update: {
+        playCount: { increment: plays },
+        lastPlayed,
+        totalTime: { increment: Math.round(totalTime) }
+      },
+      create: {
+        userId,
+        songId,
+        playCount: plays,
+        lastPlayed,
+        totalTime: Math.round(totalTime)
+      }
+    });
+    await tx.song.update({
+      where: { id: songId },
+      data: { totalPlays: { increment: plays } }
+    });
+  }
+}
+
+/**
+ * Roll raw events past retention up into daily totals, delete them, and drop
+ * expired rollups. The cutoff is a UTC midnight so no day is split between
+ * raw events and its rollup.
+ */
+export async function compactEvents({
+  rawRetentionDays = RAW_RETENTION_DAYS,
+  rollupRetentionDays = ROLLUP_RETENTION_DAYS
+} = {}) {
+  const today = Math.floor(Date.now() / DAY) * DAY;
+  const rawCutoff = new Date(today - rawRetentionDays * DAY);
+  const rollupCutoff = new Date(today - rollupRetentionDays * DAY);
+
+  return prisma.$transaction(async (tx) => {
+    const rolledUp = await tx.$executeRaw`
+      INSERT INTO interaction_event_rollups (id, "userId", "songId", type, day, count, "timeSpent")
+      SELECT gen_random_uuid()::text, "userId", "songId", type, date_trunc('day', "createdAt")::date,
+             COUNT(*), COALESCE(SUM("timeSpent"), 0)
+      FROM interaction_events
+      WHERE "createdAt" < ${rawCutoff}
+      GROUP BY "userId", "songId", type, date_trunc('day', "createdAt")::date
+      ON CONFLICT ("userId", "songId", type, day) DO UPDATE
+        SET count = interaction_event_rollups.count + EXCLUDED.count,
+            "timeSpent" = interaction_event_rollups."timeSpent" + EXCLUDED."timeSpent"`;
+
+    const compacted = await tx.interactionEvent.deleteMany({
+      where: { createdAt: { lt: rawCutoff } }
+    });
+    const expired = await tx.interactionEventRollup.deleteMany({
+      where: { day: { lt: rollupCutoff } }
+    });
+
+    return {
+      rollupsWritten: rolledUp,
+      eventsCompacted: compacted.count,
+      rollupsExpired: expired.count
+    };
+  }, { timeout: 60000 });
+}
@@ -0,0 +1,131 @@
+/**
+ * Item similarity counts for collaborative filtering
+ * Jaccard similarity between two songs is derived at query time from
+ *
+ *   like counts      per song, counted from user_song_likes
+ *   co-like counts   users who like both songs, stored in song_co_likes
+ *
+ * A like or unlike upserts the pairs it touches with an increment, so it
+ * only locks those rows and the liking user. rebuildItemSimilarity()
+ * recounts the table from the likes (cron, admin), repairing drift from
+ * likes written outside likes.js (seeds, eval data).
+ */
+
+import { prisma } from './prisma';
+
+// ── Counting ─────────────────────────────────────────────────────────────────
+
+/**
+ * Like counts and symmetric co-like counts from (userId, songId) like rows,
+ * as plain objects (see parseItemSimilarity)
+ */
+export function buildItemSimilarity(likes) {
+  const userItems = new Map();
+  for (const { userId, songId } of likes) {
+    if (!userItems.has(userId)) userItems.set(userId, []);
+    userItems.get(userId).push(songId);
+  }
+
+  const likeCounts = {};
+  const coCounts = {};
+  for (const songIds of userItems.values()) {
+    for (const a of songIds) {
+      likeCounts[a] = (likeCounts[a] ?? 0) + 1;
+      for (const b of songIds) {
+        if (a === b) continue;
+        if (!coCounts[a]) coCounts[a] = {};
+        coCounts[a][b] = (coCounts[a][b] ?? 0) + 1;
+      }
+    }
+  }
+
+  return { likeCounts, coCounts };
+}
+
+/**
+ * Convert item-similarity counts to Maps for scoring
+ */
+export function parseItemSimilarity({ likeCounts, coCounts }) {
+  return {
+    likeCounts: new Map(Object.entries(likeCounts)),
+    coCounts: new Map(Object.entries(coCounts).map(([songId, row]) => [songId, new Map(Object.entries(row))]))
+  };
+}
+
+// ── Database ─────────────────────────────────────────────────────────────────
+
+/**
+ * Counts around some songs (e.g. a user's likes): coCounts holds their
+ * co-liked songs, likeCounts the songs and everything co-liked with them
+ */
+export async function getItemSimilarity(songIds) {
+  const rows = await prisma.songCoLike.findMany({
+    where: { songId: { in: songIds } },
+    select: { songId: true, otherSongId: true, count: true }
+  });
+
+  const coCounts = new Map();
+  for (const row of rows) {
+    if (!coCounts.has(row.songId)) coCounts.set(row.songId, new Map());
+    coCounts.get(row.songId).set(row.otherSongId, row.count);
+  }
+
+  const likeRows = await prisma.userSongLike.groupBy({
+    by: ['songId'],
+    where: { songId: { in: [...new Set([...songIds, ...rows.map(row => row.otherSongId)])] } },
+    _count: { _all: true }
+  });
+  const likeCounts = new Map(likeRows.map(row => [row.songId, row._count._all]));
+
+  return { likeCounts, coCounts };
+}
+
+/**
+ * Apply one like (+1) or unlike (-1) of songId to its pairs with every other
+ * song the user likes. Call inside the transaction that wrote the like row,
+ * holding the user's row lock (see likes.js) so two of their likes can't miss
+ * each other. Pairs are written in key order, so concurrent likes by
+ * different users never deadlock.
+ */
+export async function applyLikeToCoLikes(tx, userId, songId, delta) {
+  await tx.$executeRaw`
+    INSERT INTO song_co_likes ("songId", "otherSongId", count)
+    SELECT pair."songId", pair."otherSongId", ${delta}::int
+    FROM (
+      SELECT ${songId}::text AS "songId", "songId" AS "otherSongId"
+      FROM user_song_likes WHERE "userId" = ${userId} AND "songId" <> ${songId}
+      UNION ALL
+      SELECT "songId", ${songId}::text
+      FROM user_song_likes WHERE "userId" = ${userId} AND "songId" <> ${songId}
+    ) pair
+    ORDER BY pair."songId", pair."otherSongId"
+    ON CONFLICT ("songId", "otherSongId") DO UPDATE
+      SET count = song_co_likes.count + EXCLUDED.count`;
+
+  if (delta < 0) {
+    await tx.$executeRaw`
+      DELETE FROM song_co_likes
+      WHERE count <= 0 AND ("songId" = ${songId} OR "otherSongId" = ${songId})`;
+  }
+}
+
+/**
+ * Recount song_co_likes from the like table. Like writes wait for it (SHARE
+ * lock on user_song_likes), so none is lost or counted twice.
+ * Returns { likes, pairs }.
+ */
+export async function rebuildItemSimilarity() {
+  return prisma.$transaction(async (tx) => {
+    await tx.$executeRaw`LOCK TABLE user_song_likes IN SHARE MODE`;
+    await tx.$executeRaw`DELETE FROM song_co_likes`;
+    const rows = await tx.$executeRaw`
+      INSERT INTO song_co_likes ("songId", "otherSongId", count)
+      SELECT a."songId", b."songId", COUNT(*)::int
+      FROM user_song_likes a
+      JOIN user_song_likes b ON a."userId" = b."userId" AND a."songId" <> b."songId"
+      GROUP BY a."songId", b."songId"`;
+    const likes = await tx.userSongLike.count();
+
+    return { likes, pairs: rows / 2 };
+  }, { timeout: 60000 });
+}
@@ -0,0 +1,206 @@
+/**
+ * Learned hybrid weights
+ * A logistic-regression ranker over the signals the hybrid engine blends. Each
+ * impression of a song (a served recommendation, see impressions.js, or a
+ * VIEW event) is one example, labelled 1 if the user went on to like it:
+ *
+ *   P(like) = σ(bias + Σᵢ wᵢ · xᵢ)
+ *
+ * x holds the raw per-source scores (SOURCE_FEATURES) plus the song's
+ * popularity, release recency and genre overlap with the user's likes.
+ *
+ * scripts/train-ranker.js fits it and stores { bias, weights } as the next
+ * HYBRID_WEIGHTS model snapshot. HybridRecommendationEngine ranks with the
+ * latest version and falls back to SWEEP_WEIGHTS until one exists.
+ */
+
+// Grid-search optimum from eval:sweep: CF beats CB on NDCG@10 (0.112 vs 0.064);
+// AI tier is degenerate (uniform scores), so it gets no weight
+export const SWEEP_WEIGHTS = {
+  collaborativeWeight: 0.70,
+  contentBasedWeight: 0.15,
+  aiEnhancedWeight: 0,
+  popularityWeight: 0.15
+};
+
+// Hybrid sources the ranker weighs, and the getRecommendations option for each
+const SOURCE_OPTIONS = {
+  collaborative: 'collaborativeWeight',
+  social: 'socialWeight',
+  'matrix-factorization': 'matrixFactorizationWeight',
+  'content-based': 'contentBasedWeight',
+  'ai-enhanced': 'aiEnhancedWeight'
+};
+
+export const SOURCE_FEATURES = Object.keys(SOURCE_OPTIONS);
+export const RANKING_FEATURES = [...SOURCE_FEATURES, 'popularity', 'recency', 'genre-overlap'];
+
+// InteractionEvent types that count as the user having been shown a song
+export const IMPRESSION_EVENT_TYPES = ['VIEW'];
+
+const RECENCY_HALF_LIFE_YEARS = 5;
+
+const TRAINING_DEFAULTS = {
+  epochs: 500,
+  learningRate: 0.5,
+  l2: 0.01
+};
+
+// ── Features ─────────────────────────────────────────────────────────────────
+
+function genreNames(song) {
+  if (song.genres?.length > 0) return song.genres.map(g => g.genre?.name ?? g);
+  return song.predictedGenres || [];
+}
+
+/**
+ * Genres across a user's likes (rows with their song)
+ */
+export function likedGenres(likes) {
+  return new Set(likes.flatMap(like => (like.song ? genreNames(like.song) : [])));
+}
+
+/**
+ * Feature values for one candidate. sourceScores are the unweighted scores
+ * each hybrid source gave it (missing sources count 0); recency is measured
+ * at `now`, the impression time when training.
+ */
+export function rankingFeatures(sourceScores, song, genres, now = Date.now()) {
+  const features = {};
+  for (const source of SOURCE_FEATURES) features[source] = sourceScores[source] ?? 0;
+
+  const songGenres = genreNames(song);
+  const ageYears = song.year ? Math.max(0, new Date(now).getFullYear() - song.year) : null;
+
+  features.popularity = (song.popularity ?? 0) / 100;
+  features.recency = ageYears === null ? 0 : 0.5 ** (ageYears / RECENCY_HALF_LIFE_YEARS);
+  features['genre-overlap'] = songGenres.length > 0
+    ? songGenres.filter(name => genres.has(name)).length / songGenres.length
+    : 0;
+  return features;
+}
+
+// ── Scoring ──────────────────────────────────────────────────────────────────
+
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+/**
+ * Predicted like probability for a feature map
+ */
+export function rankerScore(ranker, features) {
+  let z = ranker.bias;
+  for (const [feature, weight] of Object.entries(ranker.weights)) z += weight * (features[feature] ?? 0);
+  return sigmoid(z);
+}
+
+/**
+ * Each feature's term in the ranker's logit, for explanations
+ */
+export function rankerContributions(ranker, features) {
+  const contributions = {};
+  for (const [feature, weight] of Object.entries(ranker.weights)) {
+    const term = weight * (features[feature] ?? 0);
+    if (term !== 0) contributions[feature] = term;
+  }
+  return contributions;
+}
+
+/**
+ * getRecommendations weights that fetch every source the ranker uses
+ * unweighted, so their scores arrive as raw features. Popular songs still
+ * join the candidates; the ranker scores them by popularity instead.
+ */
+export function rankerSourceWeights(ranker) {
+  const weights = { popularityWeight: 1 };
+  for (const [source, option] of Object.entries(SOURCE_OPTIONS)) {
+    weights[option] = ranker.weights[source] ? 1 : 0;
+  }
+  return weights;
+}
+
+// ── Training ─────────────────────────────────────────────────────────────────
+
+/**
+ * Fit the ranker to examples ({ features, label }) by full-batch gradient
+ * descent on L2-regularised log loss. Features are standardised while
+ * training and the weights mapped back, so the result applies to raw values.
+ */
+export function trainRanker(examples, options = {}) {
+  const { epochs, learningRate, l2 } = { ...TRAINING_DEFAULTS, ...options };
+  const n = examples.length;
+  const rows = examples.map(example => RANKING_FEATURES.map(feature => example.features[feature] ?? 0));
+
+  const mean = RANKING_FEATURES.map((_, j) => rows.reduce((sum, row) => sum + row[j], 0) / n);
+  const std = RANKING_FEATURES.map((_, j) => {
+    const variance = rows.reduce((sum, row) => sum + (row[j] - mean[j]) ** 2, 0) / n;
+    return Math.sqrt(variance) || 1;
+  });
+  const standardised = rows.map(row => row.map((value, j) => (value - mean[j]) / std[j]));
+
+  const w = new Array(RANKING_FEATURES.length).fill(0);
+  let bias = 0;
+
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    const gradW = w.map(weight => l2 * weight);
+    let gradBias = 0;
+
+    standardised.forEach((x, i) => {
+      let z = bias;
+      for (let j = 0; j < w.length; j++) z += w[j] * x[j];
+      const error = sigmoid(z) - examples[i].label;
+
+      gradBias += error / n;
+      for (let j = 0; j < w.length; j++) gradW[j] += (error * x[j]) / n;
+    });
+
+    bias -= learningRate * gradBias;
+    for (let j = 0; j < w.length; j++) w[j] -= learningRate * gradW[j];
+  }
+
+  const weights = {};
+  RANKING_FEATURES.forEach((feature, j) => {
+    weights[feature] = w[j] / std[j];
+    bias -= (w[j] * mean[j]) / std[j];
+  });
+  return { features: RANKING_FEATURES, bias, weights };
+}
+
+// ── Evaluation ───────────────────────────────────────────────────────────────
+
+/**
+ * Probability a random positive outscores a random negative (ties count
+ * half), or null without both labels
+ */
+export function auc(examples, score) {
+  const scored = examples
+    .map(example => ({ score: score(example), label: example.label }))
+    .sort((a, b) => a.score - b.score);
+  const positives = scored.filter(example => example.label === 1).length;
+  const negatives = scored.length - positives;
+  if (positives === 0 || negatives === 0) return null;
+
+  // Mann–Whitney U with average ranks for ties
+  let rankSum = 0;
+  for (let i = 0; i < scored.length;) {
+    let j = i;
+    while (j < scored.length && scored[j].score === scored[i].score) j++;
+    const averageRank = (i + j + 1) / 2;
+    for (let k = i; k < j; k++) if (scored[k].label === 1) rankSum += averageRank;
+    i = j;
+  }
+  return (rankSum - (positives * (positives + 1)) / 2) / (positives * negatives);
+}
+
+/**
+ * Mean negative log-likelihood of the labels under predicted probabilities
+ */
+export function logLoss(examples, predict) {
+  const eps = 1e-12;
+  const total = examples.reduce((sum, example) => {
+    const p = Math.min(Math.max(predict(example), eps), 1 - eps);
+    return sum - (example.label * Math.log(p) + (1 - example.label) * Math.log(1 - p));
+  }, 0);
+  return total / examples.length;
+}
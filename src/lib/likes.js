@@ -0,0 +1,74 @@
+/**
+ * Song likes
+ * Single write path for likes: the like row, Song.totalLikes and the
+ * co-like counts (see item-similarity.js) change together in one transaction.
+ */
+
+import { prisma } from './prisma';
+import { cache } from './cache';
+import { applyLikeToCoLikes } from './item-similarity';
+
+/**
+ * Lock the user's row so their like writes serialise: each one then sees the
+ * others' like rows when it counts co-likes. Likes by different users don't
+ * wait for each other.
+ */
+async function lockUser(tx, userId) {
+  await tx.$queryRaw`SELECT id FROM users WHERE id = ${userId} FOR UPDATE`;
+}
+
+/**
+ * Like a song. Returns { liked, like } where liked is false when the user had
+ * already liked it.
+ */
+export async function likeSong(userId, songId) {
+  const result = await prisma.$transaction(async (tx) => {
+    await lockUser(tx, userId);
+
+    const existing = await tx.userSongLike.findUnique({
+      where: { userId_songId: { userId, songId } }
+    });
+    if (existing) return { liked: false, like: existing };
+
+    const like = await tx.userSongLike.create({ data: { userId, songId } });
+    await tx.song.update({
+      where: { id: songId },
+      data: { totalLikes: { increment: 1 } }
+    });
+    await applyLikeToCoLikes(tx, userId, songId, 1);
+
+    return { liked: true, like };
+  });
+
+  if (result.liked) {
+    await cache.invalidateUser(userId);
+    await cache.invalidateSongStats();
+  }
+  return result;
+}
+
+/**
+ * Remove a like. Returns { removed } (0 or 1).
+ */
+export async function unlikeSong(userId, songId) {
+  const result = await prisma.$transaction(async (tx) => {
+    await lockUser(tx, userId);
+
+    const deleted = await tx.userSongLike.deleteMany({ where: { userId, songId } });
+    if (deleted.count === 0) return { removed: 0 };
+
+    await tx.song.update({
+      where: { id: songId },
+      data: { totalLikes: { decrement: deleted.count } }
+    });
+    await applyLikeToCoLikes(tx, userId, songId, -1);
+
+    return { removed: deleted.count };
+  });
+
+  if (result.removed > 0) {
+    await cache.invalidateUser(userId);
+    await cache.invalidateSongStats();
+  }
+  return result;
+}
@@ -0,0 +1,286 @@
+/**
+ * Implicit-feedback matrix factorization
+ * Weighted ALS (Hu, Koren & Volinsky 2008) over likes, plays and ratings.
+ *
+ * Every observed (user, song) pair gets a binary preference p and a
+ * confidence c = 1 + alpha * strength. Unobserved pairs are p = 0, c = 1.
+ * ALS alternates closed-form solves of
+ *
+ *   x_u = (YᵀY + Yᵀ(C_u − I)Y + λI)⁻¹ Yᵀ C_u p_u
+ *
+ * for users and the symmetric update for items. The YᵀY trick means each
+ * solve only touches that user's observed songs.
+ */
+
+export const ALS_DEFAULTS = {
+  factors: 16,
+  iterations: 15,
+  regularization: 0.1,
+  alpha: 20,
+  seed: 42
+};
+
+// ── Feedback ─────────────────────────────────────────────────────────────────
+
+/**
+ * Combine likes, plays and ratings into one implicit-feedback entry per
+ * (user, song). Ratings of 1-2 without a like count as confident negatives
+ * (p = 0) rather than weak positives.
+ */
+export function buildImplicitFeedback({ likes = [], interactions = [], ratings = [] }) {
+  const entries = new Map(); // `${userId}\t${songId}` → { userId, songId, strength, rating, liked }
+  const entry = (userId, songId) => {
+    const key = `${userId}\t${songId}`;
+    if (!entries.has(key)) {
+      entries.set(key, { userId, songId, strength: 0, rating: null, liked: false });
+    }
+    return entries.get(key);
+  };
+
+  for (const like of likes) {
+    const e = entry(like.userId, like.songId);
+    e.liked = true;
+    e.strength += 1;
+  }
+
+  for (const interaction of interactions) {
+    const e = entry(interaction.userId, interaction.songId);
+    e.strength += 0.5 * Math.log1p(interaction.playCount || 0);
+    e.strength += 0.5 * Math.min((interaction.totalTime || 0) / 600, 1); // 10 min listened = 0.5
+  }
+
+  for (const rating of ratings) {
+    const e = entry(rating.userId, rating.songId);
+    e.rating = rating.rating;
+    if (rating.rating >= 3) e.strength += (rating.rating - 2) / 3;
+  }
+
+  return [...entries.values()]
+    .map(({ userId, songId, strength, rating, liked }) => {
+      const negative = !liked && rating !== null && rating <= 2;
+      return {
+        userId,
+        songId,
+        preference: negative ? 0 : 1,
+        strength: negative ? (3 - rating) / 2 : strength
+      };
+    })
+    .filter(e => e.strength > 0);
+}
+
+// ── Linear algebra ───────────────────────────────────────────────────────────
+
+function mulberry32(seed) {
+  return function () {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomFactors(count, k, rng) {
+  const matrix = new Float64Array(count * k);
+  for (let i = 0; i < matrix.length; i++) matrix[i] = (rng() - 0.5) * 0.1;
+  return matrix;
+}
+
+/**
+ * YᵀY for a row-major (rows × k) matrix
+ */
+function gramian(matrix, rows, k) {
+  const out = new Float64Array(k * k);
+  for (let r = 0; r < rows; r++) {
+    const o = r * k;
+    for (let i = 0; i < k; i++) {
+      const yi = matrix[o + i];
+      if (yi === 0) continue;
+      for (let j = i; j < k; j++) out[i * k + j] += yi * matrix[o + j];
+    }
+  }
+  for (let i = 0; i < k; i++) {
+    for (let j = 0; j < i; j++) out[i * k + j] = out[j * k + i];
+  }
+  return out;
+}
+
+/**
+ * Solve A x = b for symmetric positive-definite A (Cholesky, in place on a copy)
+ */
+function solveSPD(A, b, k) {
+  const L = new Float64Array(A);
+  for (let j = 0; j < k; j++) {
+    let d = L[j * k + j];
+    for (let p = 0; p < j; p++) d -= L[j * k + p] * L[j * k + p];
+    d = Math.sqrt(Math.max(d, 1e-12));
+    L[j * k + j] = d;
+    for (let i = j + 1; i < k; i++) {
+      let s = L[i * k + j];
+      for (let p = 0; p < j; p++) s -= L[i * k + p] * L[j * k + p];
+      L[i * k + j] = s / d;
+    }
+  }
+
+  const y = new Float64Array(k);
+  for (let i = 0; i < k; i++) {
+    let s = b[i];
+    for (let p = 0; p < i; p++) s -= L[i * k + p] * y[p];
+    y[i] = s / L[i * k + i];
+  }
+  const x = new Float64Array(k);
+  for (let i = k - 1; i >= 0; i--) {
+    let s = y[i];
+    for (let p = i + 1; p < k; p++) s -= L[p * k + i] * x[p];
+    x[i] = s / L[i * k + i];
+  }
+  return x;
+}
+
+/**
+ * Normal equations (A x = b) for a single row given the fixed other side.
+ * `observed` is a list of { index, preference, confidence }.
+ */
+function normalEquations(fixed, fixedGram, observed, k, regularization) {
+  const A = new Float64Array(fixedGram);
+  const b = new Float64Array(k);
+
+  for (const { index, preference, confidence } of observed) {
+    const o = index * k;
+    const extra = confidence - 1;
+    for (let i = 0; i < k; i++) {
+      const yi = fixed[o + i];
+      if (preference > 0) b[i] += confidence * preference * yi;
+      if (extra === 0) continue;
+      for (let j = 0; j < k; j++) A[i * k + j] += extra * yi * fixed[o + j];
+    }
+  }
+  for (let i = 0; i < k; i++) A[i * k + i] += regularization;
+
+  return { A, b };
+}
+
+/**
+ * One least-squares solve for a single row given the fixed other side
+ */
+function solveRow(fixed, fixedGram, observed, k, regularization) {
+  const { A, b } = normalEquations(fixed, fixedGram, observed, k, regularization);
+  return solveSPD(A, b, k);
+}
+
+// ── Model ────────────────────────────────────────────────────────────────────
+
+/**
+ * Train item and user factors. `itemIds` fixes the catalog so songs with no
+ * feedback still get a (near-zero) factor row and can be scored.
+ */
+export function trainImplicitALS(entries, itemIds, options = {}) {
+  const { factors: k, iterations, regularization, alpha, seed } = { ...ALS_DEFAULTS, ...options };
+  const rng = mulberry32(seed);
+
+  const itemIndex = new Map(itemIds.map((id, i) => [id, i]));
+  const userIds = [...new Set(entries.map(e => e.userId))];
+  const userIndex = new Map(userIds.map((id, i) => [id, i]));
+
+  const byUser = userIds.map(() => []);
+  const byItem = itemIds.map(() => []);
+  for (const e of entries) {
+    const u = userIndex.get(e.userId);
+    const i = itemIndex.get(e.songId);
+    if (i === undefined) continue; // song deleted since the feedback was read
+    const confidence = 1 + alpha * e.strength;
+    byUser[u].push({ index: i, preference: e.preference, confidence });
+    byItem[i].push({ index: u, preference: e.preference, confidence });
+  }
+
+  const userFactors = randomFactors(userIds.length, k, rng);
+  const itemFactors = randomFactors(itemIds.length, k, rng);
+
+  for (let iter = 0; iter < iterations; iter++) {
+    const itemGram = gramian(itemFactors, itemIds.length, k);
+    for (let u = 0; u < userIds.length; u++) {
+      userFactors.set(solveRow(itemFactors, itemGram, byUser[u], k, regularization), u * k);
+    }
+
+    const userGram = gramian(userFactors, userIds.length, k);
+    for (let i = 0; i < itemIds.length; i++) {
+      itemFactors.set(solveRow(userFactors, userGram, byItem[i], k, regularization), i * k);
+    }
+  }
+
+  return {
+    factors: k,
+    regularization,
+    alpha,
+    userIds,
+    itemIds,
+    userIndex,
+    itemIndex,
+    userFactors,
+    itemFactors,
+    itemGram: gramian(itemFactors, itemIds.length, k),
+    trainedAt: new Date()
+  };
+}
+
+/**
+ * Solve a user's factor vector against fixed item factors. Lets a user's
+ * newest likes count immediately without retraining the whole model.
+ */
+export function foldInUser(model, userEntries) {
+  const observed = observeUser(model, userEntries);
+  if (observed.length === 0) return null;
+
+  return solveRow(model.itemFactors, model.itemGram, observed, model.factors, model.regularization);
+}
+
+/**
+ * Split one song's predicted score into contributions from the user's own
+ * positive feedback (Hu, Koren & Volinsky 2008, §5):
+ *
+ *   ŷ_ui = Σ_j  c_uj p_uj · y_iᵀ W_u y_j,   W_u = (YᵀC_uY + λI)⁻¹
+ *
+ * Returns [{ songId, contribution }] strongest first. The contributions sum
+ * to the song's fold-in score.
+ */
+export function explainItem(model, userEntries, songId) {
+  const target = model.itemIndex.get(songId);
+  const observed = observeUser(model, userEntries);
+  if (target === undefined || observed.length === 0) return [];
+
+  const k = model.factors;
+  const { A } = normalEquations(model.itemFactors, model.itemGram, observed, k, model.regularization);
+  const w = solveSPD(A, model.itemFactors.subarray(target * k, (target + 1) * k), k);
+
+  return observed
+    .filter(o => o.preference > 0)
+    .map(o => {
+      let s = 0;
+      for (let f = 0; f < k; f++) s += w[f] * model.itemFactors[o.index * k + f];
+      return { songId: o.songId, contribution: o.confidence * o.preference * s };
+    })
+    .sort((a, b) => b.contribution - a.contribution);
+}
+
+function observeUser(model, userEntries) {
+  const observed = [];
+  for (const e of userEntries) {
+    const index = model.itemIndex.get(e.songId);
+    if (index === undefined) continue;
+    observed.push({ index, songId: e.songId, preference: e.preference, confidence: 1 + model.alpha * e.strength });
+  }
+  return observed;
+}
+
+/**
+ * Predicted preference for every song in the model: Map<songId, score>
+ */
+export function scoreAllItems(model, userVector) {
+  const k = model.factors;
+  const scores = new Map();
+  for (let i = 0; i < model.itemIds.length; i++) {
+    let s = 0;
+    for (let f = 0; f < k; f++) s += userVector[f] * model.itemFactors[i * k + f];
+    scores.set(model.itemIds[i], s);
+  }
+  return scores;
+}
@@ -0,0 +1,95 @@
+/**
+ * In-process cache backend
+ * Entries and tags live in Maps owned by this process. Expired entries are
+ * dropped when read and by a sweep every SWEEP_INTERVAL writes, so there is
+ * no timer to leak across dev hot-reloads.
+ */
+
+import { CacheBackend } from './cache-backend';
+
+const SWEEP_INTERVAL = 200;
+
+export class MemoryCache extends CacheBackend {
+  constructor() {
+    super('memory');
+    this.entries = new Map(); // key → { value, expiresAt, tags }
+    this.tagIndex = new Map(); // tag → Set<key>
+    this.writes = 0;
+  }
+
+  async read(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (Date.now() > entry.expiresAt) {
+      this.drop(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async write(key, value, { ttl, tags }) {
+    this.drop(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl, tags });
+
+    for (const tag of tags) {
+      if (!this.tagIndex.has(tag)) this.tagIndex.set(tag, new Set());
+      this.tagIndex.get(tag).add(key);
+    }
+
+    if (++this.writes % SWEEP_INTERVAL === 0) this.sweep();
+  }
+
+  async remove(key) {
+    this.drop(key);
+  }
+
+  async invalidateTag(tag) {
+    const keys = this.tagIndex.get(tag);
+    if (!keys) return;
+    for (const key of [...keys]) this.drop(key);
+    this.tagIndex.delete(tag);
+  }
+
+  async clear() {
+    this.entries.clear();
+    this.tagIndex.clear();
+    this.hits = 0;
+    this.misses = 0;
+    this.errors = 0;
+  }
+
+  /**
+   * Remove an entry and its tag memberships
+   */
+  drop(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+
+    this.entries.delete(key);
+    for (const tag of entry.tags) {
+      const keys = this.tagIndex.get(tag);
+      if (!keys) continue;
+      keys.delete(key);
+      if (keys.size === 0) this.tagIndex.delete(tag);
+    }
+  }
+
+  /**
+   * Drop every expired entry
+   */
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (now > entry.expiresAt) this.drop(key);
+    }
+  }
+
+  getStats() {
+    return {
+      ...super.getStats(),
+      size: this.entries.size,
+      entries: [...this.entries.keys()]
+    };
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * Recommendation model snapshots
+ * Precomputed model state stored in model_snapshots with a version and build
+ * timestamp, so engines load it instead of recomputing it per request.
+ *
+ *   AI_PREDICTOR         AIFeaturePredictor's trained feature/genre/mood models
+ *   HYBRID_WEIGHTS       the learned hybrid ranker (see learning-to-rank.js),
+ *                        written by scripts/train-ranker.js
+ *   SESSION_TRANSITIONS  next-track transition counts, rebuilt by
+ *                        session-recommender.js when stale
+ *
+ * Item similarity counts are kept in their own table, see item-similarity.js.
+ */
+
+import { prisma } from './prisma';
+
+export const SNAPSHOT_KINDS = {
+  AI_PREDICTOR: 'AI_PREDICTOR',
+  HYBRID_WEIGHTS: 'HYBRID_WEIGHTS',
+  SESSION_TRANSITIONS: 'SESSION_TRANSITIONS'
+};
+
+// Older versions beyond this are pruned after each rebuild
+const SNAPSHOTS_KEPT = 5;
+
+// How long a process trusts its loaded snapshot before checking for a newer one
+const RECHECK_INTERVAL = 30 * 1000;
+
+const loaded = new Map(); // kind → { id, version, builtAt, updatedAt, payload, parsed, checkedAt }
+
+/**
+ * Latest snapshot of a kind, cached per process and re-checked every
+ * RECHECK_INTERVAL with a metadata-only query. Returns null if none exists.
+ */
+export async function getLatestSnapshot(kind) {
+  const cached = loaded.get(kind);
+  if (cached && Date.now() - cached.checkedAt < RECHECK_INTERVAL) return cached;
+
+  const meta = await prisma.modelSnapshot.findFirst({
+    where: { kind },
+    orderBy: { version: 'desc' },
+    select: { id: true, version: true, builtAt: true, updatedAt: true }
+  });
+
+  if (!meta) {
+    loaded.delete(kind);
+    return null;
+  }
+
+  if (cached && cached.id === meta.id && cached.updatedAt.getTime() === meta.updatedAt.getTime()) {
+    cached.checkedAt = Date.now();
+    return cached;
+  }
+
+  const { payload } = await prisma.modelSnapshot.findUnique({
+    where: { id: meta.id },
+    select: { payload: true }
+  });
+
+  const snapshot = { ...meta, payload, parsed: null, checkedAt: Date.now() };
+  loaded.set(kind, snapshot);
+  return snapshot;
+}
+
+/**
+ * Force the next getLatestSnapshot(kind) to hit the database
+ */
+export function invalidateSnapshotCache(kind) {
+  loaded.delete(kind);
+}
+
+/**
+ * Store a new version of a snapshot and prune old ones
+ */
+export async function saveSnapshot(kind, payload, stats = null, tx = prisma) {
+  const latest = await tx.modelSnapshot.findFirst({
+    where: { kind },
+    orderBy: { version: 'desc' },
+    select: { version: true }
+  });
+  const version = (latest?.version ?? 0) + 1;
+
+  const snapshot = await tx.modelSnapshot.create({
+    data: { kind, version, payload, stats },
+    select: { id: true, kind: true, version: true, stats: true, builtAt: true }
+  });
+
+  await tx.modelSnapshot.deleteMany({
+    where: { kind, version: { lte: version - SNAPSHOTS_KEPT } }
+  });
+
+  invalidateSnapshotCache(kind);
+  return snapshot;
+}
+
+/**
+ * Latest version metadata for every kind (admin status)
+ */
+export async function getSnapshotStatus() {
+  const status = {};
+  for (const kind of Object.values(SNAPSHOT_KINDS)) {
+    status[kind] = await prisma.modelSnapshot.findFirst({
+      where: { kind },
+      orderBy: { version: 'desc' },
+      select: { id: true, version: true, stats: true, builtAt: true, updatedAt: true }
+    });
+  }
+  return status;
+}
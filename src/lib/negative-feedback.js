@@ -0,0 +1,113 @@
+/**
+ * Negative feedback
+ * Two signals count against a song for a user:
+ *
+ *   dismissed    "Not interested" on a recommendation (SongDislike). The song
+ *                and its near-duplicates (remixes, sped-up or slowed edits,
+ *                features, …) are never recommended to that user again.
+ *   early skip   a skip less than EARLY_SKIP_SECONDS into the track. Each one
+ *                multiplies the song's weight by EARLY_SKIP_DECAY in taste
+ *                profiles and in the hybrid blend.
+ */
+
+import { prisma } from './prisma';
+import { cache } from './cache';
+import { prismaDataSource } from './data-source';
+
+export const EARLY_SKIP_SECONDS = 30;
+const EARLY_SKIP_DECAY = 0.5;
+
+// Bracketed or dashed title suffixes that mark another version of the same song
+const VERSION_PATTERN = /\b(remix|mix|edit|sped[\s-]?up|slowed|reverb|nightcore|instrumental|acapella|a cappella|acoustic|live|remaster(ed)?|version|demo|extended|clean|explicit|bass boosted|chopped|screwed|feat|ft|with)\b/i;
+
+/**
+ * Title reduced to the underlying song: "XO Tour Llif3 (Sped Up)",
+ * "XO TOUR Llif3 - Slowed + Reverb" and "XO Tour Llif3" share a key.
+ * Bracketed tags and dashed suffixes are dropped when they match
+ * tagPattern; works.js passes a narrower one.
+ */
+export function titleKey(title = '', tagPattern = VERSION_PATTERN) {
+  return title
+    .toLowerCase()
+    .replace(/[([{][^)\]}]*[)\]}]/g, tag => (tagPattern.test(tag) ? ' ' : tag))
+    .replace(/\s[-–—]\s.*$/, suffix => (tagPattern.test(suffix) ? '' : suffix))
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Weight left after `count` early skips
+ */
+export function earlySkipWeight(count = 0) {
+  return EARLY_SKIP_DECAY ** count;
+}
+
+/**
+ * Early skips per user and song: Map<userId, Map<songId, count>>.
+ * A skip logged without a position or time counts as early, matching the
+ * 5-second default POST /api/interactions records for it.
+ */
+export async function getEarlySkipCounts({ userId, data = prismaDataSource } = {}) {
+  const rows = await data.countEarlySkips({ userId, maxSeconds: EARLY_SKIP_SECONDS });
+
+  const counts = new Map();
+  for (const row of rows) {
+    if (!counts.has(row.userId)) counts.set(row.userId, new Map());
+    counts.get(row.userId).set(row.songId, row.count);
+  }
+  return counts;
+}
+
+/**
+ * Everything the recommenders need to respect one user's negative feedback:
+ * { excludedIds, earlySkips, skipWeight(songId) }. excludedIds holds the
+ * dismissed songs plus every catalog song with the same title key.
+ */
+export async function getNegativeFeedback(userId, data = prismaDataSource) {
+  const [dislikes, skipCounts] = await Promise.all([
+    data.getDislikes(userId),
+    getEarlySkipCounts({ userId, data })
+  ]);
+
+  const excludedIds = new Set(dislikes.map(d => d.songId));
+  if (dislikes.length > 0) {
+    const dismissedKeys = new Set(dislikes.map(d => titleKey(d.song.title)).filter(Boolean));
+    const catalog = await data.getSongs();
+    for (const song of catalog) {
+      if (dismissedKeys.has(titleKey(song.title))) excludedIds.add(song.id);
+    }
+  }
+
+  const earlySkips = skipCounts.get(userId) ?? new Map();
+
+  return {
+    excludedIds,
+    earlySkips,
+    skipWeight: songId => earlySkipWeight(earlySkips.get(songId))
+  };
+}
+
+/**
+ * Mark a song "not interested" for a user
+ */
+export async function dismissSong(userId, songId, reason = null) {
+  const dislike = await prisma.songDislike.upsert({
+    where: { userId_songId: { userId, songId } },
+    update: { reason },
+    create: { userId, songId, reason }
+  });
+
+  await cache.invalidateUser(userId);
+  return dislike;
+}
+
+/**
+ * Undo "not interested". Returns whether there was anything to remove.
+ */
+export async function undismissSong(userId, songId) {
+  const { count } = await prisma.songDislike.deleteMany({ where: { userId, songId } });
+  if (count > 0) await cache.invalidateUser(userId);
+  return count > 0;
+}
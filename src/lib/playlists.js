@@ -0,0 +1,224 @@
+/**
+ * Playlist helpers
+ * Shared by the playlist API routes and the add_to_playlist interaction so
+ * positions, songCount and totalDuration are maintained in one place.
+ */
+
+import { prisma } from './prisma';
+
+/**
+ * Get a playlist if the user is allowed to see it (owner or public)
+ */
+export async function getVisiblePlaylist(playlistId, userId = null) {
+  const playlist = await prisma.playlist.findUnique({
+    where: { id: playlistId },
+    include: {
+      user: { select: { id: true, username: true, avatarUrl: true } },
+      songs: {
+        orderBy: { position: 'asc' },
+        include: {
+          song: {
+            include: {
+              genres: { include: { genre: true } },
+              moods: { include: { mood: true } }
+            }
+          }
+        }
+      }
+    }
+  });
+
+  if (!playlist) return null;
+  if (!playlist.isPublic && playlist.userId !== userId) return null;
+
+  return playlist;
+}
+
+/**
+ * Get a playlist only if it belongs to the user
+ */
+export async function getOwnedPlaylist(playlistId, userId) {
+  const playlist = await prisma.playlist.findUnique({
+    where: { id: playlistId }
+  });
+
+  if (!playlist || playlist.userId !== userId) return null;
+
+  return playlist;
+}
+
+/**
+ * Recompute songCount and totalDuration from the playlist's rows
+ */
+async function refreshPlaylistTotals(tx, playlistId) {
+  const rows = await tx.playlistSong.findMany({
+    where: { playlistId },
+    select: { song: { select: { duration: true } } }
+  });
+
+  return tx.playlist.update({
+    where: { id: playlistId },
+    data: {
+      songCount: rows.length,
+      totalDuration: rows.reduce((sum, row) => sum + (row.song.duration || 0), 0)
+    }
+  });
+}
+
+/**
+ * Lock the playlist row so concurrent writes to its songs serialise; each
+ * transaction then reads positions other writers have committed.
+ */
+async function lockPlaylist(tx, playlistId) {
+  await tx.$queryRaw`SELECT id FROM playlists WHERE id = ${playlistId} FOR UPDATE`;
+}
+
+/**
+ * Whether a Prisma error is the (playlistId, songId) unique key, i.e. the
+ * song is already in the playlist
+ */
+export function isDuplicateSongError(error) {
+  if (error?.code !== 'P2002') return false;
+  const target = error.meta?.target;
+  return Array.isArray(target)
+    ? target.includes('songId')
+    : String(target).includes('songId');
+}
+
+/**
+ * Rewrite positions as 0..n-1 in the given order.
+ *
+ * (playlistId, position) is unique and checked row by row, so every row is
+ * first moved above the current maximum (p → p + max + 1) and then assigned
+ * its final slot. No intermediate state ever holds two rows on one position.
+ */
+async function writePositions(tx, playlistId, orderedIds) {
+  const maxRow = await tx.playlistSong.aggregate({
+    where: { playlistId },
+    _max: { position: true }
+  });
+  const offset = (maxRow._max.position ?? -1) + 1;
+
+  await tx.playlistSong.updateMany({
+    where: { playlistId },
+    data: { position: { increment: offset } }
+  });
+
+  for (let index = 0; index < orderedIds.length; index++) {
+    await tx.playlistSong.update({
+      where: { id: orderedIds[index] },
+      data: { position: index }
+    });
+  }
+}
+
+/**
+ * Append a song to the end of a playlist
+ */
+export async function addSongToPlaylist(playlistId, songId) {
+  return prisma.$transaction(async (tx) => {
+    await lockPlaylist(tx, playlistId);
+    const last = await tx.playlistSong.aggregate({
+      where: { playlistId },
+      _max: { position: true }
+    });
+
+    const entry = await tx.playlistSong.create({
+      data: {
+        playlistId,
+        songId,
+        position: (last._max.position ?? -1) + 1
+      }
+    });
+
+    const playlist = await refreshPlaylistTotals(tx, playlistId);
+
+    return { entry, playlist };
+  });
+}
+
+/**
+ * Remove a song from a playlist and close the gap it leaves
+ */
+export async function removeSongFromPlaylist(playlistId, songId) {
+  return prisma.$transaction(async (tx) => {
+    await lockPlaylist(tx, playlistId);
+    const deleted = await tx.playlistSong.deleteMany({
+      where: { playlistId, songId }
+    });
+
+    if (deleted.count > 0) {
+      const remaining = await tx.playlistSong.findMany({
+        where: { playlistId },
+        orderBy: { position: 'asc' },
+        select: { id: true }
+      });
+      await writePositions(tx, playlistId, remaining.map(row => row.id));
+    }
+
+    const playlist = await refreshPlaylistTotals(tx, playlistId);
+
+    return { removed: deleted.count, playlist };
+  });
+}
+
+/**
+ * Reorder a playlist. songIds must list every song in the playlist exactly once.
+ * Returns null when songIds does not match the playlist contents.
+ */
+export async function reorderPlaylist(playlistId, songIds) {
+  return prisma.$transaction(async (tx) => {
+    await lockPlaylist(tx, playlistId);
+    const rows = await tx.playlistSong.findMany({
+      where: { playlistId },
+      select: { id: true, songId: true }
+    });
+
+    const rowBySong = new Map(rows.map(row => [row.songId, row.id]));
+    const uniqueIds = new Set(songIds);
+    if (
+      uniqueIds.size !== songIds.length ||
+      songIds.length !== rows.length ||
+      !songIds.every(id => rowBySong.has(id))
+    ) {
+      return null;
+    }
+
+    await writePositions(tx, playlistId, songIds.map(id => rowBySong.get(id)));
+
+    return tx.playlist.findUnique({ where: { id: playlistId } });
+  });
+}
+
+/**
+ * Shape a playlist (with songs) for API responses
+ */
+export function serializePlaylist(playlist) {
+  return {
+    id: playlist.id,
+    name: playlist.name,
+    description: playlist.description,
+    isPublic: playlist.isPublic,
+    imageUrl: playlist.imageUrl || playlist.songs?.[0]?.song?.imageUrl || null,
+    songCount: playlist.songCount,
+    totalDuration: playlist.totalDuration,
+    owner: playlist.user ? { id: playlist.user.id, username: playlist.user.username } : undefined,
+    createdAt: playlist.createdAt,
+    updatedAt: playlist.updatedAt,
+    songs: playlist.songs?.map(entry => ({
+      id: entry.song.id,
+      title: entry.song.title,
+      artist: entry.song.artist,
+      album: entry.song.album,
+      year: entry.song.year,
+      imageUrl: entry.song.imageUrl,
+      duration: entry.song.duration,
+      spotifyUrl: entry.song.spotifyId ? `https://open.spotify.com/track/${entry.song.spotifyId}` : null,
+      youtubeUrl: entry.song.youtubeId ? `https://www.youtube.com/watch?v=${entry.song.youtubeId}` : null,
+      genre: entry.song.genres?.map(g => g.genre.name) || [],
+      mood: entry.song.moods?.map(m => m.mood.name) || [],
+      position: entry.position,
+      addedAt: entry.addedAt
+    }))
+  };
+}
@@ -0,0 +1,96 @@
+/**
+ * Star ratings
+ * Writes a user's 1-5 rating and keeps Song.avgRating / Song.totalRatings and
+ * User.avgRating in step with the ratings table inside the same transaction.
+ */
+
+import { prisma } from './prisma';
+import { cache } from './cache';
+
+export const MIN_RATING = 1;
+export const MAX_RATING = 5;
+
+/**
+ * Validate a rating value from a request body
+ */
+export function isValidRating(value) {
+  return Number.isInteger(value) && value >= MIN_RATING && value <= MAX_RATING;
+}
+
+/**
+ * Lock the song and user rows so concurrent rating writes on either one
+ * serialise; each transaction then aggregates over committed data.
+ */
+async function lockRows(tx, userId, songId) {
+  await tx.$queryRaw`SELECT id FROM songs WHERE id = ${songId} FOR UPDATE`;
+  await tx.$queryRaw`SELECT id FROM users WHERE id = ${userId} FOR UPDATE`;
+}
+
+/**
+ * Recompute song and user aggregates from the ratings table
+ */
+async function refreshAggregates(tx, userId, songId) {
+  const [songStats, userStats] = await Promise.all([
+    tx.rating.aggregate({ where: { songId }, _avg: { rating: true }, _count: { rating: true } }),
+    tx.rating.aggregate({ where: { userId }, _avg: { rating: true } })
+  ]);
+
+  const song = await tx.song.update({
+    where: { id: songId },
+    data: {
+      avgRating: songStats._avg.rating ?? 0,
+      totalRatings: songStats._count.rating
+    },
+    select: { id: true, avgRating: true, totalRatings: true }
+  });
+
+  await tx.user.update({
+    where: { id: userId },
+    data: { avgRating: userStats._avg.rating ?? 0 }
+  });
+
+  return song;
+}
+
+/**
+ * Create or change a user's rating for a song
+ */
+export async function upsertRating(userId, songId, rating) {
+  const result = await prisma.$transaction(async (tx) => {
+    await lockRows(tx, userId, songId);
+
+    const saved = await tx.rating.upsert({
+      where: { userId_songId: { userId, songId } },
+      update: { rating },
+      create: { userId, songId, rating }
+    });
+
+    const song = await refreshAggregates(tx, userId, songId);
+
+    return { rating: saved.rating, song };
+  });
+
+  await cache.invalidateUser(userId);
+  await cache.invalidateSongStats();
+  return result;
+}
+
+/**
+ * Remove a user's rating for a song
+ */
+export async function deleteRating(userId, songId) {
+  const result = await prisma.$transaction(async (tx) => {
+    await lockRows(tx, userId, songId);
+
+    const deleted = await tx.rating.deleteMany({ where: { userId, songId } });
+    const song = await refreshAggregates(tx, userId, songId);
+
+    return { removed: deleted.count, song };
+  });
+
+  if (result.removed > 0) {
+    await cache.invalidateUser(userId);
+    await cache.invalidateSongStats();
+  }
+  return result;
+}
@@ -3,7 +3,7 @@
  * Implements collaborative filtering, content-based filtering, and hybrid approaches
  */
 
-import { prisma } from './prisma';
+import { prismaDataSource } from './data-source';
 import {
   cosineSimilarity,
   euclideanDistance,
@@ -12,13 +12,68 @@ import {
   calculateAdvancedSimilarity,
   songToFeatureVector
 } from './audio-analysis';
-import { aiEnhancedEngine } from './ai-prediction';
+import { AIEnhancedRecommendationEngine } from './ai-prediction';
+import {
+  buildImplicitFeedback,
+  trainImplicitALS,
+  foldInUser,
+  scoreAllItems,
+  explainItem
+} from './matrix-factorization';
+import { DIVERSITY_DEFAULTS, rerankForDiversity } from './diversity';
+import { getNegativeFeedback, getEarlySkipCounts, earlySkipWeight } from './negative-feedback';
+import { dedupeByWork, workIdsOf } from './works';
+import { DEFAULT_HALF_LIFE_DAYS, decayWeight, latestSignal, signalDate } from './time-decay';
+import { SNAPSHOT_KINDS } from './model-snapshots';
+import { buildItemSimilarity, parseItemSimilarity } from './item-similarity';
+import {
+  SWEEP_WEIGHTS,
+  likedGenres,
+  rankingFeatures,
+  rankerScore,
+  rankerContributions,
+  rankerSourceWeights
+} from './learning-to-rank';
+
+// Retrain ALS factors at most this often; user vectors are folded in per call
+const FACTOR_MODEL_TTL = 30 * 60 * 1000;
+
+// Seed songs kept per source in a recommendation's explanation
+const SEEDS_PER_SOURCE = 3;
+
+/**
+ * Strongest `limit` entries of a Map<songId, score> as [{ songId, score }]
+ */
+function topSeeds(contributions, limit = SEEDS_PER_SOURCE) {
+  return [...contributions.entries()]
+    .filter(([, score]) => score > 0)
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, limit)
+    .map(([songId, score]) => ({ songId, score }));
+}
 
 /**
  * Collaborative Filtering Engine
  */
 export class CollaborativeFiltering {
-  
+  constructor(alsOptions = {}, { data = prismaDataSource } = {}) {
+    this.alsOptions = alsOptions;
+    this.data = data;
+    this.halfLifeDays = DEFAULT_HALF_LIFE_DAYS;
+    this.useStoredSimilarity = true;
+    this.factorModel = null;
+    this.factorTraining = null;
+  }
+
+  /**
+   * Read from another data source (see data-source.js); the cached factors
+   * were trained on the old one
+   */
+  setDataSource(data) {
+    this.data = data;
+    this.invalidateFactors();
+  }
+
   /**
    * User-based collaborative filtering
    * Find users with similar taste and recommend songs they like
@@ -26,10 +81,11 @@ export class CollaborativeFiltering {
   async findSimilarUsers(userId, limit = 50) {
     try {
       // Get user's ratings, interactions, and likes
-      const [userRatings, userInteractions, userLikes] = await Promise.all([
-        prisma.rating.findMany({ where: { userId }, include: { song: true } }),
-        prisma.userSongInteraction.findMany({ where: { userId }, include: { song: true } }),
-        prisma.userSongLike.findMany({ where: { userId }, include: { song: true } })
+      const [userRatings, userInteractions, userLikes, earlySkips] = await Promise.all([
+        this.data.getRatings({ userId, withSongs: true }),
+        this.data.getInteractions({ userId, withSongs: true }),
+        this.data.getLikes({ userId, withSongs: true }),
+        getEarlySkipCounts({ data: this.data })
       ]);
 
       if (userRatings.length === 0 && userInteractions.length === 0 && userLikes.length === 0) {
@@ -37,24 +93,15 @@ export class CollaborativeFiltering {
       }
 
       // Create user profile vector
-      const userProfile = this.createUserProfile(userRatings, userInteractions, userLikes);
+      const userProfile = this.createUserProfile(userRatings, userInteractions, userLikes, earlySkips.get(userId));
       
       // Find other users with interactions
-      const otherUsers = await prisma.user.findMany({
-        where: { 
-          id: { not: userId },
-          ratings: { some: {} }
-        },
-        include: {
-          ratings: { include: { song: true } },
-          interactions: { include: { song: true } }
-        }
-      });
+      const otherUsers = await this.data.getRaters({ excludeUserId: userId });
 
       // Calculate similarities
       const similarities = [];
       for (const otherUser of otherUsers) {
-        const otherProfile = this.createUserProfile(otherUser.ratings, otherUser.interactions);
+        const otherProfile = this.createUserProfile(otherUser.ratings, otherUser.interactions, [], earlySkips.get(otherUser.id));
         const similarity = this.calculateUserSimilarity(userProfile, otherProfile);
         
         if (similarity > 0.1) { // Threshold for similarity
@@ -97,46 +144,47 @@ export class CollaborativeFiltering {
    * Cold start: returns [] if the user has no likes or no co-like overlap
    * exists. HybridRecommendationEngine.getColdStartRecommendations handles
    * the cold-start production path.
+   *
+   * Like and co-like counts for the user's songs come from the stored
+   * counts (see item-similarity.js). Without them — with useStoredSimilarity
+   * off, or on an in-memory data source — they are built from all likes.
    */
   async findSimilarItems(userId, limit = 20) {
     try {
-      // Single read of the full like table — small enough to fit in memory
-      const allLikes = await prisma.userSongLike.findMany({
-        select: { userId: true, songId: true }
-      });
+      const [ownLikes, feedback] = await Promise.all([
+        this.data.getLikes({ userId }),
+        getNegativeFeedback(userId, this.data)
+      ]);
 
-      // Build bidirectional indices
-      const itemUsers = new Map(); // songId  → Set<userId>
-      const userItems = new Map(); // userId  → Set<songId>
-      for (const { userId: uid, songId } of allLikes) {
-        if (!itemUsers.has(songId)) itemUsers.set(songId, new Set());
-        itemUsers.get(songId).add(uid);
-        if (!userItems.has(uid)) userItems.set(uid, new Set());
-        userItems.get(uid).add(songId);
-      }
+      const trainSet = new Set(ownLikes.map(l => l.songId));
+      if (trainSet.size === 0) return [];
 
-      const trainSet = userItems.get(userId);
-      if (!trainSet || trainSet.size === 0) return [];
+      const stored = this.useStoredSimilarity ? await this.data.getItemSimilarity([...trainSet]) : null;
+      let likeCounts, coCounts;
+      if (stored) {
+        ({ likeCounts, coCounts } = stored);
+      } else {
+        const allLikes = await this.data.getLikes();
+        ({ likeCounts, coCounts } = parseItemSimilarity(buildItemSimilarity(allLikes)));
+      }
 
-      // For each training item i, accumulate Jaccard(i, j) into each candidate j
+      // For each training item i, accumulate Jaccard(i, j) into each co-liked j:
+      //   |U_i ∩ U_j| = co(i, j),  |U_i ∪ U_j| = n_i + n_j − co(i, j)
       const scores = new Map(); // candidateSongId → sum of Jaccard scores
+      const seeds = new Map();  // candidateSongId → Map<trainId, Jaccard>
       for (const trainId of trainSet) {
-        const trainUsers = itemUsers.get(trainId) ?? new Set();
+        const trainCount = likeCounts.get(trainId) ?? 0;
 
-        for (const [candidateId, candidateUsers] of itemUsers) {
+        for (const [candidateId, interSize] of coCounts.get(trainId) ?? []) {
           if (trainSet.has(candidateId)) continue; // already liked by this user
-
-          // Intersection: iterate the smaller set for efficiency
-          const [smaller, larger] =
-            trainUsers.size <= candidateUsers.size
-              ? [trainUsers, candidateUsers]
-              : [candidateUsers, trainUsers];
-          let interSize = 0;
-          for (const u of smaller) { if (larger.has(u)) interSize++; }
-          if (interSize === 0) continue;
-
-          const unionSize = trainUsers.size + candidateUsers.size - interSize;
-          scores.set(candidateId, (scores.get(candidateId) ?? 0) + interSize / unionSize);
+          if (feedback.excludedIds.has(candidateId)) continue; // dismissed
+
+          const unionSize = trainCount + (likeCounts.get(candidateId) ?? 0) - interSize;
+          if (unionSize <= 0) continue;
+          const similarity = interSize / unionSize;
+          scores.set(candidateId, (scores.get(candidateId) ?? 0) + similarity);
+          if (!seeds.has(candidateId)) seeds.set(candidateId, new Map());
+          seeds.get(candidateId).set(trainId, similarity / trainSet.size);
         }
       }
 
@@ -149,14 +197,7 @@ export class CollaborativeFiltering {
         .slice(0, limit);
 
       // Hydrate with full song objects for the hybrid engine
-      const songIds = ranked.map(r => r.songId);
-      const songs = await prisma.song.findMany({
-        where: { id: { in: songIds } },
-        include: {
-          genres: { include: { genre: true } },
-          moods:  { include: { mood: true } }
-        }
-      });
+      const songs = await this.data.getSongs({ ids: ranked.map(r => r.songId) });
       const songMap = new Map(songs.map(s => [s.id, s]));
 
       return ranked
@@ -164,7 +205,8 @@ export class CollaborativeFiltering {
         .map(r => ({
           song:    songMap.get(r.songId),
           score:   r.score,
-          basedOn: 'co-liked by similar users'
+          basedOn: 'co-liked by similar users',
+          seeds:   topSeeds(seeds.get(r.songId))
         }));
 
     } catch (error) {
@@ -174,56 +216,130 @@ export class CollaborativeFiltering {
   }
 
   /**
-   * Matrix Factorization for sparse user-item interactions
+   * Social collaborative filtering over the follow graph.
+   *
+   * Songs liked by accounts the user follows, with each followee weighted by
+   * how much their likes overlap the user's own:
+   *
+   *   w_f = (|L_u ∩ L_f| + 1) / (|L_u ∪ L_f| + 1)
+   *   score(u, j) = Σ_f w_f · [j ∈ L_f] / Σ_f w_f
+   *
+   * The +1 smoothing keeps a brand-new follow (no overlap yet) contributing a
+   * little instead of nothing, so this also works for users with few likes.
+   * Returns [] if the user follows nobody or their followees have no likes.
    */
-  async matrixFactorization(userId, factors = 10, iterations = 100) {
+  async findFriendsItems(userId, limit = 20) {
     try {
-      // Get user-item interaction matrix
-      const interactions = await this.buildInteractionMatrix();
-      
-      if (interactions.length === 0) return [];
+      const follows = await this.data.getFollows(userId);
+      if (follows.length === 0) return [];
 
-      // Initialize factor matrices
-      const users = [...new Set(interactions.map(i => i.userId))];
-      const items = [...new Set(interactions.map(i => i.songId))];
-      
-      let userFactors = this.initializeFactors(users.length, factors);
-      let itemFactors = this.initializeFactors(items.length, factors);
-
-      // Gradient descent
-      for (let iter = 0; iter < iterations; iter++) {
-        for (const interaction of interactions) {
-          const userIdx = users.indexOf(interaction.userId);
-          const itemIdx = items.indexOf(interaction.songId);
-          
-          if (userIdx === -1 || itemIdx === -1) continue;
-
-          const prediction = this.predictRating(userFactors[userIdx], itemFactors[itemIdx]);
-          const error = interaction.rating - prediction;
-          
-          // Update factors
-          this.updateFactors(userFactors[userIdx], itemFactors[itemIdx], error, 0.01);
+      const followingIds = follows.map(f => f.followingId);
+      const usernames = new Map(follows.map(f => [f.followingId, f.following.username]));
+
+      const [likes, feedback] = await Promise.all([
+        this.data.getLikes({ userIds: [userId, ...followingIds] }),
+        getNegativeFeedback(userId, this.data)
+      ]);
+
+      const userItems = new Map(); // userId → Set<songId>
+      for (const { userId: uid, songId } of likes) {
+        if (!userItems.has(uid)) userItems.set(uid, new Set());
+        userItems.get(uid).add(songId);
+      }
+
+      const ownLikes = userItems.get(userId) ?? new Set();
+      const scores = new Map();  // songId → Σ w_f
+      const likedBy = new Map(); // songId → followee usernames, strongest first
+      let totalWeight = 0;
+
+      const friends = followingIds
+        .filter(id => userItems.has(id))
+        .map(id => {
+          const friendLikes = userItems.get(id);
+          let overlap = 0;
+          for (const songId of friendLikes) { if (ownLikes.has(songId)) overlap++; }
+          const union = ownLikes.size + friendLikes.size - overlap;
+          return { id, friendLikes, weight: (overlap + 1) / (union + 1) };
+        })
+        .sort((a, b) => b.weight - a.weight);
+
+      for (const { id, friendLikes, weight } of friends) {
+        totalWeight += weight;
+        for (const songId of friendLikes) {
+          if (ownLikes.has(songId) || feedback.excludedIds.has(songId)) continue;
+          scores.set(songId, (scores.get(songId) ?? 0) + weight);
+          if (!likedBy.has(songId)) likedBy.set(songId, []);
+          likedBy.get(songId).push(usernames.get(id));
         }
       }
 
-      // Generate recommendations for target user
-      const userIdx = users.indexOf(userId);
-      if (userIdx === -1) return [];
+      if (scores.size === 0) return [];
+
+      const ranked = [...scores.entries()]
+        .map(([songId, total]) => ({ songId, score: total / totalWeight }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
 
-      const userRecommendations = [];
-      for (let itemIdx = 0; itemIdx < items.length; itemIdx++) {
-        const predictedRating = this.predictRating(userFactors[userIdx], itemFactors[itemIdx]);
-        const songId = items[itemIdx];
-        
-        userRecommendations.push({
-          songId,
-          predictedRating
-        });
-      }
+      const songs = await this.data.getSongs({ ids: ranked.map(r => r.songId) });
+      const songMap = new Map(songs.map(s => [s.id, s]));
+
+      return ranked
+        .filter(r => songMap.has(r.songId))
+        .map(r => ({
+          song:    songMap.get(r.songId),
+          score:   r.score,
+          basedOn: 'liked by people you follow',
+          friends: likedBy.get(r.songId).slice(0, 3)
+        }));
+
+    } catch (error) {
+      console.error('Error in social CF:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Implicit ALS matrix factorization over likes, plays and ratings.
+   *
+   * Item factors come from the cached model (see getFactorModel); the user's
+   * vector is folded in from their current feedback on every call, so a new
+   * like shifts their recommendations without a full retrain. Scores are
+   * scaled to 0-1 by the user's top candidate to blend with the other sources.
+   */
+  async matrixFactorization(userId, limit = 20) {
+    try {
+      const [factors, feedback] = await Promise.all([
+        this.getUserFactors(userId),
+        getNegativeFeedback(userId, this.data)
+      ]);
+      if (!factors) return [];
+
+      const scores = this.scoreUnseen(factors);
+
+      const ranked = [...scores.entries()]
+        .filter(([songId, score]) => score > 0 && !feedback.excludedIds.has(songId))
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, limit);
+      if (ranked.length === 0) return [];
+
+      const top = ranked[0][1];
+      const songs = await this.data.getSongs({ ids: ranked.map(([songId]) => songId) });
+      const songMap = new Map(songs.map(s => [s.id, s]));
 
-      return userRecommendations
-        .sort((a, b) => b.predictedRating - a.predictedRating)
-        .slice(0, 20);
+      return ranked
+        .filter(([songId]) => songMap.has(songId))
+        .map(([songId, score]) => {
+          // Per-song contributions sum to the raw score; scale them the same way
+          const contributions = explainItem(factors.model, factors.userEntries, songId)
+            .map(c => [c.songId, c.contribution / top]);
+
+          return {
+            song:    songMap.get(songId),
+            score:   score / top,
+            basedOn: 'your listening patterns',
+            seeds:   topSeeds(new Map(contributions))
+          };
+        });
 
     } catch (error) {
       console.error('Error in matrix factorization:', error);
@@ -232,9 +348,83 @@ export class CollaborativeFiltering {
   }
 
   /**
-   * Create user profile from ratings, interactions, and likes
+   * Predicted preference for every catalog song the user has not already
+   * liked, played or rated: Map<songId, score>. Empty if the user has no
+   * feedback.
+   */
+  async scoreAllSongs(userId) {
+    const factors = await this.getUserFactors(userId);
+    return factors ? this.scoreUnseen(factors) : new Map();
+  }
+
+  /**
+   * The cached model plus the user's current feedback and folded-in vector,
+   * or null if either side is empty
+   */
+  async getUserFactors(userId) {
+    const [model, userEntries] = await Promise.all([
+      this.getFactorModel(),
+      this.buildInteractionMatrix({ userId })
+    ]);
+    if (!model) return null;
+
+    const userVector = foldInUser(model, userEntries);
+    if (!userVector) return null;
+
+    return { model, userEntries, userVector };
+  }
+
+  scoreUnseen({ model, userEntries, userVector }) {
+    const scores = scoreAllItems(model, userVector);
+    for (const entry of userEntries) scores.delete(entry.songId);
+    return scores;
+  }
+
+  /**
+   * Trained ALS model, retrained after FACTOR_MODEL_TTL or invalidateFactors().
+   * Concurrent callers share one training run.
    */
-  createUserProfile(ratings, interactions, likes = []) {
+  async getFactorModel() {
+    if (this.factorModel && Date.now() - this.factorModel.trainedAt.getTime() < FACTOR_MODEL_TTL) {
+      return this.factorModel;
+    }
+
+    if (!this.factorTraining) {
+      this.factorTraining = (async () => {
+        const [entries, songs] = await Promise.all([
+          this.buildInteractionMatrix(),
+          this.data.getSongs()
+        ]);
+        if (entries.length === 0 || songs.length === 0) return null;
+
+        const itemIds = songs.map(s => s.id).sort();
+        const model = trainImplicitALS(entries, itemIds, this.alsOptions);
+        console.log(`🧮 Trained ALS: ${model.userIds.length} users × ${model.itemIds.length} songs, k=${model.factors}`);
+        return model;
+      })();
+    }
+
+    try {
+      this.factorModel = await this.factorTraining;
+      return this.factorModel;
+    } finally {
+      this.factorTraining = null;
+    }
+  }
+
+  /**
+   * Drop the cached factors so the next call retrains
+   */
+  invalidateFactors() {
+    this.factorModel = null;
+  }
+
+  /**
+   * Create user profile from ratings, interactions, and likes. Older signals
+   * decay with this.halfLifeDays, and plays of a song the user keeps skipping
+   * early count for less (earlySkips: Map<songId, count>).
+   */
+  createUserProfile(ratings, interactions, likes = [], earlySkips = new Map()) {
     const profile = {
       genres: {},
       moods: {},
@@ -247,10 +437,11 @@ export class CollaborativeFiltering {
       },
       totalWeight: 0
     };
+    const now = latestSignal([...ratings, ...interactions, ...likes]);
 
     // Process ratings
     for (const rating of ratings) {
-      const weight = rating.rating / 5;
+      const weight = rating.rating / 5 * decayWeight(signalDate(rating), this.halfLifeDays, now);
       profile.totalWeight += weight;
 
       const features = songToFeatureVector(rating.song);
@@ -265,7 +456,9 @@ export class CollaborativeFiltering {
 
     // Process interactions (plays)
     for (const interaction of interactions) {
-      const weight = Math.min(interaction.playCount / 10, 1);
+      const weight = Math.min(interaction.playCount / 10, 1) *
+        earlySkipWeight(earlySkips.get(interaction.songId)) *
+        decayWeight(signalDate(interaction), this.halfLifeDays, now);
       profile.totalWeight += weight;
 
       const features = songToFeatureVector(interaction.song);
@@ -278,9 +471,9 @@ export class CollaborativeFiltering {
       }
     }
 
-    // Process likes (weight 1 per like)
+    // Process likes (weight 1 per like, before decay)
     for (const like of likes) {
-      const weight = 1;
+      const weight = decayWeight(signalDate(like), this.halfLifeDays, now);
       profile.totalWeight += weight;
 
       const features = songToFeatureVector(like.song);
@@ -329,69 +522,17 @@ export class CollaborativeFiltering {
   }
 
   /**
-   * Build interaction matrix from database (ratings + plays + likes).
-   * Used by matrixFactorization. Likes are implicit feedback valued at 1.0.
+   * Build the implicit-feedback matrix from the data source (likes + plays +
+   * ratings), optionally for a single user. Used by matrixFactorization.
    */
-  async buildInteractionMatrix() {
+  async buildInteractionMatrix({ userId } = {}) {
     const [ratings, interactions, likes] = await Promise.all([
-      prisma.rating.findMany({ select: { userId: true, songId: true, rating: true } }),
-      prisma.userSongInteraction.findMany({ select: { userId: true, songId: true, playCount: true } }),
-      prisma.userSongLike.findMany({ select: { userId: true, songId: true } })
+      this.data.getRatings({ userId }),
+      this.data.getInteractions({ userId }),
+      this.data.getLikes({ userId })
     ]);
 
-    const matrix = [];
-
-    for (const r of ratings) {
-      matrix.push({ userId: r.userId, songId: r.songId, rating: r.rating / 5 });
-    }
-    for (const i of interactions) {
-      matrix.push({ userId: i.userId, songId: i.songId, rating: Math.min(i.playCount / 10, 1) });
-    }
-    for (const l of likes) {
-      // Implicit feedback: a like is treated as a confident positive signal (1.0)
-      matrix.push({ userId: l.userId, songId: l.songId, rating: 1.0 });
-    }
-
-    return matrix;
-  }
-
-  /**
-   * Initialize factor matrices
-   */
-  initializeFactors(rows, factors) {
-    const matrix = [];
-    for (let i = 0; i < rows; i++) {
-      const row = [];
-      for (let j = 0; j < factors; j++) {
-        row.push(Math.random() * 0.1); // Small random values
-      }
-      matrix.push(row);
-    }
-    return matrix;
-  }
-
-  /**
-   * Predict rating using factor matrices
-   */
-  predictRating(userFactors, itemFactors) {
-    let prediction = 0;
-    for (let i = 0; i < userFactors.length; i++) {
-      prediction += userFactors[i] * itemFactors[i];
-    }
-    return Math.max(0, Math.min(1, prediction));
-  }
-
-  /**
-   * Update factors using gradient descent
-   */
-  updateFactors(userFactors, itemFactors, error, learningRate) {
-    for (let i = 0; i < userFactors.length; i++) {
-      const userGradient = -2 * error * itemFactors[i];
-      const itemGradient = -2 * error * userFactors[i];
-      
-      userFactors[i] -= learningRate * userGradient;
-      itemFactors[i] -= learningRate * itemGradient;
-    }
+    return buildImplicitFeedback({ likes, interactions, ratings });
   }
 }
 
@@ -399,6 +540,15 @@ export class CollaborativeFiltering {
  * Content-Based Filtering Engine
  */
 export class ContentBasedFiltering {
+  constructor({ halfLifeDays = DEFAULT_HALF_LIFE_DAYS, data = prismaDataSource } = {}) {
+    // Older likes, plays and ratings count for less; null disables decay
+    this.halfLifeDays = halfLifeDays;
+    this.data = data;
+  }
+
+  setDataSource(data) {
+    this.data = data;
+  }
   
   /**
    * Get content-based recommendations
@@ -406,30 +556,33 @@ export class ContentBasedFiltering {
   async getRecommendations(userId, limit = 20) {
     try {
       // Get user's preferred songs
-      const userPreferences = await this.getUserPreferences(userId);
+      const [userPreferences, feedback] = await Promise.all([
+        this.getUserPreferences(userId),
+        getNegativeFeedback(userId, this.data)
+      ]);
       
       if (userPreferences.length === 0) {
-        return this.getPopularSongs(limit);
+        const popular = await this.getPopularSongs(limit + feedback.excludedIds.size);
+        return popular.filter(rec => !feedback.excludedIds.has(rec.song.id)).slice(0, limit);
       }
 
       // Get all songs
-      const allSongs = await prisma.song.findMany({
-        include: { genres: { include: { genre: true } }, moods: { include: { mood: true } } }
-      });
+      const allSongs = await this.data.getSongs();
 
       // Calculate similarity scores
       const recommendations = [];
       for (const song of allSongs) {
         // Skip songs user has already interacted with
         const hasInteracted = userPreferences.some(pref => pref.song.id === song.id);
-        if (hasInteracted) continue;
+        if (hasInteracted || feedback.excludedIds.has(song.id)) continue;
 
-        const similarity = this.calculateContentSimilarity(userPreferences, song);
+        const { similarity, contributions } = this.scoreContentSimilarity(userPreferences, song);
         if (similarity > 0.3) {
           recommendations.push({
             song,
             similarity,
-            reason: 'Content-based match'
+            reason: 'Content-based match',
+            seeds: topSeeds(contributions)
           });
         }
       }
@@ -445,37 +598,44 @@ export class ContentBasedFiltering {
   }
 
   /**
-   * Get user preferences from interactions
+   * Get user preferences from interactions, each with its decay weight
    */
   async getUserPreferences(userId) {
-    const interactions = await prisma.userSongInteraction.findMany({
-      where: { userId },
-      include: { song: { include: { genres: { include: { genre: true } }, moods: { include: { mood: true } } } } }
-    });
-
-    const likes = await prisma.userSongLike.findMany({
-      where: { userId },
-      include: { song: { include: { genres: { include: { genre: true } }, moods: { include: { mood: true } } } } }
-    });
-
-    const ratings = await prisma.rating.findMany({
-      where: { userId, rating: { gte: 4 } },
-      include: { song: { include: { genres: { include: { genre: true } }, moods: { include: { mood: true } } } } }
-    });
+    const [interactions, likes, ratings] = await Promise.all([
+      this.data.getInteractions({ userId, withSongs: true }),
+      this.data.getLikes({ userId, withSongs: true }),
+      this.data.getRatings({ userId, minRating: 4, withSongs: true })
+    ]);
 
-    return [
+    const preferences = [
       ...interactions.map(i => ({ ...i, type: 'interaction' })),
       ...likes.map(l => ({ ...l, type: 'like' })),
       ...ratings.map(r => ({ ...r, type: 'rating' }))
     ];
+    const now = latestSignal(preferences);
+
+    return preferences.map(preference => ({
+      ...preference,
+      decay: decayWeight(signalDate(preference), this.halfLifeDays, now)
+    }));
   }
 
   /**
    * Calculate content similarity between user preferences and song
    */
   calculateContentSimilarity(userPreferences, song) {
+    return this.scoreContentSimilarity(userPreferences, song).similarity;
+  }
+
+  /**
+   * Content similarity plus each preferred song's share of it:
+   * { similarity, contributions: Map<songId, share> }. A song that is liked,
+   * rated and played contributes once per preference, summed.
+   */
+  scoreContentSimilarity(userPreferences, song) {
     let totalSimilarity = 0;
     let weightSum = 0;
+    const weighted = new Map();
 
     for (const preference of userPreferences) {
       const similarity = this.calculateEnhancedSimilarity(preference.song, song);
@@ -483,9 +643,13 @@ export class ContentBasedFiltering {
       
       totalSimilarity += similarity * weight;
       weightSum += weight;
+      weighted.set(preference.song.id, (weighted.get(preference.song.id) ?? 0) + similarity * weight);
     }
 
-    return weightSum > 0 ? totalSimilarity / weightSum : 0;
+    if (weightSum === 0) return { similarity: 0, contributions: new Map() };
+
+    const contributions = new Map([...weighted].map(([songId, value]) => [songId, value / weightSum]));
+    return { similarity: totalSimilarity / weightSum, contributions };
   }
 
   /**
@@ -497,6 +661,7 @@ export class ContentBasedFiltering {
       genre: 0.2,
       mood: 0.1,
       artist: 0.1,
+      collaborators: 0.15,
       popularity: 0.1
     };
 
@@ -544,6 +709,13 @@ export class ContentBasedFiltering {
     totalScore += artistScore * defaultWeights.artist;
     weightSum += defaultWeights.artist;
 
+    // Shared features and producers, when credits are loaded and both songs have some
+    const collaboratorScore = this.calculateCollaboratorSimilarity(song1, song2);
+    if (collaboratorScore !== null) {
+      totalScore += collaboratorScore * defaultWeights.collaborators;
+      weightSum += defaultWeights.collaborators;
+    }
+
     // Popularity similarity
     const popularity1 = song1.popularity || 0;
     const popularity2 = song2.popularity || 0;
@@ -668,6 +840,26 @@ export class ContentBasedFiltering {
     return commonMoods.length / Math.max(moods1.length, moods2.length);
   }
 
+  /**
+   * Overlap of featured and producer credits (by artist, whatever the role),
+   * or null when either song's credits weren't loaded or either has none, so a
+   * solo track isn't scored as dissimilar to a feature
+   */
+  calculateCollaboratorSimilarity(song1, song2) {
+    if (!song1.artists || !song2.artists) return null;
+
+    const collaborators = song => new Set(
+      song.artists.filter(credit => credit.role !== 'PRIMARY').map(credit => credit.artistId)
+    );
+    const collaborators1 = collaborators(song1);
+    const collaborators2 = collaborators(song2);
+
+    if (collaborators1.size === 0 || collaborators2.size === 0) return null;
+
+    const shared = [...collaborators1].filter(id => collaborators2.has(id)).length;
+    return shared / new Set([...collaborators1, ...collaborators2]).size;
+  }
+
   /**
    * Predict genres from metadata when missing
    */
@@ -709,9 +901,13 @@ export class ContentBasedFiltering {
   }
 
   /**
-   * Get weight for user preference
+   * Get weight for user preference, decayed by age
    */
   getPreferenceWeight(preference) {
+    return this.getBasePreferenceWeight(preference) * (preference.decay ?? 1);
+  }
+
+  getBasePreferenceWeight(preference) {
     switch (preference.type) {
       case 'rating':
         return preference.rating / 5;
@@ -729,15 +925,7 @@ export class ContentBasedFiltering {
    */
   async getPopularSongs(limit = 20) {
     try {
-      const songs = await prisma.song.findMany({
-        orderBy: [
-          { totalPlays: 'desc' },
-          { avgRating: 'desc' },
-          { popularity: 'desc' }
-        ],
-        take: limit,
-        include: { genres: { include: { genre: true } }, moods: { include: { mood: true } } }
-      });
+      const songs = await this.data.getTopSongs(limit, ['totalPlays', 'avgRating', 'popularity']);
 
       return songs.map(song => ({
         song,
@@ -755,9 +943,23 @@ export class ContentBasedFiltering {
  * Hybrid Recommendation Engine
  */
 export class HybridRecommendationEngine {
-  constructor() {
-    this.collaborative = new CollaborativeFiltering();
-    this.contentBased = new ContentBasedFiltering();
+  constructor({ data = prismaDataSource } = {}) {
+    this.data = data;
+    this.collaborative = new CollaborativeFiltering({}, { data });
+    this.contentBased = new ContentBasedFiltering({ data });
+    this.aiEnhanced = new AIEnhancedRecommendationEngine({ data });
+    // Rank with the latest HYBRID_WEIGHTS snapshot when one exists
+    this.useLearnedWeights = true;
+  }
+
+  /**
+   * Point every source engine at another data source
+   */
+  setDataSource(data) {
+    this.data = data;
+    this.collaborative.setDataSource(data);
+    this.contentBased.setDataSource(data);
+    this.aiEnhanced.setDataSource(data);
   }
 
   /**
@@ -769,6 +971,16 @@ export class HybridRecommendationEngine {
       contentBasedWeight = 0.55,
       aiEnhancedWeight = 0.2,
       popularityWeight = 0.1,
+      socialWeight = 0.1,
+      matrixFactorizationWeight = 0.15,
+      // Learned weights ({ bias, weights }); sources must then be fetched at weight 1
+      ranker = null,
+      // 0 ranks purely by blended score; 1 ranks purely by novelty vs songs above
+      diversity = DIVERSITY_DEFAULTS.diversity,
+      maxPerAlbum = DIVERSITY_DEFAULTS.maxPerAlbum,
+      maxPerEra = DIVERSITY_DEFAULTS.maxPerEra,
+      // One version per work (see works.js); false lists every version
+      dedupeVersions = true,
       limit = 20
     } = options;
 
@@ -776,11 +988,15 @@ export class HybridRecommendationEngine {
       console.log(`🎯 Generating hybrid recommendations for user ${userId}`);
 
       // Get recommendations from different approaches
-      const [collaborativeRecs, contentBasedRecs, aiEnhancedRecs, popularSongs] = await Promise.all([
+      const [collaborativeRecs, socialRecs, factorRecs, contentBasedRecs, aiEnhancedRecs, popularSongs, feedback, likes] = await Promise.all([
         this.collaborative.findSimilarItems(userId, limit),
+        socialWeight > 0 ? this.collaborative.findFriendsItems(userId, limit) : [],
+        matrixFactorizationWeight > 0 ? this.collaborative.matrixFactorization(userId, limit) : [],
         this.contentBased.getRecommendations(userId, limit),
-        aiEnhancedEngine.getEnhancedRecommendations(userId, { limit }),
-        this.contentBased.getPopularSongs(Math.ceil(limit * 0.2))
+        this.aiEnhanced.getEnhancedRecommendations(userId, { limit }),
+        this.contentBased.getPopularSongs(Math.ceil(limit * 0.2)),
+        getNegativeFeedback(userId, this.data),
+        dedupeVersions ? this.data.getLikes({ userId, withSongs: true }) : []
       ]);
 
       // Combine and score recommendations
@@ -793,10 +1009,56 @@ export class HybridRecommendationEngine {
           song: rec.song,
           score,
           sources: ['collaborative'],
-          details: { basedOn: rec.basedOn }
+          details: { basedOn: rec.basedOn },
+          contributions: { collaborative: score },
+          seeds: weightSeeds(rec.seeds, collaborativeWeight, 'collaborative')
         });
       }
 
+      // Add social results (songs liked by followed accounts)
+      for (const rec of socialRecs) {
+        const score = rec.score * socialWeight;
+        const existing = combinedRecs.get(rec.song.id);
+
+        if (existing) {
+          existing.score += score;
+          existing.sources.push('social');
+          existing.details.friends = rec.friends;
+          existing.contributions.social = score;
+        } else {
+          combinedRecs.set(rec.song.id, {
+            song: rec.song,
+            score,
+            sources: ['social'],
+            details: { basedOn: rec.basedOn, friends: rec.friends },
+            contributions: { social: score },
+            seeds: []
+          });
+        }
+      }
+
+      // Add matrix factorization (implicit ALS) results
+      for (const rec of factorRecs) {
+        const score = rec.score * matrixFactorizationWeight;
+        const existing = combinedRecs.get(rec.song.id);
+
+        if (existing) {
+          existing.score += score;
+          existing.sources.push('matrix-factorization');
+          existing.contributions['matrix-factorization'] = score;
+          existing.seeds.push(...weightSeeds(rec.seeds, matrixFactorizationWeight, 'matrix-factorization'));
+        } else {
+          combinedRecs.set(rec.song.id, {
+            song: rec.song,
+            score,
+            sources: ['matrix-factorization'],
+            details: { basedOn: rec.basedOn },
+            contributions: { 'matrix-factorization': score },
+            seeds: weightSeeds(rec.seeds, matrixFactorizationWeight, 'matrix-factorization')
+          });
+        }
+      }
+
       // Add content-based results
       for (const rec of contentBasedRecs) {
         const score = rec.similarity * contentBasedWeight;
@@ -805,12 +1067,16 @@ export class HybridRecommendationEngine {
         if (existing) {
           existing.score += score;
           existing.sources.push('content-based');
+          existing.contributions['content-based'] = score;
+          existing.seeds.push(...weightSeeds(rec.seeds, contentBasedWeight, 'content-based'));
         } else {
           combinedRecs.set(rec.song.id, {
             song: rec.song,
             score,
             sources: ['content-based'],
-            details: { reason: rec.reason }
+            details: { reason: rec.reason },
+            contributions: { 'content-based': score },
+            seeds: weightSeeds(rec.seeds, contentBasedWeight, 'content-based')
           });
         }
       }
@@ -819,16 +1085,25 @@ export class HybridRecommendationEngine {
       for (const rec of aiEnhancedRecs) {
         const score = rec.similarity * aiEnhancedWeight;
         const existing = combinedRecs.get(rec.id);
+        const seeds = rec.seedId
+          ? weightSeeds([{ songId: rec.seedId, score: rec.similarity }], aiEnhancedWeight, 'ai-enhanced')
+          : [];
         
         if (existing) {
           existing.score += score;
           existing.sources.push('ai-enhanced');
+          existing.contributions['ai-enhanced'] = score;
+          existing.seeds.push(...seeds);
+          existing.predictedFeatures = getPredictedFeatures(rec);
         } else {
           combinedRecs.set(rec.id, {
             song: rec,
             score,
             sources: ['ai-enhanced'],
-            details: { basedOn: rec.basedOn }
+            details: { basedOn: rec.basedOn },
+            contributions: { 'ai-enhanced': score },
+            seeds,
+            predictedFeatures: getPredictedFeatures(rec)
           });
         }
       }
@@ -841,27 +1116,63 @@ export class HybridRecommendationEngine {
         if (existing) {
           existing.score += score;
           existing.sources.push('popularity');
+          existing.contributions.popularity = score;
         } else {
           combinedRecs.set(rec.song.id, {
             song: rec.song,
             score,
             sources: ['popularity'],
-            details: { reason: rec.reason }
+            details: { reason: rec.reason },
+            contributions: { popularity: score },
+            seeds: []
           });
         }
       }
 
-      // Sort by combined score and return top results
-      const finalRecommendations = Array.from(combinedRecs.values())
-        .sort((a, b) => b.score - a.score)
-        .slice(0, limit)
-        .map((rec, index) => ({
-          ...rec.song,
-          recommendationScore: rec.score,
-          rank: index + 1,
-          sources: rec.sources,
-          details: rec.details
-        }));
+      // Learned weights replace the linear blend
+      if (ranker) await this.applyRanker(userId, combinedRecs, ranker);
+
+      // Drop dismissed songs and their near-duplicates; scale down early skips
+      for (const [songId, rec] of combinedRecs) {
+        if (feedback.excludedIds.has(songId)) {
+          combinedRecs.delete(songId);
+          continue;
+        }
+
+        const skipWeight = feedback.skipWeight(songId);
+        if (skipWeight < 1) {
+          rec.score *= skipWeight;
+          for (const source of Object.keys(rec.contributions)) rec.contributions[source] *= skipWeight;
+          rec.earlySkipWeight = skipWeight;
+        }
+      }
+
+      // Keep the best-scored version of each work, none of a work already liked
+      let candidates = Array.from(combinedRecs.values());
+      if (dedupeVersions) {
+        candidates = dedupeByWork(candidates.sort((a, b) => b.score - a.score), {
+          getSong: rec => rec.song,
+          excludeWorkIds: workIdsOf(likes)
+        });
+      }
+
+      // Re-rank by score with MMR so one album or era can't fill the list
+      const topRecs = rerankForDiversity(candidates, {
+        diversity,
+        maxPerAlbum,
+        maxPerEra,
+        limit
+      });
+      const explanations = await this.buildExplanations(topRecs);
+
+      const finalRecommendations = topRecs.map((rec, index) => ({
+        ...rec.song,
+        recommendationScore: rec.score,
+        rank: index + 1,
+        sources: rec.sources,
+        details: rec.details,
+        explanation: explanations[index]
+      }));
 
       console.log(`✅ Generated ${finalRecommendations.length} hybrid recommendations`);
 
@@ -876,35 +1187,46 @@ export class HybridRecommendationEngine {
   /**
    * Handle cold start problem for new users
    */
-  async getColdStartRecommendations(userId, limit = 20) {
+  async getColdStartRecommendations(userId, limit = 20, options = {}) {
     try {
-      // Check if user has any signal (likes, plays, or ratings)
-      const [userInteractions, userRatings, userLikes] = await Promise.all([
-        prisma.userSongInteraction.count({ where: { userId } }),
-        prisma.rating.count({ where: { userId } }),
-        prisma.userSongLike.count({ where: { userId } })
-      ]);
+      // Check if user has any signal (likes, plays, ratings, or follows)
+      const signals = await this.data.countSignals(userId);
 
-      // If user has any signal, use the full hybrid path with sweep-tuned weights.
-      // Weights from offline eval (eval:sweep): CF beats CB on NDCG@10 (0.112 vs 0.064);
-      // best blend wCF=0.70, wCB=0.15, wPop=0.15, AI=0 (AI tier is degenerate — uniform scores).
-      if (userInteractions > 0 || userRatings > 0 || userLikes > 0) {
+      // If user has any signal, use the full hybrid path with the learned
+      // weights, or the sweep-tuned blend until a ranker has been trained
+      if (signals.interactions > 0 || signals.ratings > 0 || signals.likes > 0 || signals.follows > 0) {
+        const ranker = await this.getRanker();
         return this.getRecommendations(userId, {
           limit,
-          collaborativeWeight: 0.70,
-          contentBasedWeight:  0.15,
-          aiEnhancedWeight:    0,
-          popularityWeight:    0.15
+          ...(ranker ? rankerSourceWeights(ranker) : SWEEP_WEIGHTS),
+          ranker,
+          ...options
         });
       }
 
-      // Cold start: return popular and diverse songs
-      const popularSongs = await this.contentBased.getPopularSongs(limit);
-      return popularSongs.map(rec => ({
+      // Cold start: return popular and diverse songs, one version per work
+      const feedback = await getNegativeFeedback(userId, this.data);
+      let popularSongs = (await this.contentBased.getPopularSongs(2 * limit + feedback.excludedIds.size))
+        .filter(rec => !feedback.excludedIds.has(rec.song.id));
+      if (options.dedupeVersions !== false) {
+        popularSongs = dedupeByWork(popularSongs, { getSong: rec => rec.song });
+      }
+      popularSongs = popularSongs.slice(0, limit);
+      return popularSongs.map((rec, index) => ({
         ...rec.song,
         recommendationScore: rec.similarity,
+        rank: index + 1,
         sources: ['cold-start'],
-        details: { reason: 'Popular songs for new users' }
+        details: { reason: 'Popular songs for new users' },
+        explanation: {
+          contributions: { 'cold-start': rec.similarity },
+          seeds: [],
+          sharedGenres: [],
+          sharedMoods: [],
+          predictedFeatures: [],
+          friends: [],
+          earlySkipWeight: 1
+        }
       }));
 
     } catch (error) {
@@ -912,6 +1234,170 @@ export class HybridRecommendationEngine {
       return [];
     }
   }
+
+  /**
+   * Latest learned hybrid weights ({ version, bias, weights }), or null
+   */
+  async getRanker() {
+    if (!this.useLearnedWeights) return null;
+
+    const snapshot = await this.data.getLatestSnapshot(SNAPSHOT_KINDS.HYBRID_WEIGHTS).catch(error => {
+      console.error('Error loading hybrid weights snapshot:', error);
+      return null;
+    });
+    return snapshot ? { version: snapshot.version, ...snapshot.payload } : null;
+  }
+
+  /**
+   * Rescore combined recommendations with a learned ranker. Their
+   * contributions hold the unweighted source scores on the way in and each
+   * feature's term in the ranker's logit on the way out.
+   */
+  async applyRanker(userId, combinedRecs, ranker) {
+    const likes = await this.data.getLikes({ userId, withSongs: true });
+    const genres = likedGenres(likes);
+
+    for (const rec of combinedRecs.values()) {
+      const features = rankingFeatures(rec.contributions, rec.song, genres);
+      rec.score = rankerScore(ranker, features);
+      rec.contributions = rankerContributions(ranker, features);
+      rec.seeds = rec.seeds.map(seed => ({ ...seed, score: seed.score * (ranker.weights[seed.source] ?? 0) }));
+      rec.details.rankerVersion = ranker.version;
+    }
+  }
+
+  /**
+   * Unweighted score from each source for every candidate, as the ranker
+   * sees them: Map<songId, { song, scores: { [source]: score } }>
+   */
+  async getSourceScores(userId, limit = 20) {
+    const [collaborativeRecs, socialRecs, factorRecs, contentBasedRecs, aiEnhancedRecs] = await Promise.all([
+      this.collaborative.findSimilarItems(userId, limit),
+      this.collaborative.findFriendsItems(userId, limit),
+      this.collaborative.matrixFactorization(userId, limit),
+      this.contentBased.getRecommendations(userId, limit),
+      this.aiEnhanced.getEnhancedRecommendations(userId, { limit })
+    ]);
+
+    const candidates = new Map();
+    const add = (song, source, score) => {
+      const candidate = candidates.get(song.id) ?? { song, scores: {} };
+      candidate.scores[source] = score;
+      candidates.set(song.id, candidate);
+    };
+
+    for (const rec of collaborativeRecs) add(rec.song, 'collaborative', rec.score);
+    for (const rec of socialRecs) add(rec.song, 'social', rec.score);
+    for (const rec of factorRecs) add(rec.song, 'matrix-factorization', rec.score);
+    for (const rec of contentBasedRecs) add(rec.song, 'content-based', rec.similarity);
+    for (const rec of aiEnhancedRecs) add(rec, 'ai-enhanced', rec.similarity);
+
+    return candidates;
+  }
+
+  /**
+   * Structured "why" for each combined recommendation: per-source score
+   * contributions, the seed songs behind them, genres/moods shared with those
+   * seeds and any audio features the AI filled in
+   */
+  async buildExplanations(recs) {
+    const seedsByRec = recs.map(rec => mergeSeeds(rec.seeds));
+    const seedIds = [...new Set(seedsByRec.flatMap(seeds => seeds.map(seed => seed.songId)))];
+
+    const seedSongs = seedIds.length > 0 ? await this.data.getSongs({ ids: seedIds }) : [];
+    const seedMap = new Map(seedSongs.map(song => [song.id, song]));
+
+    return recs.map((rec, index) => {
+      const seeds = seedsByRec[index]
+        .filter(seed => seedMap.has(seed.songId))
+        .map(seed => ({
+          ...seed,
+          title: seedMap.get(seed.songId).title,
+          album: seedMap.get(seed.songId).album
+        }));
+
+      const seedGenres = new Set(seeds.flatMap(seed => seedMap.get(seed.songId).genres.map(g => g.genre.name)));
+      const seedMoods = new Set(seeds.flatMap(seed => seedMap.get(seed.songId).moods.map(m => m.mood.name)));
+
+      return {
+        contributions: rec.contributions,
+        seeds,
+        sharedGenres: (rec.song.genres || []).map(g => g.genre.name).filter(name => seedGenres.has(name)),
+        sharedMoods: (rec.song.moods || []).map(m => m.mood.name).filter(name => seedMoods.has(name)),
+        predictedFeatures: rec.predictedFeatures || [],
+        friends: rec.details.friends || [],
+        earlySkipWeight: rec.earlySkipWeight ?? 1
+      };
+    });
+  }
+
+  /**
+   * Explain where one song lands in the user's recommendations. Runs the same
+   * pipeline as the For You list so the rank and scores match what they see.
+   */
+  async explainRecommendation(userId, songId, { limit = 20, ...options } = {}) {
+    const [songRow, like, feedback] = await Promise.all([
+      this.data.getSong(songId),
+      this.data.getLike(userId, songId),
+      getNegativeFeedback(userId, this.data)
+    ]);
+    if (!songRow) return null;
+
+    const song = { id: songRow.id, title: songRow.title, album: songRow.album };
+
+    if (like) {
+      return { song, ranked: false, reason: 'You already like this song' };
+    }
+    if (feedback.excludedIds.has(songId)) {
+      return { song, ranked: false, reason: 'You marked this song, or another version of it, as not interested' };
+    }
+
+    const recommendations = await this.getColdStartRecommendations(userId, limit, options);
+    const match = recommendations.find(rec => rec.id === songId);
+    if (!match) {
+      return { song, ranked: false, reason: `Not among your top ${limit} recommendations` };
+    }
+
+    return {
+      song,
+      ranked: true,
+      rank: match.rank,
+      recommendationScore: match.recommendationScore,
+      sources: match.sources,
+      explanation: match.explanation
+    };
+  }
+}
+
+/**
+ * Scale a source's seeds by its hybrid weight and tag them with the source
+ */
+function weightSeeds(seeds = [], weight, source) {
+  return seeds.map(seed => ({ songId: seed.songId, score: seed.score * weight, source }));
+}
+
+/**
+ * Combine seeds that several sources credit to the same song, strongest first
+ */
+function mergeSeeds(seeds, limit = 5) {
+  const merged = new Map();
+  for (const seed of seeds) {
+    const entry = merged.get(seed.songId) ?? { songId: seed.songId, score: 0, sources: [] };
+    entry.score += seed.score;
+    if (!entry.sources.includes(seed.source)) entry.sources.push(seed.source);
+    merged.set(seed.songId, entry);
+  }
+  return [...merged.values()].sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+/**
+ * Audio features the AI predictor filled in because the song had no value
+ */
+function getPredictedFeatures(song) {
+  const isMissing = value => value === null || value === undefined || value === 0;
+  return Object.entries(song.audioFeatures || {})
+    .filter(([feature, value]) => isMissing(song[feature]) && !isMissing(value))
+    .map(([feature]) => feature);
 }
 
 // Export instances
@@ -0,0 +1,295 @@
+/**
+ * Redis cache backend
+ * Speaks RESP directly over a single pipelined TCP/TLS connection, so it works
+ * with Redis, Valkey, KeyDB or any other server that implements the protocol
+ * and needs no client dependency.
+ *
+ * Layout under the key prefix:
+ *   {prefix}{key}        JSON value with a PX expiry
+ *   {prefix}tag:{tag}    set of keys written with that tag
+ *   {prefix}lock:{key}   getOrSet stampede lock
+ *
+ * Pass { client } instead of { url } to run against anything with a
+ * send(...args) → Promise<reply> method, e.g. the in-process fake in
+ * scripts/fake-redis.js (npm run cache:check).
+ */
+
+import net from 'net';
+import tls from 'tls';
+import { randomUUID } from 'crypto';
+import { CacheBackend } from './cache-backend';
+
+// Tag sets outlive their members; stale members are harmless on invalidation
+const TAG_TTL = 24 * 60 * 60 * 1000;
+const DELETE_BATCH = 500;
+const COMMAND_TIMEOUT = 2000;
+
+const RELEASE_LOCK_SCRIPT =
+  "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) end return 0";
+
+class RedisReplyError extends Error {}
+
+/**
+ * Parse one RESP reply starting at offset. Returns { value, offset } or null
+ * when the buffer doesn't hold a complete reply yet.
+ */
+function parseReply(buffer, offset) {
+  if (offset >= buffer.length) return null;
+
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new RedisReplyError(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type: ${type}`);
+  }
+}
+
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return out;
+}
+
+/**
+ * Minimal RESP connection: connects lazily, authenticates from the URL and
+ * reconnects on the next command after any failure.
+ */
+class RespConnection {
+  constructor(url) {
+    this.url = new URL(url);
+    this.socket = null;
+    this.connecting = null;
+    this.ready = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+  }
+
+  async send(...args) {
+    if (!this.ready) this.ready = this.connect();
+    try {
+      await this.ready;
+    } catch (error) {
+      this.ready = null;
+      throw error;
+    }
+    return this.dispatch(args);
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      const secure = this.url.protocol === 'rediss:';
+      const options = { host: this.url.hostname, port: Number(this.url.port) || 6379 };
+      const socket = secure
+        ? tls.connect({ ...options, servername: this.url.hostname })
+        : net.createConnection(options);
+
+      // Events from a socket that has since been replaced are ignored
+      const current = () => this.socket === socket || (this.socket === null && this.connecting === socket);
+      this.connecting = socket;
+
+      socket.setNoDelay(true);
+      socket.setTimeout(COMMAND_TIMEOUT);
+      socket.once(secure ? 'secureConnect' : 'connect', () => {
+        socket.setTimeout(0);
+        this.socket = socket;
+        this.connecting = null;
+        resolve();
+      });
+      socket.once('timeout', () => socket.destroy(new Error('Redis connection timed out')));
+      socket.on('data', chunk => {
+        if (current()) this.onData(chunk);
+      });
+      socket.on('error', error => {
+        reject(error);
+        if (current()) this.fail(error);
+      });
+      socket.on('close', () => {
+        reject(new Error('Redis connection closed'));
+        if (current()) this.fail(new Error('Redis connection closed'));
+      });
+    })
+      .then(() => this.handshake())
+      .catch(error => {
+        this.fail(error);
+        throw error;
+      });
+  }
+
+  async handshake() {
+    const username = decodeURIComponent(this.url.username);
+    const password = decodeURIComponent(this.url.password);
+    if (password) {
+      await this.dispatch(username ? ['AUTH', username, password] : ['AUTH', password]);
+    }
+
+    const db = Number(this.url.pathname.slice(1));
+    if (db) await this.dispatch(['SELECT', db]);
+  }
+
+  dispatch(args) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket) {
+        reject(new Error('Redis connection closed'));
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        // Replies are matched by order, so a lost reply poisons the connection
+        this.fail(new Error(`Redis command timed out: ${args[0]}`));
+      }, COMMAND_TIMEOUT);
+
+      this.pending.push({ resolve, reject, timer });
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  onData(chunk) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    let offset = 0;
+    while (this.pending.length > 0) {
+      let reply;
+      try {
+        reply = parseReply(this.buffer, offset);
+      } catch (error) {
+        this.fail(error);
+        return;
+      }
+      if (!reply) break;
+
+      offset = reply.offset;
+      const { resolve, reject, timer } = this.pending.shift();
+      clearTimeout(timer);
+      if (reply.value instanceof RedisReplyError) reject(reply.value);
+      else resolve(reply.value);
+    }
+    this.buffer = this.buffer.subarray(offset);
+  }
+
+  fail(error) {
+    const pending = this.pending;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+    this.ready = null;
+
+    const socket = this.socket || this.connecting;
+    this.socket = null;
+    this.connecting = null;
+    if (socket) socket.destroy();
+
+    for (const { reject, timer } of pending) {
+      clearTimeout(timer);
+      reject(error);
+    }
+  }
+}
+
+export class RedisCache extends CacheBackend {
+  constructor({ url, client, prefix = 'cache:' } = {}) {
+    super('redis');
+    this.client = client || new RespConnection(url);
+    this.prefix = prefix;
+    this.lockTokens = new Map(); // key → token of the lock this process holds
+  }
+
+  valueKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  tagKey(tag) {
+    return `${this.prefix}tag:${tag}`;
+  }
+
+  lockKey(key) {
+    return `${this.prefix}lock:${key}`;
+  }
+
+  async read(key) {
+    const raw = await this.client.send('GET', this.valueKey(key));
+    return raw === null ? null : JSON.parse(raw);
+  }
+
+  async write(key, value, { ttl, tags }) {
+    const commands = [this.client.send('SET', this.valueKey(key), JSON.stringify(value), 'PX', ttl)];
+    for (const tag of tags) {
+      commands.push(this.client.send('SADD', this.tagKey(tag), key));
+      commands.push(this.client.send('PEXPIRE', this.tagKey(tag), TAG_TTL));
+    }
+    await Promise.all(commands);
+  }
+
+  async remove(key) {
+    await this.client.send('DEL', this.valueKey(key));
+  }
+
+  async invalidateTag(tag) {
+    const keys = await this.client.send('SMEMBERS', this.tagKey(tag));
+    for (let i = 0; i < keys.length; i += DELETE_BATCH) {
+      const batch = keys.slice(i, i + DELETE_BATCH);
+      await this.client.send('DEL', ...batch.map(key => this.valueKey(key)));
+      // SREM rather than DEL so keys tagged while we were deleting keep their tag
+      await this.client.send('SREM', this.tagKey(tag), ...batch);
+    }
+  }
+
+  async clear() {
+    let cursor = '0';
+    do {
+      const [nextCursor, keys] = await this.client.send('SCAN', cursor, 'MATCH', `${this.prefix}*`, 'COUNT', DELETE_BATCH);
+      if (keys.length > 0) await this.client.send('DEL', ...keys);
+      cursor = nextCursor;
+    } while (cursor !== '0');
+
+    this.hits = 0;
+    this.misses = 0;
+    this.errors = 0;
+  }
+
+  async acquireLock(key, ttl) {
+    const token = randomUUID();
+    const reply = await this.client.send('SET', this.lockKey(key), token, 'NX', 'PX', ttl);
+    if (reply !== 'OK') return false;
+    this.lockTokens.set(key, token);
+    return true;
+  }
+
+  async releaseLock(key) {
+    const token = this.lockTokens.get(key);
+    if (!token) return;
+    this.lockTokens.delete(key);
+    await this.client.send('EVAL', RELEASE_LOCK_SCRIPT, 1, this.lockKey(key), token);
+  }
+}
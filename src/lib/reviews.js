@@ -0,0 +1,157 @@
+/**
+ * Written reviews
+ * One review per user per song, helpful votes that count once per voter,
+ * User.reviewCount kept in sync, and MODERATOR/ADMIN hide/remove.
+ * Writes drop the cached song lists that show reviews.
+ */
+
+import { prisma } from './prisma';
+import { cache } from './cache';
+
+export const MAX_REVIEW_LENGTH = 2000;
+
+export const REVIEW_SORTS = {
+  newest: [{ createdAt: 'desc' }],
+  helpful: [{ helpfulCount: 'desc' }, { createdAt: 'desc' }]
+};
+
+/**
+ * Whether the session user can hide or remove other users' reviews
+ */
+export function canModerate(user) {
+  return user?.role === 'MODERATOR' || user?.role === 'ADMIN';
+}
+
+/**
+ * List a song's reviews with each author's star rating for that song
+ */
+export async function getSongReviews(songId, { sort = 'newest', viewerId = null, includeHidden = false } = {}) {
+  const reviews = await prisma.review.findMany({
+    where: {
+      songId,
+      ...(includeHidden ? {} : { isHidden: false })
+    },
+    include: {
+      user: { select: { id: true, username: true, avatarUrl: true } },
+      votes: viewerId ? { where: { userId: viewerId }, select: { id: true } } : false
+    },
+    orderBy: REVIEW_SORTS[sort] || REVIEW_SORTS.newest
+  });
+
+  const authorRatings = await prisma.rating.findMany({
+    where: { songId, userId: { in: reviews.map(r => r.userId) } },
+    select: { userId: true, rating: true }
+  });
+  const ratingByUser = new Map(authorRatings.map(r => [r.userId, r.rating]));
+
+  return reviews.map(review => serializeReview(review, {
+    rating: ratingByUser.get(review.userId) ?? null,
+    viewerId
+  }));
+}
+
+/**
+ * Shape a review for API responses
+ */
+export function serializeReview(review, { rating = null, viewerId = null } = {}) {
+  return {
+    id: review.id,
+    songId: review.songId,
+    userId: review.userId,
+    username: review.user?.username || 'Anonymous',
+    rating,
+    review: review.reviewText,
+    helpfulCount: review.helpfulCount,
+    votedHelpful: review.votes ? review.votes.length > 0 : false,
+    isOwn: viewerId !== null && review.userId === viewerId,
+    isHidden: review.isHidden,
+    createdAt: review.createdAt,
+    updatedAt: review.updatedAt,
+    date: review.createdAt ? new Date(review.createdAt).toLocaleDateString() : ''
+  };
+}
+
+/**
+ * Create a review and bump the author's reviewCount
+ */
+export async function createReview(userId, songId, reviewText) {
+  const created = await prisma.$transaction(async (tx) => {
+    const review = await tx.review.create({
+      data: { userId, songId, reviewText },
+      include: { user: { select: { id: true, username: true } } }
+    });
+
+    await tx.user.update({
+      where: { id: userId },
+      data: { reviewCount: { increment: 1 } }
+    });
+
+    return review;
+  });
+
+  await cache.invalidateSongStats();
+  return created;
+}
+
+/**
+ * Delete a review and decrement its author's reviewCount
+ */
+export async function deleteReview(reviewId) {
+  const removed = await prisma.$transaction(async (tx) => {
+    const deleted = await tx.review.delete({ where: { id: reviewId } });
+
+    await tx.user.update({
+      where: { id: deleted.userId },
+      data: { reviewCount: { decrement: 1 } }
+    });
+
+    return deleted;
+  });
+
+  await cache.invalidateSongStats();
+  return removed;
+}
+
+/**
+ * Record a helpful vote. The (reviewId, userId) unique key makes a second
+ * vote fail inside the transaction, so helpfulCount is never bumped twice.
+ * Returns false when the user had already voted.
+ */
+export async function addHelpfulVote(reviewId, userId) {
+  let review;
+  try {
+    review = await prisma.$transaction(async (tx) => {
+      await tx.reviewVote.create({ data: { reviewId, userId } });
+      return tx.review.update({
+        where: { id: reviewId },
+        data: { helpfulCount: { increment: 1 } },
+        select: { helpfulCount: true }
+      });
+    });
+  } catch (error) {
+    if (error.code === 'P2002') return false;
+    throw error;
+  }
+
+  await cache.invalidateSongStats();
+  return review;
+}
+
+/**
+ * Withdraw a helpful vote. Returns false when there was no vote to remove.
+ */
+export async function removeHelpfulVote(reviewId, userId) {
+  const review = await prisma.$transaction(async (tx) => {
+    const deleted = await tx.reviewVote.deleteMany({ where: { reviewId, userId } });
+    if (deleted.count === 0) return false;
+
+    return tx.review.update({
+      where: { id: reviewId },
+      data: { helpfulCount: { decrement: deleted.count } },
+      select: { helpfulCount: true }
+    });
+  });
+
+  if (review) await cache.invalidateSongStats();
+  return review;
+}
@@ -0,0 +1,368 @@
+/**
+ * Session-based "next track" recommendations
+ * A first-order Markov model over consecutive plays. Play, complete and skip
+ * events from the interaction log (see interaction-events.js) are split
+ * into listening sessions (by client session id, or a gap of SESSION_GAP
+ * between events) and every step from one track to the next is counted:
+ *
+ *   A → B played or completed   positive transition
+ *   A → B skipped               negative transition
+ *
+ * A skipped track never becomes the "from" side, so after A, B (skip), C the
+ * model learns A → B (negative) and A → C (positive).
+ *
+ * Scoring the next track blends the last N tracks of the current session,
+ * most recent first with geometrically decaying weight:
+ *
+ *   score(c) = Σᵢ decayⁱ · (pos(tᵢ → c) − SKIP_PENALTY · neg(tᵢ → c)) / (out(tᵢ) + SMOOTHING)
+ *
+ * The counts are aggregated in SQL and stored as a SESSION_TRANSITIONS
+ * snapshot; one process rebuilds it once it's TRANSITION_MODEL_TTL old and
+ * the others load the new version (see model-snapshots.js).
+ */
+
+import { prisma } from './prisma';
+import { SNAPSHOT_KINDS, getLatestSnapshot, saveSnapshot } from './model-snapshots';
+import { contentBasedFiltering } from './recommendation-engine';
+import { RAW_RETENTION_DAYS } from './interaction-events';
+import { getNegativeFeedback } from './negative-feedback';
+import { dedupeByWork, workIdsOf } from './works';
+
+export const SESSION_GAP = 30 * 60 * 1000;
+export const SESSION_CONTEXT = 5;
+
+// Transition counts are rebuilt from the event log at most this often
+const TRANSITION_MODEL_TTL = 10 * 60 * 1000;
+const HISTORY_WINDOW = RAW_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+const SESSION_EVENT_TYPES = ['PLAY', 'COMPLETE', 'SKIP'];
+
+// pg advisory lock key so one process at a time rebuilds the transition snapshot
+const SESSION_TRANSITIONS_LOCK = 7311003;
+
+// Songs scored by the content fallback when the context has no transitions
+const FALLBACK_CANDIDATES = 200;
+
+const EMPTY_MODEL = { transitions: new Map(), outgoing: new Map() };
+
+const CONTEXT_DECAY = 0.5;
+const SKIP_PENALTY = 1;
+const SMOOTHING = 1;
+
+const SONG_INCLUDE = {
+  genres: { include: { genre: true } },
+  moods: { include: { mood: true } },
+  artists: true
+};
+
+// ── Sessions ─────────────────────────────────────────────────────────────────
+
+/**
+ * Split one user's events (sorted by createdAt) into sessions
+ */
+export function splitSessions(events, sessionGap = SESSION_GAP) {
+  const sessions = [];
+  let current = [];
+  let previous = null;
+
+  for (const event of events) {
+    const newSession = previous && (
+      (event.sessionId && previous.sessionId && event.sessionId !== previous.sessionId) ||
+      event.createdAt - previous.createdAt > sessionGap
+    );
+    if (newSession) {
+      sessions.push(current);
+      current = [];
+    }
+    current.push(event);
+    previous = event;
+  }
+  if (current.length > 0) sessions.push(current);
+
+  return sessions;
+}
+
+// ── Transition model ─────────────────────────────────────────────────────────
+
+/**
+ * Count transitions over every user's events in the history window, as
+ * { fromId, toId, positive, negative } rows. Sessions split like
+ * splitSessions; an event's "from" is the last non-skip event before it in
+ * its session (lastPlayed on the previous row).
+ */
+function countTransitions(tx) {
+  return tx.$queryRaw`
+    WITH ordered AS (
+      SELECT "userId", "songId", type, "createdAt", id,
+        CASE WHEN "createdAt" - LAG("createdAt") OVER w > ${SESSION_GAP}::int * interval '1 millisecond'
+          OR "sessionId" <> LAG("sessionId") OVER w THEN 1 ELSE 0 END AS "startsSession"
+      FROM interaction_events
+      WHERE type IN ('PLAY', 'COMPLETE', 'SKIP')
+        AND "createdAt" >= ${new Date(Date.now() - HISTORY_WINDOW)}
+      WINDOW w AS (PARTITION BY "userId" ORDER BY "createdAt", id)
+    ), sessions AS (
+      SELECT *, SUM("startsSession") OVER (PARTITION BY "userId" ORDER BY "createdAt", id) AS session
+      FROM ordered
+    ), played AS (
+      SELECT *, COUNT(*) FILTER (WHERE type <> 'SKIP')
+        OVER (PARTITION BY "userId", session ORDER BY "createdAt", id) AS plays
+      FROM sessions
+    ), anchored AS (
+      SELECT *, CASE WHEN plays > 0 THEN FIRST_VALUE("songId")
+        OVER (PARTITION BY "userId", session, plays ORDER BY "createdAt", id) END AS "lastPlayed"
+      FROM played
+    ), steps AS (
+      SELECT LAG("lastPlayed") OVER (PARTITION BY "userId", session ORDER BY "createdAt", id) AS "fromId",
+        "songId" AS "toId", type
+      FROM anchored
+    )
+    SELECT "fromId", "toId",
+      (COUNT(*) FILTER (WHERE type <> 'SKIP'))::int AS positive,
+      (COUNT(*) FILTER (WHERE type = 'SKIP'))::int AS negative
+    FROM steps
+    WHERE "fromId" IS NOT NULL AND "fromId" <> "toId"
+    GROUP BY "fromId", "toId"`;
+}
+
+/**
+ * Transition model from snapshot rows ([fromId, toId, positive, negative]).
+ * Returns { transitions: Map<from, Map<to, { positive, negative }>>, outgoing: Map<from, count> }
+ */
+export function parseTransitions(rows) {
+  const transitions = new Map();
+  const outgoing = new Map();
+
+  for (const [from, to, positive, negative] of rows) {
+    if (!transitions.has(from)) transitions.set(from, new Map());
+    transitions.get(from).set(to, { positive, negative });
+    outgoing.set(from, (outgoing.get(from) ?? 0) + positive + negative);
+  }
+
+  return { transitions, outgoing };
+}
+
+/**
+ * Recount transitions into a new SESSION_TRANSITIONS snapshot. With maxAge,
+ * returns null without rebuilding if the latest snapshot is younger or
+ * another process is already rebuilding.
+ */
+export async function rebuildSessionTransitions({ maxAge = null } = {}) {
+  return prisma.$transaction(async (tx) => {
+    if (maxAge === null) {
+      await tx.$executeRaw`SELECT pg_advisory_xact_lock(${SESSION_TRANSITIONS_LOCK})`;
+    } else {
+      const [{ locked }] = await tx.$queryRaw`SELECT pg_try_advisory_xact_lock(${SESSION_TRANSITIONS_LOCK}) AS locked`;
+      if (!locked) return null;
+
+      const latest = await tx.modelSnapshot.findFirst({
+        where: { kind: SNAPSHOT_KINDS.SESSION_TRANSITIONS },
+        orderBy: { version: 'desc' },
+        select: { builtAt: true }
+      });
+      if (latest && Date.now() - latest.builtAt < maxAge) return null;
+    }
+
+    const rows = await countTransitions(tx);
+    const payload = rows.map(row => [row.fromId, row.toId, row.positive, row.negative]);
+    return saveSnapshot(SNAPSHOT_KINDS.SESSION_TRANSITIONS, payload, {
+      transitions: rows.length,
+      historyDays: RAW_RETENTION_DAYS
+    }, tx);
+  }, { timeout: 60000 });
+}
+
+/**
+ * Score candidate next tracks for a context (songIds, oldest first).
+ * Returns Map<songId, score> with only positive scores, context songs removed.
+ */
+export function scoreNextTracks(model, context, { decay = CONTEXT_DECAY, exclude = [] } = {}) {
+  const scores = new Map();
+  const recent = [...context].reverse();
+
+  recent.forEach((from, i) => {
+    const next = model.transitions.get(from);
+    if (!next) return;
+
+    const weight = decay ** i / ((model.outgoing.get(from) ?? 0) + SMOOTHING);
+    for (const [songId, { positive, negative }] of next) {
+      scores.set(songId, (scores.get(songId) ?? 0) + weight * (positive - SKIP_PENALTY * negative));
+    }
+  });
+
+  for (const songId of [...context, ...exclude]) scores.delete(songId);
+  for (const [songId, score] of scores) {
+    if (score <= 0) scores.delete(songId);
+  }
+  return scores;
+}
+
+export class SessionRecommender {
+  constructor() {
+    this.snapshotBuild = null;
+    this.rebuildAttemptedAt = 0;
+  }
+
+  /**
+   * Transition counts from the latest SESSION_TRANSITIONS snapshot. A
+   * missing snapshot is built before answering; a stale one is rebuilt in
+   * the background, tried at most once per TRANSITION_MODEL_TTL here.
+   */
+  async getTransitionModel() {
+    const load = () => getLatestSnapshot(SNAPSHOT_KINDS.SESSION_TRANSITIONS).catch(error => {
+      console.error('Error loading session transition snapshot:', error);
+      return null;
+    });
+
+    let snapshot = await load();
+    if (!snapshot) {
+      await this.rebuildSnapshot();
+      snapshot = await load();
+      // Another process holds the rebuild lock; its snapshot lands shortly
+      if (!snapshot) return EMPTY_MODEL;
+    } else if (Date.now() - snapshot.builtAt > TRANSITION_MODEL_TTL &&
+      Date.now() - this.rebuildAttemptedAt > TRANSITION_MODEL_TTL) {
+      this.rebuildSnapshot();
+    }
+
+    snapshot.parsed ??= parseTransitions(snapshot.payload);
+    return snapshot.parsed;
+  }
+
+  rebuildSnapshot() {
+    if (!this.snapshotBuild) {
+      this.rebuildAttemptedAt = Date.now();
+      this.snapshotBuild = rebuildSessionTransitions({ maxAge: TRANSITION_MODEL_TTL })
+        .catch(error => console.error('Error rebuilding session transitions:', error))
+        .finally(() => { this.snapshotBuild = null; });
+    }
+    return this.snapshotBuild;
+  }
+
+  /**
+   * The user's latest session, if it's still open: { sessionId, songIds, skipped }
+   */
+  async getCurrentSession(userId, sessionId = null) {
+    const events = await prisma.interactionEvent.findMany({
+      where: {
+        userId,
+        type: { in: SESSION_EVENT_TYPES },
+        createdAt: { gte: new Date(Date.now() - HISTORY_WINDOW) },
+        ...(sessionId ? { sessionId } : {})
+      },
+      select: { songId: true, type: true, sessionId: true, createdAt: true },
+      orderBy: { createdAt: 'desc' },
+      take: 50
+    });
+    if (events.length === 0 || Date.now() - events[0].createdAt > SESSION_GAP) {
+      return { sessionId, songIds: [], skipped: [] };
+    }
+
+    const session = splitSessions(events.reverse()).at(-1);
+    return {
+      sessionId: session.at(-1).sessionId ?? sessionId,
+      songIds: session.filter(e => e.type !== 'SKIP').map(e => e.songId),
+      skipped: session.filter(e => e.type === 'SKIP').map(e => e.songId)
+    };
+  }
+
+  /**
+   * What to play after the given tracks. With no songIds the user's current
+   * session supplies the context; songs skipped in it or dismissed are never
+   * suggested, nor (unless allVersions) other versions of the context's songs.
+   */
+  async getNextTracks(userId, {
+    songIds = null,
+    sessionId = null,
+    limit = 10,
+    contextSize = SESSION_CONTEXT,
+    allVersions = false
+  } = {}) {
+    const session = songIds
+      ? { sessionId, songIds, skipped: [] }
+      : await this.getCurrentSession(userId, sessionId);
+    const context = session.songIds.slice(-contextSize);
+
+    if (context.length === 0) {
+      return { algorithm: 'none', context, sessionId: session.sessionId, recommendations: [] };
+    }
+
+    const [model, feedback, contextSongs] = await Promise.all([
+      this.getTransitionModel(),
+      getNegativeFeedback(userId),
+      allVersions ? [] : prisma.song.findMany({ where: { id: { in: context } }, select: { workId: true } })
+    ]);
+    const exclude = [...session.skipped, ...feedback.excludedIds];
+    const scores = scoreNextTracks(model, context, { exclude });
+
+    // One version per work, none of a work already in the context
+    const oneVersionEach = recs => (allVersions
+      ? recs
+      : dedupeByWork(recs, { getSong: rec => rec.song, excludeWorkIds: workIdsOf(contextSongs, song => song) }));
+
+    if (scores.size > 0) {
+      const ranked = [...scores.entries()].sort(([, a], [, b]) => b - a);
+      const top = ranked[0][1];
+
+      const songs = await prisma.song.findMany({
+        where: { id: { in: ranked.map(([id]) => id) } },
+        include: SONG_INCLUDE
+      });
+      const songMap = new Map(songs.map(song => [song.id, song]));
+
+      const recommendations = oneVersionEach(ranked
+        .filter(([id]) => songMap.has(id))
+        .map(([id, score]) => ({
+          song: songMap.get(id),
+          score: score / top,
+          basedOn: 'often played next in listening sessions'
+        })));
+
+      return {
+        algorithm: 'markov',
+        context,
+        sessionId: session.sessionId,
+        recommendations: recommendations.slice(0, limit)
+      };
+    }
+
+    // No transitions out of this context yet: stay close to the last track
+    const similar = await this.getSimilarToLast(context, exclude);
+    return {
+      algorithm: 'content-fallback',
+      context,
+      sessionId: session.sessionId,
+      recommendations: oneVersionEach(similar).slice(0, limit)
+    };
+  }
+
+  /**
+   * Up to FALLBACK_CANDIDATES songs sharing a genre, mood or album with the
+   * last context track (most played first), not in the context or excluded,
+   * most similar to that track first
+   */
+  async getSimilarToLast(context, excluded) {
+    const lastSong = await prisma.song.findUnique({ where: { id: context.at(-1) }, include: SONG_INCLUDE });
+    if (!lastSong) return [];
+
+    const related = [
+      { genres: { some: { genreId: { in: lastSong.genres.map(g => g.genreId) } } } },
+      { moods: { some: { moodId: { in: lastSong.moods.map(m => m.moodId) } } } },
+      ...(lastSong.albumId ? [{ albumId: lastSong.albumId }] : [])
+    ];
+    const candidates = await prisma.song.findMany({
+      where: { id: { notIn: [...context, ...excluded] }, OR: related },
+      include: SONG_INCLUDE,
+      orderBy: [{ totalPlays: 'desc' }, { id: 'asc' }],
+      take: FALLBACK_CANDIDATES
+    });
+
+    return candidates
+      .map(song => ({
+        song,
+        score: contentBasedFiltering.calculateEnhancedSimilarity(lastSong, song),
+        basedOn: `similar to ${lastSong.title}`
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+}
+
+export const sessionRecommender = new SessionRecommender();
@@ -0,0 +1,248 @@
+/**
+ * Social graph
+ * Follow/unfollow with User.followersCount / User.followingCount kept in step
+ * with the follows table, public profiles and the following activity feed.
+ */
+
+import { prisma } from './prisma';
+
+const SONG_SUMMARY_SELECT = {
+  id: true,
+  title: true,
+  artist: true,
+  album: true,
+  year: true,
+  imageUrl: true,
+  spotifyId: true
+};
+
+/**
+ * Lock both user rows in id order so concurrent follow/unfollow between the
+ * same pair (in either direction) serialise without deadlocking.
+ */
+async function lockUsers(tx, ...userIds) {
+  for (const id of [...new Set(userIds)].sort()) {
+    await tx.$queryRaw`SELECT id FROM users WHERE id = ${id} FOR UPDATE`;
+  }
+}
+
+/**
+ * Recompute both counters from the follows table
+ */
+async function refreshFollowCounts(tx, followerId, followingId) {
+  const [followingCount, followersCount] = await Promise.all([
+    tx.follow.count({ where: { followerId } }),
+    tx.follow.count({ where: { followingId } })
+  ]);
+
+  await tx.user.update({ where: { id: followerId }, data: { followingCount } });
+  const target = await tx.user.update({
+    where: { id: followingId },
+    data: { followersCount },
+    select: { id: true, followersCount: true, followingCount: true }
+  });
+
+  return target;
+}
+
+/**
+ * Follow a user. Returns { followed, user } where followed is false when the
+ * follow already existed.
+ */
+export async function followUser(followerId, followingId) {
+  return prisma.$transaction(async (tx) => {
+    await lockUsers(tx, followerId, followingId);
+
+    const existing = await tx.follow.findUnique({
+      where: { followerId_followingId: { followerId, followingId } }
+    });
+
+    if (!existing) {
+      await tx.follow.create({ data: { followerId, followingId } });
+    }
+
+    const user = await refreshFollowCounts(tx, followerId, followingId);
+    return { followed: !existing, user };
+  });
+}
+
+/**
+ * Unfollow a user. Returns { removed, user }.
+ */
+export async function unfollowUser(followerId, followingId) {
+  return prisma.$transaction(async (tx) => {
+    await lockUsers(tx, followerId, followingId);
+
+    const deleted = await tx.follow.deleteMany({ where: { followerId, followingId } });
+    const user = await refreshFollowCounts(tx, followerId, followingId);
+
+    return { removed: deleted.count > 0, user };
+  });
+}
+
+/**
+ * Shape a song for profile and feed cards
+ */
+function serializeSongSummary(song) {
+  return {
+    id: song.id,
+    title: song.title,
+    artist: song.artist,
+    album: song.album,
+    year: song.year,
+    imageUrl: song.imageUrl,
+    spotifyUrl: song.spotifyId ? `https://open.spotify.com/track/${song.spotifyId}` : null
+  };
+}
+
+/**
+ * Public profile: counters, recent likes, public playlists and visible reviews
+ */
+export async function getPublicProfile(username, viewerId = null, { limit = 24 } = {}) {
+  const user = await prisma.user.findUnique({
+    where: { username },
+    select: {
+      id: true,
+      username: true,
+      avatarUrl: true,
+      bio: true,
+      isVerified: true,
+      reviewCount: true,
+      avgRating: true,
+      followersCount: true,
+      followingCount: true,
+      createdAt: true
+    }
+  });
+
+  if (!user) return null;
+
+  const [likes, playlists, reviews, ratings, follow] = await Promise.all([
+    prisma.userSongLike.findMany({
+      where: { userId: user.id },
+      include: { song: { select: SONG_SUMMARY_SELECT } },
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    }),
+    prisma.playlist.findMany({
+      where: { userId: user.id, isPublic: true },
+      include: {
+        songs: {
+          include: { song: { select: { imageUrl: true } } },
+          orderBy: { position: 'asc' },
+          take: 1
+        }
+      },
+      orderBy: { updatedAt: 'desc' }
+    }),
+    prisma.review.findMany({
+      where: { userId: user.id, isHidden: false },
+      include: { song: { select: SONG_SUMMARY_SELECT } },
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    }),
+    prisma.rating.findMany({
+      where: { userId: user.id },
+      select: { songId: true, rating: true }
+    }),
+    viewerId && viewerId !== user.id
+      ? prisma.follow.findUnique({
+          where: { followerId_followingId: { followerId: viewerId, followingId: user.id } }
+        })
+      : null
+  ]);
+
+  const ratingBySong = new Map(ratings.map(r => [r.songId, r.rating]));
+
+  return {
+    ...user,
+    isSelf: viewerId === user.id,
+    isFollowing: Boolean(follow),
+    likes: likes.map(like => ({
+      ...serializeSongSummary(like.song),
+      likedAt: like.createdAt
+    })),
+    playlists: playlists.map(playlist => ({
+      id: playlist.id,
+      name: playlist.name,
+      description: playlist.description,
+      imageUrl: playlist.imageUrl || playlist.songs[0]?.song.imageUrl || null,
+      songCount: playlist.songCount,
+      totalDuration: playlist.totalDuration,
+      updatedAt: playlist.updatedAt
+    })),
+    reviews: reviews.map(review => ({
+      id: review.id,
+      review: review.reviewText,
+      rating: ratingBySong.get(review.songId) ?? null,
+      helpfulCount: review.helpfulCount,
+      createdAt: review.createdAt,
+      song: serializeSongSummary(review.song)
+    }))
+  };
+}
+
+/**
+ * Recent likes, ratings and reviews by the users someone follows, newest
+ * first. Pass the previous page's last createdAt as `before` to page back.
+ */
+export async function getActivityFeed(userId, { limit = 30, before = null } = {}) {
+  const follows = await prisma.follow.findMany({
+    where: { followerId: userId },
+    select: { followingId: true }
+  });
+  const followingIds = follows.map(f => f.followingId);
+
+  if (followingIds.length === 0) return [];
+
+  const where = {
+    userId: { in: followingIds },
+    ...(before ? { createdAt: { lt: before } } : {})
+  };
+  // A changed rating resurfaces in the feed, so ratings page on updatedAt
+  const ratingWhere = {
+    userId: { in: followingIds },
+    ...(before ? { updatedAt: { lt: before } } : {})
+  };
+  const include = {
+    user: { select: { id: true, username: true, avatarUrl: true } },
+    song: { select: SONG_SUMMARY_SELECT }
+  };
+
+  // Each source is capped at `limit`, so the merged page is exact
+  const [likes, ratings, reviews] = await Promise.all([
+    prisma.userSongLike.findMany({ where, include, orderBy: { createdAt: 'desc' }, take: limit }),
+    prisma.rating.findMany({ where: ratingWhere, include, orderBy: { updatedAt: 'desc' }, take: limit }),
+    prisma.review.findMany({
+      where: { ...where, isHidden: false },
+      include,
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    })
+  ]);
+
+  const events = [
+    ...likes.map(like => ({ type: 'like', id: `like-${like.id}`, createdAt: like.createdAt, user: like.user, song: like.song })),
+    ...ratings.map(rating => ({
+      type: 'rating',
+      id: `rating-${rating.id}`,
+      createdAt: rating.updatedAt,
+      user: rating.user,
+      song: rating.song,
+      rating: rating.rating
+    })),
+    ...reviews.map(review => ({
+      type: 'review',
+      id: `review-${review.id}`,
+      createdAt: review.createdAt,
+      user: review.user,
+      song: review.song,
+      review: review.reviewText
+    }))
+  ];
+
+  return events
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, limit)
+    .map(event => ({ ...event, song: serializeSongSummary(event.song) }));
+}
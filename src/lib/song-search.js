@@ -0,0 +1,270 @@
+/**
+ * Faceted song search for /api/songs
+ * A query (parseSongQuery) holds the search text, paging, sort and any of
+ * these filters; list filters match songs with any of their values:
+ *
+ *   genre, mood, tag        slugs, comma-separated or repeated
+ *   releaseType             ReleaseType values
+ *   yearMin, yearMax        release year range
+ *   tempoMin, tempoMax      BPM range
+ *   energyMin, energyMax    0–1 range
+ *   explicit, isOfficial    true or false
+ *   liked                   true: songs the viewer liked (any version of the work)
+ *   artist, featuring,      artist slugs, see artists.js
+ *   producedBy
+ *
+ * Facet counts say how many songs each filter value would match with the
+ * other filters applied, so picking a second genre widens the genre list's
+ * counts rather than zeroing them.
+ */
+
+import { prisma } from './prisma';
+import { CREDIT_FILTERS, creditFilters } from './artists';
+
+export const RELEASE_TYPES = ['ALBUM', 'SINGLE', 'EP', 'MIXTAPE', 'COMPILATION', 'LEAKED', 'UNRELEASED'];
+
+// Sort name → Prisma orderBy for a direction; id last keeps pages stable
+export const SONG_SORTS = {
+  newest: () => [{ createdAt: 'desc' }],
+  popularity: dir => [{ popularity: { sort: dir, nulls: 'last' } }],
+  plays: dir => [{ totalPlays: dir }],
+  rating: dir => [{ avgRating: dir }, { totalRatings: dir }],
+  year: dir => [{ year: { sort: dir, nulls: 'last' } }],
+  title: dir => [{ title: dir }]
+};
+
+// Default direction per sort: highest first, titles A–Z
+const DEFAULT_ORDER = { title: 'asc' };
+
+// Width of the tempo (BPM) and energy facet buckets
+const TEMPO_BUCKET = 20;
+const ENERGY_BUCKET = 0.2;
+
+// ── Query ────────────────────────────────────────────────────────────────────
+
+// Sorted and de-duplicated, so genre=trap,emo and genre=emo,trap share a cache key
+function listParam(searchParams, name, normalize = value => value) {
+  const values = searchParams.getAll(name)
+    .flatMap(value => value.split(','))
+    .map(value => normalize(value.trim()))
+    .filter(Boolean);
+  return [...new Set(values)].sort();
+}
+
+function numberParam(searchParams, name) {
+  const value = parseFloat(searchParams.get(name));
+  return Number.isFinite(value) ? value : undefined;
+}
+
+function booleanParam(searchParams, name) {
+  const value = searchParams.get(name);
+  return value === 'true' ? true : value === 'false' ? false : undefined;
+}
+
+/**
+ * A songs query from URL search params: { search, limit, offset,
+ * allVersions, sort, order, filters }. filters holds only the filters that
+ * are set, so it can be used as a cache key.
+ */
+export function parseSongQuery(searchParams) {
+  const sort = SONG_SORTS[searchParams.get('sort')] ? searchParams.get('sort') : 'newest';
+  const order = ['asc', 'desc'].includes(searchParams.get('order'))
+    ? searchParams.get('order')
+    : DEFAULT_ORDER[sort] ?? 'desc';
+
+  const filters = {
+    genre: listParam(searchParams, 'genre'),
+    mood: listParam(searchParams, 'mood'),
+    tag: listParam(searchParams, 'tag'),
+    releaseType: listParam(searchParams, 'releaseType', type => type.toUpperCase())
+      .filter(type => RELEASE_TYPES.includes(type)),
+    yearMin: numberParam(searchParams, 'yearMin'),
+    yearMax: numberParam(searchParams, 'yearMax'),
+    tempoMin: numberParam(searchParams, 'tempoMin'),
+    tempoMax: numberParam(searchParams, 'tempoMax'),
+    energyMin: numberParam(searchParams, 'energyMin'),
+    energyMax: numberParam(searchParams, 'energyMax'),
+    explicit: booleanParam(searchParams, 'explicit'),
+    isOfficial: booleanParam(searchParams, 'isOfficial'),
+    liked: searchParams.get('liked') === 'true' || undefined,
+    ...Object.fromEntries(Object.keys(CREDIT_FILTERS).map(param => [param, searchParams.get(param) || undefined]))
+  };
+
+  return {
+    search: searchParams.get('search') || '',
+    limit: parseInt(searchParams.get('limit')) || 20,
+    offset: parseInt(searchParams.get('offset')) || 0,
+    // One version of each song (its work's canonical one) unless ?versions=all
+    allVersions: searchParams.get('versions') === 'all',
+    sort,
+    order,
+    filters: Object.fromEntries(Object.entries(filters).filter(([, value]) =>
+      value !== undefined && !(Array.isArray(value) && value.length === 0)
+    ))
+  };
+}
+
+/**
+ * Prisma orderBy for a query's sort
+ */
+export function songOrderBy({ sort, order }) {
+  return [...SONG_SORTS[sort](order), { id: 'asc' }];
+}
+
+// ── Filters ──────────────────────────────────────────────────────────────────
+
+function range(min, max) {
+  if (min === undefined && max === undefined) return null;
+  return { gte: min, lte: max };
+}
+
+/**
+ * Facet name → Prisma condition for its filters, or nothing when unset.
+ * context is { userId } for liked.
+ */
+const FACET_CONDITIONS = {
+  genre: ({ genre }) => genre && { genres: { some: { genre: { slug: { in: genre } } } } },
+  mood: ({ mood }) => mood && { moods: { some: { mood: { slug: { in: mood } } } } },
+  tag: ({ tag }) => tag && { tags: { some: { tag: { slug: { in: tag } } } } },
+  releaseType: ({ releaseType }) => releaseType && { releaseType: { in: releaseType } },
+  year: ({ yearMin, yearMax }) => range(yearMin, yearMax) && { year: range(yearMin, yearMax) },
+  tempo: ({ tempoMin, tempoMax }) => range(tempoMin, tempoMax) && { tempo: range(tempoMin, tempoMax) },
+  energy: ({ energyMin, energyMax }) => range(energyMin, energyMax) && { energy: range(energyMin, energyMax) },
+  explicit: ({ explicit }) => explicit !== undefined && { explicit },
+  isOfficial: ({ isOfficial }) => isOfficial !== undefined && { isOfficial },
+  liked: ({ liked }, { userId }) => liked && likedBy(userId)
+};
+
+/**
+ * Songs the user liked, or whose work they liked another version of
+ */
+function likedBy(userId) {
+  const liked = { likes: { some: { userId } } };
+  return { OR: [liked, { work: { songs: { some: liked } } }] };
+}
+
+/**
+ * Prisma where for a query, leaving out one facet's filters (for its counts).
+ * context is { userId, canonicalIds }; canonicalIds limits the results to
+ * one version per work unless the query asks for all versions.
+ */
+export function songWhere(query, context, except = null) {
+  const conditions = [];
+  if (query.search) {
+    conditions.push({
+      OR: [
+        { title: { contains: query.search, mode: 'insensitive' } },
+        { album: { contains: query.search, mode: 'insensitive' } },
+        { artist: { contains: query.search, mode: 'insensitive' } }
+      ]
+    });
+  }
+  for (const [facet, condition] of Object.entries(FACET_CONDITIONS)) {
+    if (facet === except) continue;
+    const where = condition(query.filters, context);
+    if (where) conditions.push(where);
+  }
+  conditions.push(...creditFilters(query.filters));
+  if (!query.allVersions) {
+    conditions.push({ OR: [{ workId: null }, { id: { in: context.canonicalIds } }] });
+  }
+  return conditions.length > 0 ? { AND: conditions } : {};
+}
+
+// ── Facets ───────────────────────────────────────────────────────────────────
+
+/**
+ * Counts per genre, mood or tag: [{ value: slug, label: name, count }],
+ * every one listed, most songs first
+ */
+async function relationFacet(query, context, facet, joinModel, foreignKey, model) {
+  const [rows, records] = await Promise.all([
+    joinModel.groupBy({
+      by: [foreignKey],
+      where: { song: songWhere(query, context, facet) },
+      _count: { _all: true }
+    }),
+    model.findMany({ select: { id: true, slug: true, name: true } })
+  ]);
+  const counts = new Map(rows.map(row => [row[foreignKey], row._count._all]));
+
+  return records
+    .map(record => ({ value: record.slug, label: record.name, count: counts.get(record.id) ?? 0 }))
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+}
+
+/**
+ * Counts per value of a song column: [{ value, count }], songs without a
+ * value left out
+ */
+async function columnFacet(query, context, facet, column) {
+  const rows = await prisma.song.groupBy({
+    by: [column],
+    where: songWhere(query, context, facet),
+    _count: { _all: true }
+  });
+  return rows
+    .filter(row => row[column] !== null)
+    .map(row => ({ value: row[column], count: row._count._all }));
+}
+
+/**
+ * Counts per fixed-width bucket of a song column: [{ min, max, count }],
+ * lowest first, empty buckets left out
+ */
+async function bucketFacet(query, context, facet, column, width) {
+  const songs = await prisma.song.findMany({
+    where: { AND: [songWhere(query, context, facet), { [column]: { not: null } }] },
+    select: { [column]: true }
+  });
+
+  const buckets = new Map(); // bucket index → count
+  for (const song of songs) {
+    // The epsilon keeps 0.6 / 0.2 (2.9999…) in bucket 3
+    const index = Math.floor(song[column] / width + 1e-9);
+    buckets.set(index, (buckets.get(index) ?? 0) + 1);
+  }
+  // Rounded so energy buckets read 0.6–0.8, not 0.6000000000000001
+  const round = value => Math.round(value * 1000) / 1000;
+  return [...buckets.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([index, count]) => ({ min: round(index * width), max: round((index + 1) * width), count }));
+}
+
+/**
+ * Facet counts for every catalog filter. The liked count is the viewer's own,
+ * see countLikedSongs.
+ */
+export async function getSongFacets(query, context) {
+  const [genre, mood, tag, releaseType, year, explicit, isOfficial, tempo, energy] = await Promise.all([
+    relationFacet(query, context, 'genre', prisma.songGenre, 'genreId', prisma.genre),
+    relationFacet(query, context, 'mood', prisma.songMood, 'moodId', prisma.mood),
+    relationFacet(query, context, 'tag', prisma.songTag, 'tagId', prisma.tag),
+    columnFacet(query, context, 'releaseType', 'releaseType'),
+    columnFacet(query, context, 'year', 'year'),
+    columnFacet(query, context, 'explicit', 'explicit'),
+    columnFacet(query, context, 'isOfficial', 'isOfficial'),
+    bucketFacet(query, context, 'tempo', 'tempo', TEMPO_BUCKET),
+    bucketFacet(query, context, 'energy', 'energy', ENERGY_BUCKET)
+  ]);
+
+  return {
+    genre,
+    mood,
+    tag,
+    releaseType: releaseType.sort((a, b) => RELEASE_TYPES.indexOf(a.value) - RELEASE_TYPES.indexOf(b.value)),
+    year: year.sort((a, b) => b.value - a.value),
+    explicit,
+    isOfficial,
+    tempo,
+    energy
+  };
+}
+
+/**
+ * How many songs matching the query's other filters the viewer liked (the
+ * liked facet's count)
+ */
+export function countLikedSongs(query, context) {
+  return prisma.song.count({ where: { AND: [songWhere(query, context, 'liked'), likedBy(context.userId)] } });
+}
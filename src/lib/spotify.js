@@ -116,12 +116,21 @@ class SpotifyClient {
   }
 
   /**
-   * Get all tracks from an album
+   * Get all tracks from an album in tracklist order, each with its
+   * track_number and disc_number
    */
   async getAlbumTracks(albumId) {
+    const tracks = [];
+    let nextUrl = `/albums/${albumId}/tracks?limit=50`;
+
     try {
-      const data = await this.makeRequest(`/albums/${albumId}/tracks?limit=50`);
-      return data.items;
+      while (nextUrl) {
+        const data = await this.makeRequest(nextUrl.replace(this.baseURL, ''));
+        tracks.push(...data.items);
+        nextUrl = data.next;
+      }
+
+      return tracks;
     } catch (error) {
       console.error(`Error fetching album ${albumId} tracks:`, error);
       return [];
@@ -211,11 +220,18 @@ class SpotifyClient {
           const trackDetails = await this.getTrackDetails(trackIds);
           const audioFeatures = await this.getAudioFeatures(trackIds);
 
+          // Position of each track on this album's tracklist
+          const positions = new Map(tracks.map(track => [
+            track.id,
+            { track_number: track.track_number, disc_number: track.disc_number }
+          ]));
+
           // Combine track data with audio features
           const enrichedTracks = trackDetails.map(track => {
             const features = audioFeatures.find(f => f.id === track.id);
             return {
               ...track,
+              ...positions.get(track.id),
               audioFeatures: features,
               album: album
             };
@@ -268,6 +284,22 @@ class SpotifyClient {
 
     return isPrimaryArtist && isOfficial;
   }
+
+  /**
+   * Credits on a track, in billing order: [{ artist, role, position }].
+   * Artists also credited on the album are PRIMARY, the rest FEATURED.
+   * Spotify doesn't expose producers; PRODUCER credits are entered by hand.
+   */
+  getTrackCredits(track) {
+    if (!track?.artists) return [];
+
+    const albumArtistIds = new Set((track.album?.artists ?? []).map(artist => artist.id));
+    return track.artists.map((artist, position) => ({
+      artist,
+      role: position === 0 || albumArtistIds.has(artist.id) ? 'PRIMARY' : 'FEATURED',
+      position
+    }));
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,48 @@
+/**
+ * Exponential time decay for taste profiles
+ * A like, play or rating t days older than the user's newest signal counts
+ * 0.5^(t / halfLifeDays) as much. halfLifeDays = null turns decay off.
+ *
+ * Ages are measured from the newest signal rather than from today: profiles
+ * normalise by their total weight, so the result is the same, and a user
+ * back after a long break doesn't decay to nothing.
+ */
+
+export const DEFAULT_HALF_LIFE_DAYS = 180;
+
+// Presets for /api/recommendations/personalized?mode=
+export const TASTE_MODES = {
+  recent: { halfLifeDays: 30, label: 'Recent vibe' },
+  allTime: { halfLifeDays: null, label: 'All-time taste' }
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Weight of a signal last touched at `date`
+ */
+export function decayWeight(date, halfLifeDays = DEFAULT_HALF_LIFE_DAYS, now = Date.now()) {
+  if (!halfLifeDays || !date) return 1;
+
+  const ageDays = Math.max(0, (now - new Date(date).getTime()) / DAY);
+  return 0.5 ** (ageDays / halfLifeDays);
+}
+
+/**
+ * When a like, play or rating row last reflected the user's taste
+ */
+export function signalDate(row) {
+  return row.lastPlayed ?? row.updatedAt ?? row.createdAt ?? null;
+}
+
+/**
+ * Timestamp of the newest signal among rows, or now if none are dated
+ */
+export function latestSignal(rows) {
+  let latest = 0;
+  for (const row of rows) {
+    const date = signalDate(row);
+    if (date) latest = Math.max(latest, new Date(date).getTime());
+  }
+  return latest || Date.now();
+}
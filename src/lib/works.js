@@ -0,0 +1,229 @@
+/**
+ * Works
+ * The same recording often sits in the catalog several times — on the
+ * single, the album and a deluxe re-release — each with its own Spotify id.
+ * Versions of one recording share a Work. Two songs are versions when
+ *
+ *   they have the same ISRC, or
+ *   one has no ISRC, their titles match once feature credits are dropped
+ *   (workKey), and both have durations within WORK_DURATION_TOLERANCE_SECONDS
+ *
+ * Different ISRCs always mean different works (clean edits, remasters), and
+ * so do version tags: "XO Tour Llif3 (Sped Up)" or "(Instrumental)" is its
+ * own work. A song without an ISRC or a duration gets a work of its own. Each
+ * work has a canonical version — official releases first, then albums over
+ * singles, then the most popular — that stands for it in de-duplicated lists.
+ *
+ * Likes and plays roll up to the work: its totals sum its versions', and a
+ * like on any version counts as liking the work. The recommenders and
+ * /api/songs show one version per work unless asked for all versions.
+ *
+ * rebuildWorks() regroups the whole catalog; the syncs run it after each pass.
+ */
+
+import { prisma } from './prisma';
+import { titleKey } from './negative-feedback';
+
+export const WORK_DURATION_TOLERANCE_SECONDS = 3;
+
+// Title tags that credit another artist on the same recording: "(feat. Future)",
+// "- with Playboi Carti". Any other tag (remix, sped up, live, …) is kept.
+const FEATURE_TAG_PATTERN = /^[\s([{–—-]*(feat|ft|with)\b/i;
+
+// Release types in order of preference for a work's canonical version
+const RELEASE_PREFERENCE = ['ALBUM', 'MIXTAPE', 'EP', 'SINGLE', 'COMPILATION', 'LEAKED', 'UNRELEASED'];
+
+// pg advisory lock key serialising work rebuilds (cron and Spotify sync)
+const WORKS_LOCK = 7311002;
+
+// ── Grouping ─────────────────────────────────────────────────────────────────
+
+/**
+ * Title key for grouping versions: feature credits dropped, version tags kept
+ */
+export function workKey(title = '') {
+  return titleKey(title, FEATURE_TAG_PATTERN);
+}
+
+function durationsMatch(group, duration) {
+  return group.songs.some(song =>
+    song.duration != null && Math.abs(song.duration - duration) <= WORK_DURATION_TOLERANCE_SECONDS
+  );
+}
+
+/**
+ * Split songs ({ id, title, duration, isrc }) into groups of versions:
+ * [{ titleKey, isrc, songs }]. Songs with an ISRC are grouped first so a song
+ * without one can join the largest same-title group with a matching
+ * duration; a song with neither an ISRC nor a duration stays on its own.
+ */
+export function groupVersions(songs) {
+  const groups = [];
+  const byIsrc = new Map();
+  const byTitle = new Map(); // work key → groups
+
+  const ordered = [...songs].sort((a, b) => (a.isrc ? 0 : 1) - (b.isrc ? 0 : 1));
+
+  for (const song of ordered) {
+    const key = workKey(song.title);
+    let group = song.isrc ? byIsrc.get(song.isrc) : null;
+
+    if (!group && !song.isrc && key && song.duration != null) {
+      group = (byTitle.get(key) ?? [])
+        .filter(candidate => durationsMatch(candidate, song.duration))
+        .sort((a, b) => b.songs.length - a.songs.length)[0];
+    }
+
+    if (!group) {
+      group = { titleKey: key, isrc: song.isrc ?? null, songs: [] };
+      groups.push(group);
+      if (song.isrc) byIsrc.set(song.isrc, group);
+      if (key) byTitle.set(key, [...(byTitle.get(key) ?? []), group]);
+    }
+    group.songs.push(song);
+  }
+
+  return groups;
+}
+
+/**
+ * The version that stands for a work
+ */
+export function canonicalVersion(songs) {
+  const releaseRank = song => {
+    const rank = RELEASE_PREFERENCE.indexOf(song.releaseType);
+    return rank === -1 ? RELEASE_PREFERENCE.length : rank;
+  };
+
+  return [...songs].sort((a, b) =>
+    (b.isOfficial ? 1 : 0) - (a.isOfficial ? 1 : 0) ||
+    releaseRank(a) - releaseRank(b) ||
+    (b.popularity ?? 0) - (a.popularity ?? 0) ||
+    new Date(a.createdAt) - new Date(b.createdAt)
+  )[0];
+}
+
+/**
+ * Regroup the catalog into works. A group keeps the work most of its songs
+ * already had, so work ids survive rebuilds; works left without songs are
+ * deleted. Returns { works, created, moved, removed }.
+ *
+ * Runs in one transaction under an advisory lock: concurrent rebuilds wait
+ * for each other, and readers see the old grouping until the new one commits.
+ */
+export async function rebuildWorks() {
+  return prisma.$transaction(async (tx) => {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(${WORKS_LOCK})`;
+    return regroupWorks(tx);
+  }, { timeout: 60000 });
+}
+
+async function regroupWorks(tx) {
+  const songs = await tx.song.findMany({
+    select: {
+      id: true,
+      title: true,
+      duration: true,
+      isrc: true,
+      releaseType: true,
+      isOfficial: true,
+      popularity: true,
+      createdAt: true,
+      workId: true
+    }
+  });
+
+  const groups = groupVersions(songs);
+  const kept = new Set();
+  let created = 0;
+  let moved = 0;
+
+  for (const group of groups) {
+    const canonical = canonicalVersion(group.songs);
+    const data = {
+      title: canonical.title,
+      titleKey: group.titleKey,
+      isrc: group.isrc,
+      canonicalSongId: canonical.id
+    };
+
+    const counts = new Map();
+    for (const song of group.songs) {
+      if (song.workId && !kept.has(song.workId)) counts.set(song.workId, (counts.get(song.workId) ?? 0) + 1);
+    }
+    let workId = [...counts.entries()].sort(([, a], [, b]) => b - a)[0]?.[0];
+
+    if (workId) {
+      await tx.work.update({ where: { id: workId }, data });
+    } else {
+      workId = (await tx.work.create({ data, select: { id: true } })).id;
+      created++;
+    }
+    kept.add(workId);
+
+    const moving = group.songs.filter(song => song.workId !== workId).map(song => song.id);
+    if (moving.length > 0) {
+      await tx.song.updateMany({ where: { id: { in: moving } }, data: { workId } });
+      moved += moving.length;
+    }
+  }
+
+  const { count: removed } = await tx.work.deleteMany({ where: { id: { notIn: [...kept] } } });
+  return { works: groups.length, created, moved, removed };
+}
+
+// ── Roll-ups ─────────────────────────────────────────────────────────────────
+
+/**
+ * Likes and plays summed over each work's versions:
+ * Map<workId, { versions, totalLikes, totalPlays }>
+ */
+export async function getWorkRollups(workIds) {
+  if (workIds.length === 0) return new Map();
+
+  const rows = await prisma.song.groupBy({
+    by: ['workId'],
+    where: { workId: { in: workIds } },
+    _count: { _all: true },
+    _sum: { totalLikes: true, totalPlays: true }
+  });
+  return new Map(rows.map(row => [row.workId, {
+    versions: row._count._all,
+    totalLikes: row._sum.totalLikes ?? 0,
+    totalPlays: row._sum.totalPlays ?? 0
+  }]));
+}
+
+/**
+ * Canonical version ids of every work, for listing one version per work
+ */
+export async function getCanonicalSongIds() {
+  const works = await prisma.work.findMany({
+    where: { canonicalSongId: { not: null } },
+    select: { canonicalSongId: true }
+  });
+  return works.map(work => work.canonicalSongId);
+}
+
+/**
+ * Works with a version among the given songs (like, interaction or song rows)
+ */
+export function workIdsOf(rows, getSong = row => row.song) {
+  return new Set(rows.map(row => getSong(row)?.workId).filter(Boolean));
+}
+
+/**
+ * A ranked list with one entry per work: the first version of each is kept
+ * and versions of excludeWorkIds (e.g. works the user already liked) are
+ * dropped. Songs without a work always stay.
+ */
+export function dedupeByWork(items, { getSong = item => item, excludeWorkIds = new Set() } = {}) {
+  const seen = new Set();
+  return items.filter(item => {
+    const workId = getSong(item)?.workId;
+    if (!workId) return true;
+    if (excludeWorkIds.has(workId) || seen.has(workId)) return false;
+    seen.add(workId);
+    return true;
+  });
+}